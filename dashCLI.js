@@ -1,10 +1,31 @@
-
 // Import required packages
-const { program } = require('commander');
+const { Command, program } = require('commander');
 const dashLibrary = require('./dashLibrary');
-
-// Set default log level from environment variable or fallback to 'error'
-const LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const logger = require('./dashLogger');
+const {
+  printResult,
+  printError,
+  formatTable,
+  validateOutputFormat,
+} = require('./dashOutput');
+const { EXIT_CODES, ValidationError, classifyError } = require('./dashErrors');
+const { buildQuery } = require('./dashQuery');
+const { formatViolations } = require('./dashSchema');
+const { formatPlan } = require('./dashContractPlan');
+const { formatFindings } = require('./dashContractLint');
+const {
+  resolveProfile,
+  applyProfile,
+  runProfileCommand,
+  parseDapiAddresses,
+} = require('./dashProfiles');
+const {
+  saveWallet,
+  unlockWallet,
+  runKeystoreCommand,
+} = require('./dashKeystore');
+const { runCacheCommand } = require('./dashCache');
+const { startShell } = require('./dashShell');
 
 // List of all available commands supported by the CLI
 const AVAILABLE_COMMANDS = [
@@ -13,28 +34,63 @@ const AVAILABLE_COMMANDS = [
   'createIdentity',
   'retrieveIdentity',
   'topupIdentity',
+  'identityBalance',
+  'ensureBalance',
+  'transferCredits',
+  'withdrawCredits',
   'registerName',
+  'resolveName',
+  'listNames',
+  'searchNames',
+  'checkName',
   'getIdentityIds',
   'registerContract',
   'updateContract',
+  'planContract',
+  'validateContract',
+  'generateTypes',
   'retrieveContract',
   'retrieveContractHistory',
   'submitDocument',
+  'importDocuments',
+  'validateDocument',
   'retrieveDocuments',
+  'exportDocuments',
   'deleteDocument',
   'listIdentityPublicKeys',
+  'addIdentityKey',
+  'disableIdentityKey',
   'getPrivateKey',
+  'pingNodes',
+  'shell',
+  'profile',
+  'keystore',
+  'cache',
 ];
 
-// Custom logging function that respects log level hierarchy
-function log(level, ...args) {
-  const levels = ['error', 'warn', 'info', 'debug'];
-  const currentLevelIndex = levels.indexOf(LOG_LEVEL);
-  const messageLevelIndex = levels.indexOf(level);
+// Commands that manage local configuration and never need a wallet
+const LOCAL_COMMANDS = ['profile', 'keystore', 'cache'];
 
-  if (messageLevelIndex <= currentLevelIndex) {
-    console.log(`[${level.toUpperCase()}]`, ...args);
-  }
+// Commands that work without a wallet mnemonic
+const WALLETLESS_COMMANDS = [
+  'createWallet',
+  'validateDocument',
+  'planContract',
+  'validateContract',
+  'generateTypes',
+  'identityBalance',
+  'resolveName',
+  'listNames',
+  'searchNames',
+  'checkName',
+  'pingNodes',
+  'shell',
+  ...LOCAL_COMMANDS,
+];
+
+// Collects repeatable options into an array
+function collect(value, previous = []) {
+  return [...previous, value];
 }
 
 // Configure the CLI program using Commander
@@ -43,8 +99,35 @@ program
   .description('CLI for Dash Platform operations')
   .showHelpAfterError(`Available commands: ${AVAILABLE_COMMANDS.join(', ')}`)
   .argument('<command>', 'Command to execute')
+  .argument('[args...]', 'Command arguments (e.g. profile create <name>)')
   // Global options available to all commands
-  .option('--network <network>', 'Network to use (mainnet/testnet)')
+  .option('--profile <name>', 'Configuration profile to use')
+  .option('--network <network>', 'Network to use (mainnet/testnet/memory)')
+  .option(
+    '--dapi-addresses <json>',
+    'DAPI addresses (JSON array of host:port), overrides the profile',
+  )
+  .option(
+    '--explorer-providers <json>',
+    'Block explorer providers (JSON array) used to find the first transaction of an address',
+  )
+  .option(
+    '--contract-alias <alias=id>',
+    'Contract alias stored in a profile (repeatable)',
+    collect,
+  )
+  .option(
+    '--mnemonic-env <variable>',
+    'Environment variable holding the mnemonic for a profile or keystore import',
+  )
+  .option(
+    '--wallet <name>',
+    'Keystore wallet to unlock (createWallet saves the new wallet under this name)',
+  )
+  .option(
+    '--memory-file <path>',
+    'File used to persist the memory network state between runs',
+  )
   .option('--identity-id <id>', 'Identity ID')
   .option('--height <height>', 'Block height')
   .option('--address <address>', 'Dash address to use')
@@ -52,222 +135,751 @@ program
     '--topup-amount <topupAmount>',
     'Amount for topup in duffs. Minumum 50000 duffs. 1 duff = 1,000 platform credits',
   )
+  .option('--from-identity <id>', 'Identity sending credits')
+  .option('--to-identity <id>', 'Identity receiving credits')
+  .option('--amount <credits>', 'Credits to transfer or withdraw')
+  .option('--to-address <address>', 'Core chain address for withdrawals')
+  .option(
+    '--min-credits <credits>',
+    'Credit balance below which ensureBalance tops up the identity',
+  )
   .option('--identity-name <identityName>', 'Identity name')
+  .option('--prefix <prefix>', 'Name prefix for searchNames')
   .option('--contract-id <id>', 'Contract ID')
   .option('--document-type <type>', 'Document type')
   .option('--contract-def <json>', 'Contract definition')
   .option('--new-properties <json>', 'New properties for contract update')
   .option('--indices <json>', 'Indices for contract create/update')
   .option('--keep-history', 'Enable contract history tracking')
+  .option(
+    '--dry-run',
+    'Build and sign the state transition without broadcasting it, report its estimated credit fee',
+  )
   .option('--document-id <id>', 'Document ID for update/delete operations')
   .option('--document-data <json>', 'Document data for create/update')
   .option('--query <json>', 'Query options for document retrieval')
+  .option(
+    '--contract-file <path>',
+    'Local JSON or YAML contract file (document schemas or retrieveContract JSON)',
+  )
+  .option(
+    '--plan-file <path>',
+    'Save the planContract plan to a file for updateContract --from-plan',
+  )
+  .option(
+    '--from-plan <path>',
+    'Apply a plan saved by planContract --plan-file',
+  )
+  .option(
+    '--refresh-schema',
+    'Fetch the contract schema from the network instead of the local cache',
+  )
+  .option(
+    '--where <clause>',
+    'Where clause, e.g. "score>=10" or "$ownerId==<id>" (repeatable)',
+    collect,
+  )
+  .option(
+    '--order-by <field[:direction]>',
+    'Sort field, e.g. "$createdAt:desc" (repeatable)',
+    collect,
+  )
+  .option(
+    '--limit <count>',
+    'Maximum documents to retrieve (1-100) or to export',
+  )
+  .option('--start-after <documentId>', 'Return documents after this one')
+  .option('--start-at <documentId>', 'Return documents starting at this one')
+  .option(
+    '--skip-index-check',
+    'Send document queries without checking them against the contract indices',
+  )
   .option('--action <type>', 'Document action type (create/replace/delete)')
-  .option('--public-key-id <id>', 'Public key ID for private key retrieval')
-  // Main action handler for processing commands
-  .action(async (command, options) => {
-    log('debug', 'Command:', command);
-    log('debug', 'Options:', options);
-
-    try {
-      // Validate command exists
-      if (!command || !AVAILABLE_COMMANDS.includes(command)) {
-        throw new Error(
-          `Invalid command. Available commands: ${AVAILABLE_COMMANDS.join(', ')}`,
-        );
-      }
+  .option(
+    '--input-file <path>',
+    'Documents to import (NDJSON, JSON array or CSV)',
+  )
+  .option(
+    '--input-format <format>',
+    'Import file format (ndjson/json/csv), detected from the extension by default',
+  )
+  .option(
+    '--column-types <json>',
+    'CSV column types, e.g. {"age":"integer"} (string/integer/number/boolean/json)',
+  )
+  .option('--batch-size <size>', 'Documents per import batch (1-10)')
+  .option(
+    '--checkpoint <path>',
+    'Import checkpoint file (default <input-file>.checkpoint.json)',
+  )
+  .option(
+    '--output-file <path>',
+    'File to write exported documents or the generateTypes module to',
+  )
+  .option(
+    '--app-name <name>',
+    'App name the generateTypes module registers the contract under',
+    'myContract',
+  )
+  .option(
+    '--export-format <format>',
+    'Export file format (ndjson/json/csv), detected from the extension by default',
+  )
+  .option('--page-size <size>', 'Documents fetched per export page (1-100)')
+  .option(
+    '--cursor-file <path>',
+    'Export cursor file used to resume (default <output-file>.cursor.json)',
+  )
+  .option(
+    '--public-key-id <id>',
+    'Key ID or public key hex for private key retrieval',
+  )
+  .option(
+    '--key-id <id>',
+    'Identity key ID for disableIdentityKey and getPrivateKey',
+  )
+  .option('--key-format <format>', 'Private key format (hex/wif/json)')
+  .option(
+    '--key-file <path>',
+    'Write the private key to a new owner-only file instead of stdout',
+  )
+  .option('--yes', 'Skip the confirmation before exporting a private key')
+  .option(
+    '--key-purpose <purpose>',
+    'Purpose of a new key (authentication/encryption/decryption/transfer)',
+  )
+  .option(
+    '--security-level <level>',
+    'Security level of a new key (master/critical/high/medium)',
+  )
+  .option(
+    '--key-type <type>',
+    'Type of a new key (ecdsa_secp256k1/ecdsa_hash160)',
+  )
+  .option('--log-level <level>', 'Log level (error/warn/info/debug)')
+  .option('--log-format <format>', 'Log line format (text/json)')
+  .option('--log-file <path>', 'Also append logs to this file')
+  .option(
+    '--output <format>',
+    'Output format (text/json/ndjson/table). Results go to stdout, progress to stderr',
+    'text',
+  );
 
-      // Default keep-history to false for registerContract
-      if (command === 'registerContract' && options.keepHistory === undefined) {
-        options.keepHistory = false;
-      }
+// Commander keeps option values between parses, so every parse (one per shell
+// line) gets a new Command with the arguments, options and settings of program
+const createProgram = (action = runCommand) => {
+  const command = new Command()
+    .name(program.name())
+    .description(program.description())
+    .copyInheritedSettings(program)
+    .action(action);
+  program.registeredArguments.forEach((argument) =>
+    command.addArgument(argument),
+  );
+  program.options.forEach((option) => command.addOption(option));
+  return command;
+};
 
-      // Verify mnemonic exists except for createWallet
-      if (!['createWallet'].includes(command) && !process.env.MNEMONIC) {
-        throw new Error(
-          'Please add your wallet mnemonic to the .env file as MNEMONIC=your_mnemonic',
-        );
-      }
+// Runs one command with parsed options and returns the result it printed
+// Used by the command line and for every line of the interactive shell
+const runCommand = async (command, commandArgs, options) => {
+  let result;
+  const print = (label, data, format, textData) => {
+    result = data;
+    printResult(label, data, format, textData);
+  };
+  // Writes run with --dry-run print their cost estimate instead, a balance
+  // that would not cover the fee fails like the broadcast would
+  const printWrite = (label, data) => {
+    if (!data.dryRun) {
+      print(label, data, options.output);
+      return;
+    }
+    print('Dry run, not broadcast', data, options.output);
+    if (!data.sufficient) {
+      process.exitCode = EXIT_CODES.INSUFFICIENT_CREDITS;
+    }
+  };
+  try {
+    validateOutputFormat(options.output);
+    logger.configure({
+      level: options.logLevel,
+      format: options.logFormat,
+      file: options.logFile,
+    });
+    logger.debug('Command:', command, commandArgs);
+    logger.debug('Options:', options);
+
+    // Validate command exists
+    if (!command || !AVAILABLE_COMMANDS.includes(command)) {
+      throw new ValidationError(
+        `Invalid command. Available commands: ${AVAILABLE_COMMANDS.join(', ')}`,
+      );
+    }
 
-      // Prevent createWallet when mnemonic exists
-      if (command === 'createWallet' && process.env.MNEMONIC) {
-        throw new Error(
-          'Cannot create a new wallet when MNEMONIC environment variable exists. Please remove MNEMONIC from .env file first.',
+    // DAPI addresses arrive as a JSON string from the command line, commands
+    // and profiles use the parsed array
+    if (options.dapiAddresses) {
+      options = {
+        ...options,
+        dapiAddresses: parseDapiAddresses(options.dapiAddresses),
+      };
+    }
+
+    // Profile management only touches the local config file
+    if (command === 'profile') {
+      const [subcommand, name] = commandArgs;
+      const profileResult = runProfileCommand(subcommand, name, options);
+      print('Profile', profileResult, options.output);
+      return result;
+    }
+
+    // Keystore management works on the encrypted wallet files only
+    if (command === 'keystore') {
+      const [subcommand, name] = commandArgs;
+      const keystoreResult = await runKeystoreCommand(
+        subcommand,
+        name,
+        options,
+      );
+      print('Keystore', keystoreResult, options.output);
+      return result;
+    }
+
+    // Cache management removes or lists files in the local cache directory
+    if (command === 'cache') {
+      const [subcommand, namespace] = commandArgs;
+      print('Cache', runCacheCommand(subcommand, namespace), options.output);
+      return result;
+    }
+
+    // Set defaults from environment variables if not provided in options
+    if (options.network === undefined && process.env.NETWORK !== undefined) {
+      options.network = process.env.NETWORK;
+    }
+    if (!options.address && process.env.ADDRESS) {
+      options.address = process.env.ADDRESS;
+    }
+    if (!options.identityId && process.env.IDENTITY_ID) {
+      options.identityId = process.env.IDENTITY_ID;
+    }
+    if (!options.contractId && process.env.CONTRACT_ID) {
+      options.contractId = process.env.CONTRACT_ID;
+    }
+    if (!options.documentId && process.env.DOCUMENT_ID) {
+      options.documentId = process.env.DOCUMENT_ID;
+    }
+
+    // Fill the options still unset from the selected profile
+    // Precedence: CLI flags -> environment variables -> profile -> defaults
+    options = applyProfile(options, resolveProfile(options.profile));
+
+    // Unlock the keystore wallet for commands that sign or use it, createWallet
+    // saves a new one there instead. The shell unlocks it once and passes the
+    // mnemonic to every command
+    if (
+      options.wallet &&
+      !options.mnemonic &&
+      (command === 'shell' || !WALLETLESS_COMMANDS.includes(command))
+    ) {
+      options.mnemonic = await unlockWallet(options.wallet);
+    }
+    const mnemonic = options.mnemonic || process.env.MNEMONIC;
+    logger.addSecret(mnemonic);
+
+    // Default keep-history to false for registerContract
+    if (command === 'registerContract' && options.keepHistory === undefined) {
+      options.keepHistory = false;
+    }
+
+    // Verify mnemonic exists except for createWallet
+    if (!WALLETLESS_COMMANDS.includes(command) && !mnemonic) {
+      throw new ValidationError(
+        'Please add your wallet mnemonic to the .env file as MNEMONIC=your_mnemonic or use a profile with --mnemonic-env',
+      );
+    }
+
+    // Prevent createWallet when mnemonic exists
+    if (command === 'createWallet' && mnemonic) {
+      throw new ValidationError(
+        'Cannot create a new wallet when MNEMONIC environment variable exists. Please remove MNEMONIC from .env file first.',
+      );
+    }
+
+    // Validate address requirement for specific commands
+    if (
+      ['createIdentity', 'topupIdentity', 'ensureBalance'].includes(command) &&
+      !options.address &&
+      !process.env.ADDRESS
+    ) {
+      throw new ValidationError(
+        `${command} requires --address parameter or ADDRESS environment variable`,
+      );
+    }
+
+    // Command processor switch
+    switch (command) {
+      case 'createWallet':
+        const wallet = await dashLibrary.createWallet(options);
+        if (options.wallet) {
+          // Keep the mnemonic off the terminal when a keystore is used
+          const saved = await saveWallet(options.wallet, wallet.mnemonic);
+          print(
+            'Wallet saved to keystore',
+            saved,
+            options.output,
+            saved.wallet,
+          );
+          break;
+        }
+        print('Wallet mnemonic', wallet, options.output, wallet.mnemonic);
+        break;
+
+      case 'getUnusedAddress':
+        const address = await dashLibrary.getUnusedAddress(options);
+        print('New unused address', address, options.output, address.address);
+        break;
+
+      case 'createIdentity':
+        const identity = await dashLibrary.createIdentity(options);
+        print('Identity', identity, options.output);
+        break;
+
+      case 'retrieveIdentity':
+        const retrievedIdentity = await dashLibrary.retrieveIdentity(options);
+        print('Retrieved Identity', retrievedIdentity, options.output);
+        break;
+
+      case 'topupIdentity':
+        const updatedIdentity = await dashLibrary.topupIdentity(options);
+        print('Updated Identity', updatedIdentity, options.output);
+        break;
+
+      case 'identityBalance':
+        const balance = await dashLibrary.identityBalance(options);
+        print(
+          'Identity balance',
+          balance,
+          options.output,
+          `${balance.credits} credits (${balance.duffs} duffs, ${balance.dash} DASH)`,
         );
-      }
-
-      // Validate address requirement for specific commands
-      if (
-        ['createIdentity', 'topupIdentity'].includes(command) &&
-        !options.address &&
-        !process.env.ADDRESS
-      ) {
-        throw new Error(
-          `${command} requires --address parameter or ADDRESS environment variable`,
+        break;
+
+      case 'ensureBalance':
+        if (!options.identityId) {
+          throw new ValidationError('Identity ID is required');
+        }
+        if (!options.minCredits || !options.topupAmount) {
+          throw new ValidationError(
+            'ensureBalance requires --min-credits and --topup-amount',
+          );
+        }
+        const ensured = await dashLibrary.ensureBalance(options);
+        print(
+          'Identity balance',
+          ensured,
+          options.output,
+          ensured.toppedUp
+            ? `Topped up ${ensured.topupAmount} duffs, balance ${ensured.before.credits} -> ${ensured.after.credits} credits`
+            : `Balance ${ensured.after.credits} credits, not below ${ensured.minCredits}, no top-up needed`,
         );
-      }
-
-      // Set defaults from environment variables if not provided in options
-      if (!options.address && process.env.ADDRESS) {
-        options.address = process.env.ADDRESS;
-      }
-      if (!options.identityId && process.env.IDENTITY_ID) {
-        options.identityId = process.env.IDENTITY_ID;
-      }
-      if (!options.contractId && process.env.CONTRACT_ID) {
-        options.contractId = process.env.CONTRACT_ID;
-      }
-      if (!options.documentId && process.env.DOCUMENT_ID) {
-        options.documentId = process.env.DOCUMENT_ID;
-      }
-
-      // Command processor switch
-      switch (command) {
-        case 'createWallet':
-          const wallet = await dashLibrary.createWallet(options);
-          console.log('Wallet mnemonic:', wallet.mnemonic);
-          break;
+        // A top-up too small to reach the minimum fails the job
+        if (ensured.after.credits < ensured.minCredits) {
+          process.exitCode = EXIT_CODES.INSUFFICIENT_CREDITS;
+        }
+        break;
 
-        case 'getUnusedAddress':
-          const address = await dashLibrary.getUnusedAddress(options);
-          console.log('New unused address:', address.address);
+      case 'transferCredits':
+        if (!options.amount) {
+          throw new ValidationError('Amount is required (--amount)');
+        }
+        const transfer = await dashLibrary.transferCredits(options);
+        if (transfer.dryRun) {
+          printWrite('Credit transfer', transfer);
           break;
+        }
+        print(
+          'Credit transfer',
+          transfer,
+          options.output,
+          `Transferred ${transfer.amount} credits (fee ${transfer.fee})\n` +
+            `  ${transfer.from.identityId}: ${transfer.from.balanceBefore} -> ${transfer.from.balanceAfter}\n` +
+            `  ${transfer.to.identityId}: ${transfer.to.balanceBefore} -> ${transfer.to.balanceAfter}`,
+        );
+        break;
 
-        case 'createIdentity':
-          const identity = await dashLibrary.createIdentity(options);
-          console.log('Identity:', identity);
+      case 'withdrawCredits':
+        if (!options.amount) {
+          throw new ValidationError('Amount is required (--amount)');
+        }
+        const withdrawal = await dashLibrary.withdrawCredits(options);
+        if (withdrawal.dryRun) {
+          printWrite('Credit withdrawal', withdrawal);
           break;
+        }
+        print(
+          'Credit withdrawal',
+          withdrawal,
+          options.output,
+          `Withdrew ${withdrawal.amount} credits to ${withdrawal.toAddress} (fee ${withdrawal.fee}), balance ${withdrawal.balanceBefore} -> ${withdrawal.balanceAfter}`,
+        );
+        break;
 
-        case 'retrieveIdentity':
-          const retrievedIdentity = await dashLibrary.retrieveIdentity(options);
-          console.log('Retrieved Identity:', retrievedIdentity);
-          break;
+      case 'registerName':
+        const nameRegistration = await dashLibrary.registerName(options);
+        printWrite('Name Registration', nameRegistration);
+        break;
 
-        case 'topupIdentity':
-          const updatedIdentity = await dashLibrary.topupIdentity(options);
-          console.log('Updated Identity:', updatedIdentity);
-          break;
+      case 'resolveName':
+        const resolved = await dashLibrary.resolveName(options);
+        print(
+          'Name',
+          resolved,
+          options.output,
+          `${resolved.name} -> ${resolved.identityId}`,
+        );
+        break;
 
-        case 'registerName':
-          const nameRegistration = await dashLibrary.registerName(options);
-          console.log('Name Registration:', nameRegistration);
-          break;
+      case 'listNames':
+      case 'searchNames':
+        const names =
+          command === 'listNames'
+            ? await dashLibrary.listNames(options)
+            : await dashLibrary.searchNames(options);
+        print(
+          'Names',
+          names,
+          options.output,
+          names.length > 0 ? `\n${formatTable(names)}` : 'No names found',
+        );
+        break;
 
-        case 'getIdentityIds':
-          const identityIds = await dashLibrary.getIdentityIds(options);
-          console.log('Identity IDs:', identityIds);
-          break;
+      case 'checkName':
+        const check = await dashLibrary.checkName(options);
+        print(
+          'Name check',
+          check,
+          options.output,
+          check.available
+            ? `${check.name} is available, registering it costs ${check.fee} credits (${check.premium ? 'premium, contested by vote' : 'standard'})`
+            : `${check.name} is taken by identity ${check.identityId} (registered as ${check.registeredName})`,
+        );
+        break;
 
-        case 'registerContract':
-          // Validate contract definition exists
-          if (!options.contractDef) {
-            throw new Error('Contract definition required');
-          }
-          try {
-            const contract = await dashLibrary.registerContract(options);
-            console.log('Contract registered:', contract);
-          } catch (error) {
-            console.error('Contract validation failed:', error.message);
-          }
-          break;
+      case 'getIdentityIds':
+        const identityIds = await dashLibrary.getIdentityIds(options);
+        print('Identity IDs', identityIds, options.output);
+        break;
 
-        case 'updateContract':
-          // Validate required parameters for contract update
-          if (!options.newProperties && !options.indices) {
-            throw new Error('New properties or indices required');
-          }
-          if (!options.identityId) {
-            throw new Error('Identity ID is required for updating contracts');
-          }
-          const updatedContract = await dashLibrary.updateContract(options);
-          console.log('Contract updated:', updatedContract);
-          break;
+      case 'registerContract':
+        // Validate contract definition exists
+        if (!options.contractDef && !options.contractFile) {
+          throw new ValidationError(
+            'Contract definition required (--contract-def or --contract-file)',
+          );
+        }
+        const contract = await dashLibrary.registerContract(options);
+        printWrite('Contract registered', contract);
+        break;
 
-        case 'retrieveContract':
-          const retrievedContract = await dashLibrary.retrieveContract(options);
-          console.log('Contract:', retrievedContract);
-          break;
+      case 'updateContract':
+        // Validate required parameters for contract update
+        if (
+          !options.fromPlan &&
+          !options.contractFile &&
+          !options.contractDef &&
+          !options.newProperties &&
+          !options.indices
+        ) {
+          throw new ValidationError(
+            'A contract definition, new properties, indices or --from-plan required',
+          );
+        }
+        if (!options.identityId) {
+          throw new ValidationError(
+            'Identity ID is required for updating contracts',
+          );
+        }
+        const updatedContract = await dashLibrary.updateContract(options);
+        printWrite('Contract updated', updatedContract);
+        break;
 
-        case 'retrieveContractHistory':
-          const contractHistory =
-            await dashLibrary.retrieveContractHistory(options);
-          console.log('Contract History:', contractHistory);
-          break;
+      case 'planContract':
+        // Validate required parameters for contract planning
+        if (!options.contractId) {
+          throw new ValidationError('Contract ID is required');
+        }
+        if (!options.contractFile && !options.contractDef) {
+          throw new ValidationError(
+            'Contract file or contract definition is required',
+          );
+        }
+        const plan = await dashLibrary.planContract(options);
+        print('Contract plan', plan, options.output, formatPlan(plan));
+        if (options.planFile) {
+          logger.info(
+            plan.applicable && plan.changes.length > 0
+              ? `Plan saved to ${options.planFile}, apply it with updateContract --from-plan ${options.planFile}`
+              : `Plan saved to ${options.planFile}`,
+          );
+        }
+        if (!plan.applicable) {
+          process.exitCode = EXIT_CODES.VALIDATION;
+        }
+        break;
 
-        case 'submitDocument':
-          // Validate required parameters for document submission
-          if (!options.identityId) {
-            throw new Error('Identity ID is required for submitting documents');
-          }
-          if (!options.contractId || !options.documentType) {
-            throw new Error('Contract ID and document type are required');
-          }
-          if (!options.action) {
-            throw new Error('Action (create/replace/delete) is required');
-          }
-          if (options.action !== 'delete' && !options.documentData) {
-            throw new Error(
-              'Document data is required for create/replace actions',
-            );
-          }
-          const submitResult = await dashLibrary.submitDocument(options);
-          console.log('Document submitted:', submitResult);
-          break;
+      case 'validateContract':
+        const lint = await dashLibrary.validateContract(options);
+        print(
+          'Contract validation',
+          lint,
+          options.output,
+          lint.findings.length === 0
+            ? 'Contract is valid'
+            : `${lint.valid ? 'Contract is valid' : 'Contract is invalid'}, ${lint.summary}\n${formatFindings(lint.findings)}`,
+        );
+        if (!lint.valid) {
+          process.exitCode = EXIT_CODES.VALIDATION;
+        }
+        break;
 
-        case 'retrieveDocuments':
-          // Validate required parameters for document retrieval
-          if (!options.contractId || !options.documentType) {
-            throw new Error('Contract ID and document type are required');
-          }
-          const queryOpts = options.query ? JSON.parse(options.query) : {};
-          const docs = await dashLibrary.retrieveDocuments(options, queryOpts);
-          console.log('Documents retrieved:', docs);
-          break;
+      case 'generateTypes':
+        // Validate required parameters for type generation
+        if (!options.contractFile && !options.contractId) {
+          throw new ValidationError('Contract file or contract ID is required');
+        }
+        const generated = await dashLibrary.generateTypes(options);
+        print(
+          'Types generated',
+          generated,
+          options.output,
+          `${generated.documentTypes.join(', ')} from contract ${generated.contractId} (version ${generated.version}) written to ${generated.files.join(' and ')}`,
+        );
+        break;
 
-        case 'deleteDocument':
-          // Validate required parameters for document deletion
-          if (!options.identityId) {
-            throw new Error('Identity ID is required for deleting documents');
-          }
-          if (!options.contractId || !options.documentType) {
-            throw new Error('Contract ID and document type are required');
-          }
-          if (!options.documentId) {
-            throw new Error('Document ID is required for deletion');
-          }
-
-          const deleteResult = await dashLibrary.deleteDocument(options);
-          console.log('Document deleted:', deleteResult);
-          break;
+      case 'retrieveContract':
+        const retrievedContract = await dashLibrary.retrieveContract(options);
+        print('Contract', retrievedContract, options.output);
+        break;
 
-        case 'listIdentityPublicKeys':
-          if (!options.identityId) {
-            throw new Error('Identity ID is required');
-          }
-          const publicKeys = await dashLibrary.listIdentityPublicKeys(options);
-          console.log('Public Keys:', publicKeys);
-          break;
+      case 'retrieveContractHistory':
+        const contractHistory =
+          await dashLibrary.retrieveContractHistory(options);
+        print('Contract History', contractHistory, options.output);
+        break;
 
-        case 'getPrivateKey':
-          if (!options.identityId) {
-            throw new Error('Identity ID is required');
-          }
-          if (!options.publicKeyId) {
-            throw new Error('Public key ID is required');
-          }
-          const privateKey = await dashLibrary.getPrivateKey(options);
-          console.log('Private Key:', privateKey);
-          break;
+      case 'submitDocument':
+        // Validate required parameters for document submission
+        if (!options.identityId) {
+          throw new ValidationError(
+            'Identity ID is required for submitting documents',
+          );
+        }
+        if (!options.contractId || !options.documentType) {
+          throw new ValidationError(
+            'Contract ID and document type are required',
+          );
+        }
+        if (!options.action) {
+          throw new ValidationError(
+            'Action (create/replace/delete) is required',
+          );
+        }
+        if (options.action !== 'delete' && !options.documentData) {
+          throw new ValidationError(
+            'Document data is required for create/replace actions',
+          );
+        }
+        const submitResult = await dashLibrary.submitDocument(options);
+        printWrite('Document submitted', submitResult);
+        break;
 
-        default:
-          // Show available commands if command not recognized
-          console.log(`Available commands: ${AVAILABLE_COMMANDS.join(', ')}`);
-          break;
-      }
-    } catch (error) {
-      console.error(error.message);
+      case 'importDocuments':
+        // Validate required parameters for document import
+        if (!options.identityId) {
+          throw new ValidationError(
+            'Identity ID is required for importing documents',
+          );
+        }
+        if (!options.contractId || !options.documentType) {
+          throw new ValidationError(
+            'Contract ID and document type are required',
+          );
+        }
+        if (!options.inputFile) {
+          throw new ValidationError('Input file is required');
+        }
+        const importResult = await dashLibrary.importDocuments(options);
+        print('Import results', importResult, options.output);
+        if (importResult.some((row) => row.status === 'failed')) {
+          process.exitCode = EXIT_CODES.GENERAL;
+        }
+        break;
+
+      case 'validateDocument':
+        // Validate required parameters for document validation
+        if (!options.documentType) {
+          throw new ValidationError('Document type is required');
+        }
+        if (!options.contractFile && !options.contractId) {
+          throw new ValidationError('Contract file or contract ID is required');
+        }
+        const validation = await dashLibrary.validateDocument(options);
+        // An input file gives one result per row, document data a single one
+        const validations = options.inputFile ? validation : [validation];
+        print(
+          'Validation',
+          validation,
+          options.output,
+          options.inputFile
+            ? validation
+            : validation.valid
+              ? 'Document is valid'
+              : `Document is invalid:\n${formatViolations(validation.errors)}`,
+        );
+        if (validations.some((result) => !result.valid)) {
+          process.exitCode = EXIT_CODES.VALIDATION;
+        }
+        break;
+
+      case 'retrieveDocuments':
+        // Validate required parameters for document retrieval
+        if (!options.contractId || !options.documentType) {
+          throw new ValidationError(
+            'Contract ID and document type are required',
+          );
+        }
+        const queryOpts = buildQuery(options);
+        const docs = await dashLibrary.retrieveDocuments(options, queryOpts);
+        print('Documents retrieved', docs, options.output);
+        break;
+
+      case 'exportDocuments':
+        // Validate required parameters for document export
+        if (!options.contractId || !options.documentType) {
+          throw new ValidationError(
+            'Contract ID and document type are required',
+          );
+        }
+        const exportQuery = buildQuery(options, Infinity);
+        const exportResult = await dashLibrary.exportDocuments(
+          options,
+          exportQuery,
+        );
+        // Without an output file stdout carries the exported documents
+        if (options.outputFile) {
+          print('Export complete', exportResult, options.output);
+        } else {
+          logger.info(
+            `Export complete: ${exportResult.exported} documents in ${exportResult.pages} pages`,
+          );
+        }
+        break;
+
+      case 'deleteDocument':
+        // Validate required parameters for document deletion
+        if (!options.identityId) {
+          throw new ValidationError(
+            'Identity ID is required for deleting documents',
+          );
+        }
+        if (!options.contractId || !options.documentType) {
+          throw new ValidationError(
+            'Contract ID and document type are required',
+          );
+        }
+        if (!options.documentId) {
+          throw new ValidationError('Document ID is required for deletion');
+        }
+
+        const deleteResult = await dashLibrary.deleteDocument(options);
+        printWrite('Document deleted', deleteResult);
+        break;
+
+      case 'listIdentityPublicKeys':
+        if (!options.identityId) {
+          throw new ValidationError('Identity ID is required');
+        }
+        const publicKeys = await dashLibrary.listIdentityPublicKeys(options);
+        print('Public Keys', publicKeys, options.output);
+        break;
+
+      case 'addIdentityKey':
+        if (!options.identityId) {
+          throw new ValidationError('Identity ID is required');
+        }
+        const keysAfterAdd = await dashLibrary.addIdentityKey(options);
+        printWrite('Public Keys', keysAfterAdd);
+        break;
+
+      case 'disableIdentityKey':
+        if (!options.identityId) {
+          throw new ValidationError('Identity ID is required');
+        }
+        if (options.keyId === undefined) {
+          throw new ValidationError('Key ID is required (--key-id)');
+        }
+        const keysAfterDisable = await dashLibrary.disableIdentityKey(options);
+        printWrite('Public Keys', keysAfterDisable);
+        break;
+
+      case 'getPrivateKey':
+        if (!options.identityId) {
+          throw new ValidationError('Identity ID is required');
+        }
+        if (!options.publicKeyId && options.keyId === undefined) {
+          throw new ValidationError(
+            'Key ID or public key is required (--key-id or --public-key-id)',
+          );
+        }
+        const privateKey = await dashLibrary.getPrivateKey(options);
+        print(
+          'Private Key',
+          privateKey,
+          options.output,
+          privateKey.file
+            ? `key ${privateKey.keyId} written to ${privateKey.file}`
+            : privateKey.privateKey,
+        );
+        break;
+
+      case 'shell':
+        await startShell(options, {
+          createProgram,
+          runCommand,
+          commands: AVAILABLE_COMMANDS,
+        });
+        break;
+
+      case 'pingNodes':
+        const nodes = await dashLibrary.pingNodes(options);
+        print('DAPI nodes', nodes, options.output, `\n${formatTable(nodes)}`);
+        if (!nodes.some((node) => node.status === 'ok')) {
+          process.exitCode = EXIT_CODES.NETWORK;
+        }
+        break;
+
+      default:
+        // Show available commands if command not recognized
+        logger.error(`Available commands: ${AVAILABLE_COMMANDS.join(', ')}`);
+        break;
     }
-  });
+  } catch (error) {
+    // Map the failure to a typed error so the exit code reflects its class
+    const cliError = classifyError(error);
+    logger.debug('Command failed:', cliError.cause || cliError);
+    printError(cliError, options.output);
+    process.exitCode = cliError.exitCode;
+  }
+  return result;
+};
+
+if (require.main === module) {
+  createProgram().parse();
+}
 
-// Parse command line arguments
-program.parse();
+module.exports = {
+  AVAILABLE_COMMANDS,
+  createProgram,
+  runCommand,
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir, writePrivateJson } = require('./dashPaths');
+const { ValidationError } = require('./dashErrors');
+
+// Small JSON file cache in <config dir>/cache/<namespace>/<key>.json
+// Entries store the time they were written so readers can apply their own TTL
+// Directories are only created by writes, reading a missing entry is a miss,
+// so read-only commands work with a read-only home directory
+
+const cacheRoot = () => path.join(getConfigDir(), 'cache');
+
+const cacheFile = (namespace, key) =>
+  path.join(
+    cacheRoot(),
+    namespace,
+    `${String(key).replace(/[^a-zA-Z0-9_.-]/g, '_')}.json`,
+  );
+
+// Returns the cached value, or undefined if it is missing or older than maxAgeMs
+const readCache = (namespace, key, maxAgeMs = Infinity) => {
+  const file = cacheFile(namespace, key);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Date.now() - entry.cachedAt > maxAgeMs) {
+      return undefined;
+    }
+    return entry.value;
+  } catch (error) {
+    // A corrupt entry is treated as a cache miss and overwritten later
+    return undefined;
+  }
+};
+
+const writeCache = (namespace, key, value) => {
+  writePrivateJson(cacheFile(namespace, key), { cachedAt: Date.now(), value });
+  return value;
+};
+
+const deleteCache = (namespace, key) => {
+  const file = cacheFile(namespace, key);
+  if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+};
+
+// Wallet caches live in <config dir>/cache/wallets/<network>-<wallet hash>/
+// The hash is derived from the mnemonic, which itself is never written there
+const WALLETS_NAMESPACE = 'wallets';
+
+const walletCacheKey = (network, mnemonic) =>
+  `${network}-${crypto
+    .createHash('sha256')
+    .update(mnemonic)
+    .digest('hex')
+    .slice(0, 16)}`;
+
+const walletNamespace = (network, mnemonic) =>
+  path.join(WALLETS_NAMESPACE, walletCacheKey(network, mnemonic));
+
+// Sync state of a wallet: the first transaction height found per address and
+// the chain height the wallet last synced to
+const readSyncState = (network, mnemonic) => ({
+  network,
+  startHeights: {},
+  ...(mnemonic ? readCache(walletNamespace(network, mnemonic), 'sync') : {}),
+});
+
+const updateSyncState = (network, mnemonic, changes) => {
+  if (!mnemonic) {
+    return undefined;
+  }
+  const state = readSyncState(network, mnemonic);
+  return writeCache(walletNamespace(network, mnemonic), 'sync', {
+    ...state,
+    ...changes,
+    startHeights: { ...state.startHeights, ...changes.startHeights },
+  });
+};
+
+// Storage adapter for the SDK wallet, so transactions, UTXOs and the synced
+// chain state survive between commands instead of being fetched again
+const createStorageAdapter = (network, mnemonic) => {
+  const namespace = walletNamespace(network, mnemonic);
+  return {
+    config: async () => {},
+    getItem: async (name) => (readCache(namespace, 'storage') || {})[name],
+    setItem: async (name, value) => {
+      writeCache(namespace, 'storage', {
+        ...readCache(namespace, 'storage'),
+        [name]: value,
+      });
+    },
+  };
+};
+
+const listDir = (dir) =>
+  fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+    : [];
+
+const entrySize = (dir) =>
+  listDir(dir).reduce(
+    (total, entry) =>
+      total +
+      (entry.isDirectory()
+        ? entrySize(path.join(dir, entry.name))
+        : fs.statSync(path.join(dir, entry.name)).size),
+    0,
+  );
+
+// Summarizes the cache directory: entries per namespace and the sync state of
+// every cached wallet
+const showCache = () => {
+  const namespaces = listDir(cacheRoot())
+    .filter((entry) => entry.isDirectory() && entry.name !== WALLETS_NAMESPACE)
+    .map((entry) => {
+      const dir = path.join(cacheRoot(), entry.name);
+      return {
+        namespace: entry.name,
+        entries: listDir(dir).length,
+        bytes: entrySize(dir),
+      };
+    });
+  const wallets = listDir(path.join(cacheRoot(), WALLETS_NAMESPACE))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      const namespace = path.join(WALLETS_NAMESPACE, entry.name);
+      const state = readCache(namespace, 'sync') || {};
+      return {
+        wallet: entry.name,
+        network: state.network,
+        lastSyncedHeight: state.lastSyncedHeight,
+        startHeights: state.startHeights || {},
+        bytes: entrySize(path.join(cacheRoot(), namespace)),
+      };
+    });
+  return { directory: cacheRoot(), namespaces, wallets };
+};
+
+// Removes the whole cache, or a single namespace like schemas or wallets
+const clearCache = (namespace) => {
+  if (namespace && !/^[a-zA-Z0-9_-]+$/.test(namespace)) {
+    throw new ValidationError(`Invalid cache namespace: ${namespace}`);
+  }
+  const dir = namespace ? path.join(cacheRoot(), namespace) : cacheRoot();
+  const bytes = entrySize(dir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  return { cleared: namespace || 'all', bytes };
+};
+
+const runCacheCommand = (subcommand, namespace) => {
+  switch (subcommand) {
+    case 'show':
+      return showCache();
+    case 'clear':
+      return clearCache(namespace);
+    default:
+      throw new ValidationError(
+        'Invalid cache command. Available commands: show, clear',
+      );
+  }
+};
+
+module.exports = {
+  readCache,
+  writeCache,
+  deleteCache,
+  readSyncState,
+  updateSyncState,
+  createStorageAdapter,
+  runCacheCommand,
+};
@@ -1,44 +1,112 @@
 const dotenv = require('dotenv');
 dotenv.config();
-const Dash = require('dash');
+const logger = require('./dashLogger');
+const { createStorageAdapter } = require('./dashCache');
+const { orderByHealth } = require('./dashNodes');
+const { parseDapiAddresses } = require('./dashProfiles');
+const {
+  NetworkError,
+  ValidationError,
+  classifyError,
+} = require('./dashErrors');
+
+// Read requests that fail with a network error are retried this many times,
+// waiting BACKOFF_BASE_MS, then twice as long after every further failure
+const BACKOFF_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+
+// Returns the wallet mnemonic, preferring the one resolved from a profile
+// The mnemonic is registered with the logger so it is redacted from all logs
+const getMnemonic = (args = {}) => {
+  const mnemonic = args.mnemonic || process.env.MNEMONIC;
+  logger.addSecret(mnemonic);
+  return mnemonic;
+};
 
 // Helper function to parse DAPI addresses from environment variables
-// We separate this to handle potential JSON parsing errors gracefully
+// A missing or malformed variable is a configuration error (exit code 2)
 const getDapiAddresses = (network = 'mainnet') => {
-  try {
-    if (network === 'testnet') {
-      return JSON.parse(process.env.TESTNET_DAPI_ADDRESSES);
-    } else {
-      return JSON.parse(process.env.MAINNET_DAPI_ADDRESSES);
-    }
-  } catch (error) {
-    throw new Error(
-      `Failed to parse DAPI addresses from environment variables for ${network}: ${error.message}`,
+  const variable =
+    network === 'testnet' ? 'TESTNET_DAPI_ADDRESSES' : 'MAINNET_DAPI_ADDRESSES';
+  if (!process.env[variable]) {
+    throw new ValidationError(
+      `No DAPI addresses configured for ${network}, set ${variable} or pass --dapi-addresses`,
     );
   }
+  return parseDapiAddresses(process.env[variable], variable);
 };
 
-// Main client factory function that creates configured Dash SDK client instances
-// Uses environment variables and command line args to configure the client
-const dashClient = (args = {}) => {
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wraps the get* methods of the DAPI client so transient network failures are
+// retried with exponential backoff. The SDK already moves on to another node
+// after a failure, the backoff helps when every node is briefly overloaded.
+// Broadcasts and subscriptions are not retried, a broadcast may have arrived
+const addBackoff = (dapiClient, retries) => {
+  ['core', 'platform'].forEach((group) => {
+    const methods = dapiClient[group];
+    if (!methods) {
+      return;
+    }
+    Object.keys(methods)
+      .filter(
+        (name) => name.startsWith('get') && typeof methods[name] === 'function',
+      )
+      .forEach((name) => {
+        const method = methods[name];
+        methods[name] = async (...params) => {
+          for (let attempt = 0; ; attempt += 1) {
+            try {
+              return await method.apply(methods, params);
+            } catch (error) {
+              if (
+                attempt >= retries ||
+                !(classifyError(error) instanceof NetworkError)
+              ) {
+                throw error;
+              }
+              const delay = BACKOFF_BASE_MS * 2 ** attempt;
+              logger.warn(
+                `${group}.${name} failed (${error.message}), retrying in ${delay}ms`,
+              );
+              await sleep(delay);
+            }
+          }
+        };
+      });
+  });
+};
+
+// Builds a real Dash SDK client connected to DAPI nodes
+// The SDK is only loaded here so offline backends don't pay its startup cost
+const createDapiClient = (args, network) => {
+  const Dash = require('dash');
   const clientOpts = {
     wallet: {},
-    // Network priority: 1. Command line arg, 2. ENV variable, 3. Default to mainnet
-    // This allows flexibility while maintaining sane defaults
-    // Get network with priority: CLI args -> ENV var -> Default mainnet
-    network:
-      args.network !== undefined
-        ? args.network
-        : process.env.NETWORK !== undefined
-          ? process.env.NETWORK
-          : 'mainnet',
+    network,
   };
 
-  console.log(`Using network: ${clientOpts.network}`);
+  // Get DAPI addresses for the selected network, a profile can provide its own
+  // These are required for connecting to the Dash Platform. Nodes that failed
+  // their last pingNodes check are left out, the fastest ones come first
+  const { addresses, skipped } = orderByHealth(
+    network,
+    args.dapiAddresses || getDapiAddresses(clientOpts.network),
+  );
+  if (skipped.length > 0) {
+    logger.info(
+      `Skipping DAPI nodes that failed their last health check: ${skipped.join(', ')}`,
+    );
+  }
+  clientOpts.dapiAddresses = addresses;
 
-  // Get DAPI addresses for the selected network
-  // These are required for connecting to the Dash Platform
-  clientOpts.dapiAddresses = getDapiAddresses(clientOpts.network);
+  // Request timeout and the number of other nodes the SDK tries after a failure
+  if (args.dapiTimeout !== undefined) {
+    clientOpts.timeout = args.dapiTimeout;
+  }
+  if (args.dapiRetries !== undefined) {
+    clientOpts.retries = args.dapiRetries;
+  }
 
   // Configure contract access if a contract ID is provided
   // This enables the dot notation access pattern (e.g., myContract.note)
@@ -60,36 +128,173 @@ const dashClient = (args = {}) => {
 
   // Handle wallet configuration
   // If no mnemonic provided, create a new one in offline mode
-  if (!process.env.MNEMONIC) {
+  const mnemonic = getMnemonic(args);
+  if (!mnemonic) {
     clientOpts.wallet.mnemonic = null;
     clientOpts.wallet.offlineMode = true;
   } else {
-    clientOpts.wallet.mnemonic = process.env.MNEMONIC;
+    clientOpts.wallet.mnemonic = mnemonic;
+    // Persist the wallet state per network and wallet so the next command
+    // resumes syncing where this one stopped
+    clientOpts.wallet.adapter = createStorageAdapter(network, mnemonic);
   }
 
-  // Verbose logging for debugging
+  // Verbose logging for debugging, the logger redacts the mnemonic
   if (args.verbose) {
-    console.log('Client Options:', {
-      ...clientOpts,
-      wallet: {
-        ...clientOpts.wallet,
-        mnemonic: process.env.MNEMONIC,
-      },
-    });
+    logger.info('Client Options:', clientOpts);
   }
 
   // Debug logging
-  if (process.env.LOG_LEVEL === 'debug') {
-    console.log('[DEBUG] Using mnemonic from env:', process.env.MNEMONIC);
-  }
+  logger.debug(
+    mnemonic ? 'Wallet mnemonic configured' : 'No mnemonic, wallet is offline',
+  );
 
-  if (process.env.LOG_LEVEL === 'debug' && clientOpts.apps) {
-    console.log(
-      '[DEBUG] Using apps configuration:',
+  if (clientOpts.apps) {
+    logger.debug(
+      'Using apps configuration:',
       JSON.stringify(clientOpts.apps, null, 2),
     );
   }
 
-  return new Dash.Client(clientOpts);
+  const client = new Dash.Client(clientOpts);
+  addBackoff(client.getDAPIClient(), args.dapiRetries ?? BACKOFF_RETRIES);
+  return client;
+};
+
+// Builds a client backed by the in-memory platform simulator
+// State is shared per process and optionally persisted to a JSON file
+const createMemoryClient = (args) => {
+  const { createMemoryClient: createClient } = require('./dashMemoryPlatform');
+  return createClient({
+    file: args.memoryFile || process.env.MEMORY_PLATFORM_FILE,
+    mnemonic: getMnemonic(args) || null,
+    apps: args.contractId
+      ? { myContract: { contractId: args.contractId } }
+      : undefined,
+  });
+};
+
+// Client factories by network name. Networks without an entry use DAPI
+// Other backends (e.g. test doubles) can be plugged in with registerBackend
+const backends = {
+  memory: createMemoryClient,
+};
+
+const registerBackend = (network, factory) => {
+  backends[network] = factory;
+};
+
+// Resolves the network with priority: CLI args -> ENV var -> Default mainnet
+const resolveNetwork = (args = {}) =>
+  args.network !== undefined
+    ? args.network
+    : process.env.NETWORK !== undefined
+      ? process.env.NETWORK
+      : 'mainnet';
+
+// Dash Platform Protocol classes (IdentityPublicKey and others) for commands
+// that build protocol objects themselves, the simulator brings its own
+const getPlatformProtocol = (args = {}) =>
+  resolveNetwork(args) === 'memory'
+    ? require('./dashMemoryPlatform').PlatformProtocol
+    : require('dash').PlatformProtocol;
+
+// Whether address is a core chain address of the network, checked with the
+// SDK's dashcore Address, the simulator checks its own addresses
+const isCoreAddress = (address, args = {}) => {
+  const network = resolveNetwork(args);
+  return network === 'memory'
+    ? require('./dashMemoryPlatform').isCoreAddress(address)
+    : require('dash').Core.Address.isValid(address, network);
+};
+
+// The interactive shell keeps clients connected between commands, so the
+// wallet is synced once per session. Clients are shared per network, wallet
+// and node settings, and their disconnect does nothing until the session ends
+let session = null;
+
+const startSession = () => {
+  session = new Map();
+};
+
+const endSession = async () => {
+  const entries = session ? [...session.values()] : [];
+  session = null;
+  await Promise.all(entries.map(({ client }) => client.disconnect()));
+};
+
+const sessionKey = (args, network) =>
+  JSON.stringify([
+    network,
+    getMnemonic(args) || null,
+    args.dapiAddresses || null,
+    args.memoryFile || null,
+  ]);
+
+// Hands out the session client for the command's settings. A client is
+// replaced when a command needs the wallet synced from an earlier block than
+// the client was created with, or from a known block at all
+const sharedClient = (args, network, factory) => {
+  const key = sessionKey(args, network);
+  const height = args.height ? parseInt(args.height) : undefined;
+  let entry = session.get(key);
+  if (
+    entry &&
+    height !== undefined &&
+    (entry.height === undefined || height < entry.height)
+  ) {
+    entry.client
+      .disconnect()
+      .catch((error) =>
+        logger.debug(`Could not disconnect client: ${error.message}`),
+      );
+    entry = undefined;
+  }
+  if (!entry) {
+    entry = {
+      client: factory(args, network),
+      height,
+      contractId: args.contractId,
+    };
+    session.set(key, entry);
+  } else if (args.contractId && args.contractId !== entry.contractId) {
+    entry.client.getApps().set('myContract', { contractId: args.contractId });
+    entry.contractId = args.contractId;
+  }
+  return new Proxy(entry.client, {
+    get: (target, property) => {
+      if (property === 'disconnect') {
+        return async () => {};
+      }
+      const value = Reflect.get(target, property);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+};
+
+// Main client factory function that creates configured Dash SDK client instances
+// Uses environment variables and command line args to configure the client
+const dashClient = (args = {}) => {
+  const network = resolveNetwork(args);
+
+  // Progress messages go to stderr so stdout only carries command results
+  logger.info(`Using network: ${network}`);
+
+  const factory = backends[network] || createDapiClient;
+  // Probes of single nodes (sharedClient: false) always get their own client
+  if (session && args.sharedClient !== false) {
+    return sharedClient(args, network, factory);
+  }
+  return factory(args, network);
 };
+
+dashClient.registerBackend = registerBackend;
+dashClient.resolveNetwork = resolveNetwork;
+dashClient.getMnemonic = getMnemonic;
+dashClient.getDapiAddresses = getDapiAddresses;
+dashClient.getPlatformProtocol = getPlatformProtocol;
+dashClient.isCoreAddress = isCoreAddress;
+dashClient.startSession = startSession;
+dashClient.endSession = endSession;
+
 module.exports = dashClient;
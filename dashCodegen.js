@@ -0,0 +1,347 @@
+// Code generation for contract consumers
+// Emits a CommonJS module with create/query helpers for every document type of
+// a contract, and a TypeScript declaration file next to it with an interface
+// per document type. The typed query builder only accepts indexed fields, so
+// schema changes surface as compile errors in application code
+
+const IDENTIFIER_MEDIA_TYPE = 'application/x.dash.dpp.identifier';
+const WHERE_OPERATORS = ['==', '<', '<=', '>', '>=', 'in', 'startsWith'];
+
+// Types of the system fields of a document as returned by toJSON()
+const SYSTEM_FIELDS = {
+  $id: 'string',
+  $ownerId: 'string',
+  $revision: 'number',
+  $createdAt: 'number',
+  $updatedAt: 'number',
+};
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+// note -> Note, user-profile -> UserProfile
+const typeName = (name) =>
+  name
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('')
+    .replace(/^(\d)/, '_$1');
+
+// note -> note, user-profile -> userProfile, used for the module exports
+const exportName = (documentType) => {
+  const name = typeName(documentType);
+  return name[0].toLowerCase() + name.slice(1);
+};
+
+const propertyKey = (name) =>
+  IDENTIFIER_REGEX.test(name) ? name : JSON.stringify(name);
+
+const indent = (text, depth) =>
+  text
+    .split('\n')
+    .map((line) => (line ? `${'  '.repeat(depth)}${line}` : line))
+    .join('\n');
+
+const docComment = (schema, depth = 0) =>
+  schema && schema.description
+    ? indent(`/** ${schema.description.replace(/\*\//g, '* /')} */\n`, depth)
+    : '';
+
+// TypeScript type of a schema. In 'input' mode byte arrays are typed as the
+// values accepted by documents.create, in 'json' mode as returned by toJSON()
+const tsType = (schema, mode, depth = 0) => {
+  if (!schema || typeof schema !== 'object') {
+    return 'unknown';
+  }
+  if (schema.$ref) {
+    const match = /^#\/\$defs\/(.+)$/.exec(schema.$ref);
+    return match ? typeName(match[1]) : 'unknown';
+  }
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  }
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      if (schema.byteArray) {
+        if (schema.contentMediaType === IDENTIFIER_MEDIA_TYPE) {
+          return mode === 'input' ? 'string | Uint8Array' : 'string';
+        }
+        return mode === 'input' ? 'Uint8Array | number[]' : 'string';
+      }
+      if (schema.items && !Array.isArray(schema.items)) {
+        const item = tsType(schema.items, mode, depth);
+        return item.includes(' ') ? `Array<${item}>` : `${item}[]`;
+      }
+      return 'unknown[]';
+    case 'object':
+      return objectType(schema, mode, depth);
+    default:
+      return 'unknown';
+  }
+};
+
+// Object type literal with optional markers from the required list
+const objectType = (schema, mode, depth) => {
+  const required = schema.required || [];
+  const members = Object.entries(schema.properties || {}).map(
+    ([name, definition]) =>
+      `${docComment(definition, depth + 1)}${'  '.repeat(depth + 1)}${propertyKey(name)}${
+        required.includes(name) ? '' : '?'
+      }: ${tsType(definition, mode, depth + 1)};`,
+  );
+  return members.length > 0
+    ? `{\n${members.join('\n')}\n${'  '.repeat(depth)}}`
+    : 'Record<string, never>';
+};
+
+// Finds the schema of a possibly nested field like address.city
+const fieldSchema = (schema, field) =>
+  field
+    .split('.')
+    .reduce(
+      (node, key) => node && node.properties && node.properties[key],
+      schema,
+    );
+
+// Fields that can be used in where and orderBy clauses: $id plus every field
+// used by an index of the document type
+const indexedFields = (schema) => [
+  ...new Set([
+    '$id',
+    ...(schema.indices || []).flatMap((index) =>
+      (index.properties || []).map((property) => Object.keys(property)[0]),
+    ),
+  ]),
+];
+
+const fieldType = (schema, field) =>
+  SYSTEM_FIELDS[field] || tsType(fieldSchema(schema, field), 'json');
+
+const HEADER = (contract) =>
+  `// Generated by dashCLI generateTypes from contract ${contract.id} (version ${contract.version})
+// Do not edit, run generateTypes again after the contract changes
+`;
+
+// Builds the TypeScript declarations for the generated module
+const generateDeclarations = (contract, { appName }) => {
+  const { documentSchemas, schemaDefs } = contract;
+  const parts = [
+    HEADER(contract),
+    `export declare const CONTRACT_ID: ${JSON.stringify(contract.id)};
+export declare const APP_NAME: ${JSON.stringify(appName)};
+
+/** Client options entry, e.g. new Dash.Client({ apps }) */
+export declare const apps: { ${propertyKey(appName)}: { contractId: string } };
+
+/** The parts of a Dash SDK client the helpers use */
+export interface PlatformClient {
+  platform: {
+    documents: {
+      create(locator: string, identity: unknown, data: object): Promise<any>;
+      get(locator: string, query: object): Promise<any[]>;
+    };
+  };
+}
+
+/** A document returned by the SDK, with its data typed */
+export interface PlatformDocument<T> {
+  getId(): unknown;
+  getData(): unknown;
+  toJSON(): T;
+}
+
+/** Fields the platform sets on every document */
+export interface SystemFields {
+  $id: string;
+  $ownerId: string;
+  $revision?: number;
+  $createdAt?: number;
+  $updatedAt?: number;
+}
+
+export type WhereOperator = ${WHERE_OPERATORS.map((operator) => JSON.stringify(operator)).join(' | ')};
+
+export interface Query<Fields> {
+  where?: Array<[keyof Fields & string, WhereOperator, unknown]>;
+  orderBy?: Array<[keyof Fields & string, 'asc' | 'desc']>;
+  limit?: number;
+  startAfter?: string;
+  startAt?: string;
+}
+
+/** Query builder that only accepts the indexed fields of a document type */
+export interface QueryBuilder<Fields, T> {
+  where<K extends keyof Fields & string>(
+    field: K,
+    operator: WhereOperator,
+    value: Fields[K] | Fields[K][],
+  ): QueryBuilder<Fields, T>;
+  orderBy(
+    field: keyof Fields & string,
+    direction?: 'asc' | 'desc',
+  ): QueryBuilder<Fields, T>;
+  limit(limit: number): QueryBuilder<Fields, T>;
+  startAfter(documentId: string): QueryBuilder<Fields, T>;
+  startAt(documentId: string): QueryBuilder<Fields, T>;
+  build(): Query<Fields>;
+  get(client: PlatformClient): Promise<PlatformDocument<T>[]>;
+}
+
+export interface DocumentHelpers<Data, T, Fields> {
+  readonly documentType: string;
+  readonly indexedFields: ReadonlyArray<keyof Fields & string>;
+  /** Creates a document, broadcast it with client.platform.documents.broadcast */
+  create(
+    client: PlatformClient,
+    identity: unknown,
+    data: Data,
+  ): Promise<PlatformDocument<T>>;
+  query(): QueryBuilder<Fields, T>;
+  get(client: PlatformClient, query?: Query<Fields>): Promise<PlatformDocument<T>[]>;
+}
+`,
+  ];
+
+  Object.entries(schemaDefs || {}).forEach(([name, schema]) => {
+    parts.push(
+      `${docComment(schema)}export type ${typeName(name)} = ${tsType(schema, 'json')};\n`,
+    );
+  });
+
+  Object.entries(documentSchemas).forEach(([documentType, schema]) => {
+    const name = typeName(documentType);
+    const fields = indexedFields(schema);
+    parts.push(
+      `${docComment(schema)}export type ${name}Data = ${tsType(schema, 'input')};
+
+/** A ${documentType} document as returned by toJSON() */
+export type ${name} = ${tsType(schema, 'json')} & SystemFields;
+
+/** Indexed fields of ${documentType} and their value types */
+export interface ${name}IndexedFields {
+${fields.map((field) => `  ${propertyKey(field)}: ${fieldType(schema, field)};`).join('\n')}
+}
+
+export declare const ${propertyKey(exportName(documentType))}: DocumentHelpers<${name}Data, ${name}, ${name}IndexedFields>;
+`,
+    );
+  });
+  return parts.join('\n');
+};
+
+// Builds the CommonJS module with the runtime helpers
+const generateModule = (contract, { appName }) => {
+  const documentTypes = Object.entries(contract.documentSchemas).map(
+    ([documentType, schema]) => ({
+      documentType,
+      fields: indexedFields(schema),
+    }),
+  );
+  return `${HEADER(contract)}
+const CONTRACT_ID = ${JSON.stringify(contract.id)};
+const APP_NAME = ${JSON.stringify(appName)};
+
+// Client options entry, e.g. new Dash.Client({ apps })
+const apps = { [APP_NAME]: { contractId: CONTRACT_ID } };
+
+// Fields usable in where and orderBy clauses, by document type
+const INDEXED_FIELDS = ${JSON.stringify(
+    Object.fromEntries(
+      documentTypes.map(({ documentType, fields }) => [documentType, fields]),
+    ),
+    null,
+    2,
+  )};
+
+const checkField = (documentType, field) => {
+  if (!INDEXED_FIELDS[documentType].includes(field)) {
+    throw new Error(
+      \`"\${field}" is not indexed in \${documentType}, use one of: \${INDEXED_FIELDS[documentType].join(', ')}\`,
+    );
+  }
+};
+
+const getDocuments = (client, documentType, query = {}) => {
+  (query.where || []).forEach(([field]) => checkField(documentType, field));
+  (query.orderBy || []).forEach(([field]) => checkField(documentType, field));
+  return client.platform.documents.get(\`\${APP_NAME}.\${documentType}\`, query);
+};
+
+const queryBuilder = (documentType) => {
+  const query = {};
+  const builder = {
+    where: (field, operator, value) => {
+      checkField(documentType, field);
+      query.where = [...(query.where || []), [field, operator, value]];
+      return builder;
+    },
+    orderBy: (field, direction = 'asc') => {
+      checkField(documentType, field);
+      query.orderBy = [...(query.orderBy || []), [field, direction]];
+      return builder;
+    },
+    limit: (limit) => {
+      query.limit = limit;
+      return builder;
+    },
+    startAfter: (documentId) => {
+      query.startAfter = documentId;
+      return builder;
+    },
+    startAt: (documentId) => {
+      query.startAt = documentId;
+      return builder;
+    },
+    build: () => ({ ...query }),
+    get: (client) => getDocuments(client, documentType, query),
+  };
+  return builder;
+};
+
+const documentHelpers = (documentType) => ({
+  documentType,
+  indexedFields: INDEXED_FIELDS[documentType],
+  create: (client, identity, data) =>
+    client.platform.documents.create(
+      \`\${APP_NAME}.\${documentType}\`,
+      identity,
+      data,
+    ),
+  query: () => queryBuilder(documentType),
+  get: (client, query) => getDocuments(client, documentType, query),
+});
+
+module.exports = {
+  CONTRACT_ID,
+  APP_NAME,
+  apps,
+${documentTypes
+  .map(
+    ({ documentType }) =>
+      `  ${propertyKey(exportName(documentType))}: documentHelpers(${JSON.stringify(documentType)}),`,
+  )
+  .join('\n')}
+};
+`;
+};
+
+// Generates the module and declaration sources for a contract
+// contract has the id, version, documentSchemas and schemaDefs of the contract
+const generateTypes = (contract, { appName = 'myContract' } = {}) => ({
+  module: generateModule(contract, { appName }),
+  declarations: generateDeclarations(contract, { appName }),
+});
+
+module.exports = {
+  generateTypes,
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ValidationError } = require('./dashErrors');
+
+// Loads contract definitions from local JSON or YAML files
+// A file holds either the document schemas keyed by document type (the format of
+// --contract-def) or a contract as printed by retrieveContract --output json.
+// Document types and shared property definitions can be split into other files
+// and included with {"$ref": "./types/note.yaml"} or a JSON pointer into the
+// file, {"$ref": "./common.yaml#/author"}. Keys next to an include override the
+// included values, e.g. a different position for a shared property. References
+// starting with # are JSON Schema references and are left to the platform
+
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+// Where every object key of a loaded definition was written, keyed by the
+// object, so errors can point at a file and line
+const origins = new WeakMap();
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const displayPath = (file) => path.relative(process.cwd(), file) || file;
+
+const formatLocation = ({ file, line }) => `${displayPath(file)}:${line}`;
+
+const fail = (message, location) => {
+  throw new ValidationError(
+    location ? `${formatLocation(location)}: ${message}` : message,
+  );
+};
+
+// Converts a character offset into a 1-based line number
+const lineOf = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// Builds plain values from parsed YAML nodes and records key locations
+const toValue = (node, file, lineCounter) => {
+  const locate = (target) => ({
+    file,
+    line:
+      target && target.range ? lineCounter.linePos(target.range[0]).line : 1,
+  });
+  if (YAML.isMap(node)) {
+    const value = {};
+    const keys = {};
+    node.items.forEach((pair) => {
+      const key = String(YAML.isScalar(pair.key) ? pair.key.value : pair.key);
+      value[key] = toValue(pair.value, file, lineCounter);
+      keys[key] = locate(pair.key);
+    });
+    origins.set(value, { ...locate(node), keys });
+    return value;
+  }
+  if (YAML.isSeq(node)) {
+    const value = node.items.map((item) => toValue(item, file, lineCounter));
+    origins.set(value, {
+      ...locate(node),
+      keys: node.items.map((item) => locate(item)),
+    });
+    return value;
+  }
+  if (YAML.isAlias(node)) {
+    return toValue(node.resolve(node.doc), file, lineCounter);
+  }
+  return YAML.isScalar(node) ? node.value : null;
+};
+
+// Parses a JSON or YAML file, reporting syntax errors with their line
+const parseFile = (file, includedFrom) => {
+  if (!fs.existsSync(file)) {
+    fail(
+      includedFrom
+        ? `Included file not found: ${displayPath(file)}`
+        : `Contract file not found: ${displayPath(file)}`,
+      includedFrom,
+    );
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  const yaml = YAML_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  if (!yaml) {
+    // JSON is checked strictly first, YAML would accept things like comments
+    try {
+      JSON.parse(text);
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message);
+      fail(
+        `Invalid JSON: ${error.message.replace(/ in JSON at position \d+.*$/, '')}`,
+        { file, line: position ? lineOf(text, Number(position[1])) : 1 },
+      );
+    }
+  }
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(text, {
+    lineCounter,
+    prettyErrors: false,
+  });
+  if (document.errors.length > 0) {
+    const [error] = document.errors;
+    fail(`Invalid ${yaml ? 'YAML' : 'JSON'}: ${error.message.split('\n')[0]}`, {
+      file,
+      line: lineCounter.linePos(error.pos[0]).line,
+    });
+  }
+  return toValue(document.contents, file, lineCounter);
+};
+
+// Follows a JSON pointer like /properties/author into a value
+const followPointer = (value, pointer, location) =>
+  pointer
+    .split('/')
+    .filter(Boolean)
+    .map((key) =>
+      decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'),
+    )
+    .reduce((node, key) => {
+      if (node === null || typeof node !== 'object' || !(key in node)) {
+        fail(`"${pointer}" not found in the included file`, location);
+      }
+      return node[key];
+    }, value);
+
+// Replaces file includes with the included definitions, recursively
+// stack holds the includes being resolved to detect include cycles
+const resolveIncludes = (value, file, context, stack) => {
+  if (Array.isArray(value)) {
+    const result = value.map((item) =>
+      resolveIncludes(item, file, context, stack),
+    );
+    if (origins.has(value)) {
+      origins.set(result, origins.get(value));
+    }
+    return result;
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const origin = origins.get(value);
+  const ref = value.$ref;
+  const include = typeof ref === 'string' && !ref.startsWith('#');
+  const resolved = Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !include || key !== '$ref')
+      .map(([key, child]) => [
+        key,
+        resolveIncludes(child, file, context, stack),
+      ]),
+  );
+  if (!include) {
+    if (origin) {
+      origins.set(resolved, origin);
+    }
+    return resolved;
+  }
+
+  const location = origin && origin.keys.$ref;
+  const [target, pointer = ''] = ref.split('#');
+  const targetFile = path.resolve(path.dirname(file), target);
+  const includeKey = `${targetFile}#${pointer}`;
+  if (stack.includes(includeKey)) {
+    fail(`Circular include of ${ref}`, location);
+  }
+  if (!context.files.has(targetFile)) {
+    context.files.set(targetFile, parseFile(targetFile, location));
+  }
+  const included = resolveIncludes(
+    followPointer(context.files.get(targetFile), pointer, location),
+    targetFile,
+    context,
+    [...stack, includeKey],
+  );
+  if (Object.keys(resolved).length === 0) {
+    return included;
+  }
+  if (!isPlainObject(included)) {
+    fail(
+      `${ref} is not an object, so it cannot be combined with other keys`,
+      location,
+    );
+  }
+  const merged = { ...included, ...resolved };
+  const includedOrigin = origins.get(included);
+  origins.set(merged, {
+    ...origin,
+    keys: {
+      ...(includedOrigin && includedOrigin.keys),
+      ...Object.fromEntries(
+        Object.entries(origin ? origin.keys : {}).filter(
+          ([key]) => key !== '$ref',
+        ),
+      ),
+    },
+  });
+  return merged;
+};
+
+// Returns a function that finds where a value of the definition was written,
+// given its path, e.g. ['note', 'properties', 'message']. The location of the
+// deepest known key is returned, or undefined for definitions without origins
+const locator = (root) => (keys) => {
+  let node = root;
+  let found;
+  for (const key of keys) {
+    const origin =
+      node !== null && typeof node === 'object' && origins.get(node);
+    if (!origin || !origin.keys[key]) {
+      break;
+    }
+    found = origin.keys[key];
+    node = node[key];
+  }
+  return found && formatLocation(found);
+};
+
+// Loads a contract file and its includes into a single definition
+// Returns the document schemas, the schema definitions, id and version if the
+// file has them and a locate function for pointing errors at the source file
+// and line
+const loadContractFile = (file) => {
+  const absolute = path.resolve(file);
+  const context = { files: new Map() };
+  const definition = resolveIncludes(parseFile(absolute), absolute, context, [
+    `${absolute}#`,
+  ]);
+  if (!isPlainObject(definition)) {
+    fail(`${file} must contain an object`);
+  }
+  if (definition.documentSchemas) {
+    return {
+      id: definition.id,
+      version: definition.version,
+      documentSchemas: definition.documentSchemas,
+      schemaDefs: definition.schemaDefs || undefined,
+      locate: locator(definition.documentSchemas),
+    };
+  }
+  return { documentSchemas: definition, locate: locator(definition) };
+};
+
+module.exports = {
+  loadContractFile,
+};
@@ -0,0 +1,689 @@
+const { ValidationError } = require('./dashErrors');
+
+// Offline linter for data contract definitions
+// Checks document schemas against the rules of the Dash Platform data contract
+// meta-schema and reports every problem at once. Errors are rejected by the
+// platform, warnings are accepted but usually mistakes (unbounded strings,
+// gaps in positions, misspelled keywords)
+
+const LIMITS = {
+  documentTypes: 100,
+  properties: 100,
+  indices: 10,
+  indexProperties: 10,
+  indexedStringLength: 63,
+  indexedByteArrayLength: 255,
+};
+
+const NAME_REGEX = /^[a-zA-Z0-9-_]{1,64}$/;
+const INDEX_NAME_REGEX = /^[a-zA-Z0-9-_]{1,32}$/;
+const PROPERTY_TYPES = [
+  'string',
+  'integer',
+  'number',
+  'boolean',
+  'array',
+  'object',
+];
+const INDEX_DIRECTIONS = ['asc', 'desc'];
+const IDENTIFIER_MEDIA_TYPE = 'application/x.dash.dpp.identifier';
+const STRING_FORMATS = ['date-time', 'date', 'email', 'uri', 'uuid'];
+
+// System fields that can be indexed, and the ones a document type can require
+const INDEXABLE_SYSTEM_FIELDS = ['$id', '$ownerId', '$createdAt', '$updatedAt'];
+const REQUIRABLE_SYSTEM_FIELDS = ['$createdAt', '$updatedAt'];
+
+const DOCUMENT_KEYWORDS = [
+  'type',
+  'properties',
+  'required',
+  'indices',
+  'additionalProperties',
+  'description',
+  '$comment',
+  'documentsMutable',
+  'documentsKeepHistory',
+  'canBeDeleted',
+  'transferable',
+  'tradeMode',
+  'creationRestrictionMode',
+  'requiresIdentityEncryptionBoundedKey',
+  'requiresIdentityDecryptionBoundedKey',
+  'signatureSecurityLevelRequirement',
+];
+const PROPERTY_KEYWORDS = [
+  'type',
+  'position',
+  'description',
+  '$comment',
+  '$ref',
+  'enum',
+  'const',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'format',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'byteArray',
+  'contentMediaType',
+  'items',
+  'prefixItems',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'properties',
+  'required',
+  'additionalProperties',
+  'minProperties',
+  'maxProperties',
+];
+const INDEX_KEYWORDS = [
+  'name',
+  'properties',
+  'unique',
+  'nullSearchable',
+  'contested',
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Checks min/max keyword pairs like minLength and maxLength
+const checkBounds = (definition, keys, report, min, max) => {
+  if (
+    definition[min] !== undefined &&
+    definition[max] !== undefined &&
+    definition[min] > definition[max]
+  ) {
+    report('error', 'bounds', keys, `${min} is greater than ${max}`);
+  }
+};
+
+const checkKeywords = (definition, allowed, keys, report) => {
+  Object.keys(definition)
+    .filter((keyword) => !allowed.includes(keyword))
+    .forEach((keyword) => {
+      report(
+        'warning',
+        'unknown-keyword',
+        [...keys, keyword],
+        `unknown keyword "${keyword}" is ignored or rejected by the platform`,
+      );
+    });
+};
+
+const lintProperty = (definition, keys, report) => {
+  if (!isPlainObject(definition)) {
+    report('error', 'property', keys, 'must be an object');
+    return;
+  }
+  checkKeywords(definition, PROPERTY_KEYWORDS, keys, report);
+  if (!Number.isInteger(definition.position) || definition.position < 0) {
+    report(
+      'error',
+      'position',
+      [...keys, 'position'],
+      'must have a non-negative integer position',
+    );
+  }
+  // Referenced definitions are checked where they are defined
+  if (definition.$ref) {
+    return;
+  }
+  const { type } = definition;
+  if (type === undefined) {
+    report('error', 'property-type', keys, 'must have a type');
+    return;
+  }
+  if (!PROPERTY_TYPES.includes(type)) {
+    report(
+      'error',
+      'property-type',
+      [...keys, 'type'],
+      `type must be one of ${PROPERTY_TYPES.join(', ')}, got ${JSON.stringify(type)}`,
+    );
+    return;
+  }
+  if (
+    definition.enum !== undefined &&
+    (!Array.isArray(definition.enum) ||
+      definition.enum.length === 0 ||
+      new Set(definition.enum.map((value) => JSON.stringify(value))).size !==
+        definition.enum.length)
+  ) {
+    report(
+      'error',
+      'enum',
+      [...keys, 'enum'],
+      'enum must be a non-empty array of unique values',
+    );
+  }
+  if (definition.byteArray !== undefined && type !== 'array') {
+    report(
+      'error',
+      'byte-array',
+      [...keys, 'byteArray'],
+      'byteArray is only allowed on array properties',
+    );
+  }
+
+  if (type === 'string') {
+    if (definition.maxLength === undefined) {
+      report(
+        'warning',
+        'string-max-length',
+        keys,
+        'has no maxLength, documents can store strings of any length',
+      );
+    }
+    checkBounds(definition, keys, report, 'minLength', 'maxLength');
+    if (definition.pattern !== undefined) {
+      try {
+        new RegExp(definition.pattern, 'u');
+      } catch (error) {
+        report(
+          'error',
+          'pattern',
+          [...keys, 'pattern'],
+          `pattern is not a valid regular expression: ${error.message}`,
+        );
+      }
+    }
+    if (
+      definition.format !== undefined &&
+      !STRING_FORMATS.includes(definition.format)
+    ) {
+      report(
+        'warning',
+        'format',
+        [...keys, 'format'],
+        `format "${definition.format}" is not checked, known formats: ${STRING_FORMATS.join(', ')}`,
+      );
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    checkBounds(definition, keys, report, 'minimum', 'maximum');
+  }
+
+  if (type === 'array') {
+    checkBounds(definition, keys, report, 'minItems', 'maxItems');
+    if (definition.byteArray !== undefined && definition.byteArray !== true) {
+      report(
+        'error',
+        'byte-array',
+        [...keys, 'byteArray'],
+        'byteArray must be true when set',
+      );
+    }
+    if (definition.byteArray === true) {
+      if (
+        definition.items !== undefined ||
+        definition.prefixItems !== undefined
+      ) {
+        report(
+          'error',
+          'byte-array',
+          keys,
+          'byte arrays cannot define items or prefixItems',
+        );
+      }
+      if (definition.maxItems === undefined) {
+        report(
+          'warning',
+          'byte-array',
+          keys,
+          'byte array has no maxItems, documents can store any number of bytes',
+        );
+      }
+    } else if (definition.contentMediaType !== undefined) {
+      report(
+        'error',
+        'byte-array',
+        [...keys, 'contentMediaType'],
+        'contentMediaType is only allowed on byte arrays',
+      );
+    }
+    if (
+      definition.contentMediaType === IDENTIFIER_MEDIA_TYPE &&
+      (definition.minItems !== 32 || definition.maxItems !== 32)
+    ) {
+      report(
+        'error',
+        'identifier',
+        keys,
+        'identifiers must have minItems and maxItems of 32',
+      );
+    }
+  }
+
+  if (type === 'object') {
+    lintObject(definition, keys, report, false);
+  }
+};
+
+// Checks the properties, positions and required list of a document type or
+// nested object
+const lintObject = (schema, keys, report, isDocument) => {
+  if (schema.additionalProperties !== false) {
+    report(
+      'error',
+      'additional-properties',
+      [...keys, 'additionalProperties'],
+      'additionalProperties must be false',
+    );
+  }
+  if (!isPlainObject(schema.properties)) {
+    report('error', 'properties', keys, 'must define properties');
+    return;
+  }
+  const properties = Object.entries(schema.properties);
+  if (properties.length === 0) {
+    report('error', 'properties', [...keys, 'properties'], 'must not be empty');
+  }
+  if (properties.length > LIMITS.properties) {
+    report(
+      'error',
+      'limit',
+      [...keys, 'properties'],
+      `has ${properties.length} properties, the limit is ${LIMITS.properties}`,
+    );
+  }
+
+  const positions = new Map();
+  properties.forEach(([name, definition]) => {
+    const propertyKeys = [...keys, 'properties', name];
+    if (name.startsWith('$')) {
+      report(
+        'error',
+        'reserved-field',
+        propertyKeys,
+        `"${name}" is reserved, names starting with $ are system fields`,
+      );
+    } else if (!NAME_REGEX.test(name)) {
+      report(
+        'error',
+        'name',
+        propertyKeys,
+        'property names must be 1-64 letters, digits, - or _',
+      );
+    }
+    lintProperty(definition, propertyKeys, report);
+    if (isPlainObject(definition) && Number.isInteger(definition.position)) {
+      if (positions.has(definition.position)) {
+        report(
+          'error',
+          'position-unique',
+          [...propertyKeys, 'position'],
+          `position ${definition.position} is already used by "${positions.get(definition.position)}"`,
+        );
+      } else {
+        positions.set(definition.position, name);
+      }
+    }
+  });
+  const sorted = [...positions.keys()].sort((a, b) => a - b);
+  if (sorted.some((position, index) => position !== index)) {
+    report(
+      'warning',
+      'position-contiguous',
+      [...keys, 'properties'],
+      `positions should run from 0 to ${sorted.length - 1} without gaps, got ${sorted.join(', ')}`,
+    );
+  }
+
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required)) {
+      report(
+        'error',
+        'required',
+        [...keys, 'required'],
+        'required must be an array',
+      );
+      return;
+    }
+    schema.required.forEach((name, index) => {
+      const requiredKeys = [...keys, 'required', index];
+      if (schema.required.indexOf(name) !== index) {
+        report('warning', 'required', requiredKeys, `"${name}" is repeated`);
+      } else if (typeof name === 'string' && name.startsWith('$')) {
+        if (!isDocument || !REQUIRABLE_SYSTEM_FIELDS.includes(name)) {
+          report(
+            'error',
+            'reserved-field',
+            requiredKeys,
+            `"${name}" cannot be required, system fields that can: ${REQUIRABLE_SYSTEM_FIELDS.join(', ')}`,
+          );
+        }
+      } else if (!schema.properties[name]) {
+        report(
+          'error',
+          'required',
+          requiredKeys,
+          `required property "${name}" is not defined`,
+        );
+      }
+    });
+  }
+};
+
+// Finds a possibly nested property like address.city
+const findProperty = (schema, field) =>
+  field
+    .split('.')
+    .reduce(
+      (node, key) =>
+        node && isPlainObject(node.properties) && node.properties[key],
+      schema,
+    );
+
+const lintIndices = (schema, keys, report) => {
+  if (schema.indices === undefined) {
+    return;
+  }
+  if (!Array.isArray(schema.indices)) {
+    report('error', 'index', [...keys, 'indices'], 'indices must be an array');
+    return;
+  }
+  if (schema.indices.length > LIMITS.indices) {
+    report(
+      'error',
+      'limit',
+      [...keys, 'indices'],
+      `has ${schema.indices.length} indices, the limit is ${LIMITS.indices}`,
+    );
+  }
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const names = new Set();
+  const signatures = new Map();
+
+  schema.indices.forEach((index, position) => {
+    const indexKeys = [...keys, 'indices', position];
+    if (!isPlainObject(index)) {
+      report('error', 'index', indexKeys, 'index must be an object');
+      return;
+    }
+    checkKeywords(index, INDEX_KEYWORDS, indexKeys, report);
+    if (typeof index.name !== 'string' || !INDEX_NAME_REGEX.test(index.name)) {
+      report(
+        'error',
+        'index-name',
+        [...indexKeys, 'name'],
+        'index names must be 1-32 letters, digits, - or _',
+      );
+    } else if (names.has(index.name)) {
+      report(
+        'error',
+        'index-name',
+        [...indexKeys, 'name'],
+        `index name "${index.name}" is already used`,
+      );
+    }
+    names.add(index.name);
+    if (index.unique !== undefined && typeof index.unique !== 'boolean') {
+      report(
+        'error',
+        'index',
+        [...indexKeys, 'unique'],
+        'unique must be a boolean',
+      );
+    }
+    if (!Array.isArray(index.properties) || index.properties.length === 0) {
+      report(
+        'error',
+        'index-properties',
+        indexKeys,
+        'index must have a non-empty properties array',
+      );
+      return;
+    }
+    if (index.properties.length > LIMITS.indexProperties) {
+      report(
+        'error',
+        'limit',
+        [...indexKeys, 'properties'],
+        `index has ${index.properties.length} properties, the limit is ${LIMITS.indexProperties}`,
+      );
+    }
+
+    index.properties.forEach((entry, entryIndex) => {
+      const entryKeys = [...indexKeys, 'properties', entryIndex];
+      if (!isPlainObject(entry) || Object.keys(entry).length !== 1) {
+        report(
+          'error',
+          'index-properties',
+          entryKeys,
+          'index properties must look like {"<property>": "asc"}',
+        );
+        return;
+      }
+      const [[field, direction]] = Object.entries(entry);
+      if (!INDEX_DIRECTIONS.includes(direction)) {
+        report(
+          'error',
+          'index-properties',
+          entryKeys,
+          `sort direction of "${field}" must be asc or desc`,
+        );
+      }
+      if (field.startsWith('$')) {
+        if (!INDEXABLE_SYSTEM_FIELDS.includes(field)) {
+          report(
+            'error',
+            'index-system-field',
+            entryKeys,
+            `system field "${field}" cannot be indexed, indexable system fields: ${INDEXABLE_SYSTEM_FIELDS.join(', ')}`,
+          );
+        } else if (
+          REQUIRABLE_SYSTEM_FIELDS.includes(field) &&
+          !required.includes(field)
+        ) {
+          report(
+            'error',
+            'index-timestamp',
+            entryKeys,
+            `"${field}" must be listed in required to be indexed`,
+          );
+        }
+        return;
+      }
+      const definition = findProperty(schema, field);
+      if (!isPlainObject(definition)) {
+        report(
+          'error',
+          'index-undefined-property',
+          entryKeys,
+          `indexed property "${field}" is not defined`,
+        );
+        return;
+      }
+      if (
+        definition.type === 'object' ||
+        (definition.type === 'array' && definition.byteArray !== true)
+      ) {
+        report(
+          'error',
+          'index-property-type',
+          entryKeys,
+          `"${field}" cannot be indexed, objects and arrays other than byte arrays are not indexable`,
+        );
+      }
+      if (definition.type === 'string') {
+        if (definition.maxLength === undefined) {
+          report(
+            'error',
+            'index-max-length',
+            entryKeys,
+            `indexed string "${field}" must set maxLength (at most ${LIMITS.indexedStringLength})`,
+          );
+        } else if (definition.maxLength > LIMITS.indexedStringLength) {
+          report(
+            'error',
+            'index-max-length',
+            entryKeys,
+            `indexed string "${field}" has maxLength ${definition.maxLength}, the limit is ${LIMITS.indexedStringLength}`,
+          );
+        }
+      }
+      if (
+        definition.byteArray === true &&
+        (definition.maxItems === undefined ||
+          definition.maxItems > LIMITS.indexedByteArrayLength)
+      ) {
+        report(
+          'error',
+          'index-max-length',
+          entryKeys,
+          `indexed byte array "${field}" must set maxItems of at most ${LIMITS.indexedByteArrayLength}`,
+        );
+      }
+      if (index.unique && !field.includes('.') && !required.includes(field)) {
+        report(
+          'warning',
+          'unique-optional',
+          entryKeys,
+          `unique index uses optional property "${field}", documents without it are not checked for uniqueness`,
+        );
+      }
+    });
+
+    const fields = index.properties
+      .filter(isPlainObject)
+      .map((entry) => Object.keys(entry)[0]);
+    if (fields.length === 1 && fields[0] === '$id') {
+      report(
+        'warning',
+        'index-redundant',
+        indexKeys,
+        '$id is already the primary key, this index is not needed',
+      );
+    }
+    const signature = JSON.stringify(index.properties);
+    if (signatures.has(signature)) {
+      report(
+        'error',
+        'index-duplicate',
+        indexKeys,
+        `index has the same properties as "${signatures.get(signature)}"`,
+      );
+    } else {
+      signatures.set(signature, index.name);
+    }
+  });
+};
+
+// Lints document schemas keyed by document type and returns every finding
+// Findings have a severity (error or warning), a rule name, the path of the
+// value, a message and, with a locate function from loadContractFile, the file
+// and line of the value
+const lintContract = (documentSchemas, { locate } = {}) => {
+  const findings = [];
+  const report = (severity, rule, keys, message) => {
+    const location = locate && locate(keys);
+    findings.push({
+      severity,
+      rule,
+      path: keys.join('.'),
+      message,
+      ...(location && { location }),
+    });
+  };
+
+  if (
+    !isPlainObject(documentSchemas) ||
+    Object.keys(documentSchemas).length === 0
+  ) {
+    report(
+      'error',
+      'document-types',
+      [],
+      'contract must define at least one document type',
+    );
+    return findings;
+  }
+  const documentTypes = Object.entries(documentSchemas);
+  if (documentTypes.length > LIMITS.documentTypes) {
+    report(
+      'error',
+      'limit',
+      [],
+      `contract has ${documentTypes.length} document types, the limit is ${LIMITS.documentTypes}`,
+    );
+  }
+  documentTypes.forEach(([documentType, schema]) => {
+    const keys = [documentType];
+    if (!NAME_REGEX.test(documentType)) {
+      report(
+        'error',
+        'name',
+        keys,
+        'document type names must be 1-64 letters, digits, - or _',
+      );
+    }
+    if (!isPlainObject(schema)) {
+      report('error', 'document-type', keys, 'must be an object schema');
+      return;
+    }
+    checkKeywords(schema, DOCUMENT_KEYWORDS, keys, report);
+    if (schema.type !== 'object') {
+      report(
+        'error',
+        'document-type',
+        [...keys, 'type'],
+        'document types must have type "object"',
+      );
+    }
+    lintObject(schema, keys, report, true);
+    lintIndices(schema, keys, report);
+  });
+  return findings;
+};
+
+const errorsOf = (findings) =>
+  findings.filter((finding) => finding.severity === 'error');
+
+const formatFindings = (findings) =>
+  findings
+    .map(
+      (finding) =>
+        `  ${finding.severity.padEnd(7)} ${finding.path || 'contract'}${
+          finding.location ? ` (${finding.location})` : ''
+        }: ${finding.message} [${finding.rule}]`,
+    )
+    .join('\n');
+
+const summarize = (findings) => {
+  const errors = errorsOf(findings).length;
+  const warnings = findings.length - errors;
+  return `${errors} error(s), ${warnings} warning(s)`;
+};
+
+// Throws a ValidationError listing every error of the contract definition
+// Returns the findings, so callers can show the warnings
+const assertValidContract = (documentSchemas, options) => {
+  const findings = lintContract(documentSchemas, options);
+  const errors = errorsOf(findings);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Contract definition is invalid, ${summarize(findings)}:\n${formatFindings(errors)}`,
+      {
+        code: 'CONTRACT_INVALID',
+        details: findings,
+        suggestions: ['Run validateContract to see every finding'],
+      },
+    );
+  }
+  return findings;
+};
+
+module.exports = {
+  LIMITS,
+  lintContract,
+  formatFindings,
+  summarize,
+  assertValidContract,
+};
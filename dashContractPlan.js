@@ -0,0 +1,449 @@
+const { ValidationError } = require('./dashErrors');
+
+// Contract plans: the difference between a deployed contract and a local
+// definition, with each change checked against the platform's backward
+// compatibility rules. Documents stored under the old schema must stay valid,
+// so only additions and loosened constraints are allowed
+
+// Keywords that only document a schema and can change freely
+const ANNOTATION_KEYWORDS = ['description', '$comment', 'title', 'examples'];
+
+// Bounds that may be raised (upper) or lowered (lower) but never tightened
+const UPPER_BOUNDS = [
+  'maxLength',
+  'maximum',
+  'exclusiveMaximum',
+  'maxItems',
+  'maxProperties',
+];
+const LOWER_BOUNDS = [
+  'minLength',
+  'minimum',
+  'exclusiveMinimum',
+  'minItems',
+  'minProperties',
+];
+
+// Keywords of a document type compared as a whole rather than per property
+const DOCUMENT_TYPE_KEYWORDS_HANDLED = ['properties', 'required', 'indices'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const change = (action, documentType, path, from, to, allowed, reason) => ({
+  action,
+  documentType,
+  path,
+  ...(from !== undefined && { from }),
+  ...(to !== undefined && { to }),
+  allowed,
+  ...(reason && { reason }),
+});
+
+// Checks whether changing a single schema keyword keeps stored documents valid
+const keywordChangeRule = (keyword, from, to) => {
+  if (ANNOTATION_KEYWORDS.includes(keyword)) {
+    return { allowed: true };
+  }
+  if (UPPER_BOUNDS.includes(keyword)) {
+    return to === undefined || (from !== undefined && to >= from)
+      ? { allowed: true }
+      : { allowed: false, reason: `${keyword} can only be raised or removed` };
+  }
+  if (LOWER_BOUNDS.includes(keyword)) {
+    return to === undefined || (from !== undefined && to <= from)
+      ? { allowed: true }
+      : { allowed: false, reason: `${keyword} can only be lowered or removed` };
+  }
+  if (keyword === 'enum') {
+    return to === undefined ||
+      (Array.isArray(from) &&
+        from.every((value) => to.some((option) => isEqual(option, value))))
+      ? { allowed: true }
+      : { allowed: false, reason: 'enum values can only be added' };
+  }
+  if (keyword === 'position') {
+    return { allowed: false, reason: 'property positions cannot change' };
+  }
+  return {
+    allowed: false,
+    reason: `${keyword} of an existing property cannot change`,
+  };
+};
+
+// Compares two property definitions, recursing into nested object properties
+const diffProperty = (documentType, path, from, to, changes) => {
+  const keywords = new Set([...Object.keys(from), ...Object.keys(to)]);
+  keywords.forEach((keyword) => {
+    if (keyword === 'properties' || keyword === 'required') {
+      return;
+    }
+    if (!isEqual(from[keyword], to[keyword])) {
+      const { allowed, reason } = keywordChangeRule(
+        keyword,
+        from[keyword],
+        to[keyword],
+      );
+      changes.push(
+        change(
+          from[keyword] === undefined
+            ? 'add'
+            : to[keyword] === undefined
+              ? 'remove'
+              : 'change',
+          documentType,
+          `${path}.${keyword}`,
+          from[keyword],
+          to[keyword],
+          allowed,
+          reason,
+        ),
+      );
+    }
+  });
+  if (from.properties || to.properties) {
+    diffProperties(documentType, path, from, to, changes);
+  }
+};
+
+// Compares the properties and required lists of a document type or object
+const diffProperties = (documentType, path, from, to, changes) => {
+  const fromProperties = from.properties || {};
+  const toProperties = to.properties || {};
+  const fromRequired = from.required || [];
+  const toRequired = to.required || [];
+  const usedPositions = new Set(
+    Object.values(fromProperties).map((property) => property.position),
+  );
+
+  Object.entries(toProperties).forEach(([name, definition]) => {
+    const propertyPath = `${path}.properties.${name}`;
+    if (!fromProperties[name]) {
+      let reason;
+      if (toRequired.includes(name)) {
+        reason = 'new properties must be optional';
+      } else if (
+        definition.position !== undefined &&
+        usedPositions.has(definition.position)
+      ) {
+        reason = `position ${definition.position} is already used`;
+      }
+      changes.push(
+        change(
+          'add',
+          documentType,
+          propertyPath,
+          undefined,
+          definition,
+          !reason,
+          reason,
+        ),
+      );
+      return;
+    }
+    diffProperty(
+      documentType,
+      propertyPath,
+      fromProperties[name],
+      definition,
+      changes,
+    );
+  });
+
+  Object.keys(fromProperties)
+    .filter((name) => !toProperties[name])
+    .forEach((name) => {
+      changes.push(
+        change(
+          'remove',
+          documentType,
+          `${path}.properties.${name}`,
+          fromProperties[name],
+          undefined,
+          false,
+          'properties cannot be removed',
+        ),
+      );
+    });
+
+  // Existing properties can become optional but not required
+  toRequired
+    .filter((name) => !fromRequired.includes(name) && fromProperties[name])
+    .forEach((name) => {
+      changes.push(
+        change(
+          'add',
+          documentType,
+          `${path}.required`,
+          undefined,
+          name,
+          false,
+          'existing properties cannot become required',
+        ),
+      );
+    });
+  fromRequired
+    .filter((name) => !toRequired.includes(name))
+    .forEach((name) => {
+      changes.push(
+        change(
+          'remove',
+          documentType,
+          `${path}.required`,
+          name,
+          undefined,
+          true,
+        ),
+      );
+    });
+};
+
+// Compares indices by name. Stored documents are not re-indexed, so existing
+// indices are fixed and new ones cannot be unique
+const diffIndices = (documentType, from, to, changes) => {
+  const fromIndices = Object.fromEntries(
+    (from.indices || []).map((index) => [index.name, index]),
+  );
+  const toIndices = Object.fromEntries(
+    (to.indices || []).map((index) => [index.name, index]),
+  );
+  Object.entries(toIndices).forEach(([name, index]) => {
+    const path = `${documentType}.indices.${name}`;
+    if (!fromIndices[name]) {
+      changes.push(
+        change(
+          'add',
+          documentType,
+          path,
+          undefined,
+          index,
+          !index.unique,
+          index.unique
+            ? 'unique indices cannot be added to existing document types'
+            : undefined,
+        ),
+      );
+    } else if (!isEqual(fromIndices[name], index)) {
+      changes.push(
+        change(
+          'change',
+          documentType,
+          path,
+          fromIndices[name],
+          index,
+          false,
+          'existing indices cannot change',
+        ),
+      );
+    }
+  });
+  Object.keys(fromIndices)
+    .filter((name) => !toIndices[name])
+    .forEach((name) => {
+      changes.push(
+        change(
+          'remove',
+          documentType,
+          `${documentType}.indices.${name}`,
+          fromIndices[name],
+          undefined,
+          false,
+          'indices cannot be removed',
+        ),
+      );
+    });
+};
+
+// Compares schema definitions ($defs) by name. Document types may refer to
+// them, so existing definitions follow the same rules as properties
+const diffSchemaDefs = (from, to, changes) => {
+  Object.entries(to).forEach(([name, definition]) => {
+    const path = `$defs.${name}`;
+    if (!from[name]) {
+      changes.push(change('add', '$defs', path, undefined, definition, true));
+      return;
+    }
+    diffProperty('$defs', path, from[name], definition, changes);
+  });
+  Object.keys(from)
+    .filter((name) => !to[name])
+    .forEach((name) => {
+      changes.push(
+        change(
+          'remove',
+          '$defs',
+          `$defs.${name}`,
+          from[name],
+          undefined,
+          false,
+          'schema definitions cannot be removed',
+        ),
+      );
+    });
+};
+
+// Lists every change between two sets of document schemas and, when target
+// schema definitions are given, between the contract's schema definitions
+const diffContractSchemas = (current, target, currentDefs, targetDefs) => {
+  const changes = [];
+  if (targetDefs) {
+    diffSchemaDefs(currentDefs || {}, targetDefs, changes);
+  }
+  Object.entries(target).forEach(([documentType, schema]) => {
+    const existing = current[documentType];
+    if (!existing) {
+      changes.push(
+        change('add', documentType, documentType, undefined, schema, true),
+      );
+      return;
+    }
+    const keywords = new Set([
+      ...Object.keys(existing),
+      ...Object.keys(schema),
+    ]);
+    keywords.forEach((keyword) => {
+      if (
+        DOCUMENT_TYPE_KEYWORDS_HANDLED.includes(keyword) ||
+        isEqual(existing[keyword], schema[keyword])
+      ) {
+        return;
+      }
+      const annotation = ANNOTATION_KEYWORDS.includes(keyword);
+      changes.push(
+        change(
+          'change',
+          documentType,
+          `${documentType}.${keyword}`,
+          existing[keyword],
+          schema[keyword],
+          annotation,
+          annotation
+            ? undefined
+            : `${keyword} of an existing document type cannot change`,
+        ),
+      );
+    });
+    diffProperties(documentType, documentType, existing, schema, changes);
+    diffIndices(documentType, existing, schema, changes);
+  });
+  Object.keys(current)
+    .filter((documentType) => !target[documentType])
+    .forEach((documentType) => {
+      changes.push(
+        change(
+          'remove',
+          documentType,
+          documentType,
+          current[documentType],
+          undefined,
+          false,
+          'document types cannot be removed',
+        ),
+      );
+    });
+  return changes;
+};
+
+// Builds a plan for updating a contract to the target document schemas
+const createPlan = (contract, targetSchemas) => {
+  const changes = diffContractSchemas(contract.documentSchemas, targetSchemas);
+  return {
+    contractId: contract.id,
+    baseVersion: contract.version,
+    createdAt: new Date().toISOString(),
+    applicable: changes.every((entry) => entry.allowed),
+    summary: {
+      add: changes.filter((entry) => entry.action === 'add').length,
+      change: changes.filter((entry) => entry.action === 'change').length,
+      remove: changes.filter((entry) => entry.action === 'remove').length,
+      notAllowed: changes.filter((entry) => !entry.allowed).length,
+    },
+    changes,
+    documentSchemas: targetSchemas,
+  };
+};
+
+const SYMBOLS = { add: '+', change: '~', remove: '-' };
+
+const formatValue = (value) =>
+  value === undefined ? '' : JSON.stringify(value);
+
+// Renders a plan in the style of terraform plan
+const formatPlan = (plan) => {
+  const lines = [
+    `contract ${plan.contractId} (version ${plan.baseVersion} -> ${plan.baseVersion + 1})`,
+    '',
+  ];
+  if (plan.changes.length === 0) {
+    lines.push('No changes. The contract matches the definition.');
+    return lines.join('\n');
+  }
+  plan.changes.forEach((entry) => {
+    const value =
+      entry.action === 'change'
+        ? `${formatValue(entry.from)} -> ${formatValue(entry.to)}`
+        : formatValue(entry.action === 'add' ? entry.to : entry.from);
+    lines.push(`  ${SYMBOLS[entry.action]} ${entry.path}  ${value}`);
+    if (!entry.allowed) {
+      lines.push(`      ! not allowed: ${entry.reason}`);
+    }
+  });
+  const { summary } = plan;
+  lines.push(
+    '',
+    `Plan: ${summary.add} to add, ${summary.change} to change, ${summary.remove} to remove.`,
+  );
+  lines.push(
+    plan.applicable
+      ? 'All changes are allowed by the platform.'
+      : `${summary.notAllowed} change(s) are not allowed by the platform, the plan cannot be applied.`,
+  );
+  return lines.join('\n');
+};
+
+// Checks a saved plan against the deployed contract before applying it
+// The contract must still be at the planned version and produce the same changes
+const verifyPlan = (plan, contract) => {
+  if (!plan || !Array.isArray(plan.changes) || !plan.documentSchemas) {
+    throw new ValidationError('Plan file is not a contract plan');
+  }
+  if (plan.contractId !== contract.id) {
+    throw new ValidationError(
+      `Plan is for contract ${plan.contractId}, not ${contract.id}`,
+    );
+  }
+  if (plan.baseVersion !== contract.version) {
+    throw new ValidationError(
+      `Contract is at version ${contract.version} but the plan was made for version ${plan.baseVersion}`,
+      { suggestions: ['Run planContract again and review the new plan'] },
+    );
+  }
+  const changes = diffContractSchemas(
+    contract.documentSchemas,
+    plan.documentSchemas,
+  );
+  if (!isEqual(changes, plan.changes)) {
+    throw new ValidationError(
+      'Plan changes do not match its document schemas, the plan file was edited',
+      { suggestions: ['Run planContract again and review the new plan'] },
+    );
+  }
+  if (changes.length === 0) {
+    throw new ValidationError('Plan has no changes to apply');
+  }
+  const rejected = changes.filter((entry) => !entry.allowed);
+  if (rejected.length > 0) {
+    throw new ValidationError(
+      `Plan contains changes that are not allowed by the platform:\n${rejected
+        .map((entry) => `  - ${entry.path}: ${entry.reason}`)
+        .join('\n')}`,
+    );
+  }
+  return changes;
+};
+
+module.exports = {
+  diffContractSchemas,
+  createPlan,
+  formatPlan,
+  verifyPlan,
+};
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./dashErrors');
+
+// Reading and writing document files for bulk import and export
+// Supports NDJSON (one document per line), JSON arrays and CSV with a header row
+
+const INPUT_FORMATS = ['ndjson', 'json', 'csv'];
+const COLUMN_TYPES = ['string', 'integer', 'number', 'boolean', 'json'];
+
+// Platform v1 accepts one transition per documents batch, larger batches are
+// for networks (like the memory simulator) that allow more
+const DEFAULT_BATCH_SIZE = 1;
+const MAX_BATCH_SIZE = 10;
+// Keep a batch well below the 20 KB state transition size limit
+const MAX_BATCH_BYTES = 16 * 1024;
+
+// Picks the input format from --input-format or the file extension
+const detectFormat = (file, format) => {
+  if (format) {
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new ValidationError(
+        `Invalid input format "${format}". Available formats: ${INPUT_FORMATS.join(', ')}`,
+      );
+    }
+    return format;
+  }
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  if (extension === '.json') {
+    return 'json';
+  }
+  return 'ndjson';
+};
+
+// Splits CSV text into rows of fields
+// Handles quoted fields with commas, escaped quotes ("") and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError(`Unterminated quoted field on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+// Maps schema property types to CSV column types
+const columnTypesFromSchema = (schema) =>
+  Object.fromEntries(
+    Object.entries((schema && schema.properties) || {}).map(
+      ([property, definition]) => {
+        const type = definition.type;
+        if (['integer', 'number', 'boolean'].includes(type)) {
+          return [property, type];
+        }
+        if (type === 'array' || type === 'object') {
+          return [property, 'json'];
+        }
+        return [property, 'string'];
+      },
+    ),
+  );
+
+const parseColumnTypes = (columnTypes) => {
+  if (!columnTypes) {
+    return {};
+  }
+  let types;
+  try {
+    types = JSON.parse(columnTypes);
+  } catch (error) {
+    throw new ValidationError(
+      `--column-types must be a JSON object: ${error.message}`,
+    );
+  }
+  Object.entries(types).forEach(([column, type]) => {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new ValidationError(
+        `Invalid type "${type}" for column "${column}". Available types: ${COLUMN_TYPES.join(', ')}`,
+      );
+    }
+  });
+  return types;
+};
+
+// Converts a CSV cell to the type of its column
+const convertValue = (value, type, column) => {
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (
+        value.trim() === '' ||
+        Number.isNaN(number) ||
+        (type === 'integer' && !Number.isInteger(number))
+      ) {
+        throw new Error(`Column "${column}" expects ${type}, got "${value}"`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false', '1', '0'].includes(value.toLowerCase())) {
+        throw new Error(`Column "${column}" expects boolean, got "${value}"`);
+      }
+      return ['true', '1'].includes(value.toLowerCase());
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`Column "${column}" expects JSON: ${error.message}`);
+      }
+    default:
+      return value;
+  }
+};
+
+const isDocumentObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Reads the input file into records of { row, line, data } or { row, line, error }
+// Rows that cannot be parsed are kept as failures so they show up in the report
+// columnTypes maps CSV columns to types, columns without a type stay strings
+const readDocumentFile = (file, { format, columnTypes = {} } = {}) => {
+  if (!fs.existsSync(file)) {
+    throw new ValidationError(`Input file not found: ${file}`);
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  const inputFormat = detectFormat(file, format);
+
+  if (inputFormat === 'json') {
+    let documents;
+    try {
+      documents = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`${file} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(documents)) {
+      throw new ValidationError(`${file} must contain a JSON array`);
+    }
+    return documents.map((data, index) =>
+      isDocumentObject(data)
+        ? { row: index + 1, data }
+        : { row: index + 1, error: 'Document must be a JSON object' },
+    );
+  }
+
+  if (inputFormat === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return [];
+    }
+    const columns = header.fields.map((column) => column.trim());
+    return rows.map(({ line, fields }, index) => {
+      const record = { row: index + 1, line };
+      try {
+        if (fields.length !== columns.length) {
+          throw new Error(
+            `Expected ${columns.length} columns, got ${fields.length}`,
+          );
+        }
+        record.data = {};
+        columns.forEach((column, i) => {
+          // Empty cells leave the property unset
+          if (fields[i] !== '') {
+            record.data[column] = convertValue(
+              fields[i],
+              columnTypes[column],
+              column,
+            );
+          }
+        });
+      } catch (error) {
+        delete record.data;
+        record.error = error.message;
+      }
+      return record;
+    });
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, content }))
+    .filter(({ content }) => content.trim() !== '')
+    .map(({ line, content }, index) => {
+      try {
+        const data = JSON.parse(content);
+        if (!isDocumentObject(data)) {
+          throw new Error('Document must be a JSON object');
+        }
+        return { row: index + 1, line, data };
+      } catch (error) {
+        return { row: index + 1, line, error: error.message };
+      }
+    });
+};
+
+const parseBatchSize = (batchSize) => {
+  if (batchSize === undefined) {
+    return DEFAULT_BATCH_SIZE;
+  }
+  const size = Number(batchSize);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+    throw new ValidationError(
+      `Batch size must be an integer between 1 and ${MAX_BATCH_SIZE}`,
+    );
+  }
+  return size;
+};
+
+// Groups records into batches limited by count and serialized size
+const createBatches = (records, batchSize) => {
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+  records.forEach((record) => {
+    const size = Buffer.byteLength(JSON.stringify(record.data));
+    if (
+      batch.length > 0 &&
+      (batch.length >= batchSize || bytes + size > MAX_BATCH_BYTES)
+    ) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+    batch.push(record);
+    bytes += size;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+};
+
+// Checkpoints record which rows were imported so a rerun skips them
+// Rows are keyed by number and content, so failed rows can be fixed in place
+// and an edited row is imported again
+const recordKey = (record) =>
+  `${record.row}:${crypto
+    .createHash('sha256')
+    .update(JSON.stringify(record.data))
+    .digest('hex')
+    .slice(0, 16)}`;
+
+// Loads an import checkpoint or export cursor, or starts a new one
+// target holds the values the saved state must match to be resumed
+const loadCheckpoint = (checkpointFile, target, initial = {}) => {
+  if (!fs.existsSync(checkpointFile)) {
+    return { ...target, ...initial };
+  }
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(
+      `Could not read checkpoint ${checkpointFile}: ${error.message}`,
+    );
+  }
+  const mismatch = Object.keys(target).find(
+    (key) => JSON.stringify(checkpoint[key]) !== JSON.stringify(target[key]),
+  );
+  if (mismatch) {
+    throw new ValidationError(
+      `Checkpoint ${checkpointFile} belongs to a different run (${mismatch} differs)`,
+      {
+        suggestions: [
+          'Delete the checkpoint file to start from the beginning',
+          'Pass a different checkpoint or cursor file',
+        ],
+      },
+    );
+  }
+  return checkpoint;
+};
+
+const saveCheckpoint = (checkpointFile, checkpoint) => {
+  fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2));
+};
+
+const removeCheckpoint = (checkpointFile) => {
+  if (fs.existsSync(checkpointFile)) {
+    fs.unlinkSync(checkpointFile);
+  }
+};
+
+// Picks the export format from --export-format or the output file extension
+const detectExportFormat = (file, format) => detectFormat(file || '', format);
+
+// System fields written as the first CSV columns
+const SYSTEM_COLUMNS = [
+  '$id',
+  '$ownerId',
+  '$revision',
+  '$createdAt',
+  '$updatedAt',
+];
+
+// Lists CSV columns for a document schema, nested object properties become
+// dotted columns (e.g. address.city)
+const csvColumnsFromSchema = (schema) => {
+  const columns = (properties, prefix) =>
+    Object.entries(properties || {}).flatMap(([property, definition]) =>
+      definition.type === 'object' && definition.properties
+        ? columns(definition.properties, `${prefix}${property}.`)
+        : [`${prefix}${property}`],
+    );
+  return [...SYSTEM_COLUMNS, ...columns(schema && schema.properties, '')];
+};
+
+// Flattens nested objects into dotted keys, arrays are kept as JSON values
+const flattenDocument = (document, prefix = '', flat = {}) => {
+  Object.entries(document).forEach(([key, value]) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenDocument(value, `${prefix}${key}.`, flat);
+    } else {
+      flat[`${prefix}${key}`] = value;
+    }
+  });
+  return flat;
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(escapeCsv).join(',')}\n`;
+
+// Renders plain document data (see toPlainData) as a chunk of the export file
+// JSON exports are written as an array that is opened and closed separately
+const formatExportDocuments = (documents, format, { columns, first }) => {
+  switch (format) {
+    case 'csv':
+      return documents
+        .map((document) => {
+          const flat = flattenDocument(document);
+          return formatCsvRow(columns.map((column) => flat[column]));
+        })
+        .join('');
+    case 'json':
+      return documents
+        .map(
+          (document, index) =>
+            `${first && index === 0 ? '' : ',\n'}${JSON.stringify(document)}`,
+        )
+        .join('');
+    default:
+      return documents
+        .map((document) => `${JSON.stringify(document)}\n`)
+        .join('');
+  }
+};
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE,
+  parseCsv,
+  columnTypesFromSchema,
+  parseColumnTypes,
+  readDocumentFile,
+  parseBatchSize,
+  createBatches,
+  recordKey,
+  loadCheckpoint,
+  saveCheckpoint,
+  removeCheckpoint,
+  detectExportFormat,
+  csvColumnsFromSchema,
+  formatCsvRow,
+  formatExportDocuments,
+};
@@ -0,0 +1,182 @@
+// Process exit codes used by the CLI for each class of failure
+// These are documented in the README so CI pipelines can branch on them
+const EXIT_CODES = {
+  GENERAL: 1,
+  VALIDATION: 2,
+  NOT_FOUND: 3,
+  NETWORK: 4,
+  INSUFFICIENT_CREDITS: 5,
+  WALLET_SYNC: 6,
+  CONSENSUS: 7,
+};
+
+// Base class for all errors raised by the CLI and library
+// Carries a stable error code, an exit code and a list of suggestions for the user
+// details holds structured data for scripts, e.g. the list of schema violations
+class DashCLIError extends Error {
+  constructor(
+    message,
+    {
+      code = 'GENERAL_ERROR',
+      exitCode = EXIT_CODES.GENERAL,
+      suggestions = [],
+      details,
+      cause,
+    } = {},
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = exitCode;
+    this.suggestions = suggestions;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.name,
+      code: this.code,
+      exitCode: this.exitCode,
+      message: this.message,
+      suggestions: this.suggestions,
+      ...(this.details !== undefined && { details: this.details }),
+    };
+  }
+}
+
+// Invalid user input: missing options, malformed JSON, schema violations
+class ValidationError extends DashCLIError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'VALIDATION_ERROR',
+      exitCode: EXIT_CODES.VALIDATION,
+      ...options,
+    });
+  }
+}
+
+// An identity, contract, document or name that does not exist
+class NotFoundError extends DashCLIError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'NOT_FOUND',
+      exitCode: EXIT_CODES.NOT_FOUND,
+      ...options,
+    });
+  }
+}
+
+// DAPI nodes or block explorers that could not be reached
+class NetworkError extends DashCLIError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'NETWORK_ERROR',
+      exitCode: EXIT_CODES.NETWORK,
+      suggestions: [
+        'Check your internet connection',
+        'Verify the DAPI addresses in your .env file are reachable',
+      ],
+      ...options,
+    });
+  }
+}
+
+// The identity does not have enough credits to pay for the operation
+class InsufficientCreditsError extends DashCLIError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'INSUFFICIENT_CREDITS',
+      exitCode: EXIT_CODES.INSUFFICIENT_CREDITS,
+      suggestions: ['Top up the identity with the topupIdentity command'],
+      ...options,
+    });
+  }
+}
+
+// The wallet could not be synchronized or has no spendable funds yet
+class WalletSyncError extends DashCLIError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'WALLET_SYNC_ERROR',
+      exitCode: EXIT_CODES.WALLET_SYNC,
+      suggestions: [
+        'Make sure the address has confirmed funds',
+        'Pass --height or --address so the wallet syncs from the right block',
+      ],
+      ...options,
+    });
+  }
+}
+
+// The platform rejected the state transition during consensus validation
+class ConsensusError extends DashCLIError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'CONSENSUS_ERROR',
+      exitCode: EXIT_CODES.CONSENSUS,
+      ...options,
+    });
+  }
+}
+
+// Message patterns used to recognise SDK and DAPI errors
+// The SDK does not expose stable error classes for most of these cases
+const INSUFFICIENT_CREDITS_PATTERN =
+  /insufficient (identity )?balance|balance is not enough|not enough credits|BalanceIsNotEnough/i;
+const WALLET_SYNC_PATTERN =
+  /not enough (utxos?|balance)|insufficient funds|utxo|synchroni[sz]/i;
+const NETWORK_PATTERN =
+  /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|timed? ?out|UNAVAILABLE|DEADLINE_EXCEEDED|No available addresses|MaxRetriesReachedError/i;
+const CONSENSUS_PATTERN = /consensus|StateTransitionBroadcastError/i;
+const NOT_FOUND_PATTERN = /not found/i;
+
+// Converts any thrown value into a DashCLIError subclass
+// Errors already raised by this tool are returned untouched, SDK errors are
+// classified by name and message. An optional context prefixes the message
+const classifyError = (error, context) => {
+  if (error instanceof DashCLIError) {
+    return error;
+  }
+
+  const raw =
+    error instanceof Error
+      ? error
+      : new Error(
+          error && error.message ? error.message : String(error ?? 'Unknown'),
+        );
+  const message = context ? `${context}: ${raw.message}` : raw.message;
+  const fingerprint = `${raw.name} ${raw.message}`;
+  const options = { cause: raw };
+
+  if (raw instanceof SyntaxError && /JSON/.test(raw.message)) {
+    return new ValidationError(`Invalid JSON input: ${raw.message}`, options);
+  }
+  if (INSUFFICIENT_CREDITS_PATTERN.test(fingerprint)) {
+    return new InsufficientCreditsError(message, options);
+  }
+  if (CONSENSUS_PATTERN.test(fingerprint)) {
+    return new ConsensusError(message, options);
+  }
+  if (WALLET_SYNC_PATTERN.test(fingerprint)) {
+    return new WalletSyncError(message, options);
+  }
+  if (NETWORK_PATTERN.test(fingerprint)) {
+    return new NetworkError(message, options);
+  }
+  if (NOT_FOUND_PATTERN.test(fingerprint)) {
+    return new NotFoundError(message, options);
+  }
+  return new DashCLIError(message, options);
+};
+
+module.exports = {
+  EXIT_CODES,
+  DashCLIError,
+  ValidationError,
+  NotFoundError,
+  NetworkError,
+  InsufficientCreditsError,
+  WalletSyncError,
+  ConsensusError,
+  classifyError,
+};
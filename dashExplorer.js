@@ -0,0 +1,326 @@
+const logger = require('./dashLogger');
+const {
+  ValidationError,
+  NotFoundError,
+  NetworkError,
+} = require('./dashErrors');
+
+// Block explorer providers used to find the first transaction of an address
+// Providers are tried in order until one of them answers. A provider is either
+// a JSON-RPC endpoint with an address index (rpc.digitalcash.dev, or a dashd
+// node started with -addressindex and -txindex) or an Insight API:
+//   [{ "type": "rpc", "url": "http://127.0.0.1:9998", "username": "dashrpc",
+//      "passwordEnv": "DASHD_RPC_PASSWORD", "timeoutMs": 5000, "retries": 2 },
+//    { "type": "insight", "url": "https://insight.dash.org/insight-api" }]
+
+const PROVIDER_TYPES = ['rpc', 'insight'];
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 1;
+const RETRY_DELAY_MS = 500;
+
+const DEFAULT_PROVIDERS = {
+  mainnet: [
+    { type: 'rpc', url: 'https://rpc.digitalcash.dev/' },
+    { type: 'insight', url: 'https://insight.dash.org/insight-api' },
+  ],
+  testnet: [
+    { type: 'rpc', url: 'https://trpc.digitalcash.dev/' },
+    {
+      type: 'insight',
+      url: 'https://insight.testnet.networks.dash.org/insight-api',
+    },
+  ],
+};
+
+// Environment variable holding the providers of a network, like the DAPI
+// addresses: MAINNET_EXPLORER_PROVIDERS, TESTNET_EXPLORER_PROVIDERS
+const providersEnv = (network) =>
+  `${network.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_EXPLORER_PROVIDERS`;
+
+const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+// Validates one configured provider and moves credentials out of its URL,
+// fetch does not accept URLs with credentials
+const normalizeProvider = (entry, index, source) => {
+  const invalid = (message) =>
+    new ValidationError(
+      `Invalid explorer provider ${index} in ${source}: ${message}`,
+    );
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw invalid('must be an object with a type and a url');
+  }
+  if (!PROVIDER_TYPES.includes(entry.type)) {
+    throw invalid(`type must be one of ${PROVIDER_TYPES.join(', ')}`);
+  }
+  if (typeof entry.url !== 'string' || !entry.url) {
+    throw invalid('url is required');
+  }
+  let url;
+  try {
+    url = new URL(entry.url);
+  } catch (error) {
+    throw invalid(`"${entry.url}" is not a valid URL`);
+  }
+  const timeoutMs = entry.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const retries = entry.retries ?? DEFAULT_RETRIES;
+  if (!isCount(timeoutMs, 1)) {
+    throw invalid('timeoutMs must be a positive integer');
+  }
+  if (!isCount(retries, 0)) {
+    throw invalid('retries must be a non-negative integer');
+  }
+
+  const username = entry.username ?? decodeURIComponent(url.username);
+  let password = entry.password ?? decodeURIComponent(url.password);
+  if (entry.passwordEnv) {
+    password = process.env[entry.passwordEnv];
+    if (password === undefined) {
+      throw invalid(`${entry.passwordEnv} is not set`);
+    }
+  }
+  logger.addSecret(password);
+  url.username = '';
+  url.password = '';
+
+  const provider = {
+    type: entry.type,
+    url: url.toString(),
+    name: `${entry.type} ${url.origin}${url.pathname.replace(/\/$/, '')}`,
+    timeoutMs,
+    retries,
+  };
+  if (username || password) {
+    provider.authorization = `Basic ${Buffer.from(
+      `${username}:${password}`,
+    ).toString('base64')}`;
+    // The header encodes the password, keep it out of logged providers too
+    logger.addSecret(provider.authorization);
+  }
+  return provider;
+};
+
+// Parses providers given as a JSON string (flag or environment variable) or
+// as an array (profile)
+const parseProviders = (value, source) => {
+  let providers = value;
+  if (typeof value === 'string') {
+    try {
+      providers = JSON.parse(value);
+    } catch (error) {
+      throw new ValidationError(
+        `${source} must be a JSON array of providers: ${error.message}`,
+      );
+    }
+  }
+  if (!Array.isArray(providers) || providers.length === 0) {
+    throw new ValidationError(`${source} must be a non-empty JSON array`);
+  }
+  return providers.map((entry, index) =>
+    normalizeProvider(entry, index, source),
+  );
+};
+
+// Providers for a network with priority: --explorer-providers or profile ->
+// <NETWORK>_EXPLORER_PROVIDERS -> built-in public explorers
+const resolveProviders = (network, configured) => {
+  if (configured) {
+    return parseProviders(
+      configured,
+      typeof configured === 'string' ? '--explorer-providers' : 'the profile',
+    );
+  }
+  const env = providersEnv(network);
+  if (process.env[env]) {
+    return parseProviders(process.env[env], env);
+  }
+  if (DEFAULT_PROVIDERS[network]) {
+    return parseProviders(DEFAULT_PROVIDERS[network], 'the defaults');
+  }
+  throw new ValidationError(
+    `No block explorer providers configured for network ${network}`,
+    {
+      suggestions: [
+        `Set ${env} or pass --explorer-providers with a JSON array of providers`,
+      ],
+    },
+  );
+};
+
+const request = async (provider, url, options, signal) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(provider.authorization && { Authorization: provider.authorization }),
+    },
+    signal,
+  });
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    // dashd answers authentication failures with an empty body
+    throw new Error(`returned status ${response.status}`);
+  }
+  return { response, body };
+};
+
+// dashd reports RPC errors with an error object and a 500 status
+const rpcCall = async (provider, method, params, signal) => {
+  const { response, body } = await request(
+    provider,
+    provider.url,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '1.0', id: 'dashCLI', method, params }),
+    },
+    signal,
+  );
+  if (body && body.error) {
+    throw new Error(`${method} failed: ${body.error.message || body.error}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${method} returned status ${response.status}`);
+  }
+  return body.result;
+};
+
+const insightGet = async (provider, resource, signal) => {
+  const { response, body } = await request(
+    provider,
+    `${provider.url.replace(/\/$/, '')}/${resource}`,
+    {},
+    signal,
+  );
+  if (!response.ok) {
+    throw new Error(`returned status ${response.status}`);
+  }
+  return body;
+};
+
+// Lookups return the first transaction of the address and its block height,
+// or null when the provider knows the address has no transactions
+const lookups = {
+  rpc: async (provider, address, signal) => {
+    const txids = await rpcCall(
+      provider,
+      'getaddresstxids',
+      [{ addresses: [address] }],
+      signal,
+    );
+    if (!Array.isArray(txids)) {
+      throw new Error('getaddresstxids returned no transaction list');
+    }
+    if (txids.length === 0) {
+      return null;
+    }
+    const tx = await rpcCall(
+      provider,
+      'getrawtransaction',
+      [txids[0], true],
+      signal,
+    );
+    return { txid: txids[0], height: tx && tx.height };
+  },
+  insight: async (provider, address, signal) => {
+    const data = await insightGet(provider, `addr/${address}`, signal);
+    if (!data || !Array.isArray(data.transactions)) {
+      throw new Error('address lookup returned no transaction list');
+    }
+    if (data.transactions.length === 0) {
+      return null;
+    }
+    // Insight lists the newest transaction first
+    const txid = data.transactions[data.transactions.length - 1];
+    const tx = await insightGet(provider, `tx/${txid}`, signal);
+    return { txid, height: tx && tx.blockheight };
+  },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs a lookup with the provider's timeout, retrying failed attempts
+const queryProvider = async (provider, address) => {
+  let lastError;
+  for (let attempt = 0; attempt <= provider.retries; attempt += 1) {
+    if (attempt > 0) {
+      logger.debug(`Retrying ${provider.name} (attempt ${attempt + 1})`);
+      await sleep(RETRY_DELAY_MS * attempt);
+    }
+    try {
+      return await lookups[provider.type](
+        provider,
+        address,
+        AbortSignal.timeout(provider.timeoutMs),
+      );
+    } catch (error) {
+      // fetch reports connection failures as "fetch failed" with the reason
+      // in its cause, e.g. ECONNREFUSED
+      lastError =
+        error.name === 'TimeoutError'
+          ? new Error(`timed out after ${provider.timeoutMs}ms`)
+          : error.cause
+            ? new Error(
+                `${error.message}: ${error.cause.code || error.cause.message}`,
+              )
+            : error;
+    }
+  }
+  throw lastError;
+};
+
+// Finds the first transaction of an address with the first provider that
+// answers. Fails with ADDRESS_UNUSED or ADDRESS_UNCONFIRMED when a provider
+// answered, and with EXPLORERS_UNREACHABLE when none did
+const findFirstTransaction = async (address, providers) => {
+  const failures = [];
+  for (const provider of providers) {
+    logger.info(`Trying ${provider.name}...`);
+    let result;
+    try {
+      result = await queryProvider(provider, address);
+    } catch (error) {
+      logger.warn(`${provider.name} failed: ${error.message}`);
+      failures.push({ provider: provider.name, error: error.message });
+      continue;
+    }
+    if (!result) {
+      throw new NotFoundError(`Address ${address} has no transactions`, {
+        code: 'ADDRESS_UNUSED',
+        suggestions: [
+          'Check the address belongs to the selected network',
+          'Send funds to the address and wait for a confirmation',
+        ],
+      });
+    }
+    if (!Number.isInteger(result.height) || result.height <= 0) {
+      throw new NotFoundError(
+        `The first transaction of ${address} (${result.txid}) is not confirmed yet`,
+        {
+          code: 'ADDRESS_UNCONFIRMED',
+          suggestions: ['Wait for the transaction to be mined and try again'],
+        },
+      );
+    }
+    return { ...result, provider: provider.name };
+  }
+  throw new NetworkError(
+    `No block explorer provider could be reached: ${failures
+      .map(({ provider, error }) => `${provider} (${error})`)
+      .join(', ')}`,
+    {
+      code: 'EXPLORERS_UNREACHABLE',
+      details: failures,
+      suggestions: [
+        'Check your internet connection',
+        'Configure other providers with --explorer-providers or <NETWORK>_EXPLORER_PROVIDERS',
+      ],
+    },
+  );
+};
+
+module.exports = {
+  resolveProviders,
+  findFirstTransaction,
+};
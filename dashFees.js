@@ -0,0 +1,120 @@
+// Credit fees of state transitions, used by --dry-run to estimate the cost of
+// a write and by the memory simulator to charge for it
+// 1 duff = 1000 credits, storage is charged per serialized byte. The values
+// follow the platform fee schedule loosely, the real fee also depends on the
+// storage the transition touches, so estimates can be off by a few percent
+
+const CREDITS_PER_DUFF = 1000;
+const DUFFS_PER_DASH = 100000000;
+const STORAGE_CREDITS_PER_BYTE = 27000;
+const PROCESSING_CREDITS_PER_BYTE = 400;
+const PREMIUM_NAME_FEE = 20000000000;
+const STANDARD_NAME_FEE = 100000000;
+// Decimals of a credit amount written in duffs and in DASH
+const DUFF_DECIMALS = 3;
+const DASH_DECIMALS = 11;
+
+// Writes an integer amount of units as an exact decimal with the given number
+// of decimals, e.g. 19917336800 credits with 11 decimals is "0.19917336800"
+// BigInt keeps large balances exact, floats would print rounding noise
+const toDecimal = (units, decimals) => {
+  const value = BigInt(units);
+  const scale = 10n ** BigInt(decimals);
+  const absolute = value < 0n ? -value : value;
+  const fraction = (absolute % scale).toString().padStart(decimals, '0');
+  return `${value < 0n ? '-' : ''}${absolute / scale}.${fraction}`;
+};
+
+// A credit amount with its value in duffs and DASH, as exact decimal strings
+// with all the decimals a credit amount can have
+const creditAmounts = (credits) => ({
+  credits,
+  duffs: toDecimal(credits, DUFF_DECIMALS),
+  dash: toDecimal(credits, DASH_DECIMALS),
+});
+
+// Premium names are short and only contain letters, 0 and 1
+const isPremiumName = (label) =>
+  label.length < 20 && /^[a-z01-]+$/i.test(label);
+
+const nameFee = (label) =>
+  isPremiumName(label) ? PREMIUM_NAME_FEE : STANDARD_NAME_FEE;
+
+// Fee of storing size bytes. Transitions that store nothing, like deletes and
+// credit transfers, only pay for processing
+const storageFee = (size) =>
+  size * (STORAGE_CREDITS_PER_BYTE + PROCESSING_CREDITS_PER_BYTE);
+
+const processingFee = (size) => size * PROCESSING_CREDITS_PER_BYTE;
+
+// Estimated fees in credits of the state transitions a command broadcasts,
+// given their sizes in broadcast order. operation is the command, label the
+// name of registerName, whose domain document (after the preorder) also pays
+// the DPNS name fee
+const estimateFees = (operation, sizes, label) =>
+  sizes.map((size, index) => {
+    switch (operation) {
+      case 'registerName':
+        return (
+          storageFee(size) + (index === sizes.length - 1 ? nameFee(label) : 0)
+        );
+      case 'deleteDocument':
+      case 'transferCredits':
+      case 'withdrawCredits':
+        return processingFee(size);
+      default:
+        return storageFee(size);
+    }
+  });
+
+// Runs broadcast (a function building, signing and broadcasting state
+// transitions with the client) with the DAPI broadcast replaced, so the signed
+// state transitions are captured instead of sent. Every broadcast is answered
+// as accepted, so writes made of several transitions (a name preorder, then
+// its domain) go on to build the next one. Returns their serialized bytes
+const captureStateTransitions = async (client, broadcast) => {
+  const { platform } = client.getDAPIClient();
+  const original = platform && {
+    broadcastStateTransition: platform.broadcastStateTransition,
+    waitForStateTransitionResult: platform.waitForStateTransitionResult,
+  };
+  // Refuse rather than risk broadcasting with an SDK that sends differently
+  if (
+    !original ||
+    typeof original.broadcastStateTransition !== 'function' ||
+    typeof original.waitForStateTransitionResult !== 'function'
+  ) {
+    throw new Error('--dry-run is not supported by this client');
+  }
+  const stateTransitions = [];
+  platform.broadcastStateTransition = async (stateTransition) => {
+    stateTransitions.push(Buffer.from(stateTransition));
+    return {};
+  };
+  platform.waitForStateTransitionResult = async () => ({});
+  try {
+    await broadcast();
+  } finally {
+    Object.assign(platform, original);
+  }
+  if (stateTransitions.length === 0) {
+    throw new Error('No state transition was built');
+  }
+  return stateTransitions;
+};
+
+module.exports = {
+  CREDITS_PER_DUFF,
+  DUFFS_PER_DASH,
+  STORAGE_CREDITS_PER_BYTE,
+  PROCESSING_CREDITS_PER_BYTE,
+  PREMIUM_NAME_FEE,
+  STANDARD_NAME_FEE,
+  creditAmounts,
+  isPremiumName,
+  nameFee,
+  storageFee,
+  processingFee,
+  estimateFees,
+  captureStateTransitions,
+};
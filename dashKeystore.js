@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ensureConfigDir, writePrivateJson } = require('./dashPaths');
+const { ValidationError, NotFoundError } = require('./dashErrors');
+const logger = require('./dashLogger');
+const { promptHidden } = require('./dashPrompt');
+
+// Encrypted local keystore for wallet mnemonics
+// Each wallet is a JSON file in <config dir>/keystore encrypted with AES-256-GCM
+// using a key derived from the passphrase with scrypt
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, dklen: 32 };
+// scrypt needs 128 * N * r bytes, above Node's 32MB default limit
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const MIN_PASSPHRASE_LENGTH = 8;
+const WALLET_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+const getKeystoreDir = () => ensureConfigDir('keystore');
+
+const validateWalletName = (name) => {
+  if (!name || !WALLET_NAME_REGEX.test(name)) {
+    throw new ValidationError(
+      'Wallet name is required and may only contain letters, numbers, hyphens and underscores',
+    );
+  }
+  return name;
+};
+
+const getWalletFile = (name) =>
+  path.join(getKeystoreDir(), `${validateWalletName(name)}.json`);
+
+const validateMnemonic = (mnemonic) => {
+  const words = (mnemonic || '').trim().split(/\s+/);
+  if (
+    !MNEMONIC_WORD_COUNTS.includes(words.length) ||
+    !words.every((word) => /^[a-z]+$/.test(word))
+  ) {
+    throw new ValidationError(
+      `Mnemonic must be ${MNEMONIC_WORD_COUNTS.join('/')} lowercase words separated by spaces`,
+    );
+  }
+  return words.join(' ');
+};
+
+const deriveKey = (passphrase, salt, params = SCRYPT_PARAMS) =>
+  crypto.scryptSync(passphrase, salt, params.dklen, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+
+const encryptMnemonic = (mnemonic, passphrase) => {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(mnemonic, 'utf8'),
+    cipher.final(),
+  ]);
+  return {
+    kdf: 'scrypt',
+    kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+  };
+};
+
+const decryptMnemonic = (entry, passphrase) => {
+  const key = deriveKey(
+    passphrase,
+    Buffer.from(entry.crypto.kdfparams.salt, 'hex'),
+    entry.crypto.kdfparams,
+  );
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    key,
+    Buffer.from(entry.crypto.iv, 'hex'),
+  );
+  decipher.setAuthTag(Buffer.from(entry.crypto.authTag, 'hex'));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.crypto.ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    throw new ValidationError(
+      `Incorrect passphrase for wallet "${entry.name}"`,
+      {
+        suggestions: [
+          'Check DASH_KEYSTORE_PASSPHRASE or retype the passphrase',
+        ],
+      },
+    );
+  }
+};
+
+const readWallet = (name) => {
+  const file = getWalletFile(name);
+  if (!fs.existsSync(file)) {
+    throw new NotFoundError(`Wallet "${name}" not found in keystore`, {
+      suggestions: [
+        'Run "keystore list" to see the stored wallets',
+        `Import it with "keystore import ${name}"`,
+      ],
+    });
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const writeWallet = (name, mnemonic, passphrase, createdAt) => {
+  const entry = {
+    version: KEYSTORE_VERSION,
+    name,
+    createdAt: createdAt || new Date().toISOString(),
+    crypto: encryptMnemonic(mnemonic, passphrase),
+  };
+  writePrivateJson(getWalletFile(name), entry);
+  return { wallet: name, createdAt: entry.createdAt };
+};
+
+// Reads a line from the terminal without echoing it
+// When stdin is not a terminal the line is read as is, so values can be piped
+const promptSecret = async (question) => {
+  const answer = await promptHidden(question);
+  if (answer === null) {
+    throw new ValidationError('No input received', {
+      suggestions: [
+        'Set DASH_KEYSTORE_PASSPHRASE when running non-interactively',
+      ],
+    });
+  }
+  logger.addSecret(answer.trim());
+  return answer.trim();
+};
+
+// Gets the passphrase to unlock a wallet from DASH_KEYSTORE_PASSPHRASE or a prompt
+const getPassphrase = async (name) => {
+  logger.addSecret(process.env.DASH_KEYSTORE_PASSPHRASE);
+  return (
+    process.env.DASH_KEYSTORE_PASSPHRASE ||
+    promptSecret(`Passphrase for wallet "${name}": `)
+  );
+};
+
+// Gets a new passphrase from the given variable or by prompting twice
+const getNewPassphrase = async (name, envVariable) => {
+  let passphrase = process.env[envVariable];
+  if (!passphrase) {
+    passphrase = await promptSecret(`New passphrase for wallet "${name}": `);
+    const confirmation = await promptSecret('Repeat passphrase: ');
+    if (passphrase !== confirmation) {
+      throw new ValidationError('Passphrases do not match');
+    }
+  }
+  logger.addSecret(passphrase);
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new ValidationError(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`,
+    );
+  }
+  return passphrase;
+};
+
+// Stores a mnemonic under a new wallet name
+const saveWallet = async (name, mnemonic) => {
+  validateWalletName(name);
+  if (fs.existsSync(getWalletFile(name))) {
+    throw new ValidationError(`Wallet "${name}" already exists in keystore`);
+  }
+  logger.addSecret(mnemonic);
+  const passphrase = await getNewPassphrase(name, 'DASH_KEYSTORE_PASSPHRASE');
+  return writeWallet(name, validateMnemonic(mnemonic), passphrase);
+};
+
+// Decrypts and returns the mnemonic of a stored wallet
+const unlockWallet = async (name) => {
+  const entry = readWallet(name);
+  return decryptMnemonic(entry, await getPassphrase(name));
+};
+
+const listWallets = () =>
+  fs
+    .readdirSync(getKeystoreDir())
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => {
+      const entry = JSON.parse(
+        fs.readFileSync(path.join(getKeystoreDir(), file), 'utf8'),
+      );
+      return { wallet: entry.name, createdAt: entry.createdAt };
+    });
+
+// Reads the mnemonic to import from --mnemonic-env, piped stdin or a prompt
+const readMnemonicToImport = async (options) => {
+  if (options.mnemonicEnv) {
+    const mnemonic = process.env[options.mnemonicEnv];
+    if (!mnemonic) {
+      throw new ValidationError(`${options.mnemonicEnv} is not set`);
+    }
+    return mnemonic;
+  }
+  return promptSecret('Mnemonic to import: ');
+};
+
+const changePassphrase = async (name) => {
+  const entry = readWallet(name);
+  const mnemonic = decryptMnemonic(entry, await getPassphrase(name));
+  const passphrase = await getNewPassphrase(
+    name,
+    'DASH_KEYSTORE_NEW_PASSPHRASE',
+  );
+  writeWallet(name, mnemonic, passphrase, entry.createdAt);
+  return { wallet: name, passphraseChanged: true };
+};
+
+// Runs a "keystore <subcommand> [name]" command
+const runKeystoreCommand = async (subcommand, name, options) => {
+  switch (subcommand) {
+    case 'import':
+      validateWalletName(name);
+      return saveWallet(name, await readMnemonicToImport(options));
+    case 'export':
+      return { wallet: name, mnemonic: await unlockWallet(name) };
+    case 'change-passphrase':
+      return changePassphrase(name);
+    case 'list':
+      return listWallets();
+    default:
+      throw new ValidationError(
+        'Invalid keystore command. Available commands: import, export, change-passphrase, list',
+      );
+  }
+};
+
+module.exports = {
+  saveWallet,
+  unlockWallet,
+  listWallets,
+  runKeystoreCommand,
+};
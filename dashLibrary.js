@@ -1,5 +1,53 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
 const dashClient = require('./dashClient');
-const util = require('util');
+const logger = require('./dashLogger');
+const { promptLine } = require('./dashPrompt');
+const {
+  ValidationError,
+  NotFoundError,
+  NetworkError,
+  InsufficientCreditsError,
+  WalletSyncError,
+  classifyError,
+} = require('./dashErrors');
+const documentIO = require('./dashDocumentIO');
+const { toPlainData } = require('./dashOutput');
+const { MAX_QUERY_LIMIT, prepareQuery } = require('./dashQuery');
+const schemaValidator = require('./dashSchema');
+const {
+  readCache,
+  writeCache,
+  deleteCache,
+  readSyncState,
+  updateSyncState,
+} = require('./dashCache');
+const { loadContractFile } = require('./dashContractFile');
+const codegen = require('./dashCodegen');
+const { resolveProviders, findFirstTransaction } = require('./dashExplorer');
+const { rateProbes, saveNodeHealth } = require('./dashNodes');
+const { parseDapiAddresses } = require('./dashProfiles');
+const {
+  CREDITS_PER_DUFF,
+  creditAmounts,
+  isPremiumName,
+  nameFee,
+  estimateFees,
+  captureStateTransitions,
+} = require('./dashFees');
+const {
+  diffContractSchemas,
+  createPlan,
+  verifyPlan,
+} = require('./dashContractPlan');
+const {
+  lintContract,
+  formatFindings,
+  summarize,
+  assertValidContract,
+} = require('./dashContractLint');
 
 // Helper functions to get IDs from either command line args or environment variables
 // This provides flexibility in how IDs are provided to the CLI
@@ -8,6 +56,23 @@ const getContractId = (args) => args.contractId || process.env.CONTRACT_ID;
 const getDocumentId = (args) => args.documentId || process.env.DOCUMENT_ID;
 const getAddress = (args) => args.address || process.env.ADDRESS;
 
+// Sync state cached for the wallet of the command on its network
+const walletSyncState = (args) =>
+  readSyncState(dashClient.resolveNetwork(args), dashClient.getMnemonic(args));
+
+const saveWalletSyncState = (args, changes) =>
+  updateSyncState(
+    dashClient.resolveNetwork(args),
+    dashClient.getMnemonic(args),
+    changes,
+  );
+
+// The first transaction of an address never moves, so it is looked up once
+const rememberStartHeight = (args, address, height) => {
+  saveWalletSyncState(args, { startHeights: { [address]: height } });
+  return height;
+};
+
 // Constants for platform operations
 const MINIMUM_TOPUP_AMOUNT = 50000; // Minimum amount in duffs for identity topup
 // Regex for validating identity names per Dash Platform specification
@@ -16,7 +81,7 @@ const IDENTITY_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]$/;
 // Validation functions
 const validateIdentityName = (name) => {
   if (!IDENTITY_NAME_REGEX.test(name)) {
-    throw new Error(
+    throw new ValidationError(
       'Invalid identity name. Name must:\n' +
         '- Start with a letter or number\n' +
         '- End with a letter or number\n' +
@@ -27,245 +92,79 @@ const validateIdentityName = (name) => {
   return true;
 };
 
-// Validates contract indices both for single index and array of indices
-// Ensures all required fields are present and correctly typed
-const validateIndices = (indices) => {
-  if (!Array.isArray(indices)) {
-    // Convert single index to array for uniform processing
-    indices = [indices];
-  }
+// DPNS compares names by their normalized label: lower case with the
+// homographs o -> 0 and i, l -> 1, so "Alice" and "a1ice" are the same name
+const normalizeLabel = (label) =>
+  label.toLowerCase().replace(/o/g, '0').replace(/[il]/g, '1');
 
-  indices.forEach((index) => {
-    if (!index.name) {
-      throw new Error('Index must have a name');
-    }
-    if (!index.properties || !Array.isArray(index.properties)) {
-      throw new Error('Index must have properties array');
-    }
-    if (typeof index.unique !== 'boolean') {
-      throw new Error('Index must specify unique as boolean');
-    }
-  });
-  return indices;
+// Splits "alice" or "alice.dash" into a validated label and its parent domain
+const parseName = (name) => {
+  if (!name) {
+    throw new ValidationError('A name is required, use --identity-name');
+  }
+  const [label, ...parent] = name.split('.');
+  validateIdentityName(label);
+  const parentDomainName = parent.join('.') || 'dash';
+  return {
+    label,
+    parentDomainName,
+    normalizedLabel: normalizeLabel(label),
+    normalizedParentDomainName: parentDomainName.toLowerCase(),
+  };
 };
 
-// Comprehensive contract definition validator
-// Ensures the contract follows Dash Platform specification
-const validateContractDefinition = (contractDef) => {
-  // Handle both string and object input formats
-  const def =
-    typeof contractDef === 'string' ? JSON.parse(contractDef) : contractDef;
-
-  // Basic structure validation
-  if (!def || typeof def !== 'object' || Object.keys(def).length === 0) {
-    throw new Error('Contract must define at least one document type');
+// Parses --indices, a single index or an array of indices
+// The indices are checked with the rest of the contract by the linter
+const parseIndices = (json) => {
+  let indices;
+  try {
+    indices = JSON.parse(json);
+  } catch (error) {
+    throw new ValidationError(`Invalid indices format: ${error.message}`);
   }
-
-  // Validate each document type definition
-  Object.entries(def).forEach(([docType, schema]) => {
-    // Each document type must be an object
-    if (schema.type !== 'object') {
-      throw new Error(`Document type '${docType}' must have type:'object'`);
-    }
-
-    // Properties object is required and must be properly structured
-    if (!schema.properties || typeof schema.properties !== 'object') {
-      throw new Error(`Document type '${docType}' must define properties`);
-    }
-
-    // Validate each property has required fields
-    Object.entries(schema.properties).forEach(([propName, propDef]) => {
-      if (!propDef.type) {
-        throw new Error(
-          `Property '${propName}' in '${docType}' must have type`,
-        );
-      }
-      // Position is required for backwards compatibility in contract updates
-      if (typeof propDef.position !== 'number') {
-        throw new Error(
-          `Property '${propName}' in '${docType}' must have numeric position`,
-        );
-      }
-    });
-
-    // additionalProperties must be explicitly set for schema validation
-    if (typeof schema.additionalProperties !== 'boolean') {
-      throw new Error(
-        `Document type '${docType}' must specify additionalProperties as boolean`,
-      );
-    }
-  });
-
-  return true;
+  return Array.isArray(indices) ? indices : [indices];
 };
 
-//Find the starting block height for a Dash address by looking up its first transaction.
-//This optimizes wallet synchronization by starting from the block where the address was first used.
+// Lints a contract definition, failing on errors and logging warnings
+const checkContractDefinition = (documentSchemas, locate) => {
+  const findings = assertValidContract(documentSchemas, { locate });
+  if (findings.length > 0) {
+    logger.warn(
+      `Contract definition has ${summarize(findings)}:\n${formatFindings(findings)}`,
+    );
+  }
+};
 
-//Uses two APIs with fallback:
-//1. RPC API (primary) - Faster but may have temporary issues
-//2. Insight API (fallback) - More stable but slower
 // Finds the starting block height for a Dash address by looking up its first transaction
 // This optimizes wallet synchronization by starting from when the address was first used
+// The block explorers asked are configured per network, see dashExplorer.js
 const findStartHeight = async (args) => {
-  console.log('Finding the first transaction block for address');
+  logger.info('Finding the first transaction block for address');
   const address = getAddress(args);
   if (!address) {
-    throw new Error('Address is required for this operation');
+    throw new ValidationError('Address is required for this operation');
   }
 
   // Determine network with fallback chain: CLI args -> Environment -> Default mainnet
-  const network = args.network || process.env.NETWORK || 'mainnet';
-
-  try {
-    // Define API endpoints based on network
-    const insightApi =
-      network === 'testnet'
-        ? 'https://insight.testnet.networks.dash.org/insight-api'
-        : 'https://insight.dash.org/insight-api';
-
-    const rpcUrl =
-      network === 'testnet'
-        ? 'https://trpc.digitalcash.dev/'
-        : 'https://rpc.digitalcash.dev/';
-
-    // PRIMARY: Try RPC API first (faster)
-    try {
-      console.log(`Trying ${rpcUrl}...`);
-      // Step 1: Get all transaction IDs for the address
-      const txidsResponse = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          method: 'getaddresstxids',
-          params: [
-            {
-              addresses: [address],
-            },
-          ],
-        }),
-      });
-
-      // Check for RPC API errors
-      if (!txidsResponse.ok) {
-        throw new Error(`RPC API returned status ${txidsResponse.status}`);
-      }
-
-      const txidsData = await txidsResponse.json();
-
-      // Validate transaction data exists
-      if (
-        !txidsData.result ||
-        !Array.isArray(txidsData.result) ||
-        txidsData.result.length === 0
-      ) {
-        throw new Error('No transactions found in RPC response');
-      }
-
-      // Get the first (oldest) transaction ID
-      const firstTxId = txidsData.result[0];
+  const network = dashClient.resolveNetwork(args);
 
-      // Step 2: Get detailed transaction data to find block height
-      const txResponse = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          method: 'getrawtransaction',
-          params: [firstTxId, true],
-        }),
-      });
-
-      // Check for transaction lookup errors
-      if (!txResponse.ok) {
-        throw new Error(
-          `RPC API returned status ${txResponse.status} for transaction lookup`,
-        );
-      }
-
-      const txData = await txResponse.json();
-
-      // Validate block height exists and is valid
-      if (
-        !txData.result ||
-        !txData.result.height ||
-        txData.result.height <= 0
-      ) {
-        throw new Error('Invalid or missing block height in transaction data');
-      }
-
-      console.log(`First transaction ID: ${firstTxId}`);
-      console.log(`Found in block: ${txData.result.height}`);
-      return txData.result.height;
-    } catch (rpcError) {
-      // If RPC fails, log error and try Insight API
-      console.log(
-        'RPC API attempt failed, falling back to Insight API...',
-        rpcError.message,
-      );
-
-      // FALLBACK: Try Insight API
-      try {
-        console.log(`Trying ${insightApi}...`);
-
-        // Step 1: Get address information including transactions
-        const response = await fetch(`${insightApi}/addr/${address}`);
-
-        if (!response.ok) {
-          throw new Error(`Insight API returned status ${response.status}`);
-        }
-
-        const data = await response.json();
-
-        // Validate address has transactions
-        if (
-          !data ||
-          !data.transactions ||
-          !Array.isArray(data.transactions) ||
-          data.transactions.length === 0
-        ) {
-          throw new Error('No transactions found in Insight API response');
-        }
-
-        // Get transactions in reverse order (oldest first)
-        const txs = data.transactions.reverse();
-        console.log(`Found ${txs.length} transactions`);
-
-        // Step 2: Get first transaction details
-        const firstTxResponse = await fetch(`${insightApi}/tx/${txs[0]}`);
-
-        if (!firstTxResponse.ok) {
-          throw new Error(
-            `Insight API returned status ${firstTxResponse.status} for transaction lookup`,
-          );
-        }
-
-        const firstTx = await firstTxResponse.json();
-
-        // Validate block height exists and is valid
-        if (!firstTx || !firstTx.blockheight || firstTx.blockheight <= 0) {
-          throw new Error(
-            'Invalid or missing block height in transaction data',
-          );
-        }
+  // The memory simulator has no block explorer and its wallets are funded from
+  // the first block, so syncing can always start there
+  if (network === 'memory') {
+    return 1;
+  }
 
-        console.log(`First transaction ID: ${txs[0]}`);
-        console.log(`Found in block: ${firstTx.blockheight}`);
-        return firstTx.blockheight;
-      } catch (insightError) {
-        // If both APIs fail for valid reasons (e.g., new address with no transactions)
-        throw new Error(
-          'No transactions found for this address. Please verify the address is correct and has transaction history.',
-        );
-      }
-    }
-  } catch (error) {
-    // Catch any unexpected errors
-    throw new Error(`Could not find transaction history: ${error.message}`);
+  const cachedHeight = walletSyncState(args).startHeights[address];
+  if (cachedHeight) {
+    logger.info(`Using cached first transaction block: ${cachedHeight}`);
+    return cachedHeight;
   }
+
+  const providers = resolveProviders(network, args.explorerProviders);
+  const { txid, height } = await findFirstTransaction(address, providers);
+  logger.info(`First transaction ID: ${txid}`);
+  logger.info(`Found in block: ${height}`);
+  return rememberStartHeight(args, address, height);
 };
 
 // Helper function to get current best block height
@@ -280,22 +179,213 @@ const getBestBlockHeight = async (args) => {
   }
 };
 
+// Height to start syncing from for commands that only need recent wallet
+// state. The height the wallet last synced to saves connecting a client just
+// to ask for the best block, the cached wallet storage holds everything before
+const getSyncHeight = async (args) =>
+  walletSyncState(args).lastSyncedHeight || getBestBlockHeight(args);
+
+// Records the chain height the wallet synced to and disconnects the client
+// Failing to record it only means the next command asks for the height again
+const disconnectWallet = async (args, client) => {
+  try {
+    const height = await client.getDAPIClient().core.getBestBlockHeight();
+    saveWalletSyncState(args, {
+      lastSyncedHeight: height,
+      syncedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.debug(`Could not record the wallet sync height: ${error.message}`);
+  }
+  await client.disconnect();
+};
+
+// Probes are answered quickly by healthy nodes, don't wait for the others
+const PING_TIMEOUT_MS = 5000;
+
+// DPNS is deployed on every network, fetching it shows platform is served
+const DPNS_CONTRACT_ID = 'GWRSAVFMjXx8HpQFaNJMqBV7MBgMK4br5UESsB4S31Ec';
+
+// Probes one DAPI node: latency and best block height of its core chain, its
+// version and whether it serves platform requests
+const probeNode = async (args, address) => {
+  const client = dashClient({
+    ...args,
+    dapiAddresses: [address],
+    sharedClient: false,
+    dapiRetries: 0,
+    dapiTimeout: PING_TIMEOUT_MS,
+  });
+  const result = {
+    address,
+    latencyMs: null,
+    coreHeight: null,
+    platform: null,
+    version: null,
+    error: null,
+  };
+  try {
+    const dapi = client.getDAPIClient();
+    const started = Date.now();
+    result.coreHeight = await dapi.core.getBestBlockHeight();
+    result.latencyMs = Date.now() - started;
+    try {
+      const status = await dapi.core.getStatus();
+      result.version = status.version.agent || status.version.software;
+    } catch (error) {
+      logger.debug(`${address} did not report its version: ${error.message}`);
+    }
+    try {
+      await client.platform.contracts.get(DPNS_CONTRACT_ID);
+      result.platform = true;
+    } catch (error) {
+      result.platform = false;
+      result.error = `platform: ${error.message}`;
+    }
+  } catch (error) {
+    result.error = error.message;
+  } finally {
+    await client.disconnect();
+  }
+  return result;
+};
+
+// Checks every configured DAPI node of the network and remembers the results,
+// so following commands skip unreachable nodes and prefer fast ones
+const pingNodes = async (args) => {
+  const network = dashClient.resolveNetwork(args);
+  if (network === 'memory') {
+    throw new ValidationError('The memory network has no DAPI nodes to ping');
+  }
+  // runCommand passes the parsed addresses, library callers may pass the JSON
+  const addresses = args.dapiAddresses
+    ? parseDapiAddresses(args.dapiAddresses)
+    : dashClient.getDapiAddresses(network);
+  logger.info(`Pinging ${addresses.length} DAPI nodes...`);
+  const results = rateProbes(
+    await Promise.all(addresses.map((address) => probeNode(args, address))),
+  );
+  saveNodeHealth(network, results);
+  return results;
+};
+
+// Fetches an identity by ID and fails with a NotFoundError if it does not exist
+const fetchIdentity = async (client, identityId) => {
+  const identity = await client.platform.identities.get(identityId);
+  if (!identity) {
+    throw new NotFoundError(`Identity not found with ID: ${identityId}`, {
+      code: 'IDENTITY_NOT_FOUND',
+      suggestions: [
+        'Check if the identity ID is correct',
+        'Ensure the identity exists on the network',
+        'Verify network connectivity',
+      ],
+    });
+  }
+  return identity;
+};
+
+// Contract schemas are cached locally so validation and query checks do not
+// fetch the contract every time. updateContract drops the cached entry
+const SCHEMA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const contractCacheKey = (args) =>
+  `${dashClient.resolveNetwork(args)}-${getContractId(args)}`;
+
+// Returns a document type schema from contract JSON, with the contract's
+// schema definitions attached so $ref values resolve
+const documentSchemaFrom = (contract, documentType, source) => {
+  const schema = contract.documentSchemas[documentType];
+  if (!schema) {
+    throw new NotFoundError(
+      `Document type "${documentType}" not found in ${source}`,
+      {
+        suggestions: [
+          `Available document types: ${Object.keys(contract.documentSchemas).join(', ')}`,
+        ],
+      },
+    );
+  }
+  return contract.schemaDefs
+    ? { ...schema, $defs: contract.schemaDefs }
+    : schema;
+};
+
+// Fetches the schema of args.documentType, failing with a NotFoundError if the
+// contract or the document type does not exist
+// --refresh-schema skips the cache, a cached contract without the document type
+// is fetched again in case a newer version added it
+const fetchDocumentSchema = async (client, args) => {
+  const contractId = getContractId(args);
+  const cacheKey = contractCacheKey(args);
+  let contract = args.refreshSchema
+    ? undefined
+    : readCache('contracts', cacheKey, SCHEMA_CACHE_TTL_MS);
+  if (!contract || !contract.documentSchemas[args.documentType]) {
+    const fetched = await client.platform.contracts.get(contractId);
+    if (!fetched) {
+      throw new NotFoundError(`Contract not found with ID: ${contractId}`);
+    }
+    contract = writeCache('contracts', cacheKey, toPlainData(fetched.toJSON()));
+  }
+  return documentSchemaFrom(
+    contract,
+    args.documentType,
+    `contract ${contractId}`,
+  );
+};
+
+// Reads --input-file and validates every row against the document schema
+// CSV cells are typed from the schema unless --column-types says otherwise
+// Invalid rows get an error message and the list of schema violations
+const readDocumentRecords = (args, schema) =>
+  documentIO
+    .readDocumentFile(args.inputFile, {
+      format: args.inputFormat,
+      columnTypes: {
+        ...documentIO.columnTypesFromSchema(schema),
+        ...documentIO.parseColumnTypes(args.columnTypes),
+      },
+    })
+    .map((record) => {
+      if (record.error) {
+        return record;
+      }
+      const violations = schemaValidator.validateDocument(schema, record.data);
+      if (violations.length === 0) {
+        return record;
+      }
+      return {
+        ...record,
+        violations,
+        error: violations
+          .map((violation) => `${violation.path}: ${violation.message}`)
+          .join('; '),
+      };
+    });
+
+// Errors that will fail every following batch too, so an import stops on them
+const isFatalImportError = (error) =>
+  error instanceof NetworkError ||
+  error instanceof InsufficientCreditsError ||
+  error instanceof WalletSyncError;
+
 // Gets an unused address from the wallet account
 // Used for receiving funds and creating new identities
 const getUnusedAddress = async (args) => {
-  if (!process.env.MNEMONIC) {
-    throw new Error('No wallet mnemonic configured');
+  if (!dashClient.getMnemonic(args)) {
+    throw new ValidationError('No wallet mnemonic configured');
   }
 
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
-    console.log('Getting wallet account, please wait...');
+    logger.info('Getting wallet account, please wait...');
     const account = await client.getWalletAccount();
     const address = account.getUnusedAddress();
     return { address: address.address };
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
@@ -306,6 +396,7 @@ const createWallet = async (args) => {
   try {
     const account = await client.getWalletAccount();
     const mnemonic = client.wallet.exportWallet();
+    logger.addSecret(mnemonic);
     return { mnemonic };
   } finally {
     await client.disconnect();
@@ -317,19 +408,19 @@ const createWallet = async (args) => {
 const createIdentity = async (args) => {
   const address = getAddress(args);
   if (!address) {
-    throw new Error('Address is required for creating an identity');
+    throw new ValidationError('Address is required for creating an identity');
   }
   const height = await findStartHeight(args);
   const client = dashClient({ ...args, height });
   try {
-    console.log('Creating identity. Please wait while the core chain syncs...');
+    logger.info('Creating identity. Please wait while the core chain syncs...');
     const identity = await client.platform.identities.register();
     return identity.toJSON();
   } catch (error) {
-    throw new Error(`Failed to create identity: ${error.message}`);
+    throw classifyError(error, 'Failed to create identity');
   } finally {
     if (client && client.disconnect) {
-      await client.disconnect();
+      await disconnectWallet(args, client);
     }
   }
 };
@@ -339,17 +430,33 @@ const createIdentity = async (args) => {
 const retrieveIdentity = async (args) => {
   const identityId = getIdentityId(args);
   if (!identityId) {
-    throw new Error('Identity ID is required.');
+    throw new ValidationError('Identity ID is required.');
   }
   const client = dashClient(args);
   try {
-    const identity = await client.platform.identities.get(identityId);
+    const identity = await fetchIdentity(client, identityId);
     return identity.toJSON();
   } finally {
     await client.disconnect();
   }
 };
 
+const parseTopupAmount = (topupAmount) => {
+  if (!topupAmount) {
+    throw new ValidationError(
+      `Topup amount is required. Minimum ${MINIMUM_TOPUP_AMOUNT} duffs = 50000000 credits`,
+    );
+  }
+
+  const parsedAmount = parseInt(topupAmount);
+  if (!(parsedAmount >= MINIMUM_TOPUP_AMOUNT)) {
+    throw new ValidationError(
+      `Topup amount must be at least ${MINIMUM_TOPUP_AMOUNT} duffs = 50000000 credits`,
+    );
+  }
+  return parsedAmount;
+};
+
 // Adds credits to an identity for platform operations
 // Credits are required for name registration and document operations
 // The minimum topup amount is 50000 duffs which converts to 50,000,000 credits
@@ -361,60 +468,436 @@ const topupIdentity = async (args) => {
 
   // Validate required params
   if (!identityId) {
-    throw new Error('Identity ID is required.');
+    throw new ValidationError('Identity ID is required.');
   }
 
   if (!address) {
-    throw new Error('Address is required.');
+    throw new ValidationError('Address is required.');
   }
 
-  if (!topupAmount) {
-    throw new Error(
-      `Topup amount is required. Minimum ${MINIMUM_TOPUP_AMOUNT} duffs = 50000000 credits`,
+  const parsedAmount = parseTopupAmount(topupAmount);
+  const height = await findStartHeight(args);
+  const client = dashClient({ ...args, height });
+  try {
+    logger.info(
+      'Topping up identity. Please wait while the core chain syncs...',
     );
+    await client.platform.identities.topUp(identityId, parsedAmount);
+    const updatedIdentity = await fetchIdentity(client, identityId);
+    return updatedIdentity.toJSON();
+  } finally {
+    await disconnectWallet(args, client);
   }
+};
 
-  const parsedAmount = parseInt(topupAmount);
-  if (parsedAmount < MINIMUM_TOPUP_AMOUNT) {
-    throw new Error(
-      `Topup amount must be at least ${MINIMUM_TOPUP_AMOUNT} duffs = 50000000 credits`,
+// Shows the credit balance of an identity in credits, duffs and DASH
+// Only reads the identity, so no wallet is needed
+const identityBalance = async (args) => {
+  const identityId = getIdentityId(args);
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required.');
+  }
+  const client = dashClient(args);
+  try {
+    const identity = await fetchIdentity(client, identityId);
+    return {
+      identityId,
+      ...creditAmounts(BigInt(identity.getBalance())),
+    };
+  } finally {
+    await client.disconnect();
+  }
+};
+
+// Tops up an identity with --topup-amount duffs only when its balance is below
+// --min-credits, so it can run from cron to keep app identities funded
+// The wallet is only synced when a top-up is needed
+const ensureBalance = async (args) => {
+  const identityId = getIdentityId(args);
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required.');
+  }
+  const minCredits = Number(args.minCredits);
+  if (!Number.isSafeInteger(minCredits) || minCredits <= 0) {
+    throw new ValidationError('--min-credits must be a positive integer');
+  }
+  // Checked up front so a misconfigured job fails before it is needed
+  const topupAmount = parseTopupAmount(args.topupAmount);
+  if (!getAddress(args)) {
+    throw new ValidationError('Address is required.');
+  }
+
+  const before = creditAmounts((await identityBalance(args)).credits);
+  if (before.credits >= minCredits) {
+    logger.info(
+      `Balance of ${before.credits} credits is not below ${minCredits}, no top-up needed`,
     );
+    return {
+      identityId,
+      minCredits,
+      toppedUp: false,
+      topupAmount: null,
+      before,
+      after: before,
+    };
   }
 
-  const height = await findStartHeight(args);
+  logger.info(
+    `Balance of ${before.credits} credits is below ${minCredits}, topping up ${topupAmount} duffs`,
+  );
+  const updatedIdentity = await topupIdentity(args);
+  const after = creditAmounts(BigInt(updatedIdentity.balance));
+  if (after.credits < minCredits) {
+    logger.warn(
+      `Balance of ${after.credits} credits is still below ${minCredits}, raise --topup-amount`,
+    );
+  }
+  return { identityId, minCredits, toppedUp: true, topupAmount, before, after };
+};
+
+const parseCredits = (amount) => {
+  const credits = Number(amount);
+  if (!Number.isSafeInteger(credits) || credits <= 0) {
+    throw new ValidationError('--amount must be a positive number of credits');
+  }
+  return credits;
+};
+
+// Fails before anything is signed when the balance can't cover an amount
+// The fee comes on top, it is only known once the transition is signed
+const checkBalance = (identity, credits, operation) => {
+  const balance = Number(identity.getBalance());
+  if (balance < credits) {
+    throw new InsufficientCreditsError(
+      `Insufficient identity balance for ${operation}: ${credits} credits requested, identity ${identity.getId().toString()} has ${balance}`,
+    );
+  }
+  return balance;
+};
+
+// Moves credits from one identity of the wallet to any other identity
+// --from-identity defaults to --identity-id, the amount is in credits
+const transferCredits = async (args) => {
+  const fromIdentityId = args.fromIdentity || getIdentityId(args);
+  const toIdentityId = args.toIdentity;
+  if (!fromIdentityId || !toIdentityId) {
+    throw new ValidationError(
+      'Sender and recipient are required (--from-identity and --to-identity)',
+    );
+  }
+  if (fromIdentityId === toIdentityId) {
+    throw new ValidationError('Sender and recipient must be different');
+  }
+  const credits = parseCredits(args.amount);
+
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
-    console.log(
-      'Topping up identity. Please wait while the core chain syncs...',
+    const sender = await fetchIdentity(client, fromIdentityId);
+    const recipient = await fetchIdentity(client, toIdentityId);
+    const senderBefore = checkBalance(sender, credits, 'credit transfer');
+    const recipientBefore = Number(recipient.getBalance());
+
+    const transfer = () =>
+      client.platform.identities.creditTransfer(
+        sender,
+        recipient.getId(),
+        credits,
+      );
+    if (args.dryRun) {
+      return await dryRun(client, sender, 'transferCredits', transfer, {
+        amount: credits,
+      });
+    }
+    logger.info(
+      `Transferring ${credits} credits from ${fromIdentityId} to ${toIdentityId}...`,
     );
-    await client.platform.identities.topUp(identityId, parsedAmount);
-    const updatedIdentity = await client.platform.identities.get(identityId);
-    return updatedIdentity.toJSON();
+    await transfer();
+    const [senderAfter, recipientAfter] = await Promise.all(
+      [fromIdentityId, toIdentityId].map(async (identityId) =>
+        Number((await fetchIdentity(client, identityId)).getBalance()),
+      ),
+    );
+    return {
+      amount: credits,
+      fee: senderBefore - senderAfter - credits,
+      from: {
+        identityId: fromIdentityId,
+        balanceBefore: senderBefore,
+        balanceAfter: senderAfter,
+      },
+      to: {
+        identityId: toIdentityId,
+        balanceBefore: recipientBefore,
+        balanceAfter: recipientAfter,
+      },
+    };
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
+  }
+};
+
+// Withdraws credits of an identity to a core chain address
+// The platform pays out whole duffs, so the amount is a multiple of 1000 credits
+const withdrawCredits = async (args) => {
+  const identityId = getIdentityId(args);
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required.');
+  }
+  if (!args.toAddress) {
+    throw new ValidationError(
+      'A core chain address is required (--to-address)',
+    );
+  }
+  if (!dashClient.isCoreAddress(args.toAddress, args)) {
+    throw new ValidationError(
+      `--to-address "${args.toAddress}" is not a core chain address on ${dashClient.resolveNetwork(args)}`,
+    );
+  }
+  const credits = parseCredits(args.amount);
+  if (credits % CREDITS_PER_DUFF !== 0) {
+    throw new ValidationError(
+      `--amount must be a multiple of ${CREDITS_PER_DUFF} credits (1 duff)`,
+    );
+  }
+
+  const height = await getSyncHeight(args);
+  const client = dashClient({ ...args, height });
+  try {
+    const identity = await fetchIdentity(client, identityId);
+    const balanceBefore = checkBalance(identity, credits, 'credit withdrawal');
+
+    const withdraw = () =>
+      client.platform.identities.withdrawCredits(identity, credits, {
+        toAddress: args.toAddress,
+      });
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'withdrawCredits', withdraw, {
+        amount: credits,
+      });
+    }
+    logger.info(
+      `Withdrawing ${credits} credits (${credits / CREDITS_PER_DUFF} duffs) to ${args.toAddress}...`,
+    );
+    await withdraw();
+    const balanceAfter = Number(
+      (await fetchIdentity(client, identityId)).getBalance(),
+    );
+    return {
+      identityId,
+      amount: credits,
+      toAddress: args.toAddress,
+      fee: balanceBefore - balanceAfter - credits,
+      balanceBefore,
+      balanceAfter,
+    };
+  } finally {
+    await disconnectWallet(args, client);
+  }
+};
+
+// With --dry-run a write builds and signs its state transitions but none is
+// broadcast, and reports their total size and estimated fee (and each
+// transition's, registerName builds two) and the identity balance before and
+// after instead. An insufficient balance is reported with sufficient: false
+// and a warning
+// label is the name for registerName, which pays a fee by name length, amount
+// the credits a transfer or withdrawal takes from the balance on top of the fee
+const dryRun = async (
+  client,
+  identity,
+  operation,
+  broadcast,
+  { label, amount = 0 } = {},
+) => {
+  logger.info('Dry run, state transitions will not be broadcast');
+  const sizes = (await captureStateTransitions(client, broadcast)).map(
+    (stateTransition) => stateTransition.length,
+  );
+  const fees = estimateFees(operation, sizes, label);
+  const size = sizes.reduce((total, transitionSize) => total + transitionSize);
+  const estimatedFee = fees.reduce((total, fee) => total + fee);
+  const balance = Number(identity.getBalance());
+  const sufficient = balance >= estimatedFee + amount;
+  if (!sufficient) {
+    logger.warn(
+      `Insufficient balance: ${operation} needs about ${estimatedFee + amount} credits, the identity has ${balance}`,
+    );
   }
+  return {
+    dryRun: true,
+    operation,
+    identityId: identity.getId().toString(),
+    size,
+    stateTransitions: sizes.map((transitionSize, index) => ({
+      size: transitionSize,
+      estimatedFee: fees[index],
+    })),
+    ...(amount > 0 && { amount }),
+    estimatedFee,
+    balance,
+    balanceAfter: balance - estimatedFee - amount,
+    sufficient,
+  };
 };
 
 // Registers a name for a Dash Platform identity
 // The name must follow platform naming rules and be available
 const registerName = async (args) => {
   if (!args.identityName) {
-    throw new Error('Identity Name is required.');
+    throw new ValidationError('Identity Name is required.');
   }
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   validateIdentityName(args.identityName);
 
   const client = dashClient({ ...args, height });
   try {
     const identityId = getIdentityId(args);
-    const identity = await client.platform.identities.get(identityId);
-    console.log('Registering name. Please wait...');
-    const nameRegistration = await client.platform.names.register(
-      `${args.identityName}.dash`,
-      { identity: identity.getId() },
-      identity,
-    );
+    const identity = await fetchIdentity(client, identityId);
+    const register = () =>
+      client.platform.names.register(
+        `${args.identityName}.dash`,
+        { identity: identity.getId() },
+        identity,
+      );
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'registerName', register, {
+        label: args.identityName,
+      });
+    }
+    logger.info('Registering name. Please wait...');
+    const nameRegistration = await register();
     return nameRegistration.toJSON();
+  } finally {
+    await disconnectWallet(args, client);
+  }
+};
+
+// A DPNS domain document as a name entry
+const nameEntry = (document) => {
+  const data = toPlainData(document.toJSON());
+  return {
+    name: `${data.label}.${data.parentDomainName}`,
+    normalizedName: `${data.normalizedLabel}.${data.normalizedParentDomainName}`,
+    identityId: data.records && data.records.identity,
+    documentId: data.$id,
+  };
+};
+
+// Fetches every domain document matching where, a page at a time
+const fetchDomains = async (client, where, orderBy, limit = Infinity) => {
+  const domains = [];
+  let startAfter;
+  while (domains.length < limit) {
+    const page = await client.platform.documents.get('dpns.domain', {
+      where,
+      ...(orderBy && { orderBy }),
+      limit: Math.min(MAX_QUERY_LIMIT, limit - domains.length),
+      ...(startAfter && { startAfter }),
+    });
+    domains.push(...page);
+    if (page.length < MAX_QUERY_LIMIT) {
+      break;
+    }
+    startAfter = page[page.length - 1].getId();
+  }
+  return domains.map(nameEntry);
+};
+
+// Finds the domain document of a name, or undefined when it is not registered
+const findName = async (client, parsed) => {
+  const [domain] = await fetchDomains(
+    client,
+    [
+      ['normalizedParentDomainName', '==', parsed.normalizedParentDomainName],
+      ['normalizedLabel', '==', parsed.normalizedLabel],
+    ],
+    undefined,
+    1,
+  );
+  return domain;
+};
+
+// Resolves a DPNS name such as alice.dash to the identity it points to
+const resolveName = async (args) => {
+  const parsed = parseName(args.identityName);
+  const client = dashClient(args);
+  try {
+    const domain = await findName(client, parsed);
+    if (!domain) {
+      throw new NotFoundError(
+        `Name ${parsed.label}.${parsed.parentDomainName} is not registered`,
+        {
+          code: 'NAME_NOT_FOUND',
+          suggestions: ['Register it with the registerName command'],
+        },
+      );
+    }
+    return domain;
+  } finally {
+    await client.disconnect();
+  }
+};
+
+// Lists the names that point to an identity
+const listNames = async (args) => {
+  const identityId = getIdentityId(args);
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required.');
+  }
+  const client = dashClient(args);
+  try {
+    return await fetchDomains(client, [['records.identity', '==', identityId]]);
+  } finally {
+    await client.disconnect();
+  }
+};
+
+// Lists the .dash names starting with --prefix, matched on the normalized
+// label so "Al" also finds "a1ice"
+const searchNames = async (args) => {
+  const prefix = args.prefix;
+  if (!prefix || !/^[a-zA-Z0-9-]{1,63}$/.test(prefix)) {
+    throw new ValidationError(
+      'A --prefix of letters, numbers and hyphens is required',
+    );
+  }
+  const limit = Number(args.limit || MAX_QUERY_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('--limit must be a positive integer');
+  }
+  const client = dashClient(args);
+  try {
+    return await fetchDomains(
+      client,
+      [
+        ['normalizedParentDomainName', '==', 'dash'],
+        ['normalizedLabel', 'startsWith', normalizeLabel(prefix)],
+      ],
+      [['normalizedLabel', 'asc']],
+      limit,
+    );
+  } finally {
+    await client.disconnect();
+  }
+};
+
+// Checks whether a name is valid and still available before registerName
+// Reports the registration fee and, for taken names, who owns them
+const checkName = async (args) => {
+  const parsed = parseName(args.identityName);
+  const client = dashClient(args);
+  try {
+    const domain = await findName(client, parsed);
+    return {
+      name: `${parsed.label}.${parsed.parentDomainName}`,
+      normalizedName: `${parsed.normalizedLabel}.${parsed.normalizedParentDomainName}`,
+      available: !domain,
+      premium: isPremiumName(parsed.label),
+      fee: nameFee(parsed.label),
+      registeredName: domain ? domain.name : null,
+      identityId: domain ? domain.identityId : null,
+    };
   } finally {
     await client.disconnect();
   }
@@ -423,57 +906,78 @@ const registerName = async (args) => {
 // Retrieves all identity IDs associated with the current wallet
 // Useful for managing multiple identities
 const getIdentityIds = async (args) => {
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
     const account = await client.getWalletAccount();
     const identityIds = await account.identities.getIdentityIds();
     return identityIds;
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
+// Reads a contract definition from --contract-file (JSON or YAML, with
+// includes) or --contract-def
+const readContractDefinition = (args) => {
+  if (args.contractFile) {
+    return loadContractFile(args.contractFile);
+  }
+  if (args.contractDef) {
+    try {
+      return { documentSchemas: JSON.parse(args.contractDef) };
+    } catch (error) {
+      throw new ValidationError(
+        `Contract definition is not valid JSON: ${error.message}`,
+      );
+    }
+  }
+  throw new ValidationError(
+    'A contract definition is required. Use --contract-file or --contract-def',
+  );
+};
+
 // Registers a new data contract on Dash Platform
 // Handles contract validation, indices setup, and history configuration
 const registerContract = async (args) => {
   const identityId = getIdentityId(args);
   if (!identityId) {
-    throw new Error('Identity ID is required.');
+    throw new ValidationError('Identity ID is required.');
   }
-  const height = await getBestBlockHeight(args);
-  const client = dashClient({ ...args, height });
-  try {
-    const identity = await client.platform.identities.get(identityId);
-
-    // Validate and parse contract definition
-    validateContractDefinition(args.contractDef);
-    const documents = JSON.parse(args.contractDef);
 
-    // If indices are provided separately, merge them into the contract
-    if (args.indices) {
-      try {
-        const newIndices = JSON.parse(args.indices);
-        const validatedIndices = validateIndices(newIndices);
-
-        Object.keys(documents).forEach((docType) => {
-          if (!args.documentType || docType === args.documentType) {
-            documents[docType].indices = documents[docType].indices || [];
-            documents[docType].indices = [
-              ...documents[docType].indices,
-              ...validatedIndices,
-            ];
-          }
-        });
-      } catch (e) {
-        throw new Error(`Invalid indices format: ${e.message}`);
+  // Load and parse contract definition
+  const {
+    documentSchemas: documents,
+    schemaDefs,
+    locate,
+  } = readContractDefinition(args);
+
+  // If indices are provided separately, merge them into the contract
+  if (args.indices) {
+    const newIndices = parseIndices(args.indices);
+    Object.keys(documents).forEach((docType) => {
+      if (!args.documentType || docType === args.documentType) {
+        documents[docType].indices = [
+          ...(documents[docType].indices || []),
+          ...newIndices,
+        ];
       }
-    }
+    });
+  }
+  checkContractDefinition(documents, locate);
+
+  const height = await getSyncHeight(args);
+  const client = dashClient({ ...args, height });
+  try {
+    const identity = await fetchIdentity(client, identityId);
 
     const contract = await client.platform.contracts.create(
       documents,
       identity,
     );
+    if (schemaDefs) {
+      contract.setSchemaDefs(schemaDefs);
+    }
 
     if (args.keepHistory) {
       contract.setConfig({
@@ -481,107 +985,293 @@ const registerContract = async (args) => {
       });
     }
 
-    await client.platform.contracts.publish(contract, identity);
-    return util.inspect(contract.toJSON(), { depth: null, colors: true });
+    const publish = () => client.platform.contracts.publish(contract, identity);
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'registerContract', publish);
+    }
+    await publish();
+    return contract.toJSON();
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
-// Updates an existing contract with new properties or indices
-// Handles schema validation and ensures backward compatibility
+// Applies --new-properties and --indices to one document type
+// A document type that doesn't exist yet is created from the new properties
+const updatedDocumentSchema = (documentSchemas, args) => {
+  if (!args.documentType) {
+    throw new ValidationError(
+      'Document type is required for --new-properties and --indices',
+    );
+  }
+  const documentSchema = documentSchemas[args.documentType];
+  if (!documentSchema && !args.newProperties) {
+    throw new NotFoundError(
+      `Document type "${args.documentType}" not found in contract`,
+      {
+        suggestions: [
+          'Pass --new-properties to add it as a new document type',
+          'Or pass its full definition with --contract-file or --contract-def',
+        ],
+      },
+    );
+  }
+
+  // Create a deep copy of the existing schema to work with
+  const updatedSchema = documentSchema
+    ? JSON.parse(JSON.stringify(documentSchema))
+    : { type: 'object', properties: {}, additionalProperties: false };
+
+  // Parse and add new properties from JSON string
+  if (args.newProperties) {
+    const newProperties = JSON.parse(args.newProperties);
+
+    // Merge new properties with existing ones
+    updatedSchema.properties = {
+      ...updatedSchema.properties,
+      ...newProperties,
+    };
+  }
+
+  // Handle indices if provided
+  if (args.indices) {
+    // Merge with existing indices or create new indices array
+    updatedSchema.indices = [
+      ...(updatedSchema.indices || []),
+      ...parseIndices(args.indices),
+    ];
+  }
+  return updatedSchema;
+};
+
+// Updates an existing contract in a single state transition
+// The changes come from a reviewed plan (--from-plan), a partial or full
+// definition covering several document types (--contract-file/--contract-def)
+// or new properties and indices for one type. Document types that don't exist
+// yet are added, types not mentioned are left unchanged
 // Requires the contract owner's identity for authorization
 const updateContract = async (args) => {
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
     const identityId = getIdentityId(args);
     const contractId = getContractId(args);
 
     if (!identityId) {
-      throw new Error('Identity ID is required.');
+      throw new ValidationError('Identity ID is required.');
+    }
+    if (!contractId) {
+      throw new ValidationError('Contract ID is required.');
+    }
+
+    const identity = await fetchIdentity(client, identityId);
+    const existingContract = await client.platform.contracts.get(contractId);
+    if (!existingContract) {
+      throw new NotFoundError(`Contract not found with ID: ${contractId}`);
+    }
+    const { documentSchemas, schemaDefs } = toPlainData(
+      existingContract.toJSON(),
+    );
+
+    // The updated schemas by document type, checked with the contract linter
+    let updates;
+    // The new schema definitions, only when the definition has them
+    let updatedDefs;
+    if (args.fromPlan) {
+      // A reviewed plan replaces exactly the document types it changes
+      const plan = readPlanFile(args.fromPlan);
+      const changes = verifyPlan(plan, toPlainData(existingContract.toJSON()));
+      updates = Object.fromEntries(
+        [...new Set(changes.map((change) => change.documentType))].map(
+          (documentType) => [documentType, plan.documentSchemas[documentType]],
+        ),
+      );
+      checkContractDefinition(updates);
+    } else if (args.contractFile || args.contractDef) {
+      const definition = readContractDefinition(args);
+      updates = definition.documentSchemas;
+      updatedDefs = definition.schemaDefs;
+      checkContractDefinition(updates, definition.locate);
+    } else {
+      updates = {
+        [args.documentType]: updatedDocumentSchema(documentSchemas, args),
+      };
+      checkContractDefinition(updates);
+    }
+
+    // Reject changes the platform doesn't allow before signing, with the
+    // rules planContract shows
+    const rejected = diffContractSchemas(
+      documentSchemas,
+      { ...documentSchemas, ...updates },
+      schemaDefs,
+      updatedDefs,
+    ).filter((change) => !change.allowed);
+    if (rejected.length > 0) {
+      throw new ValidationError(
+        `Contract update contains changes that are not allowed by the platform:\n${rejected
+          .map((change) => `  - ${change.path}: ${change.reason}`)
+          .join('\n')}`,
+        {
+          suggestions: [
+            'Run planContract with the full definition to review every change',
+          ],
+        },
+      );
+    }
+
+    // Update the contract with the modified schemas and definitions
+    if (updatedDefs) {
+      existingContract.setSchemaDefs(updatedDefs);
+    }
+    Object.entries(updates).forEach(([documentType, schema]) => {
+      existingContract.setDocumentSchema(documentType, schema);
+    });
+
+    // Sign and submit the updated contract
+    const update = () =>
+      client.platform.contracts.update(existingContract, identity);
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'updateContract', update);
+    }
+    await update();
+    deleteCache('contracts', contractCacheKey(args));
+    return existingContract.toJSON();
+  } catch (error) {
+    throw classifyError(error, 'Failed to update contract');
+  } finally {
+    await disconnectWallet(args, client);
+  }
+};
+
+const readPlanFile = (file) => {
+  if (!fs.existsSync(file)) {
+    throw new ValidationError(`Plan file not found: ${file}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`${file} is not valid JSON: ${error.message}`);
+  }
+};
+
+// Compares a full local contract definition with the deployed contract
+// Lists added, removed and changed document types, properties and indices and
+// whether the platform allows each change. --plan-file saves the plan so
+// updateContract --from-plan applies exactly what was reviewed
+const planContract = async (args) => {
+  const contractId = getContractId(args);
+  if (!contractId) {
+    throw new ValidationError('Contract ID is required.');
+  }
+  const { documentSchemas: target, locate } = readContractDefinition(args);
+  checkContractDefinition(target, locate);
+  const client = dashClient(args);
+  try {
+    const contract = await client.platform.contracts.get(contractId);
+    if (!contract) {
+      throw new NotFoundError(`Contract not found with ID: ${contractId}`);
     }
-    if (!contractId) {
-      throw new Error('Contract ID is required.');
+    const plan = createPlan(toPlainData(contract.toJSON()), target);
+    if (args.planFile) {
+      fs.writeFileSync(args.planFile, `${JSON.stringify(plan, null, 2)}\n`);
     }
+    return plan;
+  } catch (error) {
+    throw classifyError(error, 'Failed to plan contract update');
+  } finally {
+    await client.disconnect();
+  }
+};
 
-    const identity = await client.platform.identities.get(identityId);
-    const existingContract = await client.platform.contracts.get(contractId);
-
-    // Get the existing document schema
-    const documentSchema = existingContract.getDocumentSchema(
-      args.documentType,
-    );
-    if (!documentSchema) {
-      throw new Error(
-        `Document type "${args.documentType}" not found in contract`,
+// Lints a contract definition against the platform's data contract rules
+// Works offline on --contract-file or --contract-def, or on a deployed
+// contract with --contract-id. Reports every error and warning at once
+const validateContract = async (args) => {
+  let definition;
+  if (args.contractFile || args.contractDef) {
+    definition = readContractDefinition(args);
+  } else {
+    const contractId = getContractId(args);
+    if (!contractId) {
+      throw new ValidationError(
+        'A contract file, contract definition or contract ID is required.',
       );
     }
+    const client = dashClient(args);
+    try {
+      const contract = await client.platform.contracts.get(contractId);
+      if (!contract) {
+        throw new NotFoundError(`Contract not found with ID: ${contractId}`);
+      }
+      definition = toPlainData(contract.toJSON());
+    } catch (error) {
+      throw classifyError(error, 'Failed to retrieve contract');
+    } finally {
+      await client.disconnect();
+    }
+  }
+  const findings = lintContract(definition.documentSchemas, {
+    locate: definition.locate,
+  });
+  return {
+    valid: findings.every((finding) => finding.severity !== 'error'),
+    summary: summarize(findings),
+    findings,
+  };
+};
 
-    // Create a deep copy of the existing schema to work with
-    const updatedSchema = JSON.parse(JSON.stringify(documentSchema));
-
-    // Parse and add new properties from JSON string
-    if (args.newProperties) {
-      const newProperties = JSON.parse(args.newProperties);
-
-      // Validate that new property positions don't conflict with existing ones
-      const existingPositions = new Set(
-        Object.values(updatedSchema.properties).map((prop) => prop.position),
+// Generates TypeScript declarations and a typed helper module for a contract
+// The contract comes from --contract-file (offline) or is retrieved by ID.
+// Writes <output-file> (default contract.js) and the .d.ts next to it
+const generateTypes = async (args) => {
+  let contract;
+  if (args.contractFile) {
+    const definition = loadContractFile(args.contractFile);
+    contract = {
+      ...definition,
+      id: definition.id || getContractId(args),
+      version: definition.version || 1,
+    };
+    if (!contract.id) {
+      throw new ValidationError(
+        'Contract ID is required for the generated client. Use --contract-id or a file saved with retrieveContract --output json',
       );
-
-      Object.entries(newProperties).forEach(([propName, propDef]) => {
-        if (existingPositions.has(propDef.position)) {
-          throw new Error(
-            `Position ${propDef.position} is already used by another property`,
-          );
-        }
-        if (typeof propDef.position !== 'number') {
-          throw new Error(
-            `Property "${propName}" must have a numeric position`,
-          );
-        }
-        if (!propDef.type) {
-          throw new Error(`Property "${propName}" must have a type`);
-        }
-      });
-
-      // Merge new properties with existing ones
-      updatedSchema.properties = {
-        ...updatedSchema.properties,
-        ...newProperties,
-      };
     }
-
-    // Handle indices if provided
-    if (args.indices) {
-      let newIndices;
-      try {
-        newIndices = JSON.parse(args.indices);
-        newIndices = validateIndices(newIndices);
-      } catch (e) {
-        throw new Error(`Invalid indices format: ${e.message}`);
+  } else {
+    const contractId = getContractId(args);
+    if (!contractId) {
+      throw new ValidationError('A contract ID or contract file is required.');
+    }
+    const client = dashClient(args);
+    try {
+      const fetched = await client.platform.contracts.get(contractId);
+      if (!fetched) {
+        throw new NotFoundError(`Contract not found with ID: ${contractId}`);
       }
-
-      // Merge with existing indices or create new indices array
-      updatedSchema.indices = updatedSchema.indices || [];
-      updatedSchema.indices = [...updatedSchema.indices, ...newIndices];
+      contract = toPlainData(fetched.toJSON());
+    } catch (error) {
+      throw classifyError(error, 'Failed to retrieve contract');
+    } finally {
+      await client.disconnect();
     }
+  }
 
-    // Update the contract with the modified schema
-    existingContract.setDocumentSchema(args.documentType, updatedSchema);
-
-    // Sign and submit the updated contract
-    await client.platform.contracts.update(existingContract, identity);
-    return util.inspect(existingContract.toJSON(), {
-      depth: null,
-      colors: true,
-    });
-  } catch (error) {
-    throw new Error(`Failed to update contract: ${error.message}`);
-  } finally {
-    await client.disconnect();
+  const moduleFile = args.outputFile || 'contract.js';
+  if (!moduleFile.endsWith('.js')) {
+    throw new ValidationError('Output file for generateTypes must end in .js');
   }
+  const declarationFile = moduleFile.replace(/\.js$/, '.d.ts');
+  const sources = codegen.generateTypes(contract, { appName: args.appName });
+  fs.mkdirSync(path.dirname(moduleFile), { recursive: true });
+  fs.writeFileSync(moduleFile, sources.module);
+  fs.writeFileSync(declarationFile, sources.declarations);
+  return {
+    contractId: contract.id,
+    version: contract.version,
+    documentTypes: Object.keys(contract.documentSchemas),
+    files: [moduleFile, declarationFile],
+  };
 };
 
 // Retrieves a contract's details by its ID
@@ -589,21 +1279,21 @@ const updateContract = async (args) => {
 const retrieveContract = async (args) => {
   const contractId = getContractId(args);
   if (!contractId) {
-    throw new Error('Contract ID is required.');
+    throw new ValidationError('Contract ID is required.');
   }
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
     const contract = await client.platform.contracts.get(contractId);
     if (!contract) {
-      throw new Error(`Contract not found with ID: ${contractId}`);
+      throw new NotFoundError(`Contract not found with ID: ${contractId}`);
     }
 
-    return util.inspect(contract.toJSON(), { depth: null, colors: true });
+    return contract.toJSON();
   } catch (error) {
-    throw new Error(`Failed to retrieve contract: ${error.message}`);
+    throw classifyError(error, 'Failed to retrieve contract');
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
@@ -612,7 +1302,7 @@ const retrieveContract = async (args) => {
 const retrieveContractHistory = async (args) => {
   const contractId = getContractId(args);
   if (!contractId) {
-    throw new Error('Contract ID is required.');
+    throw new ValidationError('Contract ID is required.');
   }
   const client = dashClient(args);
   try {
@@ -626,8 +1316,7 @@ const retrieveContractHistory = async (args) => {
     Object.entries(history).forEach(([timestamp, contract]) => {
       formattedHistory[timestamp] = contract.toJSON();
     });
-    return util.inspect(formattedHistory, { depth: null, colors: true });
-    return history;
+    return formattedHistory;
   } finally {
     await client.disconnect();
   }
@@ -640,23 +1329,30 @@ const submitDocument = async (args) => {
   const contractId = getContractId(args);
 
   if (!identityId) {
-    throw new Error('Identity ID is required.');
+    throw new ValidationError('Identity ID is required.');
   }
   if (!contractId) {
-    throw new Error('Contract ID is required.');
+    throw new ValidationError('Contract ID is required.');
   }
 
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
-    const identity = await client.platform.identities.get(identityId);
+    const identity = await fetchIdentity(client, identityId);
     let document;
     if (args.action === 'create') {
       if (!args.documentData) {
-        throw new Error('document-data is required for create action');
+        throw new ValidationError(
+          'document-data is required for create action',
+        );
       }
-      // Create new document
+      // Create new document, validated locally before anything is signed
       const docData = JSON.parse(args.documentData);
+      schemaValidator.assertValidDocument(
+        await fetchDocumentSchema(client, args),
+        docData,
+        args.documentType,
+      );
       document = await client.platform.documents.create(
         `myContract.${args.documentType}`,
         identity,
@@ -666,7 +1362,7 @@ const submitDocument = async (args) => {
       // For replace/delete, first fetch existing document
       const documentId = getDocumentId(args);
       if (!documentId) {
-        throw new Error('Document ID is required.');
+        throw new ValidationError('Document ID is required.');
       }
       const [existingDocument] = await client.platform.documents.get(
         `myContract.${args.documentType}`,
@@ -674,15 +1370,24 @@ const submitDocument = async (args) => {
       );
 
       if (!existingDocument) {
-        throw new Error(`Document not found with ID: ${documentId}`);
+        throw new NotFoundError(`Document not found with ID: ${documentId}`);
       }
 
       if (args.action === 'replace') {
         if (!args.documentData) {
-          throw new Error('document-data is required for replace action');
+          throw new ValidationError(
+            'document-data is required for replace action',
+          );
         }
-        // Update document with new data
+        // Update document with new data, the stored document provides the
+        // required properties so only the given ones are validated
         const docData = JSON.parse(args.documentData);
+        schemaValidator.assertValidDocument(
+          await fetchDocumentSchema(client, args),
+          docData,
+          args.documentType,
+          { partial: true },
+        );
         Object.entries(docData).forEach(([key, value]) => {
           existingDocument.set(key, value);
         });
@@ -696,11 +1401,220 @@ const submitDocument = async (args) => {
       delete: args.action === 'delete' ? [document] : [],
     };
 
-    await client.platform.documents.broadcast(documentBatch, identity);
+    const broadcast = () =>
+      client.platform.documents.broadcast(documentBatch, identity);
+    if (args.dryRun) {
+      return await dryRun(
+        client,
+        identity,
+        args.action === 'delete' ? 'deleteDocument' : 'submitDocument',
+        broadcast,
+      );
+    }
+    await broadcast();
     return document.toJSON();
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
+  }
+};
+
+// Imports documents from an NDJSON, JSON or CSV file in batches
+// Progress is saved to a checkpoint file after every batch, rerunning the same
+// command skips rows that were already imported and retries failed ones
+const importDocuments = async (args) => {
+  const identityId = getIdentityId(args);
+  const contractId = getContractId(args);
+
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required.');
+  }
+  if (!contractId || !args.documentType) {
+    throw new ValidationError('Contract ID and document type are required');
   }
+  if (!args.inputFile) {
+    throw new ValidationError('Input file is required (--input-file <path>)');
+  }
+  const batchSize = documentIO.parseBatchSize(args.batchSize);
+  const checkpointFile = args.checkpoint || `${args.inputFile}.checkpoint.json`;
+
+  const height = await getSyncHeight(args);
+  const client = dashClient({ ...args, height });
+  try {
+    const schema = await fetchDocumentSchema(client, args);
+
+    const records = readDocumentRecords(args, schema);
+    const checkpoint = documentIO.loadCheckpoint(
+      checkpointFile,
+      { contractId, documentType: args.documentType },
+      { inputFile: args.inputFile, imported: {} },
+    );
+
+    const results = {};
+    const pending = [];
+    records.forEach((record) => {
+      const { row, line } = record;
+      if (record.error) {
+        results[row] = { row, line, status: 'failed', error: record.error };
+      } else if (checkpoint.imported[documentIO.recordKey(record)]) {
+        results[row] = {
+          row,
+          line,
+          status: 'skipped',
+          documentId: checkpoint.imported[documentIO.recordKey(record)],
+        };
+      } else {
+        pending.push(record);
+      }
+    });
+
+    const identity = await fetchIdentity(client, identityId);
+
+    const submitBatch = async (batch) => {
+      const documents = [];
+      for (const record of batch) {
+        documents.push(
+          await client.platform.documents.create(
+            `myContract.${args.documentType}`,
+            identity,
+            record.data,
+          ),
+        );
+      }
+      await client.platform.documents.broadcast(
+        { create: documents, replace: [], delete: [] },
+        identity,
+      );
+      batch.forEach((record, index) => {
+        const { row, line } = record;
+        const documentId = documents[index].getId().toString();
+        checkpoint.imported[documentIO.recordKey(record)] = documentId;
+        results[row] = { row, line, status: 'imported', documentId };
+      });
+    };
+
+    const batches = documentIO.createBatches(pending, batchSize);
+    logger.info(
+      `Importing ${pending.length} documents in ${batches.length} batches (${records.length - pending.length} skipped or invalid)`,
+    );
+    const markFailed = (batch, error) => {
+      batch.forEach(({ row, line }) => {
+        results[row] = { row, line, status: 'failed', error: error.message };
+      });
+    };
+
+    // Returns the error when the platform rejects a batch
+    // Errors that would fail every following batch too stop the import instead
+    const trySubmit = async (batch) => {
+      try {
+        await submitBatch(batch);
+        return null;
+      } catch (error) {
+        const cliError = classifyError(error);
+        if (isFatalImportError(cliError)) {
+          documentIO.saveCheckpoint(checkpointFile, checkpoint);
+          cliError.suggestions = [
+            ...cliError.suggestions,
+            `Rerun the same command to resume from ${checkpointFile}`,
+          ];
+          throw cliError;
+        }
+        return cliError;
+      }
+    };
+
+    for (const [index, batch] of batches.entries()) {
+      const batchError = await trySubmit(batch);
+      if (batchError && batch.length === 1) {
+        markFailed(batch, batchError);
+      } else if (batchError) {
+        // Batches are atomic, retry the rows one by one to find the bad ones
+        logger.warn(
+          `Batch ${index + 1} failed (${batchError.message}), retrying its rows individually`,
+        );
+        for (const record of batch) {
+          const rowError = await trySubmit([record]);
+          if (rowError) {
+            markFailed([record], rowError);
+          }
+        }
+      }
+      documentIO.saveCheckpoint(checkpointFile, checkpoint);
+      logger.info(`Batch ${index + 1}/${batches.length} done`);
+    }
+
+    const rows = Object.values(results).sort((a, b) => a.row - b.row);
+    const failed = rows.filter((row) => row.status === 'failed').length;
+    logger.info(
+      `Imported ${rows.filter((row) => row.status === 'imported').length}, skipped ${rows.filter((row) => row.status === 'skipped').length}, failed ${failed}`,
+    );
+    if (failed === 0) {
+      documentIO.removeCheckpoint(checkpointFile);
+    } else {
+      documentIO.saveCheckpoint(checkpointFile, checkpoint);
+      logger.warn(
+        `Fix the failed rows and rerun the command, imported rows are skipped using ${checkpointFile}`,
+      );
+    }
+    return rows;
+  } finally {
+    await disconnectWallet(args, client);
+  }
+};
+
+// Validates document data against a document type schema without sending it
+// The schema comes from a local contract file (works offline) or from the
+// network through the contract cache. Validates --document-data or every row
+// of --input-file
+const validateDocument = async (args) => {
+  if (!args.documentType) {
+    throw new ValidationError('Document type is required');
+  }
+  if (!args.documentData && !args.inputFile) {
+    throw new ValidationError('Document data or input file is required');
+  }
+
+  let schema;
+  if (args.contractFile) {
+    schema = documentSchemaFrom(
+      loadContractFile(args.contractFile),
+      args.documentType,
+      args.contractFile,
+    );
+  } else {
+    if (!getContractId(args)) {
+      throw new ValidationError('Contract ID or contract file is required');
+    }
+    const client = dashClient(args);
+    try {
+      schema = await fetchDocumentSchema(client, args);
+    } finally {
+      await client.disconnect();
+    }
+  }
+
+  if (args.inputFile) {
+    return readDocumentRecords(args, schema).map(
+      ({ row, line, error, violations }) => ({
+        row,
+        line,
+        valid: !error,
+        errors:
+          violations ||
+          (error ? [{ path: '$', keyword: 'parse', message: error }] : []),
+      }),
+    );
+  }
+
+  let data;
+  try {
+    data = JSON.parse(args.documentData);
+  } catch (error) {
+    throw new ValidationError(
+      `Document data is not valid JSON: ${error.message}`,
+    );
+  }
+  const errors = schemaValidator.validateDocument(schema, data);
+  return { valid: errors.length === 0, errors };
 };
 
 // Retrieves documents from a contract based on query options
@@ -713,9 +1627,13 @@ const retrieveDocuments = async (args, queryOpts = {}) => {
       queryOpts.where = [['$id', '==', documentId]];
     }
 
+    // Check field types and indices locally so DAPI does not reject the query
+    const schema = await fetchDocumentSchema(client, args);
+    const query = prepareQuery(queryOpts, schema, args.documentType, args);
+
     const documents = await client.platform.documents.get(
       `myContract.${args.documentType}`,
-      queryOpts,
+      query,
     );
     return documents.map((doc) => doc.toJSON());
   } finally {
@@ -723,6 +1641,152 @@ const retrieveDocuments = async (args, queryOpts = {}) => {
   }
 };
 
+// Exports every document matching the query, following startAfter cursors page
+// by page. Documents are written to the output file (or stdout) as they arrive
+// and the cursor file lets an interrupted export resume where it stopped
+const exportDocuments = async (args, queryOpts = {}) => {
+  const contractId = getContractId(args);
+  if (!contractId || !args.documentType) {
+    throw new ValidationError('Contract ID and document type are required');
+  }
+  const format = documentIO.detectExportFormat(
+    args.outputFile,
+    args.exportFormat,
+  );
+  const { limit, startAt, startAfter, ...query } = queryOpts;
+  const pageSize = Number(args.pageSize || MAX_QUERY_LIMIT);
+  if (
+    !Number.isInteger(pageSize) ||
+    pageSize < 1 ||
+    pageSize > MAX_QUERY_LIMIT
+  ) {
+    throw new ValidationError(
+      `Page size must be an integer between 1 and ${MAX_QUERY_LIMIT}`,
+    );
+  }
+  // A limit caps the documents exported in total, pages stay --page-size long
+  const maxDocuments = limit === undefined ? Infinity : Number(limit);
+  if (
+    maxDocuments !== Infinity &&
+    (!Number.isInteger(maxDocuments) || maxDocuments < 1)
+  ) {
+    throw new ValidationError('Limit must be a positive integer');
+  }
+  const cursorFile =
+    args.cursorFile || (args.outputFile && `${args.outputFile}.cursor.json`);
+
+  const cursor = cursorFile
+    ? documentIO.loadCheckpoint(
+        cursorFile,
+        { contractId, documentType: args.documentType, query, format },
+        { lastId: null, exported: 0 },
+      )
+    : { lastId: null, exported: 0 };
+  const resuming = cursor.exported > 0;
+
+  // Files are appended synchronously so the cursor never runs ahead of the data
+  const write = async (chunk) => {
+    if (!chunk) {
+      return;
+    }
+    if (args.outputFile) {
+      fs.appendFileSync(args.outputFile, chunk);
+    } else if (!process.stdout.write(chunk)) {
+      await once(process.stdout, 'drain');
+    }
+  };
+
+  const client = dashClient(args);
+  try {
+    const schema = await fetchDocumentSchema(client, args);
+    const columns = documentIO.csvColumnsFromSchema(schema);
+    const preparedQuery = prepareQuery(query, schema, args.documentType, args);
+
+    if (resuming) {
+      logger.info(
+        `Resuming export after document ${cursor.lastId} (${cursor.exported} already exported)`,
+      );
+    } else {
+      if (args.outputFile) {
+        fs.writeFileSync(args.outputFile, '');
+      }
+      await write(
+        format === 'csv'
+          ? documentIO.formatCsvRow(columns)
+          : format === 'json'
+            ? '[\n'
+            : '',
+      );
+    }
+
+    let pages = 0;
+    let page;
+    let requested;
+    do {
+      requested = Math.min(pageSize, maxDocuments - cursor.exported);
+      if (requested <= 0) {
+        break;
+      }
+      const pageQuery = { ...preparedQuery, limit: requested };
+      if (cursor.lastId) {
+        pageQuery.startAfter = cursor.lastId;
+      } else if (startAfter) {
+        pageQuery.startAfter = startAfter;
+      } else if (startAt) {
+        pageQuery.startAt = startAt;
+      }
+
+      try {
+        page = await client.platform.documents.get(
+          `myContract.${args.documentType}`,
+          pageQuery,
+        );
+      } catch (error) {
+        const cliError = classifyError(error, 'Failed to retrieve documents');
+        cliError.suggestions = [
+          ...cliError.suggestions,
+          cursorFile
+            ? `Rerun the same command to resume from ${cursorFile}`
+            : 'Pass --cursor-file to make the export resumable',
+        ];
+        throw cliError;
+      }
+
+      const documents = page.map((document) => toPlainData(document.toJSON()));
+      await write(
+        documentIO.formatExportDocuments(documents, format, {
+          columns,
+          first: cursor.exported === 0,
+        }),
+      );
+      if (documents.length > 0) {
+        cursor.lastId = documents[documents.length - 1].$id;
+        cursor.exported += documents.length;
+      }
+      pages++;
+      if (cursorFile) {
+        documentIO.saveCheckpoint(cursorFile, cursor);
+      }
+      logger.info(`Exported ${cursor.exported} documents`);
+    } while (page.length === requested);
+
+    if (format === 'json') {
+      await write(cursor.exported > 0 ? '\n]\n' : ']\n');
+    }
+    if (cursorFile) {
+      documentIO.removeCheckpoint(cursorFile);
+    }
+    return {
+      exported: cursor.exported,
+      pages,
+      format,
+      outputFile: args.outputFile || null,
+    };
+  } finally {
+    await client.disconnect();
+  }
+};
+
 // Deletes a specific document from a contract
 // Requires the document ID and appropriate identity permissions
 const deleteDocument = async (args) => {
@@ -730,125 +1794,369 @@ const deleteDocument = async (args) => {
   const documentId = getDocumentId(args);
 
   if (!identityId) {
-    throw new Error('Identity ID is required.');
+    throw new ValidationError('Identity ID is required.');
   }
   if (!documentId) {
-    throw new Error('Document ID is required.');
+    throw new ValidationError('Document ID is required.');
   }
 
-  const height = await getBestBlockHeight(args);
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
   try {
-    const identity = await client.platform.identities.get(identityId);
+    const identity = await fetchIdentity(client, identityId);
     const [document] = await client.platform.documents.get(
       `myContract.${args.documentType}`,
       { where: [['$id', '==', documentId]] },
     );
 
     if (!document) {
-      throw new Error(`Document not found with ID: ${documentId}`);
+      throw new NotFoundError(`Document not found with ID: ${documentId}`);
     }
 
-    await client.platform.documents.broadcast({ delete: [document] }, identity);
+    const broadcast = () =>
+      client.platform.documents.broadcast({ delete: [document] }, identity);
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'deleteDocument', broadcast);
+    }
+    await broadcast();
     return document.toJSON();
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
+// The public keys of an identity in a JSON-friendly format
+const formatPublicKeys = (identity) =>
+  identity.getPublicKeys().map((key) => ({
+    id: key.getId().toString(),
+    type: key.getType(),
+    purpose: key.getPurpose(),
+    securityLevel: key.getSecurityLevel(),
+    data: key.getData().toString('hex'),
+    readOnly: key.isReadOnly(),
+    disabledAt: key.getDisabledAt(),
+  }));
+
 // Lists all public keys associated with an identity
 // Returns key details including ID, type, purpose, and status
 const listIdentityPublicKeys = async (args) => {
   const identityId = getIdentityId(args);
   if (!identityId) {
-    throw new Error('Identity ID is required');
+    throw new ValidationError('Identity ID is required');
   }
 
-  const height = await getBestBlockHeight(args);
-  client = dashClient({ ...args, height });
-  const identity = await client.platform.identities.get(identityId);
+  const height = await getSyncHeight(args);
+  const client = dashClient({ ...args, height });
+  try {
+    const identity = await fetchIdentity(client, identityId);
+    return formatPublicKeys(identity);
+  } finally {
+    await disconnectWallet(args, client);
+  }
+};
 
-  if (!identity) {
-    throw {
-      code: 'IDENTITY_NOT_FOUND',
-      message: 'Identity not found',
-      suggestions: [
-        'Check if the identity ID is correct',
-        'Ensure the identity exists on the network',
-        'Verify network connectivity',
-      ],
-    };
+// Key purposes, security levels and types by name, numbered like the platform
+const KEY_PURPOSES = {
+  authentication: 0,
+  encryption: 1,
+  decryption: 2,
+  transfer: 3,
+};
+const KEY_SECURITY_LEVELS = { master: 0, critical: 1, high: 2, medium: 3 };
+// Keys derived from the wallet are secp256k1 keys, ecdsa_hash160 keys only
+// store the hash160 of the public key
+const KEY_TYPES = { ecdsa_secp256k1: 0, ecdsa_hash160: 2 };
+const MASTER_SECURITY_LEVEL = KEY_SECURITY_LEVELS.master;
+
+// Public key data an identity stores for a wallet key: the public key, or
+// its hash160 for ecdsa_hash160 keys
+const publicKeyData = (privateKey, type) => {
+  const publicKey = privateKey.toPublicKey().toBuffer();
+  return type === KEY_TYPES.ecdsa_hash160
+    ? crypto
+        .createHash('ripemd160')
+        .update(crypto.createHash('sha256').update(publicKey).digest())
+        .digest()
+    : publicKey;
+};
+
+const parseKeyOption = (value, names, option) => {
+  const name = value.toLowerCase();
+  if (names[name] === undefined) {
+    throw new ValidationError(
+      `Invalid ${option} "${value}". Use one of: ${Object.keys(names).join(', ')}`,
+    );
+  }
+  return names[name];
+};
+
+const parseKeyId = (keyId) => {
+  const id = Number(keyId);
+  if (keyId === undefined || !Number.isInteger(id) || id < 0) {
+    throw new ValidationError(
+      '--key-id must be a key ID from listIdentityPublicKeys',
+    );
+  }
+  return id;
+};
+
+// Adds a key to an identity, derived from the wallet at the next free key ID
+// of the identity, the same HD path the SDK signs with
+// The update is signed with the master key, the new key signs itself
+const addIdentityKey = async (args) => {
+  const identityId = getIdentityId(args);
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required');
   }
+  const purpose = parseKeyOption(
+    args.keyPurpose || 'authentication',
+    KEY_PURPOSES,
+    'key purpose',
+  );
+  const securityLevel = parseKeyOption(
+    args.securityLevel || 'high',
+    KEY_SECURITY_LEVELS,
+    'security level',
+  );
+  const type = parseKeyOption(
+    args.keyType || 'ecdsa_secp256k1',
+    KEY_TYPES,
+    'key type',
+  );
+
+  const height = await getSyncHeight(args);
+  const client = dashClient({ ...args, height });
   try {
-    const keys = identity.getPublicKeys();
-    // Return keys array converted to JSON-friendly format
-    return keys.map((key) => ({
-      id: key.getId().toString(),
-      type: key.getType(),
-      purpose: key.getPurpose(),
-      data: key.getData().toString('hex'),
-      readOnly: key.isReadOnly(),
-      disabledAt: key.getDisabledAt(),
-    }));
-  } catch (error) {
-    throw error;
+    const identity = await fetchIdentity(client, identityId);
+    const keyId =
+      Math.max(...identity.getPublicKeys().map((key) => Number(key.getId()))) +
+      1;
+    const account = await client.getWalletAccount();
+    const { privateKey } = account.identities.getIdentityHDKeyById(
+      identityId,
+      keyId,
+    );
+    const { IdentityPublicKeyWithWitness } =
+      dashClient.getPlatformProtocol(args);
+    const key = new IdentityPublicKeyWithWitness(1);
+    key.setId(keyId);
+    key.setType(type);
+    key.setPurpose(purpose);
+    key.setSecurityLevel(securityLevel);
+    key.setData(publicKeyData(privateKey, type));
+    key.setReadOnly(false);
+
+    const update = () =>
+      client.platform.identities.update(
+        identity,
+        { add: [key] },
+        { [keyId]: privateKey },
+      );
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'addIdentityKey', update);
+    }
+    logger.info(`Adding key ${keyId} to identity ${identityId}...`);
+    await update();
+    return formatPublicKeys(await fetchIdentity(client, identityId));
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
-// Retrieves the private key corresponding to a public key
-// Used for key management and signing operations
-// Requires wallet access and proper authorization
-const getPrivateKey = async (args) => {
-  const height = await getBestBlockHeight(args);
+// Disables a key of an identity, e.g. a compromised one. Disabled keys stay
+// listed with their disabledAt time but can no longer sign
+// Master keys sign identity updates, so the last enabled one cannot be disabled
+const disableIdentityKey = async (args) => {
+  const identityId = getIdentityId(args);
+  if (!identityId) {
+    throw new ValidationError('Identity ID is required');
+  }
+  const keyId = parseKeyId(args.keyId);
+
+  const height = await getSyncHeight(args);
   const client = dashClient({ ...args, height });
+  try {
+    const identity = await fetchIdentity(client, identityId);
+    const key = identity.getPublicKeyById(keyId);
+    if (!key) {
+      throw new NotFoundError(`Identity ${identityId} has no key ${keyId}`, {
+        suggestions: [
+          'Use listIdentityPublicKeys to see the keys of this identity',
+        ],
+      });
+    }
+    if (key.getDisabledAt()) {
+      throw new ValidationError(`Key ${keyId} is already disabled`);
+    }
+    const isEnabledMasterKey = (candidate) =>
+      candidate.getSecurityLevel() === MASTER_SECURITY_LEVEL &&
+      !candidate.getDisabledAt();
+    if (
+      isEnabledMasterKey(key) &&
+      identity.getPublicKeys().filter(isEnabledMasterKey).length === 1
+    ) {
+      throw new ValidationError(
+        `Key ${keyId} is the last enabled master key of the identity, it signs identity updates and cannot be disabled`,
+        {
+          suggestions: [
+            'Add another master key with addIdentityKey --security-level master first',
+          ],
+        },
+      );
+    }
+
+    const update = () =>
+      client.platform.identities.update(identity, { disable: [key] });
+    if (args.dryRun) {
+      return await dryRun(client, identity, 'disableIdentityKey', update);
+    }
+    logger.info(`Disabling key ${keyId} of identity ${identityId}...`);
+    await update();
+    return formatPublicKeys(await fetchIdentity(client, identityId));
+  } finally {
+    await disconnectWallet(args, client);
+  }
+};
 
-  const account = await client.wallet.getAccount();
-  await account.isReady();
+const PRIVATE_KEY_FORMATS = ['hex', 'wif', 'json'];
 
-  const identityId = getIdentityId(args);
-  const publicKeyId = args.publicKeyId;
+// Asks a yes/no question, anything but y or yes is a no
+// prompt reads the answer, the shell passes one reading from its own input
+const confirm = async (question, prompt = promptLine) => {
+  const answer = await prompt(`${question} [y/N] `);
+  return answer !== null && /^y(es)?$/i.test(answer.trim());
+};
 
-  if (!identityId || !publicKeyId) {
-    throw new Error('Identity ID and Public Key ID are required');
+// Finds an identity key by its numeric ID as shown by listIdentityPublicKeys
+// or by its public key data in hex
+const findIdentityKey = (identity, keyRef) => {
+  const ref = String(keyRef).trim();
+  const key = /^\d+$/.test(ref)
+    ? identity.getPublicKeyById(Number(ref))
+    : identity
+        .getPublicKeys()
+        .find(
+          (candidate) =>
+            candidate.getData().toString('hex') === ref.toLowerCase(),
+        );
+  if (!key) {
+    throw new NotFoundError(`Identity has no key ${ref}`, {
+      suggestions: ['Pass a key ID or public key from listIdentityPublicKeys'],
+    });
   }
+  return key;
+};
 
-  const identity = await client.platform.identities.get(identityId);
+// Exports the private key of an identity key derived from the wallet
+// The key is looked up by ID or public key, derived at its key ID and only
+// returned when it matches the public key the identity stores. Printing it
+// needs a confirmation on the terminal or --yes, --key-file writes it to a new
+// file only the owner can read instead
+const getPrivateKey = async (args) => {
+  const identityId = getIdentityId(args);
+  const keyRef = args.keyId ?? args.publicKeyId;
 
-  if (!identity) {
-    throw {
-      code: 'IDENTITY_NOT_FOUND',
-      message: 'Identity not found',
-      suggestions: [
-        'Check if the identity ID is correct',
-        'Ensure the identity exists on the network',
-        'Verify network connectivity',
-      ],
-    };
+  if (!identityId || keyRef === undefined) {
+    throw new ValidationError(
+      'Identity ID and a key ID or public key (--key-id or --public-key-id) are required',
+    );
   }
-
-  try {
-    // Get the key index from the identity's keys
-    // const identity = await client.platform.identities.get(identityId);
-    const keys = identity.getPublicKeys();
-    const keyIndex = keys.findIndex(
-      (key) => key.getData().toString('hex') === publicKeyId,
+  const format = (args.keyFormat || 'hex').toLowerCase();
+  if (!PRIVATE_KEY_FORMATS.includes(format)) {
+    throw new ValidationError(
+      `Invalid key format "${args.keyFormat}". Use one of: ${PRIVATE_KEY_FORMATS.join(', ')}`,
+    );
+  }
+  if (args.keyFile && fs.existsSync(args.keyFile)) {
+    throw new ValidationError(`${args.keyFile} already exists`, {
+      suggestions: ['Choose a new file, existing files are never overwritten'],
+    });
+  }
+  if (!args.yes && !process.stdin.isTTY) {
+    throw new ValidationError(
+      'Exporting a private key needs a confirmation, pass --yes when not running in a terminal',
     );
+  }
 
-    if (keyIndex === -1) {
-      throw new Error('Public key not found in identity');
+  const height = await getSyncHeight(args);
+  const client = dashClient({ ...args, height });
+  try {
+    const account = await client.wallet.getAccount();
+    await account.isReady();
+
+    const identity = await fetchIdentity(client, identityId);
+    const key = findIdentityKey(identity, keyRef);
+    const keyId = Number(key.getId());
+    if (!Object.values(KEY_TYPES).includes(key.getType())) {
+      throw new ValidationError(
+        `Key ${keyId} is not a secp256k1 key, it was not derived from the wallet`,
+      );
     }
 
-    const privateKey = await client.wallet.identities.getIdentityHDKeyById(
+    // The wallet derives identity keys at their key ID
+    const { privateKey } = await client.wallet.identities.getIdentityHDKeyById(
       identityId,
-      keyIndex,
+      keyId,
     );
-    return privateKey.privateKey.toString();
-  } catch (error) {
-    throw error;
+    const hex = privateKey.toString();
+    const wif = privateKey.toWIF();
+    logger.addSecret(hex);
+    logger.addSecret(wif);
+    if (!publicKeyData(privateKey, key.getType()).equals(key.getData())) {
+      throw new ValidationError(
+        `The wallet key for key ${keyId} does not match the public key of identity ${identityId}`,
+        {
+          code: 'KEY_MISMATCH',
+          suggestions: [
+            'Check the mnemonic is the one the identity was created with',
+            'Keys added outside this wallet cannot be exported',
+          ],
+        },
+      );
+    }
+    if (key.getDisabledAt()) {
+      logger.warn(`Key ${keyId} is disabled and can no longer sign`);
+    }
+
+    if (
+      !args.yes &&
+      !(await confirm(
+        `Export the private key of key ${keyId} of identity ${identityId}? Anyone holding it can sign for the identity`,
+        args.prompt,
+      ))
+    ) {
+      throw new ValidationError('Private key export cancelled');
+    }
+
+    const publicKey = key.getData().toString('hex');
+    const exported = {
+      hex,
+      wif,
+      json: {
+        identityId,
+        keyId,
+        type: key.getType(),
+        purpose: key.getPurpose(),
+        securityLevel: key.getSecurityLevel(),
+        publicKey,
+        privateKey: hex,
+        wif,
+      },
+    }[format];
+    if (args.keyFile) {
+      fs.writeFileSync(
+        args.keyFile,
+        format === 'json'
+          ? `${JSON.stringify(exported, null, 2)}\n`
+          : `${exported}\n`,
+        { mode: 0o600, flag: 'wx' },
+      );
+      logger.info(`Private key written to ${args.keyFile}`);
+      return { identityId, keyId, publicKey, format, file: args.keyFile };
+    }
+    return { identityId, keyId, publicKey, format, privateKey: exported };
   } finally {
-    await client.disconnect();
+    await disconnectWallet(args, client);
   }
 };
 
@@ -858,15 +2166,32 @@ module.exports = {
   createIdentity,
   retrieveIdentity,
   topupIdentity,
+  identityBalance,
+  ensureBalance,
+  transferCredits,
+  withdrawCredits,
   registerName,
+  resolveName,
+  listNames,
+  searchNames,
+  checkName,
   getIdentityIds,
   registerContract,
   updateContract,
+  planContract,
+  validateContract,
+  generateTypes,
   retrieveContract,
   retrieveContractHistory,
   submitDocument,
+  importDocuments,
+  validateDocument,
   retrieveDocuments,
+  exportDocuments,
   deleteDocument,
   listIdentityPublicKeys,
+  addIdentityKey,
+  disableIdentityKey,
   getPrivateKey,
+  pingNodes,
 };
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const util = require('util');
+const { ValidationError } = require('./dashErrors');
+
+// Shared logger for the CLI, client and library
+// Logs go to stderr (stdout is reserved for command results) and optionally to
+// a log file. Secrets are redacted before anything is written
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Object keys whose values are never logged
+const SECRET_KEYS =
+  /^(mnemonic|passphrase|password|privateKey|private_key|seed|wif|secret)$/i;
+
+// Patterns for secrets that may appear inside free text
+// WIFs are base58 strings with a known prefix and hex private keys are only
+// matched next to a label so txids stay readable. Mnemonics look like any other
+// run of words, so they are redacted by value once registered with addSecret
+const SECRET_PATTERNS = [
+  [/\b[59cKL][1-9A-HJ-NP-Za-km-z]{50,51}\b/g, '[REDACTED WIF]'],
+  [
+    /((?:private ?key|privkey|secret)["']?\s*[:=]?\s*["']?)[0-9a-fA-F]{64}\b/gi,
+    '$1[REDACTED KEY]',
+  ],
+];
+
+const settings = {
+  level: undefined,
+  format: undefined,
+  file: undefined,
+};
+const secrets = new Set();
+
+// Settings fall back to LOG_LEVEL, LOG_FORMAT and LOG_FILE, read at log time so
+// values loaded later by dotenv are honoured
+const getLevel = () => settings.level || process.env.LOG_LEVEL || 'info';
+const getFormat = () => settings.format || process.env.LOG_FORMAT || 'text';
+const getFile = () => settings.file || process.env.LOG_FILE;
+
+const configure = ({ level, format, file } = {}) => {
+  if (level !== undefined && !LOG_LEVELS.includes(level)) {
+    throw new ValidationError(
+      `Invalid log level "${level}". Available levels: ${LOG_LEVELS.join(', ')}`,
+    );
+  }
+  if (format !== undefined && !LOG_FORMATS.includes(format)) {
+    throw new ValidationError(
+      `Invalid log format "${format}". Available formats: ${LOG_FORMATS.join(', ')}`,
+    );
+  }
+  Object.assign(
+    settings,
+    Object.fromEntries(
+      Object.entries({ level, format, file }).filter(
+        ([, v]) => v !== undefined,
+      ),
+    ),
+  );
+};
+
+// Registers a value (mnemonic, passphrase, key) that must never be logged
+const addSecret = (secret) => {
+  if (typeof secret === 'string' && secret.length >= 8) {
+    secrets.add(secret);
+  }
+};
+
+const redactText = (text) => {
+  let redacted = text;
+  secrets.forEach((secret) => {
+    redacted = redacted.split(secret).join('[REDACTED]');
+  });
+  SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+    redacted = redacted.replace(pattern, replacement);
+  });
+  return redacted;
+};
+
+// Replaces secret-looking object properties before values are formatted
+const redactValue = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  if (value instanceof Error) {
+    const error = new Error(redactText(value.message));
+    error.name = value.name;
+    error.stack = value.stack && redactText(value.stack);
+    return error;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, seen));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      SECRET_KEYS.test(key) && entry ? '[REDACTED]' : redactValue(entry, seen),
+    ]),
+  );
+};
+
+const formatArgs = (args) =>
+  redactText(
+    args
+      .map((arg) =>
+        typeof arg === 'string'
+          ? arg
+          : util.inspect(redactValue(arg), { depth: 6, breakLength: Infinity }),
+      )
+      .join(' '),
+  );
+
+const write = (level, args) => {
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(getLevel())) {
+    return;
+  }
+  const message = formatArgs(args);
+  const time = new Date().toISOString();
+  const json = getFormat() === 'json';
+  const line = json
+    ? JSON.stringify({ time, level, message })
+    : level === 'info'
+      ? message
+      : `[${level.toUpperCase()}] ${message}`;
+
+  console.error(line);
+
+  const file = getFile();
+  if (file) {
+    fs.appendFileSync(
+      file,
+      `${json ? line : `${time} [${level.toUpperCase()}] ${message}`}\n`,
+      { mode: 0o600 },
+    );
+  }
+};
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  configure,
+  addSecret,
+  redact: redactText,
+  error: (...args) => write('error', args),
+  warn: (...args) => write('warn', args),
+  info: (...args) => write('info', args),
+  debug: (...args) => write('debug', args),
+};
@@ -0,0 +1,1428 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  ValidationError,
+  NotFoundError,
+  InsufficientCreditsError,
+  ConsensusError,
+} = require('./dashErrors');
+const { validateDocument, formatViolations } = require('./dashSchema');
+const { diffContractSchemas } = require('./dashContractPlan');
+const { lintContract, formatFindings } = require('./dashContractLint');
+const {
+  CREDITS_PER_DUFF,
+  nameFee,
+  storageFee,
+  processingFee,
+} = require('./dashFees');
+
+// In-memory simulation of Dash Platform used by `--network memory`
+// It implements the subset of the Dash SDK client surface used by dashLibrary.js
+// so commands can be developed and tested without a live network. State can be
+// persisted to a JSON file with --memory-file or MEMORY_PLATFORM_FILE
+
+// Credits are charged with the fee schedule in dashFees.js
+const DEFAULT_FUNDING_AMOUNT = 100000; // duffs, same default as the SDK
+const MAX_QUERY_LIMIT = 100;
+// Identity key security levels: master keys sign identity updates, critical
+// and high authentication keys the other writes, except credit transfers and
+// withdrawals, which critical transfer keys sign
+const MASTER_SECURITY_LEVEL = 0;
+const WRITE_SECURITY_LEVELS = [1, 2];
+const TRANSFER_SECURITY_LEVELS = [1];
+const AUTHENTICATION_PURPOSE = 0;
+const TRANSFER_PURPOSE = 3;
+
+// Built-in DPNS contract so name operations work like on the real networks
+const DPNS_CONTRACT_ID = 'GWRSAVFMjXx8HpQFaNJMqBV7MBgMK4br5UESsB4S31Ec';
+const DPNS_OWNER_ID = '4EfA9Jrvv3nnCFdSf7fad59851iiTRZ6Wcu6YVJ4iSeF';
+const DPNS_DOCUMENT_SCHEMAS = {
+  domain: {
+    type: 'object',
+    indices: [
+      {
+        name: 'parentNameAndLabel',
+        properties: [
+          { normalizedParentDomainName: 'asc' },
+          { normalizedLabel: 'asc' },
+        ],
+        unique: true,
+      },
+      {
+        name: 'identityId',
+        properties: [{ 'records.identity': 'asc' }],
+        unique: false,
+      },
+    ],
+    properties: {
+      label: { type: 'string', maxLength: 63, position: 0 },
+      normalizedLabel: { type: 'string', maxLength: 63, position: 1 },
+      parentDomainName: { type: 'string', maxLength: 63, position: 2 },
+      normalizedParentDomainName: {
+        type: 'string',
+        maxLength: 63,
+        position: 3,
+      },
+      preorderSalt: {
+        type: 'array',
+        byteArray: true,
+        minItems: 32,
+        maxItems: 32,
+        position: 4,
+      },
+      records: {
+        type: 'object',
+        properties: {
+          identity: {
+            type: 'array',
+            byteArray: true,
+            minItems: 32,
+            maxItems: 32,
+            position: 0,
+            contentMediaType: 'application/x.dash.dpp.identifier',
+          },
+        },
+        additionalProperties: false,
+        position: 5,
+      },
+      subdomainRules: {
+        type: 'object',
+        properties: {
+          allowSubdomains: { type: 'boolean', position: 0 },
+        },
+        additionalProperties: false,
+        position: 6,
+      },
+    },
+    required: [
+      'label',
+      'normalizedLabel',
+      'normalizedParentDomainName',
+      'preorderSalt',
+      'records',
+      'subdomainRules',
+      '$createdAt',
+      '$updatedAt',
+    ],
+    additionalProperties: false,
+  },
+  preorder: {
+    type: 'object',
+    indices: [
+      {
+        name: 'saltedHash',
+        properties: [{ saltedDomainHash: 'asc' }],
+        unique: true,
+      },
+    ],
+    properties: {
+      saltedDomainHash: {
+        type: 'array',
+        byteArray: true,
+        minItems: 32,
+        maxItems: 32,
+        position: 0,
+      },
+    },
+    required: ['saltedDomainHash'],
+    additionalProperties: false,
+  },
+};
+
+// Short word list for simulator-only mnemonics
+// These are NOT valid BIP39 mnemonics and must never hold real funds
+const SIMULATOR_WORDS = (
+  'apple arrow badge basket beach berry blade board bonus brick cable candy ' +
+  'canvas cargo castle cedar chalk cherry cloud coral cotton crane daisy delta ' +
+  'denim desert dollar dragon eagle echo ember engine falcon fever field flame ' +
+  'forest fossil galaxy garden giant ginger glass globe gravel harbor hazel ' +
+  'helmet honey island ivory jacket jungle kettle kiwi ladder lemon lizard ' +
+  'lunar magnet maple marble meadow metal mirror needle nickel noble ocean ' +
+  'olive orbit oyster paddle panda pepper pilot planet pocket quartz rabbit ' +
+  'radar raven ribbon river rocket saddle salmon shadow silver socket spider ' +
+  'summit tango thunder timber tomato tunnel velvet violet walnut willow ' +
+  'window winter yellow zebra'
+).split(' ');
+
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const base58Encode = (buffer) => {
+  let value = BigInt(`0x${Buffer.from(buffer).toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of buffer) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+};
+
+const base58Decode = (string) => {
+  let value = 0n;
+  for (const char of string) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new ValidationError(`Invalid base58 string: ${string}`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  let hex = value === 0n ? '' : value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const leadingZeros = string.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const base58CheckEncode = (payload) =>
+  base58Encode(
+    Buffer.concat([payload, sha256(sha256(payload)).subarray(0, 4)]),
+  );
+
+const randomId = () => base58Encode(crypto.randomBytes(32));
+
+// Identifiers are stored as base58 strings, this wraps them like the SDK does
+const toIdentifier = (id) => ({
+  toString: () => id,
+  toJSON: () => id,
+  toBuffer: () => base58Decode(id),
+});
+
+// Accepts identifiers as base58 strings, SDK Identifier objects or buffers
+const normalizeId = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return base58Encode(value);
+  }
+  if (typeof value === 'object' && value.type === 'Buffer') {
+    return base58Encode(Buffer.from(value.data));
+  }
+  return value.toString();
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Revives buffers serialized by JSON.stringify when loading persisted state
+const reviveBuffers = (key, value) =>
+  value && value.type === 'Buffer' && Array.isArray(value.data)
+    ? Buffer.from(value.data)
+    : value;
+
+// Deterministic secp256k1 key derived from the wallet mnemonic and a path
+// Mimics the dashcore PrivateKey interface used by the library
+const derivePrivateKey = (mnemonic, derivationPath) => {
+  const keyBytes = crypto
+    .createHmac('sha256', mnemonic)
+    .update(derivationPath)
+    .digest();
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(keyBytes);
+  const publicKey = ecdh.getPublicKey(null, 'compressed');
+  return {
+    toString: () => keyBytes.toString('hex'),
+    toBuffer: () => Buffer.from(keyBytes),
+    toWIF: () =>
+      base58CheckEncode(
+        Buffer.concat([Buffer.from([0xef]), keyBytes, Buffer.from([0x01])]),
+      ),
+    toPublicKey: () => ({
+      toBuffer: () => Buffer.from(publicKey),
+      toString: () => publicKey.toString('hex'),
+    }),
+  };
+};
+
+// Testnet style P2PKH address for a derived key
+const deriveAddress = (mnemonic, index) => {
+  const publicKey = derivePrivateKey(mnemonic, `m/address/${index}`)
+    .toPublicKey()
+    .toBuffer();
+  const hash160 = crypto
+    .createHash('ripemd160')
+    .update(sha256(publicKey))
+    .digest();
+  return base58CheckEncode(Buffer.concat([Buffer.from([0x8c]), hash160]));
+};
+
+// Whether address is a testnet style address like the simulator derives: a
+// P2PKH (0x8c) or P2SH (0x13) version byte, a 20 byte hash and its checksum
+const isCoreAddress = (address) => {
+  let decoded;
+  try {
+    decoded = base58Decode(address);
+  } catch (error) {
+    return false;
+  }
+  if (decoded.length !== 25 || ![0x8c, 0x13].includes(decoded[0])) {
+    return false;
+  }
+  const checksum = sha256(sha256(decoded.subarray(0, 21))).subarray(0, 4);
+  return checksum.equals(decoded.subarray(21));
+};
+
+const walletIdFor = (mnemonic) =>
+  sha256(`wallet:${mnemonic}`).toString('hex').slice(0, 16);
+
+// State transitions are serialized as JSON, their size sets the fee
+const serialize = (value) => Buffer.from(JSON.stringify(value));
+const serializedSize = (value) => serialize(value).length;
+
+// Shared simulator state, keyed by persistence file so that all clients in the
+// same process see each other's writes
+const states = new Map();
+
+const emptyState = () => ({
+  height: 1,
+  identities: {},
+  contracts: {
+    [DPNS_CONTRACT_ID]: {
+      id: DPNS_CONTRACT_ID,
+      ownerId: DPNS_OWNER_ID,
+      version: 1,
+      config: { keepsHistory: false },
+      documentSchemas: DPNS_DOCUMENT_SCHEMAS,
+      history: [],
+    },
+  },
+  documents: {},
+  wallets: {},
+});
+
+const loadState = (file) => {
+  const key = file || ':memory:';
+  if (!states.has(key)) {
+    let state = emptyState();
+    if (file && fs.existsSync(file)) {
+      try {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'), reviveBuffers);
+      } catch (error) {
+        throw new ValidationError(
+          `Could not read memory platform file ${file}: ${error.message}`,
+        );
+      }
+    }
+    states.set(key, state);
+  }
+  return states.get(key);
+};
+
+const saveState = (file, state) => {
+  if (!file) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+};
+
+// Simulated identity public key with the IdentityPublicKey getters
+class MemoryPublicKey {
+  constructor(data) {
+    this.data = data;
+  }
+
+  getId() {
+    return this.data.id;
+  }
+
+  getType() {
+    return this.data.type;
+  }
+
+  getPurpose() {
+    return this.data.purpose;
+  }
+
+  getSecurityLevel() {
+    return this.data.securityLevel;
+  }
+
+  getData() {
+    return Buffer.from(this.data.data, 'hex');
+  }
+
+  isReadOnly() {
+    return this.data.readOnly;
+  }
+
+  getDisabledAt() {
+    return this.data.disabledAt;
+  }
+
+  setId(id) {
+    this.data.id = id;
+  }
+
+  setType(type) {
+    this.data.type = type;
+  }
+
+  setPurpose(purpose) {
+    this.data.purpose = purpose;
+  }
+
+  setSecurityLevel(securityLevel) {
+    this.data.securityLevel = securityLevel;
+  }
+
+  setData(data) {
+    this.data.data = Buffer.from(data).toString('hex');
+  }
+
+  setReadOnly(readOnly) {
+    this.data.readOnly = readOnly;
+  }
+
+  toJSON() {
+    return {
+      $version: '0',
+      id: this.data.id,
+      purpose: this.data.purpose,
+      securityLevel: this.data.securityLevel,
+      contractBounds: null,
+      type: this.data.type,
+      readOnly: this.data.readOnly,
+      data: this.getData().toString('base64'),
+      disabledAt: this.data.disabledAt,
+    };
+  }
+}
+
+// New key for identities.update, signed with its private key on the platform
+// The protocol version argument of the SDK class is ignored
+class MemoryPublicKeyWithWitness extends MemoryPublicKey {
+  constructor() {
+    super({ readOnly: false, disabledAt: undefined });
+  }
+}
+
+// Stand-in for Dash.PlatformProtocol with the classes the CLI builds itself
+const PlatformProtocol = {
+  IdentityPublicKey: MemoryPublicKey,
+  IdentityPublicKeyWithWitness: MemoryPublicKeyWithWitness,
+};
+
+// Public key data stored for a private key: the key itself, or its hash160
+// for ECDSA_HASH160 keys (type 2)
+const publicKeyData = (privateKey, type) => {
+  const publicKey = privateKey.toPublicKey().toBuffer();
+  return type === 2
+    ? crypto.createHash('ripemd160').update(sha256(publicKey)).digest()
+    : publicKey;
+};
+
+// Simulated identity, a snapshot of the stored record
+class MemoryIdentity {
+  constructor(record) {
+    this.record = clone(record);
+  }
+
+  getId() {
+    return toIdentifier(this.record.id);
+  }
+
+  getBalance() {
+    return this.record.balance;
+  }
+
+  getRevision() {
+    return this.record.revision;
+  }
+
+  getPublicKeys() {
+    return this.record.publicKeys.map((key) => new MemoryPublicKey(key));
+  }
+
+  getPublicKeyById(keyId) {
+    const key = this.record.publicKeys.find((k) => k.id === Number(keyId));
+    return key ? new MemoryPublicKey(key) : undefined;
+  }
+
+  toJSON() {
+    return {
+      $version: '0',
+      id: this.record.id,
+      publicKeys: this.getPublicKeys().map((key) => key.toJSON()),
+      balance: this.record.balance,
+      revision: this.record.revision,
+    };
+  }
+}
+
+// Simulated data contract, mutable until published like the SDK object
+class MemoryDataContract {
+  constructor(record) {
+    this.record = clone(record);
+  }
+
+  getId() {
+    return toIdentifier(this.record.id);
+  }
+
+  getOwnerId() {
+    return toIdentifier(this.record.ownerId);
+  }
+
+  getVersion() {
+    return this.record.version;
+  }
+
+  setVersion(version) {
+    this.record.version = version;
+  }
+
+  getConfig() {
+    return this.record.config;
+  }
+
+  setConfig(config) {
+    this.record.config = { ...this.record.config, ...config };
+  }
+
+  getDocumentSchemas() {
+    return this.record.documentSchemas;
+  }
+
+  getDocumentSchema(documentType) {
+    return this.record.documentSchemas[documentType];
+  }
+
+  setDocumentSchema(documentType, schema) {
+    this.record.documentSchemas[documentType] = clone(schema);
+  }
+
+  setDocumentSchemas(schemas) {
+    this.record.documentSchemas = clone(schemas);
+  }
+
+  getSchemaDefs() {
+    return this.record.schemaDefs || null;
+  }
+
+  setSchemaDefs(schemaDefs) {
+    this.record.schemaDefs = clone(schemaDefs);
+  }
+
+  toJSON() {
+    return {
+      $format_version: '0',
+      id: this.record.id,
+      config: {
+        $format_version: '0',
+        canBeDeleted: false,
+        readonly: false,
+        keepsHistory: Boolean(this.record.config.keepsHistory),
+        documentsKeepHistoryContractDefault: false,
+        documentsMutableContractDefault: true,
+        documentsCanBeDeletedContractDefault: true,
+        requiresIdentityEncryptionBoundedKey: null,
+        requiresIdentityDecryptionBoundedKey: null,
+      },
+      version: this.record.version,
+      ownerId: this.record.ownerId,
+      schemaDefs: this.getSchemaDefs(),
+      documentSchemas: clone(this.record.documentSchemas),
+    };
+  }
+}
+
+// Simulated document with the get/set/toJSON surface of the SDK document
+class MemoryDocument {
+  constructor(record) {
+    this.record = clone(record);
+    this.record.data = JSON.parse(
+      JSON.stringify(record.data || {}),
+      reviveBuffers,
+    );
+  }
+
+  getId() {
+    return toIdentifier(this.record.id);
+  }
+
+  getOwnerId() {
+    return toIdentifier(this.record.ownerId);
+  }
+
+  getType() {
+    return this.record.type;
+  }
+
+  getDataContractId() {
+    return toIdentifier(this.record.contractId);
+  }
+
+  getRevision() {
+    return this.record.revision;
+  }
+
+  getData() {
+    return this.record.data;
+  }
+
+  get(fieldPath) {
+    return fieldPath
+      .split('.')
+      .reduce(
+        (value, key) =>
+          value === undefined || value === null ? undefined : value[key],
+        this.record.data,
+      );
+  }
+
+  set(fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => {
+      if (typeof obj[key] !== 'object' || obj[key] === null) {
+        obj[key] = {};
+      }
+      return obj[key];
+    }, this.record.data);
+    target[last] = value;
+  }
+
+  toJSON() {
+    const json = {
+      $id: this.record.id,
+      $ownerId: this.record.ownerId,
+      $type: this.record.type,
+      $dataContractId: this.record.contractId,
+      $revision: this.record.revision,
+    };
+    if (this.record.createdAt !== undefined) {
+      json.$createdAt = this.record.createdAt;
+    }
+    if (this.record.updatedAt !== undefined) {
+      json.$updatedAt = this.record.updatedAt;
+    }
+    Object.entries(this.record.data).forEach(([key, value]) => {
+      json[key] = Buffer.isBuffer(value) ? value.toString('base64') : value;
+    });
+    return json;
+  }
+}
+
+// Reads a document field for queries, including system fields
+const documentFieldValue = (record, field) => {
+  switch (field) {
+    case '$id':
+      return record.id;
+    case '$ownerId':
+      return record.ownerId;
+    case '$createdAt':
+      return record.createdAt;
+    case '$updatedAt':
+      return record.updatedAt;
+    case '$revision':
+      return record.revision;
+    default:
+      return field
+        .split('.')
+        .reduce(
+          (value, key) =>
+            value === undefined || value === null ? undefined : value[key],
+          record.data,
+        );
+  }
+};
+
+// Normalizes values so that identifiers, buffers and primitives compare sanely
+const comparable = (value) => {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return base58Encode(value);
+  }
+  if (value && typeof value === 'object' && value.type === 'Buffer') {
+    return base58Encode(Buffer.from(value.data));
+  }
+  if (value && typeof value === 'object' && value.toString) {
+    return value.toString();
+  }
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const matchesClause = (record, [field, operator, value]) => {
+  const actual = documentFieldValue(record, field);
+  switch (operator) {
+    case '==':
+      return compareValues(actual, value) === 0;
+    case '<':
+      return compareValues(actual, value) < 0;
+    case '<=':
+      return compareValues(actual, value) <= 0;
+    case '>':
+      return compareValues(actual, value) > 0;
+    case '>=':
+      return compareValues(actual, value) >= 0;
+    case 'in':
+      if (!Array.isArray(value)) {
+        throw new ValidationError(`"in" operator for ${field} needs an array`);
+      }
+      return value.some((item) => compareValues(actual, item) === 0);
+    case 'startsWith':
+      return (
+        typeof actual === 'string' &&
+        actual.startsWith(String(comparable(value)))
+      );
+    default:
+      throw new ValidationError(`Unsupported where operator: ${operator}`);
+  }
+};
+
+// Executes a document query with where, orderBy, limit, startAt and startAfter
+const queryDocuments = (records, query = {}) => {
+  const where = query.where || [];
+  const orderBy = query.orderBy || [['$id', 'asc']];
+  const limit = query.limit === undefined ? MAX_QUERY_LIMIT : query.limit;
+
+  if (limit < 1 || limit > MAX_QUERY_LIMIT) {
+    throw new ValidationError(
+      `Query limit must be between 1 and ${MAX_QUERY_LIMIT}`,
+    );
+  }
+
+  let results = records.filter((record) =>
+    where.every((clause) => matchesClause(record, clause)),
+  );
+
+  results.sort((a, b) => {
+    for (const [field, direction] of orderBy) {
+      const order = compareValues(
+        documentFieldValue(a, field),
+        documentFieldValue(b, field),
+      );
+      if (order !== 0) {
+        return direction === 'desc' ? -order : order;
+      }
+    }
+    return compareValues(a.id, b.id);
+  });
+
+  const cursor = query.startAfter || query.startAt;
+  if (cursor) {
+    const cursorId = normalizeId(cursor);
+    const index = results.findIndex((record) => record.id === cursorId);
+    if (index === -1) {
+      throw new NotFoundError(`Start document not found: ${cursorId}`);
+    }
+    results = results.slice(query.startAfter ? index + 1 : index);
+  }
+
+  return results.slice(0, limit);
+};
+
+// Builds a simulated client exposing the Dash SDK client methods used by the CLI
+const createMemoryClient = (options = {}) => {
+  const file = options.file || null;
+  const state = loadState(file);
+  const apps = {
+    dpns: { contractId: DPNS_CONTRACT_ID },
+    ...(options.apps || {}),
+  };
+  let mnemonic = options.mnemonic || null;
+
+  const persist = () => {
+    state.height += 1;
+    saveState(file, state);
+  };
+
+  const requireMnemonic = () => {
+    if (!mnemonic) {
+      throw new ValidationError('No wallet mnemonic configured');
+    }
+    return mnemonic;
+  };
+
+  const getWalletState = () => {
+    const walletId = walletIdFor(requireMnemonic());
+    if (!state.wallets[walletId]) {
+      state.wallets[walletId] = { identityIds: [], usedAddresses: 0 };
+    }
+    return state.wallets[walletId];
+  };
+
+  const getIdentityRecord = (identityId) => {
+    const record = state.identities[normalizeId(identityId)];
+    if (!record) {
+      throw new NotFoundError(`Identity not found with ID: ${identityId}`);
+    }
+    return record;
+  };
+
+  const getContractRecord = (contractId) => {
+    const record = state.contracts[normalizeId(contractId)];
+    if (!record) {
+      throw new NotFoundError(`Contract not found with ID: ${contractId}`);
+    }
+    return record;
+  };
+
+  // DAPI surface of the simulator. A state transition is applied when it
+  // reaches broadcastStateTransition, like on the real networks, so --dry-run
+  // can capture it there and the state stays unchanged
+  const pendingTransitions = new Map();
+  const transitionKey = (transition) =>
+    crypto.createHash('sha256').update(transition).digest('hex');
+  const dapiClient = {
+    core: { getBestBlockHeight: async () => state.height },
+    platform: {
+      broadcastStateTransition: async (transition) => {
+        const apply = pendingTransitions.get(transitionKey(transition));
+        if (apply) {
+          apply();
+        }
+      },
+      waitForStateTransitionResult: async () => ({}),
+    },
+  };
+
+  // Broadcasts a serialized state transition, apply changes the state once the
+  // simulated network received it
+  const submit = async (transition, apply) => {
+    const key = transitionKey(transition);
+    pendingTransitions.set(key, apply);
+    try {
+      await dapiClient.platform.broadcastStateTransition(transition);
+    } finally {
+      pendingTransitions.delete(key);
+    }
+  };
+
+  // The key a state transition of the identity is signed with, the first
+  // enabled key of the purpose and a security level the operation accepts
+  // Disabled keys cannot sign, like on the platform
+  const signingKey = (
+    identityRecord,
+    securityLevels,
+    operation,
+    purpose = AUTHENTICATION_PURPOSE,
+  ) => {
+    const key = identityRecord.publicKeys.find(
+      (candidate) =>
+        candidate.purpose === purpose &&
+        !candidate.disabledAt &&
+        securityLevels.includes(candidate.securityLevel),
+    );
+    if (!key) {
+      throw new ConsensusError(
+        `Consensus error: identity ${identityRecord.id} has no enabled key to sign the ${operation}`,
+      );
+    }
+    return key;
+  };
+
+  // Charges credits for a state transition, failing like the platform does
+  const charge = (identityRecord, credits, operation) => {
+    if (identityRecord.balance < credits) {
+      throw new InsufficientCreditsError(
+        `Insufficient identity balance for ${operation}: requires ${credits} credits, identity ${identityRecord.id} has ${identityRecord.balance}`,
+      );
+    }
+    identityRecord.balance -= credits;
+  };
+
+  // Resolves "appName.documentType" locators into contract and type
+  const resolveLocator = (locator) => {
+    const [appName, documentType] = locator.split('.');
+    if (!apps[appName]) {
+      throw new ValidationError(
+        `Unknown app "${appName}". Pass --contract-id to query your contract`,
+      );
+    }
+    const contract = getContractRecord(apps[appName].contractId);
+    if (!contract.documentSchemas[documentType]) {
+      throw new NotFoundError(
+        `Document type "${documentType}" not found in contract ${contract.id}`,
+      );
+    }
+    return { contract, documentType };
+  };
+
+  const documentStore = (contractId, documentType) => {
+    state.documents[contractId] = state.documents[contractId] || {};
+    state.documents[contractId][documentType] =
+      state.documents[contractId][documentType] || {};
+    return state.documents[contractId][documentType];
+  };
+
+  // Checks a contract definition the way the platform would reject it
+  const validateContractSchemas = (documentSchemas) => {
+    const errors = lintContract(documentSchemas).filter(
+      (finding) => finding.severity === 'error',
+    );
+    if (errors.length > 0) {
+      throw new ConsensusError(
+        `Consensus error: invalid data contract:\n${formatFindings(errors)}`,
+      );
+    }
+  };
+
+  // Rejects updates that are not backward compatible with the stored version
+  const validateContractUpdate = (stored, updated) => {
+    const rejected = diffContractSchemas(
+      stored.documentSchemas,
+      updated.documentSchemas,
+    ).find((change) => !change.allowed);
+    if (rejected) {
+      throw new ConsensusError(
+        `Consensus error: ${rejected.path}: ${rejected.reason}`,
+      );
+    }
+  };
+
+  // Checks a document against its schema before it is stored
+  const validateDocumentData = (contract, documentType, data) => {
+    const errors = validateDocument(
+      contract.documentSchemas[documentType],
+      data,
+    );
+    if (errors.length > 0) {
+      throw new ConsensusError(
+        `Consensus error: ${documentType} document is invalid:\n${formatViolations(errors)}`,
+      );
+    }
+  };
+
+  const platform = {
+    identities: {
+      register: async (fundingAmount = DEFAULT_FUNDING_AMOUNT) => {
+        const wallet = getWalletState();
+        const identityIndex = wallet.identityIds.length;
+        const id = randomId();
+        const keyData = (keyId) =>
+          derivePrivateKey(mnemonic, `m/identity/${identityIndex}/${keyId}`)
+            .toPublicKey()
+            .toString();
+        state.identities[id] = {
+          id,
+          walletId: walletIdFor(mnemonic),
+          identityIndex,
+          balance: fundingAmount * CREDITS_PER_DUFF,
+          revision: 0,
+          publicKeys: [
+            {
+              id: 0,
+              type: 0,
+              purpose: 0,
+              securityLevel: 0,
+              readOnly: false,
+              disabledAt: undefined,
+              data: keyData(0),
+            },
+            {
+              id: 1,
+              type: 0,
+              purpose: 0,
+              securityLevel: 2,
+              readOnly: false,
+              disabledAt: undefined,
+              data: keyData(1),
+            },
+          ],
+        };
+        wallet.identityIds.push(id);
+        persist();
+        return new MemoryIdentity(state.identities[id]);
+      },
+
+      get: async (identityId) => {
+        const record = state.identities[normalizeId(identityId)];
+        return record ? new MemoryIdentity(record) : null;
+      },
+
+      // Adds and disables keys like an identity update state transition
+      // privateKeys holds the private key of every added key by key ID, the
+      // platform checks each new key is signed with its own private key
+      update: async (
+        identity,
+        { add = [], disable = [] },
+        privateKeys = {},
+      ) => {
+        const record = getIdentityRecord(identity.getId());
+        signingKey(record, [MASTER_SECURITY_LEVEL], 'identity update');
+        const added = add.map((key) => {
+          const data = clone(key.data);
+          if (record.publicKeys.some((stored) => stored.id === data.id)) {
+            throw new ConsensusError(
+              `Consensus error: identity ${record.id} already has a key with ID ${data.id}`,
+            );
+          }
+          const duplicate = record.publicKeys.find(
+            (stored) => stored.data === data.data,
+          );
+          if (duplicate) {
+            throw new ConsensusError(
+              `Consensus error: key ${data.id} duplicates key ${duplicate.id} of identity ${record.id}`,
+            );
+          }
+          const privateKey = privateKeys[data.id];
+          if (
+            !privateKey ||
+            publicKeyData(privateKey, data.type).toString('hex') !== data.data
+          ) {
+            throw new ConsensusError(
+              `Consensus error: key ${data.id} is not signed with its private key`,
+            );
+          }
+          return data;
+        });
+        const disabled = disable.map((key) => {
+          const stored = record.publicKeys.find(
+            (candidate) => candidate.id === key.getId(),
+          );
+          if (!stored) {
+            throw new NotFoundError(
+              `Identity ${record.id} has no key with ID ${key.getId()}`,
+            );
+          }
+          if (stored.disabledAt) {
+            throw new ConsensusError(
+              `Consensus error: key ${stored.id} is already disabled`,
+            );
+          }
+          return stored;
+        });
+        // An identity needs an enabled master key to sign its next update
+        const hasMasterKey = [...record.publicKeys, ...added].some(
+          (key) =>
+            key.securityLevel === MASTER_SECURITY_LEVEL &&
+            !key.disabledAt &&
+            !disabled.includes(key),
+        );
+        if (!hasMasterKey) {
+          throw new ConsensusError(
+            `Consensus error: the last enabled master key of identity ${record.id} cannot be disabled`,
+          );
+        }
+
+        const transition = serialize({
+          identityId: record.id,
+          revision: record.revision + 1,
+          addPublicKeys: added,
+          disablePublicKeys: disabled.map((key) => key.id),
+        });
+        await submit(transition, () => {
+          charge(record, storageFee(transition.length), 'identity update');
+          const now = Date.now();
+          disabled.forEach((key) => {
+            key.disabledAt = now;
+          });
+          record.publicKeys.push(...added);
+          record.revision += 1;
+          persist();
+        });
+        return true;
+      },
+
+      // Moves credits to another identity, the sender also pays the fee
+      creditTransfer: async (identity, recipientId, amount) => {
+        const record = getIdentityRecord(identity.getId());
+        signingKey(
+          record,
+          TRANSFER_SECURITY_LEVELS,
+          'credit transfer',
+          TRANSFER_PURPOSE,
+        );
+        const recipient = getIdentityRecord(recipientId);
+        const credits = Number(amount);
+        const transition = serialize({
+          identityId: record.id,
+          recipientId: recipient.id,
+          amount: credits,
+        });
+        await submit(transition, () => {
+          charge(
+            record,
+            credits + processingFee(transition.length),
+            'credit transfer',
+          );
+          recipient.balance += credits;
+          persist();
+        });
+        return true;
+      },
+
+      // Withdraws credits to a core chain address. The simulator has no core
+      // chain, the credits and the fee are only taken from the identity
+      withdrawCredits: async (identity, amount, { toAddress } = {}) => {
+        const record = getIdentityRecord(identity.getId());
+        signingKey(
+          record,
+          TRANSFER_SECURITY_LEVELS,
+          'credit withdrawal',
+          TRANSFER_PURPOSE,
+        );
+        const credits = Number(amount);
+        if (credits % CREDITS_PER_DUFF !== 0) {
+          throw new ConsensusError(
+            `Consensus error: withdrawal amount must be a multiple of ${CREDITS_PER_DUFF} credits (1 duff)`,
+          );
+        }
+        const transition = serialize({
+          identityId: record.id,
+          amount: credits,
+          outputScript: toAddress,
+        });
+        await submit(transition, () => {
+          charge(
+            record,
+            credits + processingFee(transition.length),
+            'credit withdrawal',
+          );
+          persist();
+        });
+        return true;
+      },
+
+      topUp: async (identityId, amount) => {
+        const record = getIdentityRecord(identityId);
+        record.balance += Number(amount) * CREDITS_PER_DUFF;
+        persist();
+        return true;
+      },
+    },
+
+    names: {
+      register: async (name, records, identity) => {
+        const [label, ...parent] = name.split('.');
+        const parentDomainName = parent.join('.') || 'dash';
+        const normalizedLabel = label
+          .toLowerCase()
+          .replace(/o/g, '0')
+          .replace(/[il]/g, '1');
+        const identityRecord = getIdentityRecord(identity.getId());
+        signingKey(identityRecord, WRITE_SECURITY_LEVELS, 'name registration');
+        const store = documentStore(DPNS_CONTRACT_ID, 'domain');
+        const taken = Object.values(store).some(
+          (doc) =>
+            doc.data.normalizedLabel === normalizedLabel &&
+            doc.data.normalizedParentDomainName ===
+              parentDomainName.toLowerCase(),
+        );
+        if (taken) {
+          throw new ConsensusError(
+            `Consensus error: name "${name}" is already registered`,
+          );
+        }
+
+        // Like the SDK, a preorder of the salted name hash is broadcast first,
+        // then the domain document revealing the name, which pays the name fee
+        const now = Date.now();
+        const preorderSalt = crypto.randomBytes(32);
+        const documentRecord = (type, data) => ({
+          id: randomId(),
+          ownerId: identityRecord.id,
+          type,
+          contractId: DPNS_CONTRACT_ID,
+          revision: 1,
+          createdAt: now,
+          updatedAt: now,
+          data,
+        });
+        const preorder = documentRecord('preorder', {
+          saltedDomainHash: crypto
+            .createHash('sha256')
+            .update(preorderSalt)
+            .update(`${normalizedLabel}.${parentDomainName.toLowerCase()}`)
+            .digest(),
+        });
+        const preorderTransition = serialize([preorder]);
+        await submit(preorderTransition, () => {
+          charge(
+            identityRecord,
+            storageFee(preorderTransition.length),
+            'name preorder',
+          );
+          documentStore(DPNS_CONTRACT_ID, 'preorder')[preorder.id] = preorder;
+          persist();
+        });
+
+        const record = documentRecord('domain', {
+          label,
+          normalizedLabel,
+          parentDomainName,
+          normalizedParentDomainName: parentDomainName.toLowerCase(),
+          preorderSalt,
+          records: { identity: normalizeId(records.identity) },
+          subdomainRules: { allowSubdomains: false },
+        });
+        const domainTransition = serialize([record]);
+        await submit(domainTransition, () => {
+          charge(
+            identityRecord,
+            storageFee(domainTransition.length) + nameFee(label),
+            'name registration',
+          );
+          store[record.id] = record;
+          persist();
+        });
+        return new MemoryDocument(record);
+      },
+    },
+
+    contracts: {
+      create: async (documentSchemas, identity) =>
+        new MemoryDataContract({
+          id: randomId(),
+          ownerId: normalizeId(identity.getId()),
+          version: 1,
+          config: { keepsHistory: false },
+          documentSchemas,
+        }),
+
+      publish: async (contract, identity) => {
+        const identityRecord = getIdentityRecord(identity.getId());
+        signingKey(
+          identityRecord,
+          WRITE_SECURITY_LEVELS,
+          'contract registration',
+        );
+        const record = clone(contract.record);
+        if (state.contracts[record.id]) {
+          throw new ConsensusError(
+            `Consensus error: contract ${record.id} already exists`,
+          );
+        }
+        if (record.ownerId !== identityRecord.id) {
+          throw new ConsensusError(
+            'Consensus error: contract owner does not match the signing identity',
+          );
+        }
+        validateContractSchemas(record.documentSchemas);
+        const transition = serialize(record);
+        await submit(transition, () => {
+          charge(
+            identityRecord,
+            storageFee(transition.length),
+            'contract registration',
+          );
+          record.history = record.config.keepsHistory
+            ? [{ timestamp: Date.now(), contract: clone(record) }]
+            : [];
+          state.contracts[record.id] = record;
+          persist();
+        });
+        return contract;
+      },
+
+      update: async (contract, identity) => {
+        const identityRecord = getIdentityRecord(identity.getId());
+        signingKey(identityRecord, WRITE_SECURITY_LEVELS, 'contract update');
+        const stored = getContractRecord(contract.record.id);
+        if (stored.ownerId !== identityRecord.id) {
+          throw new ConsensusError(
+            'Consensus error: only the contract owner can update it',
+          );
+        }
+        const record = clone(contract.record);
+        validateContractSchemas(record.documentSchemas);
+        validateContractUpdate(stored, record);
+        const transition = serialize(record);
+        await submit(transition, () => {
+          charge(
+            identityRecord,
+            storageFee(transition.length),
+            'contract update',
+          );
+          record.version = stored.version + 1;
+          contract.setVersion(record.version);
+          record.history = stored.history || [];
+          if (record.config.keepsHistory) {
+            const { history, ...snapshot } = record;
+            record.history.push({ timestamp: Date.now(), contract: snapshot });
+          }
+          state.contracts[record.id] = record;
+          persist();
+        });
+        return contract;
+      },
+
+      get: async (contractId) => {
+        const record = state.contracts[normalizeId(contractId)];
+        return record ? new MemoryDataContract(record) : null;
+      },
+
+      history: async (contractId, startAtMs = 0, limit = 10, offset = 0) => {
+        const record = getContractRecord(contractId);
+        const history = {};
+        (record.history || [])
+          .filter((entry) => entry.timestamp >= startAtMs)
+          .slice(offset, offset + limit)
+          .forEach((entry) => {
+            history[entry.timestamp] = new MemoryDataContract(entry.contract);
+          });
+        return history;
+      },
+    },
+
+    documents: {
+      create: async (locator, identity, data) => {
+        const { contract, documentType } = resolveLocator(locator);
+        return new MemoryDocument({
+          id: randomId(),
+          ownerId: normalizeId(identity.getId()),
+          type: documentType,
+          contractId: contract.id,
+          revision: 1,
+          data,
+        });
+      },
+
+      get: async (locator, query = {}) => {
+        const { contract, documentType } = resolveLocator(locator);
+        const records = Object.values(documentStore(contract.id, documentType));
+        return queryDocuments(records, query).map(
+          (record) => new MemoryDocument(record),
+        );
+      },
+
+      broadcast: async (batch, identity) => {
+        const identityRecord = getIdentityRecord(identity.getId());
+        signingKey(identityRecord, WRITE_SECURITY_LEVELS, 'document batch');
+        const now = Date.now();
+        const transitions = [
+          ...(batch.create || []).map((doc) => ['create', doc]),
+          ...(batch.replace || []).map((doc) => ['replace', doc]),
+          ...(batch.delete || []).map((doc) => ['delete', doc]),
+        ];
+
+        // Validate the whole batch first so it is applied atomically
+        let fee = 0;
+        transitions.forEach(([action, document]) => {
+          const { contractId, type, id } = document.record;
+          const contract = getContractRecord(contractId);
+          const store = documentStore(contractId, type);
+          if (action === 'create' && store[id]) {
+            throw new ConsensusError(
+              `Consensus error: document ${id} already exists`,
+            );
+          }
+          if (action !== 'create') {
+            if (!store[id]) {
+              throw new NotFoundError(`Document not found with ID: ${id}`);
+            }
+            if (store[id].ownerId !== identityRecord.id) {
+              throw new ConsensusError(
+                `Consensus error: document ${id} is owned by another identity`,
+              );
+            }
+          }
+          if (action !== 'delete') {
+            validateDocumentData(contract, type, document.record.data);
+          }
+          const size = serializedSize(document.record);
+          fee += action === 'delete' ? processingFee(size) : storageFee(size);
+        });
+        const transition = serialize(
+          transitions.map(([, document]) => document.record),
+        );
+        await submit(transition, () => {
+          charge(identityRecord, fee, 'document batch');
+
+          transitions.forEach(([action, document]) => {
+            const { contractId, type, id } = document.record;
+            const store = documentStore(contractId, type);
+            if (action === 'delete') {
+              delete store[id];
+              return;
+            }
+            const record = clone(document.record);
+            record.data = document.record.data;
+            if (action === 'create') {
+              record.createdAt = now;
+            } else {
+              record.revision = store[id].revision + 1;
+              record.createdAt = store[id].createdAt;
+            }
+            record.updatedAt = now;
+            Object.assign(document.record, {
+              revision: record.revision,
+              createdAt: record.createdAt,
+              updatedAt: now,
+            });
+            store[id] = record;
+          });
+          persist();
+        });
+        return true;
+      },
+    },
+  };
+
+  const account = {
+    isReady: async () => true,
+    getUnusedAddress: () => {
+      const wallet = getWalletState();
+      const address = deriveAddress(mnemonic, wallet.usedAddresses);
+      return { address };
+    },
+    identities: {
+      getIdentityIds: () => [...getWalletState().identityIds],
+      getIdentityHDKeyById: (identityId, keyIndex) => {
+        const record = getIdentityRecord(identityId);
+        return {
+          privateKey: derivePrivateKey(
+            requireMnemonic(),
+            `m/identity/${record.identityIndex}/${keyIndex}`,
+          ),
+        };
+      },
+    },
+  };
+
+  return {
+    network: 'memory',
+    platform,
+    wallet: {
+      getAccount: async () => account,
+      identities: account.identities,
+      exportWallet: () => {
+        if (!mnemonic) {
+          mnemonic = Array.from(
+            { length: 12 },
+            () => SIMULATOR_WORDS[crypto.randomInt(SIMULATOR_WORDS.length)],
+          ).join(' ');
+        }
+        return mnemonic;
+      },
+    },
+    getWalletAccount: async () => account,
+    getDAPIClient: () => dapiClient,
+    getApps: () => ({
+      get: (name) => apps[name],
+      has: (name) => Boolean(apps[name]),
+      set: (name, definition) => {
+        apps[name] = definition;
+      },
+    }),
+    disconnect: async () => {
+      saveState(file, state);
+    },
+  };
+};
+
+module.exports = {
+  createMemoryClient,
+  queryDocuments,
+  base58Encode,
+  base58Decode,
+  DPNS_CONTRACT_ID,
+  CREDITS_PER_DUFF,
+  PlatformProtocol,
+  isCoreAddress,
+};
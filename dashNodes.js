@@ -0,0 +1,92 @@
+const { readCache, writeCache } = require('./dashCache');
+
+// Health of the DAPI nodes of a network, as found by pingNodes
+// Results are cached per network so client construction can leave out nodes
+// that were unreachable a moment ago and prefer the fastest ones
+
+const NODES_NAMESPACE = 'nodes';
+
+// Health results older than this are ignored, nodes come back after restarts
+const NODE_HEALTH_TTL_MS = 15 * 60 * 1000;
+
+// A node whose chain is this many blocks behind the best node is lagging
+const MAX_BLOCKS_BEHIND = 3;
+
+// Assigns a status to every probe result:
+// ok - core and platform answered and the chain is up to date
+// lagging - the node answered but its chain is behind the others
+// degraded - core answered but platform requests failed
+// unreachable - the node did not answer
+const rateProbes = (results) => {
+  const heights = results
+    .map((result) => result.coreHeight)
+    .filter((height) => Number.isInteger(height));
+  const bestHeight = heights.length > 0 ? Math.max(...heights) : undefined;
+  return results.map((result) => {
+    let status = 'ok';
+    if (!Number.isInteger(result.coreHeight)) {
+      status = 'unreachable';
+    } else if (!result.platform) {
+      status = 'degraded';
+    } else if (result.coreHeight < bestHeight - MAX_BLOCKS_BEHIND) {
+      status = 'lagging';
+    }
+    return { address: result.address, status, ...result };
+  });
+};
+
+const readNodeHealth = (network) =>
+  readCache(NODES_NAMESPACE, network, NODE_HEALTH_TTL_MS) || {};
+
+const saveNodeHealth = (network, results) =>
+  writeCache(
+    NODES_NAMESPACE,
+    network,
+    Object.fromEntries(
+      results.map((result) => [
+        result.address,
+        {
+          status: result.status,
+          latencyMs: result.latencyMs,
+          checkedAt: new Date().toISOString(),
+        },
+      ]),
+    ),
+  );
+
+// Orders addresses by their recent health: healthy nodes by latency, then
+// nodes without a recent result. Nodes that failed are left out unless no
+// other node is left, then every address is kept and the SDK picks one
+const orderByHealth = (network, addresses) => {
+  const health = readNodeHealth(network);
+  const rank = (address) => {
+    const node = health[address];
+    if (!node) {
+      return { group: 1, latency: 0 };
+    }
+    return node.status === 'ok'
+      ? { group: 0, latency: node.latencyMs }
+      : { group: 2, latency: node.latencyMs || 0 };
+  };
+  const ordered = addresses
+    .map((address, index) => ({ address, index, ...rank(address) }))
+    .sort(
+      (a, b) => a.group - b.group || a.latency - b.latency || a.index - b.index,
+    );
+  const usable = ordered.filter((node) => node.group < 2);
+  return {
+    addresses: (usable.length > 0 ? usable : ordered).map(
+      (node) => node.address,
+    ),
+    skipped:
+      usable.length > 0
+        ? ordered.filter((node) => node.group === 2).map((node) => node.address)
+        : [],
+  };
+};
+
+module.exports = {
+  rateProbes,
+  saveNodeHealth,
+  orderByHealth,
+};
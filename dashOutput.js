@@ -0,0 +1,161 @@
+const util = require('util');
+const { ValidationError } = require('./dashErrors');
+
+// Output formats supported by the --output option
+// text is the default human readable mode, the others are meant for scripts
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'table'];
+
+const validateOutputFormat = (format) => {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ValidationError(
+      `Invalid output format "${format}". Available formats: ${OUTPUT_FORMATS.join(', ')}`,
+    );
+  }
+  return format;
+};
+
+// Converts SDK values into plain JSON-safe data
+// Buffers are base64 encoded (same as the SDK toJSON output) and BigInts become
+// numbers when they fit, strings otherwise
+const toPlainData = (value) => {
+  if (value === null || value === undefined) {
+    return value === undefined ? null : value;
+  }
+  if (typeof value === 'bigint') {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString();
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value).toString('base64');
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainData);
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return toPlainData(value.toJSON());
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, toPlainData(entry)]),
+    );
+  }
+  return value;
+};
+
+// Renders a single table cell, nested values are shown as compact JSON
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Renders rows of objects as a plain text table with a header line
+const formatTable = (data) => {
+  let rows;
+  if (Array.isArray(data)) {
+    rows = data.map((row) =>
+      row !== null && typeof row === 'object' ? row : { value: row },
+    );
+  } else if (data !== null && typeof data === 'object') {
+    rows = Object.entries(data).map(([key, value]) => ({ key, value }));
+  } else {
+    return formatCell(data);
+  }
+
+  if (rows.length === 0) {
+    return '(no results)';
+  }
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cells = rows.map((row) => columns.map((col) => formatCell(row[col])));
+  const widths = columns.map((col, i) =>
+    Math.max(col.length, ...cells.map((line) => line[i].length)),
+  );
+  const renderLine = (line) =>
+    line
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd();
+
+  return [
+    renderLine(columns),
+    renderLine(widths.map((width) => '-'.repeat(width))),
+    ...cells.map(renderLine),
+  ].join('\n');
+};
+
+// Formats a command result for the selected output format
+// textData allows text mode to show a simpler value than the structured modes
+const formatOutput = (label, data, format = 'text', textData = data) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(toPlainData(data), null, 2);
+    case 'ndjson':
+      if (Array.isArray(data)) {
+        return data.map((item) => JSON.stringify(toPlainData(item))).join('\n');
+      }
+      return JSON.stringify(toPlainData(data));
+    case 'table':
+      return formatTable(toPlainData(data));
+    default:
+      return `${label}: ${
+        typeof textData === 'string'
+          ? textData
+          : util.inspect(textData, {
+              depth: null,
+              colors: Boolean(process.stdout.isTTY),
+            })
+      }`;
+  }
+};
+
+// Prints a command result to stdout
+// stdout only ever receives results so it stays parseable in json/ndjson modes
+const printResult = (label, data, format, textData) => {
+  const output = formatOutput(label, data, format, textData);
+  if (output !== '') {
+    console.log(output);
+  }
+};
+
+// Prints an error to stderr
+// Structured formats get the error as JSON, text mode lists the suggestions
+const printError = (error, format) => {
+  const details =
+    typeof error.toJSON === 'function'
+      ? error.toJSON()
+      : { error: error.name, message: error.message, suggestions: [] };
+
+  if (format === 'json' || format === 'ndjson') {
+    console.error(
+      JSON.stringify(details, null, format === 'json' ? 2 : undefined),
+    );
+    return;
+  }
+
+  console.error(`Error: ${details.message}`);
+  if (details.suggestions && details.suggestions.length > 0) {
+    console.error('Suggestions:');
+    details.suggestions.forEach((suggestion) =>
+      console.error(`  - ${suggestion}`),
+    );
+  }
+};
+
+module.exports = {
+  OUTPUT_FORMATS,
+  validateOutputFormat,
+  toPlainData,
+  formatTable,
+  formatOutput,
+  printResult,
+  printError,
+};
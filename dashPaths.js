@@ -0,0 +1,27 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Root directory for all local CLI state (profiles, keystore, caches)
+// DASH_CLI_HOME overrides the default ~/.dash-platform-cli location
+const getConfigDir = () =>
+  process.env.DASH_CLI_HOME || path.join(os.homedir(), '.dash-platform-cli');
+
+// Creates a directory under the config root, readable only by the owner
+const ensureConfigDir = (...segments) => {
+  const dir = path.join(getConfigDir(), ...segments);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  return dir;
+};
+
+// Writes a JSON file that may hold private data with owner-only permissions
+const writePrivateJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+};
+
+module.exports = {
+  getConfigDir,
+  ensureConfigDir,
+  writePrivateJson,
+};
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir, writePrivateJson } = require('./dashPaths');
+const { ValidationError, NotFoundError } = require('./dashErrors');
+const { resolveProviders } = require('./dashExplorer');
+
+// Named configuration profiles stored in <config dir>/config.json
+// A profile keeps the network, DAPI addresses, block explorer providers,
+// default identity, contract aliases and a reference to the wallet used with
+// them (a keystore wallet name or the environment variable holding the mnemonic)
+
+// Profile names end up in file paths and shell completions, keep them simple
+const PROFILE_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+const getConfigFile = () => path.join(getConfigDir(), 'config.json');
+
+const loadConfig = () => {
+  const file = getConfigFile();
+  if (!fs.existsSync(file)) {
+    return { activeProfile: null, profiles: {} };
+  }
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { activeProfile: null, profiles: {}, ...config };
+  } catch (error) {
+    throw new ValidationError(
+      `Could not read config file ${file}: ${error.message}`,
+    );
+  }
+};
+
+const saveConfig = (config) => {
+  writePrivateJson(getConfigFile(), config);
+};
+
+const validateProfileName = (name) => {
+  if (!name || !PROFILE_NAME_REGEX.test(name)) {
+    throw new ValidationError(
+      'Profile name is required and may only contain letters, numbers, hyphens and underscores',
+    );
+  }
+  return name;
+};
+
+const getProfile = (name) => {
+  const config = loadConfig();
+  const profile = config.profiles[name];
+  if (!profile) {
+    throw new NotFoundError(`Profile "${name}" not found`, {
+      suggestions: [
+        'Run "profile list" to see the available profiles',
+        `Create it with "profile create ${name} --network <network>"`,
+      ],
+    });
+  }
+  return profile;
+};
+
+// Parses repeated --contract-alias name=id values into an alias map
+const parseContractAliases = (aliases = []) =>
+  Object.fromEntries(
+    aliases.map((alias) => {
+      const [name, contractId] = alias.split('=');
+      if (!name || !contractId) {
+        throw new ValidationError(
+          `Invalid contract alias "${alias}". Use --contract-alias <alias>=<contract-id>`,
+        );
+      }
+      return [name, contractId];
+    }),
+  );
+
+// A DAPI address is host:port, the host a name, an IPv4 address or an IPv6
+// address in brackets like [2001:db8::1]:1443
+const DAPI_ADDRESS_REGEX = /^(?:[a-zA-Z0-9.-]+|\[[0-9a-fA-F:.]+\]):(\d{1,5})$/;
+
+// Parses DAPI addresses given as a JSON array string (--dapi-addresses) or an
+// array (a profile or the shell session) into a non-empty array of host:port
+const parseDapiAddresses = (value, source = '--dapi-addresses') => {
+  let addresses = value;
+  if (typeof value === 'string') {
+    try {
+      addresses = JSON.parse(value);
+    } catch (error) {
+      throw new ValidationError(
+        `${source} must be a JSON array of host:port addresses: ${error.message}`,
+      );
+    }
+  }
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    throw new ValidationError(
+      `${source} must be a non-empty JSON array of host:port addresses`,
+    );
+  }
+  addresses.forEach((address) => {
+    const match =
+      typeof address === 'string' && DAPI_ADDRESS_REGEX.exec(address);
+    const port = match && Number(match[1]);
+    if (!match || port < 1 || port > 65535) {
+      throw new ValidationError(
+        `Invalid DAPI address ${JSON.stringify(address)} in ${source}, expected host:port`,
+      );
+    }
+  });
+  return addresses;
+};
+
+// Builds the stored profile from CLI options, leaving out unset values
+const profileFromOptions = (options) => {
+  const dapiAddresses = options.dapiAddresses
+    ? parseDapiAddresses(options.dapiAddresses)
+    : undefined;
+
+  let explorerProviders;
+  if (options.explorerProviders) {
+    // Validated now so a broken profile is not saved
+    resolveProviders(options.network || 'mainnet', options.explorerProviders);
+    explorerProviders = JSON.parse(options.explorerProviders);
+  }
+
+  const profile = {
+    network: options.network,
+    dapiAddresses,
+    explorerProviders,
+    identityId: options.identityId,
+    address: options.address,
+    contracts: parseContractAliases(options.contractAlias),
+    wallet: options.wallet
+      ? { keystore: options.wallet }
+      : options.mnemonicEnv
+        ? { mnemonicEnv: options.mnemonicEnv }
+        : {},
+  };
+  if (options.contractId) {
+    profile.contracts.default = options.contractId;
+  }
+  return JSON.parse(JSON.stringify(profile));
+};
+
+const createProfile = (name, options) => {
+  validateProfileName(name);
+  const config = loadConfig();
+  if (config.profiles[name]) {
+    throw new ValidationError(`Profile "${name}" already exists`, {
+      suggestions: [`Delete it first with "profile delete ${name}"`],
+    });
+  }
+  config.profiles[name] = profileFromOptions(options);
+  if (!config.activeProfile) {
+    config.activeProfile = name;
+  }
+  saveConfig(config);
+  return {
+    name,
+    active: config.activeProfile === name,
+    ...config.profiles[name],
+  };
+};
+
+const listProfiles = () => {
+  const config = loadConfig();
+  return Object.entries(config.profiles).map(([name, profile]) => ({
+    name,
+    active: config.activeProfile === name,
+    network: profile.network,
+    identityId: profile.identityId,
+  }));
+};
+
+const useProfile = (name) => {
+  validateProfileName(name);
+  getProfile(name);
+  const config = loadConfig();
+  config.activeProfile = name;
+  saveConfig(config);
+  return { activeProfile: name };
+};
+
+const showProfile = (name) => {
+  const config = loadConfig();
+  const profileName = name || config.activeProfile;
+  if (!profileName) {
+    throw new NotFoundError('No active profile', {
+      suggestions: ['Select one with "profile use <name>"'],
+    });
+  }
+  return {
+    name: profileName,
+    active: config.activeProfile === profileName,
+    ...getProfile(profileName),
+  };
+};
+
+const deleteProfile = (name) => {
+  validateProfileName(name);
+  getProfile(name);
+  const config = loadConfig();
+  delete config.profiles[name];
+  if (config.activeProfile === name) {
+    config.activeProfile = null;
+  }
+  saveConfig(config);
+  return { deleted: name };
+};
+
+// Returns the profile selected by --profile, DASH_PROFILE or the active profile
+// An explicitly requested profile must exist, a missing active profile is ignored
+const resolveProfile = (profileName) => {
+  const requested = profileName || process.env.DASH_PROFILE;
+  if (requested) {
+    return { name: requested, ...getProfile(requested) };
+  }
+  const config = loadConfig();
+  if (config.activeProfile && config.profiles[config.activeProfile]) {
+    return {
+      name: config.activeProfile,
+      ...config.profiles[config.activeProfile],
+    };
+  }
+  return null;
+};
+
+// Resolves a contract alias from the profile, other values are returned as is
+const resolveContractId = (profile, contractId) => {
+  if (!profile || !profile.contracts) {
+    return contractId;
+  }
+  if (!contractId) {
+    return profile.contracts.default;
+  }
+  return profile.contracts[contractId] || contractId;
+};
+
+// Fills options that neither a CLI flag nor an environment variable set from
+// the profile
+// Precedence is: CLI flags -> environment variables -> profile -> defaults
+const applyProfile = (options, profile) => {
+  if (!profile) {
+    return options;
+  }
+  const contractId = resolveContractId(profile, options.contractId);
+  const resolved = {
+    ...options,
+    network: options.network ?? profile.network,
+    identityId: options.identityId ?? profile.identityId,
+    address: options.address ?? profile.address,
+    contractId,
+  };
+  if (
+    profile.dapiAddresses &&
+    !options.dapiAddresses &&
+    (!options.network || options.network === profile.network)
+  ) {
+    resolved.dapiAddresses = profile.dapiAddresses;
+  }
+  if (
+    profile.explorerProviders &&
+    !options.explorerProviders &&
+    (!options.network || options.network === profile.network)
+  ) {
+    resolved.explorerProviders = profile.explorerProviders;
+  }
+  if (profile.wallet && profile.wallet.keystore && !options.wallet) {
+    resolved.wallet = profile.wallet.keystore;
+  }
+  if (profile.wallet && profile.wallet.mnemonicEnv && !options.wallet) {
+    const mnemonic = process.env[profile.wallet.mnemonicEnv];
+    if (!mnemonic) {
+      throw new ValidationError(
+        `Profile "${profile.name}" reads the mnemonic from ${profile.wallet.mnemonicEnv}, which is not set`,
+      );
+    }
+    resolved.mnemonic = mnemonic;
+  }
+  return resolved;
+};
+
+// Runs a "profile <subcommand> [name]" command
+const runProfileCommand = (subcommand, name, options) => {
+  switch (subcommand) {
+    case 'create':
+      return createProfile(name, options);
+    case 'list':
+      return listProfiles();
+    case 'use':
+      return useProfile(name);
+    case 'show':
+      return showProfile(name);
+    case 'delete':
+      return deleteProfile(name);
+    default:
+      throw new ValidationError(
+        'Invalid profile command. Available commands: create, list, use, show, delete',
+      );
+  }
+};
+
+module.exports = {
+  parseDapiAddresses,
+  loadConfig,
+  resolveProfile,
+  resolveContractId,
+  applyProfile,
+  runProfileCommand,
+};
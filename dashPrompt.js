@@ -0,0 +1,105 @@
+const readline = require('readline');
+const { Writable } = require('stream');
+
+// Prompts on stderr answered from stdin, used by the keystore passphrase
+// prompts, confirmations and the interactive shell
+// Piped stdin is read once into a buffer shared by every prompt, a reader per
+// prompt would swallow the lines meant for the prompts after it. stdin is
+// paused between prompts so it does not keep the process running
+
+const piped = { text: '', ended: false };
+
+// Takes the next complete line from the buffer, the rest of the input once
+// stdin ended, null when nothing is left and undefined while more may come
+const takePipedLine = () => {
+  const index = piped.text.indexOf('\n');
+  if (index !== -1) {
+    const line = piped.text.slice(0, index).replace(/\r$/, '');
+    piped.text = piped.text.slice(index + 1);
+    return line;
+  }
+  if (piped.ended) {
+    const line = piped.text;
+    piped.text = '';
+    return line || null;
+  }
+  return undefined;
+};
+
+// Resolves with the next line of piped stdin, null at the end of the input
+const readPipedLine = () =>
+  new Promise((resolve) => {
+    const line = takePipedLine();
+    if (line !== undefined) {
+      resolve(line);
+      return;
+    }
+    const { stdin } = process;
+    const finish = () => {
+      const next = takePipedLine();
+      if (next === undefined) {
+        return;
+      }
+      stdin.off('data', onData);
+      stdin.off('end', onEnd);
+      stdin.pause();
+      resolve(next);
+    };
+    const onData = (chunk) => {
+      piped.text += chunk;
+      finish();
+    };
+    const onEnd = () => {
+      piped.ended = true;
+      finish();
+    };
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdin.on('end', onEnd);
+    stdin.resume();
+  });
+
+// Asks a question on the terminal, muted hides the typed answer
+// Resolves with null when the prompt is cancelled with Ctrl+C or Ctrl+D
+const askTerminal = (question, muted) =>
+  new Promise((resolve) => {
+    let answer = null;
+    // A muted prompt writes the question itself and gives readline an output
+    // that drops everything, the echo of the answer included
+    const output = muted
+      ? new Writable({ write: (chunk, encoding, callback) => callback() })
+      : process.stderr;
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true,
+    });
+    rl.on('SIGINT', () => rl.close());
+    rl.on('close', () => {
+      if (muted || answer === null) {
+        process.stderr.write('\n');
+      }
+      resolve(answer);
+    });
+    if (muted) {
+      process.stderr.write(question);
+    }
+    rl.question(muted ? '' : question, (line) => {
+      answer = line;
+      rl.close();
+    });
+  });
+
+// Reads a line, from the terminal or the next line of piped stdin
+const promptLine = (question) =>
+  process.stdin.isTTY ? askTerminal(question, false) : readPipedLine();
+
+// Reads a line without echoing it, piped values are read as they are
+const promptHidden = (question) =>
+  process.stdin.isTTY ? askTerminal(question, true) : readPipedLine();
+
+module.exports = {
+  readPipedLine,
+  promptLine,
+  promptHidden,
+};
@@ -0,0 +1,359 @@
+const { ValidationError } = require('./dashErrors');
+
+// Document query building for retrieveDocuments and exportDocuments
+// Turns --where/--order-by/--limit/--start-after/--start-at flags and --query
+// JSON into a platform query, coerces values using the document schema and
+// checks that the query is served by one of the contract's indices
+
+const EQUALITY_OPERATORS = ['==', 'in'];
+const RANGE_OPERATORS = ['<', '<=', '>', '>=', 'startsWith'];
+const OPERATORS = [...EQUALITY_OPERATORS, ...RANGE_OPERATORS];
+const ORDER_DIRECTIONS = ['asc', 'desc'];
+const MAX_QUERY_LIMIT = 100;
+
+// Types of the system fields every document has
+const SYSTEM_FIELD_TYPES = {
+  $id: 'string',
+  $ownerId: 'string',
+  $revision: 'integer',
+  $createdAt: 'integer',
+  $updatedAt: 'integer',
+};
+
+// Symbol operators are matched longest first so ">=" is not read as ">"
+const WHERE_REGEX =
+  /^\s*([$\w.]+)\s*(==|<=|>=|<|>|\s+in\s+|\s+startsWith\s+)\s*(.*?)\s*$/;
+
+// Strips optional quotes, e.g. --where 'name=="Alice Smith"'
+const unquote = (value) => value.replace(/^"(.*)"$|^'(.*)'$/, '$1$2');
+
+// Parses a --where flag like "score>=10", "$ownerId==<id>" or "tag in [a,b]"
+const parseWhere = (text) => {
+  const match = WHERE_REGEX.exec(text);
+  if (!match) {
+    throw new ValidationError(
+      `Invalid --where "${text}". Use <field><operator><value>, operators: ${OPERATORS.join(' ')}`,
+      {
+        suggestions: [
+          'Examples: --where "score>=10" --where "$ownerId==<id>" --where "tag in [a,b]"',
+        ],
+      },
+    );
+  }
+  const [, field, operator, rawValue] = match;
+  const op = operator.trim();
+  if (op === 'in') {
+    let values;
+    try {
+      values = JSON.parse(rawValue);
+    } catch (error) {
+      values = rawValue.replace(/^\[|\]$/g, '').split(',');
+    }
+    if (!Array.isArray(values)) {
+      values = [values];
+    }
+    return [
+      field,
+      op,
+      values.map((value) =>
+        typeof value === 'string' ? unquote(value.trim()) : value,
+      ),
+    ];
+  }
+  return [field, op, unquote(rawValue)];
+};
+
+// Parses an --order-by flag like "$createdAt:desc"
+const parseOrderBy = (text) => {
+  const [field, direction = 'asc'] = text.split(':');
+  if (!field || !ORDER_DIRECTIONS.includes(direction)) {
+    throw new ValidationError(
+      `Invalid --order-by "${text}". Use <field>[:asc|desc]`,
+    );
+  }
+  return [field, direction];
+};
+
+// Checks the shape of a --query JSON object
+const validateQueryShape = (query) => {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new ValidationError('--query must be a JSON object');
+  }
+  (query.where || []).forEach((clause) => {
+    if (
+      !Array.isArray(clause) ||
+      clause.length !== 3 ||
+      typeof clause[0] !== 'string' ||
+      !OPERATORS.includes(clause[1])
+    ) {
+      throw new ValidationError(
+        `Invalid where clause ${JSON.stringify(clause)}. Use [field, operator, value] with operators: ${OPERATORS.join(' ')}`,
+      );
+    }
+  });
+  (query.orderBy || []).forEach((clause) => {
+    if (
+      !Array.isArray(clause) ||
+      typeof clause[0] !== 'string' ||
+      !ORDER_DIRECTIONS.includes(clause[1])
+    ) {
+      throw new ValidationError(
+        `Invalid orderBy clause ${JSON.stringify(clause)}. Use [field, "asc"|"desc"]`,
+      );
+    }
+  });
+  if (query.startAt && query.startAfter) {
+    throw new ValidationError('Use either startAt or startAfter, not both');
+  }
+  return query;
+};
+
+// Builds the query from --query and the query flags. Flags add where clauses
+// to the JSON query and replace its orderBy, limit and start values
+// Exports page through the results, so their limit may exceed one page
+const buildQuery = (options, maxLimit = MAX_QUERY_LIMIT) => {
+  let query = {};
+  if (options.query) {
+    try {
+      query = JSON.parse(options.query);
+    } catch (error) {
+      throw new ValidationError(`--query is not valid JSON: ${error.message}`);
+    }
+  }
+  validateQueryShape(query);
+
+  const where = [
+    ...(query.where || []),
+    ...(options.where || []).map(parseWhere),
+  ];
+  const result = { ...query };
+  if (where.length > 0) {
+    result.where = where;
+  }
+  if (options.orderBy && options.orderBy.length > 0) {
+    result.orderBy = options.orderBy.map(parseOrderBy);
+  }
+  if (options.limit !== undefined) {
+    result.limit = Number(options.limit);
+  }
+  if (options.startAfter) {
+    result.startAfter = options.startAfter;
+    delete result.startAt;
+  }
+  if (options.startAt) {
+    result.startAt = options.startAt;
+    delete result.startAfter;
+  }
+  if (options.startAfter && options.startAt) {
+    throw new ValidationError('Use either --start-after or --start-at');
+  }
+  if (
+    result.limit !== undefined &&
+    (!Number.isInteger(result.limit) ||
+      result.limit < 1 ||
+      result.limit > maxLimit)
+  ) {
+    throw new ValidationError(
+      maxLimit === Infinity
+        ? 'Limit must be a positive integer'
+        : `Limit must be an integer between 1 and ${maxLimit}`,
+    );
+  }
+  return result;
+};
+
+// Finds the schema type of a (possibly nested) field
+const fieldType = (schema, field) => {
+  if (SYSTEM_FIELD_TYPES[field]) {
+    return SYSTEM_FIELD_TYPES[field];
+  }
+  const definition = field
+    .split('.')
+    .reduce(
+      (node, key) => node && node.properties && node.properties[key],
+      schema,
+    );
+  return definition && definition.type;
+};
+
+// Flag values are strings, values from --query JSON keep their type
+const coerceValue = (field, type, value) => {
+  if (typeof value !== 'string' || type === 'string') {
+    return value;
+  }
+  if (type === 'integer' || type === 'number') {
+    const number = Number(value);
+    if (
+      value.trim() === '' ||
+      Number.isNaN(number) ||
+      (type === 'integer' && !Number.isInteger(number))
+    ) {
+      throw new ValidationError(
+        `Field "${field}" is ${type === 'integer' ? 'an integer' : 'a number'}, got "${value}"`,
+      );
+    }
+    return number;
+  }
+  if (type === 'boolean') {
+    if (!['true', 'false'].includes(value)) {
+      throw new ValidationError(
+        `Field "${field}" is a boolean, got "${value}"`,
+      );
+    }
+    return value === 'true';
+  }
+  return value;
+};
+
+// Converts where values to the types of their schema properties
+// Unknown fields are rejected here instead of by DAPI
+const coerceQuery = (query, schema, documentType) => {
+  const checkField = (field) => {
+    const type = fieldType(schema, field);
+    if (!type) {
+      throw new ValidationError(
+        `Unknown field "${field}" for document type "${documentType}"`,
+        {
+          suggestions: [
+            `Available fields: ${[
+              ...Object.keys(SYSTEM_FIELD_TYPES),
+              ...Object.keys(schema.properties || {}),
+            ].join(', ')}`,
+          ],
+        },
+      );
+    }
+    return type;
+  };
+
+  (query.orderBy || []).forEach(([field]) => checkField(field));
+  if (!query.where) {
+    return query;
+  }
+  return {
+    ...query,
+    where: query.where.map(([field, operator, value]) => {
+      const type = checkField(field);
+      if (operator === 'in') {
+        const values = Array.isArray(value) ? value : [value];
+        return [
+          field,
+          operator,
+          values.map((entry) => coerceValue(field, type, entry)),
+        ];
+      }
+      return [field, operator, coerceValue(field, type, value)];
+    }),
+  };
+};
+
+const indexFields = (index) =>
+  index.properties.map((property) => Object.keys(property)[0]);
+
+const describeIndex = (index) =>
+  `${index.name} (${indexFields(index).join(', ')})`;
+
+// Checks that the where and orderBy clauses can be served by an index
+// Platform rules: equality clauses (==, in) must cover the leading properties
+// of an index, at most one field may use range operators and it has to be the
+// next index property, and orderBy fields must follow in index order
+// Returns the name of the matching index, or null for primary key lookups
+const checkQueryIndices = (query, schema, documentType) => {
+  const where = query.where || [];
+  const orderFields = (query.orderBy || []).map(([field]) => field);
+
+  // Queries without filters, or only on $id, use the primary key
+  if (
+    where.every(
+      ([field, operator]) =>
+        field === '$id' && EQUALITY_OPERATORS.includes(operator),
+    ) &&
+    orderFields.every((field) => field === '$id')
+  ) {
+    return null;
+  }
+
+  const equality = [
+    ...new Set(
+      where
+        .filter(([, operator]) => EQUALITY_OPERATORS.includes(operator))
+        .map(([field]) => field),
+    ),
+  ];
+  const range = [
+    ...new Set(
+      where
+        .filter(([, operator]) => RANGE_OPERATORS.includes(operator))
+        .map(([field]) => field),
+    ),
+  ];
+  if (where.filter(([, operator]) => operator === 'in').length > 1) {
+    throw new ValidationError('Only one "in" clause is allowed per query');
+  }
+  if (range.length > 1) {
+    throw new ValidationError(
+      `Range operators can only be used on one field, got: ${range.join(', ')}`,
+    );
+  }
+  if (
+    range.length === 1 &&
+    orderFields.length > 0 &&
+    orderFields[0] !== range[0]
+  ) {
+    throw new ValidationError(
+      `The first orderBy field must be "${range[0]}" when it is filtered with a range operator`,
+    );
+  }
+
+  const needed = [
+    ...new Set([
+      ...range,
+      ...orderFields.filter((field) => !equality.includes(field)),
+    ]),
+  ];
+  const indices = schema.indices || [];
+  const match = indices.find((index) => {
+    const fields = indexFields(index);
+    const leading = fields.slice(0, equality.length);
+    const rest = fields.slice(equality.length);
+    return (
+      equality.every((field) => leading.includes(field)) &&
+      needed.every((field, i) => rest[i] === field)
+    );
+  });
+
+  if (!match) {
+    throw new ValidationError(
+      `No index of document type "${documentType}" serves this query (equality: ${equality.join(', ') || 'none'}, range/order: ${needed.join(', ') || 'none'})`,
+      {
+        code: 'QUERY_NOT_INDEXED',
+        suggestions: [
+          indices.length > 0
+            ? `Available indices: ${indices.map(describeIndex).join('; ')}`
+            : `Document type "${documentType}" has no indices, only $id lookups are possible`,
+          'Add an index with updateContract --indices, or pass --skip-index-check to send the query anyway',
+        ],
+      },
+    );
+  }
+  return match.name;
+};
+
+// Coerces and checks a query against the document schema
+const prepareQuery = (query, schema, documentType, { skipIndexCheck } = {}) => {
+  const prepared = coerceQuery(query, schema, documentType);
+  if (!skipIndexCheck) {
+    checkQueryIndices(prepared, schema, documentType);
+  }
+  return prepared;
+};
+
+module.exports = {
+  MAX_QUERY_LIMIT,
+  parseWhere,
+  parseOrderBy,
+  buildQuery,
+  coerceQuery,
+  checkQueryIndices,
+  prepareQuery,
+};
@@ -0,0 +1,379 @@
+const { ValidationError } = require('./dashErrors');
+
+// Local JSON Schema validation of document data
+// Covers the JSON Schema keywords allowed in Dash Platform document schemas plus
+// the platform's byteArray and identifier extensions, so invalid documents are
+// rejected before they are signed and broadcast
+
+const IDENTIFIER_MEDIA_TYPE = 'application/x.dash.dpp.identifier';
+const BASE58_IDENTIFIER_REGEX = /^[1-9A-HJ-NP-Za-km-z]{42,44}$/;
+
+const FORMATS = {
+  'date-time': (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(
+      value,
+    ) && !Number.isNaN(Date.parse(value)),
+  date: (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value),
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value,
+    ),
+};
+
+// Appends a property or index to a JSON path like $.address.city or $.tags[0]
+const childPath = (path, key) =>
+  typeof key === 'number'
+    ? `${path}[${key}]`
+    : /^[a-zA-Z_$][\w$]*$/.test(key)
+      ? `${path}.${key}`
+      : `${path}[${JSON.stringify(key)}]`;
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !Buffer.isBuffer(value) &&
+  !(value instanceof Uint8Array);
+
+const isByteArray = (value) =>
+  Buffer.isBuffer(value) ||
+  value instanceof Uint8Array ||
+  (Array.isArray(value) &&
+    value.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 255));
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value) || value instanceof Uint8Array) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value) || value instanceof Uint8Array;
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Resolves local references like #/$defs/address against the root schema
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#')) {
+    throw new ValidationError(`Unsupported schema reference "${ref}"`);
+  }
+  const target = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce(
+      (node, key) => node && node[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+      root,
+    );
+  if (!target) {
+    throw new ValidationError(`Schema reference "${ref}" not found`);
+  }
+  return target;
+};
+
+// Validates a value against a schema and returns every violation found
+// Each violation has the JSON path of the value, the failing keyword and a message
+const validate = (schema, value, { root = schema, path = '$' } = {}) => {
+  const errors = [];
+  const fail = (keyword, message, at = path) => {
+    errors.push({ path: at, keyword, message });
+  };
+  const nested = (subschema, subvalue, subpath) =>
+    validate(subschema, subvalue, { root, path: subpath });
+
+  if (schema === true || schema === undefined) {
+    return errors;
+  }
+  if (schema === false) {
+    fail('false', 'no value is allowed here');
+    return errors;
+  }
+  if (schema.$ref) {
+    errors.push(...nested(resolveRef(root, schema.$ref), value, path));
+  }
+
+  // Identifiers may be given as base58 strings instead of 32 byte arrays
+  if (
+    schema.contentMediaType === IDENTIFIER_MEDIA_TYPE &&
+    typeof value === 'string'
+  ) {
+    if (!BASE58_IDENTIFIER_REGEX.test(value)) {
+      fail('contentMediaType', 'must be a base58 encoded identifier');
+    }
+    return errors;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.byteArray && !isByteArray(value)) {
+    fail('byteArray', 'must be an array of bytes (integers 0-255)');
+    return errors;
+  }
+  if (schema.enum && !schema.enum.some((option) => deepEqual(option, value))) {
+    fail(
+      'enum',
+      `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`,
+    );
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    ) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (
+      schema.multipleOf !== undefined &&
+      !Number.isInteger(Number((value / schema.multipleOf).toFixed(8)))
+    ) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value) || value instanceof Uint8Array) {
+    const items = Array.from(value);
+    if (schema.minItems !== undefined && items.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      items.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          fail(
+            'uniqueItems',
+            'must not repeat an earlier item',
+            childPath(path, index),
+          );
+        }
+        seen.add(key);
+      });
+    }
+    // Byte arrays are checked as a whole above
+    if (!schema.byteArray) {
+      const tuple =
+        schema.prefixItems || (Array.isArray(schema.items) && schema.items);
+      items.forEach((item, index) => {
+        const itemSchema = tuple
+          ? index < tuple.length
+            ? tuple[index]
+            : schema.prefixItems
+              ? schema.items
+              : schema.additionalItems
+          : schema.items;
+        errors.push(...nested(itemSchema, item, childPath(path, index)));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((property) => {
+      if (value[property] === undefined) {
+        fail('required', `is required`, childPath(path, property));
+      }
+    });
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      fail(
+        'minProperties',
+        `must have at least ${schema.minProperties} properties`,
+      );
+    }
+    if (
+      schema.maxProperties !== undefined &&
+      keys.length > schema.maxProperties
+    ) {
+      fail(
+        'maxProperties',
+        `must have at most ${schema.maxProperties} properties`,
+      );
+    }
+    keys.forEach((key) => {
+      const propertyPath = childPath(path, key);
+      if (schema.propertyNames) {
+        errors.push(...nested(schema.propertyNames, key, propertyPath));
+      }
+      if (properties[key] !== undefined) {
+        errors.push(...nested(properties[key], value[key], propertyPath));
+      } else if (schema.additionalProperties === false) {
+        fail(
+          'additionalProperties',
+          'is not allowed by the schema',
+          propertyPath,
+        );
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(
+          ...nested(schema.additionalProperties, value[key], propertyPath),
+        );
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach((subschema) => {
+    errors.push(...nested(subschema, value, path));
+  });
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((subschema) =>
+      nested(subschema, value, path),
+    );
+    if (!results.some((result) => result.length === 0)) {
+      fail('anyOf', 'must match at least one of the allowed schemas');
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (subschema) => nested(subschema, value, path).length === 0,
+    ).length;
+    if (matches !== 1) {
+      fail(
+        'oneOf',
+        `must match exactly one of the allowed schemas, matched ${matches}`,
+      );
+    }
+  }
+  if (schema.not && nested(schema.not, value, path).length === 0) {
+    fail('not', 'must not match the disallowed schema');
+  }
+  if (schema.if) {
+    const branch =
+      nested(schema.if, value, path).length === 0 ? schema.then : schema.else;
+    if (branch) {
+      errors.push(...nested(branch, value, path));
+    }
+  }
+  return errors;
+};
+
+// Validates document data against a document type schema
+// System fields ($createdAt, ...) are set by the platform, not by the document
+// data, so they are ignored in required. With partial only the given properties
+// are checked, which is used for replace where the rest comes from the stored
+// document
+const validateDocument = (schema, data, { partial = false } = {}) => {
+  if (!isPlainObject(data)) {
+    return [
+      {
+        path: '$',
+        keyword: 'type',
+        message: 'document data must be an object',
+      },
+    ];
+  }
+  const systemFields = Object.keys(data).filter((key) => key.startsWith('$'));
+  const errors = systemFields.map((key) => ({
+    path: childPath('$', key),
+    keyword: 'systemField',
+    message:
+      'system fields are set by the platform and cannot be part of the data',
+  }));
+  const properties = Object.fromEntries(
+    Object.entries(data).filter(([key]) => !systemFields.includes(key)),
+  );
+  const documentSchema = {
+    ...schema,
+    required: partial
+      ? []
+      : (schema.required || []).filter((field) => !field.startsWith('$')),
+  };
+  return [...errors, ...validate(documentSchema, properties, { root: schema })];
+};
+
+const formatViolations = (errors) =>
+  errors.map((error) => `  - ${error.path}: ${error.message}`).join('\n');
+
+// Throws a ValidationError listing every violation if the data is invalid
+const assertValidDocument = (schema, data, documentType, options) => {
+  const errors = validateDocument(schema, data, options);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Document data does not match the "${documentType}" schema:\n${formatViolations(errors)}`,
+      {
+        code: 'SCHEMA_VALIDATION_FAILED',
+        details: errors,
+        suggestions: [
+          `Run "retrieveContract" to see the "${documentType}" schema`,
+        ],
+      },
+    );
+  }
+  return data;
+};
+
+module.exports = {
+  validate,
+  validateDocument,
+  formatViolations,
+  assertValidDocument,
+};
@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const dashClient = require('./dashClient');
+const logger = require('./dashLogger');
+const { readCache } = require('./dashCache');
+const { ensureConfigDir } = require('./dashPaths');
+const { loadConfig, resolveProfile } = require('./dashProfiles');
+const { OUTPUT_FORMATS, printResult, printError } = require('./dashOutput');
+const { EXIT_CODES, ValidationError, classifyError } = require('./dashErrors');
+const { readPipedLine, promptLine } = require('./dashPrompt');
+
+// Interactive shell, started with "dashCLI shell"
+// Every line is parsed like a command line and run with the same options the
+// shell was started with. Clients stay connected for the whole session (see
+// startSession in dashClient.js) so the wallet is only synced once. The shell
+// remembers the active identity and contract and keeps its history in
+// <config dir>/shell_history
+
+const HISTORY_SIZE = 1000;
+const BUILTINS = ['help', 'use', 'status', 'exit', 'quit'];
+const NETWORKS = ['mainnet', 'testnet', 'memory'];
+
+// Subcommands completed after the local commands
+const SUBCOMMANDS = {
+  profile: ['create', 'list', 'use', 'show', 'delete'],
+  keystore: ['import', 'export', 'change-passphrase', 'list'],
+  cache: ['show', 'clear'],
+  use: ['identity', 'contract'],
+};
+
+// Options of the shell command line passed on to every command, unless the
+// line sets them itself. The mnemonic is passed so a keystore wallet is only
+// unlocked once
+const SESSION_OPTIONS = [
+  'profile',
+  'network',
+  'memoryFile',
+  'mnemonic',
+  'dapiAddresses',
+  'explorerProviders',
+  'address',
+  'output',
+  'logLevel',
+  'logFormat',
+  'logFile',
+];
+
+const historyFile = () => path.join(ensureConfigDir(), 'shell_history');
+
+// readline keeps the newest entry first, the file the oldest first
+const loadHistory = () => {
+  const file = historyFile();
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .reverse()
+    .slice(0, HISTORY_SIZE);
+};
+
+const saveHistory = (history) => {
+  fs.writeFileSync(historyFile(), `${[...history].reverse().join('\n')}\n`, {
+    mode: 0o600,
+  });
+};
+
+// Splits a line into arguments like a POSIX shell: whitespace separates
+// arguments, single quotes keep everything literally, double quotes and
+// backslashes escape, so JSON values can be quoted as on the command line
+const splitLine = (line) => {
+  const tokens = [];
+  let token = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        token += char;
+      }
+    } else if (char === '\\' && i + 1 < line.length) {
+      i += 1;
+      token = (token || '') + line[i];
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else {
+        token += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      token = token || '';
+    } else if (/\s/.test(char)) {
+      if (token !== null) {
+        tokens.push(token);
+        token = null;
+      }
+    } else {
+      token = (token || '') + char;
+    }
+  }
+  if (quote) {
+    throw new ValidationError(`Unclosed ${quote} quote`);
+  }
+  if (token !== null) {
+    tokens.push(token);
+  }
+  return tokens;
+};
+
+// Reads the lines typed into the shell. In a terminal a new interface is
+// created for every prompt and closed while the command runs, so passphrase
+// prompts of keystore wallets get the keyboard to themselves
+// ask reads the answer to a question of a command, like the confirmation of
+// getPrivateKey, without completion and history
+// getHistory returns the history entries, newest first
+const createLineReader = ({ completer, getHistory }) => {
+  if (!process.stdin.isTTY) {
+    return { next: readPipedLine, ask: readPipedLine, close: () => {} };
+  }
+  return {
+    ask: promptLine,
+    next: (prompt) =>
+      new Promise((resolve) => {
+        let line = null;
+        const rl = readline.createInterface({
+          input: process.stdin,
+          output: process.stderr,
+          completer,
+          history: [...getHistory()],
+          historySize: HISTORY_SIZE,
+        });
+        // Ctrl+C discards the line, Ctrl+D on an empty line leaves the shell
+        rl.on('SIGINT', () => {
+          line = '';
+          process.stderr.write('\n');
+          rl.close();
+        });
+        rl.on('close', () => resolve(line));
+        rl.question(prompt, (answer) => {
+          line = answer;
+          rl.close();
+        });
+      }),
+    close: () => {},
+  };
+};
+
+// Completes command names, builtins, subcommands, options and the values of
+// options the session knows: identity and contract IDs and document types
+// state holds the identities, contracts and document types seen so far
+const createCompleter = ({ network, commands, optionNames, state }) => {
+  const documentTypesOf = (contractId) => {
+    const cached = readCache('contracts', `${network}-${contractId}`);
+    return [
+      ...(state.documentTypes.get(contractId) || []),
+      ...Object.keys((cached && cached.documentSchemas) || {}),
+    ];
+  };
+
+  const valueCompletions = (option, tokens) => {
+    switch (option) {
+      case '--identity-id':
+        return [...state.identities];
+      case '--contract-id':
+        return [...state.contracts];
+      case '--document-type': {
+        const index = tokens.indexOf('--contract-id');
+        return documentTypesOf(
+          index >= 0 ? tokens[index + 1] : state.contractId,
+        );
+      }
+      case '--network':
+        return NETWORKS;
+      case '--output':
+        return OUTPUT_FORMATS;
+      case '--profile':
+        return Object.keys(loadConfig().profiles);
+      default:
+        return undefined;
+    }
+  };
+
+  return (line) => {
+    const tokens = line.split(/\s+/).filter(Boolean);
+    const current = /\s$/.test(line) || line === '' ? '' : tokens.pop();
+    let candidates = [];
+    if (tokens.length === 0) {
+      candidates = [...commands, ...BUILTINS];
+    } else if (tokens[0] === 'use' && tokens.length === 2) {
+      candidates =
+        tokens[1] === 'identity' ? [...state.identities] : [...state.contracts];
+    } else if (valueCompletions(tokens[tokens.length - 1], tokens)) {
+      candidates = valueCompletions(tokens[tokens.length - 1], tokens);
+    } else if (current.startsWith('-')) {
+      candidates = optionNames;
+    } else if (SUBCOMMANDS[tokens[0]] && tokens.length === 1) {
+      candidates = SUBCOMMANDS[tokens[0]];
+    }
+    return [
+      [...new Set(candidates)].filter((candidate) =>
+        candidate.startsWith(current),
+      ),
+      current,
+    ];
+  };
+};
+
+const HELP = `Commands are written like on the command line, without "node dashCLI.js":
+  retrieveDocuments --document-type note --limit 5
+
+Shell commands:
+  use identity <id>     Use an identity for the following commands
+  use contract <id>     Use a contract (or a profile alias) for the following commands
+  status                Show the network, active identity and contract
+  help                  Show this help, "<command> --help" lists the options
+  exit, quit            Leave the shell (or press Ctrl+D)
+
+Tab completes command names, options, identity and contract IDs and document types.`;
+
+// createProgram, runCommand and commands come from dashCLI.js
+const startShell = async (
+  shellOptions,
+  { createProgram, runCommand, commands },
+) => {
+  const network = dashClient.resolveNetwork(shellOptions);
+  const profile = resolveProfile(shellOptions.profile);
+  const baseOptions = Object.fromEntries(
+    SESSION_OPTIONS.filter((key) => shellOptions[key] !== undefined).map(
+      (key) => [key, shellOptions[key]],
+    ),
+  );
+  const state = {
+    identityId: shellOptions.identityId,
+    contractId: shellOptions.contractId,
+    identities: new Set([shellOptions.identityId].filter(Boolean)),
+    contracts: new Set(
+      [
+        shellOptions.contractId,
+        ...Object.keys((profile && profile.contracts) || {}),
+      ].filter(Boolean),
+    ),
+    documentTypes: new Map(),
+  };
+  const optionNames = createProgram()
+    .options.map((option) => option.long)
+    .filter(Boolean);
+
+  const completer = createCompleter({ network, commands, optionNames, state });
+
+  // Picks up identity and contract IDs from command results for completion,
+  // new identities and contracts become the active ones
+  const learn = (command, result) => {
+    if (!result || typeof result !== 'object') {
+      return;
+    }
+    if (command === 'getIdentityIds' && Array.isArray(result)) {
+      result.forEach((id) => state.identities.add(id));
+    }
+    if (['createIdentity', 'retrieveIdentity'].includes(command)) {
+      state.identities.add(result.id);
+      if (command === 'createIdentity') {
+        state.identityId = result.id;
+      }
+    }
+    if (result.id && result.documentSchemas) {
+      state.contracts.add(result.id);
+      state.documentTypes.set(result.id, Object.keys(result.documentSchemas));
+      if (command === 'registerContract') {
+        state.contractId = result.id;
+      }
+    }
+  };
+
+  const printStatus = () =>
+    printResult(
+      'Shell',
+      {
+        network,
+        identityId: state.identityId || null,
+        contractId: state.contractId || null,
+      },
+      baseOptions.output,
+    );
+
+  const runBuiltin = (command, args) => {
+    switch (command) {
+      case 'help':
+        console.log(HELP);
+        return;
+      case 'status':
+        printStatus();
+        return;
+      case 'use': {
+        const [kind, id] = args;
+        if (!['identity', 'contract'].includes(kind) || !id) {
+          throw new ValidationError('Usage: use identity|contract <id>');
+        }
+        if (kind === 'identity') {
+          state.identityId = id;
+          state.identities.add(id);
+        } else {
+          state.contractId = id;
+          state.contracts.add(id);
+        }
+        printStatus();
+        return;
+      }
+      default:
+        throw new ValidationError('The shell cannot be started from itself');
+    }
+  };
+
+  const runLine = async (tokens) => {
+    const [command, ...args] = tokens;
+    if (BUILTINS.includes(command) || command === 'shell') {
+      runBuiltin(command, args);
+      return;
+    }
+    const program = createProgram(
+      async (name, commandArgs, lineOptions, programCommand) => {
+        const explicit = Object.fromEntries(
+          Object.entries(lineOptions).filter(
+            ([key]) => programCommand.getOptionValueSource(key) === 'cli',
+          ),
+        );
+        const active = {
+          identityId: state.identityId,
+          contractId: state.contractId,
+        };
+        const result = await runCommand(name, commandArgs, {
+          ...lineOptions,
+          ...baseOptions,
+          ...Object.fromEntries(
+            Object.entries(active).filter(([, value]) => value),
+          ),
+          ...explicit,
+          prompt: reader.ask,
+        });
+        learn(name, result);
+      },
+    );
+    // Usage errors and --help are printed by Commander, the shell goes on
+    program.exitOverride();
+    try {
+      await program.parseAsync(tokens, { from: 'user' });
+    } catch (error) {
+      if (!error.code || !error.code.startsWith('commander.')) {
+        throw error;
+      }
+      if (error.exitCode) {
+        process.exitCode = EXIT_CODES.VALIDATION;
+      }
+    }
+  };
+
+  // Piped input ends with the exit code of the first line that failed, so
+  // scripts notice failures. In a terminal the shell always exits with 0
+  const interactive = process.stdin.isTTY;
+  let failedExitCode;
+
+  let history = loadHistory();
+  const reader = createLineReader({
+    completer,
+    getHistory: () => history,
+  });
+  dashClient.startSession();
+  logger.info(
+    `Dash Platform shell on ${network}. Type help for commands, exit to leave`,
+  );
+  try {
+    for (;;) {
+      const line = await reader.next(`dash ${network}> `);
+      if (line === null) {
+        break;
+      }
+      const trimmed = line.trim();
+      if (!trimmed) {
+        continue;
+      }
+      const entry = logger.redact(trimmed);
+      if (entry !== history[0]) {
+        history = [entry, ...history].slice(0, HISTORY_SIZE);
+        saveHistory(history);
+      }
+      if (['exit', 'quit'].includes(trimmed)) {
+        break;
+      }
+      try {
+        await runLine(splitLine(trimmed));
+      } catch (error) {
+        const cliError = classifyError(error);
+        printError(cliError, baseOptions.output);
+        process.exitCode = cliError.exitCode;
+      }
+      // A failed command does not end the session
+      if (!interactive && failedExitCode === undefined) {
+        failedExitCode = process.exitCode || undefined;
+      }
+      process.exitCode = undefined;
+    }
+  } finally {
+    reader.close();
+    await dashClient.endSession();
+  }
+  process.exitCode = failedExitCode;
+};
+
+module.exports = {
+  splitLine,
+  createCompleter,
+  startShell,
+};
@@ -0,0 +1,142 @@
+const { creditAmounts } = require('../dashFees');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('creditAmounts', () => {
+  test('writes duffs and DASH as exact decimals', () => {
+    expect(creditAmounts(19917336800)).toEqual({
+      credits: 19917336800,
+      duffs: '19917336.800',
+      dash: '0.19917336800',
+    });
+    expect(creditAmounts(0)).toEqual({
+      credits: 0,
+      duffs: '0.000',
+      dash: '0.00000000000',
+    });
+  });
+
+  test('keeps large and negative balances exact', () => {
+    expect(creditAmounts(Number.MAX_SAFE_INTEGER)).toMatchObject({
+      duffs: '9007199254740.991',
+      dash: '90071.99254740991',
+    });
+    expect(creditAmounts(-1500)).toMatchObject({
+      duffs: '-1.500',
+      dash: '-0.00000001500',
+    });
+  });
+});
+
+describe('balances on the memory network', () => {
+  let network;
+  let address;
+  let identityId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ address, identityId } = await network.createIdentity());
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const identityBalance = () =>
+    network.runJson('identityBalance', '--identity-id', identityId);
+
+  const ensureBalance = (minCredits, topupAmount = '50000') =>
+    network.run(
+      'ensureBalance',
+      '--identity-id',
+      identityId,
+      '--address',
+      address,
+      '--min-credits',
+      String(minCredits),
+      '--topup-amount',
+      topupAmount,
+      '--output',
+      'json',
+    );
+
+  test('reports the balance in credits, duffs and DASH', async () => {
+    const { balance } = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+
+    expect(await identityBalance()).toEqual({
+      identityId,
+      ...creditAmounts(balance),
+    });
+  });
+
+  test('does not top up a balance at or above the minimum', async () => {
+    const { credits } = await identityBalance();
+
+    const { stdout, exitCode } = await ensureBalance(credits);
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      identityId,
+      minCredits: credits,
+      toppedUp: false,
+      topupAmount: null,
+      before: { credits },
+      after: { credits },
+    });
+    expect((await identityBalance()).credits).toBe(credits);
+  });
+
+  test('tops up a balance below the minimum', async () => {
+    const { credits } = await identityBalance();
+
+    const { stdout, exitCode } = await ensureBalance(credits + 1);
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      toppedUp: true,
+      topupAmount: 50000,
+      before: { credits },
+      after: { credits: credits + 50000000 },
+    });
+    expect((await identityBalance()).credits).toBe(credits + 50000000);
+  });
+
+  test('exits with 5 when the top-up does not reach the minimum', async () => {
+    const { credits } = await identityBalance();
+
+    const { stdout, exitCode } = await ensureBalance(credits + 60000000);
+
+    expect(exitCode).toBe(5);
+    expect(JSON.parse(stdout)).toMatchObject({
+      toppedUp: true,
+      after: { credits: credits + 50000000 },
+    });
+  });
+
+  test.each([
+    [['--min-credits', '1000'], /requires --min-credits and --topup-amount/],
+    [
+      ['--min-credits', '-5', '--topup-amount', '50000'],
+      /--min-credits must be a positive integer/,
+    ],
+    [
+      ['--min-credits', '1000', '--topup-amount', '100'],
+      /at least 50000 duffs/,
+    ],
+  ])('exits with 2 for %j', async (argv, message) => {
+    const { exitCode, stderr } = await network.run(
+      'ensureBalance',
+      '--identity-id',
+      identityId,
+      '--address',
+      address,
+      ...argv,
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(message);
+  });
+});
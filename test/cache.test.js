@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { readCache, writeCache } = require('../dashCache');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('cache on the memory network', () => {
+  let network;
+  let identityId;
+  let contractId;
+  let cacheDir;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    cacheDir = path.join(process.env.DASH_CLI_HOME, 'cache');
+    ({ identityId } = await network.createIdentity(100000));
+    contractId = await network.registerNoteContract(identityId);
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  // Submitting a document validates it against the cached contract schema
+  const submitNote = (message) =>
+    network.runJson(
+      'submitDocument',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--action',
+      'create',
+      '--document-data',
+      JSON.stringify({ message }),
+    );
+
+  const contractEntry = () =>
+    path.join(cacheDir, 'contracts', `memory-${contractId}.json`);
+
+  test('shows the cached namespaces and wallet sync state', async () => {
+    await submitNote('Hello');
+
+    const cache = await network.runJson('cache', 'show');
+
+    expect(cache).toEqual({
+      directory: cacheDir,
+      namespaces: [
+        { namespace: 'contracts', entries: 1, bytes: expect.any(Number) },
+      ],
+      wallets: [
+        {
+          wallet: expect.stringMatching(/^memory-[0-9a-f]{16}$/),
+          network: 'memory',
+          lastSyncedHeight: expect.any(Number),
+          startHeights: expect.any(Object),
+          bytes: expect.any(Number),
+        },
+      ],
+    });
+  });
+
+  test('clears only the given namespace', async () => {
+    await submitNote('Hello');
+
+    expect(await network.runJson('cache', 'clear', 'contracts')).toEqual({
+      cleared: 'contracts',
+      bytes: expect.any(Number),
+    });
+
+    const cache = await network.runJson('cache', 'show');
+    expect(cache.namespaces).toEqual([]);
+    expect(cache.wallets).toHaveLength(1);
+  });
+
+  test('clears the whole cache without a namespace', async () => {
+    await submitNote('Hello');
+
+    await network.runJson('cache', 'clear');
+
+    expect(fs.existsSync(cacheDir)).toBe(false);
+  });
+
+  test.each(['../x', 'wallets/..', '.'])(
+    'exits with 2 for the namespace %j',
+    async (namespace) => {
+      await submitNote('Hello');
+
+      const { exitCode, stderr } = await network.run(
+        'cache',
+        'clear',
+        namespace,
+      );
+
+      expect(exitCode).toBe(2);
+      expect(stderr).toMatch(/Invalid cache namespace/);
+      expect(fs.existsSync(contractEntry())).toBe(true);
+    },
+  );
+
+  test('treats a corrupt entry as a miss and replaces it', async () => {
+    await submitNote('Hello');
+    fs.writeFileSync(contractEntry(), '{"cachedAt": 1, "val');
+
+    expect(readCache('contracts', `memory-${contractId}`)).toBeUndefined();
+    await submitNote('Again');
+
+    expect(readCache('contracts', `memory-${contractId}`)).toMatchObject({
+      id: contractId,
+    });
+  });
+
+  test('misses entries older than the maximum age', () => {
+    writeCache('schemas', 'note', { type: 'object' });
+
+    expect(readCache('schemas', 'note')).toEqual({ type: 'object' });
+    expect(readCache('schemas', 'note', -1)).toBeUndefined();
+    expect(readCache('schemas', 'missing')).toBeUndefined();
+  });
+});
@@ -0,0 +1,116 @@
+const { EXIT_CODES } = require('../dashErrors');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('--output on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('keeps stdout parseable in json mode', async () => {
+    const { identityId } = await network.createIdentity();
+
+    const { stdout, exitCode } = await network.run(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout).id).toBe(identityId);
+  });
+
+  test('prints every identity ID on its own line in ndjson mode', async () => {
+    const first = await network.createIdentity();
+    const second = await network.createIdentity();
+
+    const { stdout } = await network.run(
+      'getIdentityIds',
+      '--output',
+      'ndjson',
+    );
+
+    expect(stdout.split('\n').map((line) => JSON.parse(line))).toEqual(
+      expect.arrayContaining([first.identityId, second.identityId]),
+    );
+  });
+
+  test('prints errors as JSON on stderr in json mode', async () => {
+    const { stdout, stderr, exitCode } = await network.run(
+      'retrieveIdentity',
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stdout).toBe('');
+    expect(JSON.parse(stderr)).toMatchObject({
+      error: 'ValidationError',
+      code: 'VALIDATION_ERROR',
+      exitCode: 2,
+    });
+  });
+
+  test('rejects an unknown output format', async () => {
+    const { exitCode, stderr } = await network.run(
+      'getIdentityIds',
+      '--output',
+      'xml',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Invalid output format "xml"/);
+  });
+});
+
+describe('exit codes on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('exits with 2 for missing options', async () => {
+    const { exitCode, stderr } = await network.run('retrieveIdentity');
+
+    expect(exitCode).toBe(EXIT_CODES.VALIDATION);
+    expect(stderr).toMatch(/^Error: /);
+  });
+
+  test('exits with 3 for a missing contract', async () => {
+    const { exitCode } = await network.run(
+      'retrieveContract',
+      '--contract-id',
+      '11111111111111111111111111111111',
+    );
+
+    expect(exitCode).toBe(EXIT_CODES.NOT_FOUND);
+  });
+
+  test('exits with 5 when the identity cannot pay', async () => {
+    const { identityId } = await network.createIdentity();
+
+    // Premium names cost 2e10 credits, far more than a new identity holds
+    const { exitCode, stderr } = await network.run(
+      'registerName',
+      '--identity-id',
+      identityId,
+      '--identity-name',
+      'alice',
+    );
+
+    expect(exitCode).toBe(EXIT_CODES.INSUFFICIENT_CREDITS);
+    expect(stderr).toMatch(/topupIdentity/);
+  });
+});
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateTypes } = require('../dashCodegen');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+const PROFILE_SCHEMA = {
+  type: 'object',
+  description: 'A user profile */',
+  properties: {
+    name: { type: 'string', maxLength: 63, position: 0 },
+    'first-name': { type: 'string', maxLength: 63, position: 1 },
+    status: { type: 'string', enum: ['active', 'banned'], position: 2 },
+    tags: { type: 'array', items: { type: 'string' }, position: 3 },
+    levels: {
+      type: 'array',
+      items: { type: 'integer', enum: [1, 2] },
+      position: 4,
+    },
+    address: {
+      type: 'object',
+      properties: {
+        city: { type: 'string', maxLength: 63 },
+        zip: { type: 'string', maxLength: 10 },
+      },
+      required: ['city'],
+      position: 5,
+    },
+    avatar: { type: 'array', byteArray: true, maxItems: 32, position: 6 },
+    owner: {
+      type: 'array',
+      byteArray: true,
+      minItems: 32,
+      maxItems: 32,
+      contentMediaType: 'application/x.dash.dpp.identifier',
+      position: 7,
+    },
+  },
+  required: ['name', 'status'],
+  indices: [
+    { name: 'byName', properties: [{ name: 'asc' }] },
+    { name: 'byCity', properties: [{ 'address.city': 'asc' }] },
+  ],
+  additionalProperties: false,
+};
+
+const CONTRACT = {
+  id: 'contract1',
+  version: 2,
+  documentSchemas: { 'user-profile': PROFILE_SCHEMA },
+};
+
+// The source of a generated type alias or interface, up to its closing brace
+const declaration = (source, name) => {
+  const start = source.search(new RegExp(`export (type|interface) ${name}\\b`));
+  return source.slice(start, source.indexOf('\n}', start) + 2);
+};
+
+describe('generateTypes declarations', () => {
+  const { declarations } = generateTypes(CONTRACT, { appName: 'my-app' });
+
+  test('marks properties that are not required as optional', () => {
+    const data = declaration(declarations, 'UserProfileData');
+
+    expect(data).toMatch(/^ {2}name: string;$/m);
+    expect(data).toMatch(/^ {2}status: "active" \| "banned";$/m);
+    expect(data).toMatch(/^ {2}tags\?: string\[\];$/m);
+  });
+
+  test('types enums as unions of their values', () => {
+    const data = declaration(declarations, 'UserProfileData');
+
+    expect(data).toContain('status: "active" | "banned";');
+    expect(data).toContain('levels?: Array<1 | 2>;');
+  });
+
+  test('types byte arrays by mode and other arrays by their items', () => {
+    expect(declaration(declarations, 'UserProfileData')).toContain(
+      [
+        '  avatar?: Uint8Array | number[];',
+        '  owner?: string | Uint8Array;',
+      ].join('\n'),
+    );
+    expect(declaration(declarations, 'UserProfile')).toContain(
+      ['  avatar?: string;', '  owner?: string;'].join('\n'),
+    );
+  });
+
+  test('nests object types with their own required list', () => {
+    expect(declaration(declarations, 'UserProfileData')).toContain(
+      ['  address?: {', '    city: string;', '    zip?: string;', '  };'].join(
+        '\n',
+      ),
+    );
+  });
+
+  test('quotes property names that are not identifiers', () => {
+    expect(declaration(declarations, 'UserProfileData')).toContain(
+      '  "first-name"?: string;',
+    );
+    expect(declaration(declarations, 'UserProfileIndexedFields')).toBe(
+      [
+        'export interface UserProfileIndexedFields {',
+        '  $id: string;',
+        '  name: string;',
+        '  "address.city": string;',
+        '}',
+      ].join('\n'),
+    );
+    expect(declarations).toContain(
+      'export declare const apps: { "my-app": { contractId: string } };',
+    );
+  });
+
+  test('names types and helpers after the document type', () => {
+    expect(declarations).toContain('export type UserProfile = {');
+    expect(declarations).toContain(
+      'export declare const userProfile: DocumentHelpers<UserProfileData, UserProfile, UserProfileIndexedFields>;',
+    );
+    expect(declarations).toContain(
+      'export declare const CONTRACT_ID: "contract1";',
+    );
+  });
+
+  test('keeps descriptions from closing their doc comment', () => {
+    expect(declarations).toContain(
+      '/** A user profile * / */\nexport type UserProfileData',
+    );
+  });
+
+  test('declares schema definitions and resolves references to them', () => {
+    const { declarations: withDefs } = generateTypes({
+      ...CONTRACT,
+      schemaDefs: { 'postal-address': { type: 'string', maxLength: 100 } },
+      documentSchemas: {
+        letter: {
+          type: 'object',
+          properties: {
+            to: { $ref: '#/$defs/postal-address', position: 0 },
+          },
+          required: ['to'],
+        },
+      },
+    });
+
+    expect(withDefs).toContain('export type PostalAddress = string;');
+    expect(declaration(withDefs, 'LetterData')).toContain(
+      '  to: PostalAddress;',
+    );
+  });
+});
+
+describe('generateTypes module', () => {
+  let dir;
+  let generated;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dash-cli-gen-'));
+    const file = path.join(dir, 'contract.js');
+    fs.writeFileSync(
+      file,
+      generateTypes(CONTRACT, { appName: 'myApp' }).module,
+    );
+    generated = require(file);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('registers the contract under the app name', () => {
+    expect(generated.apps).toEqual({ myApp: { contractId: 'contract1' } });
+    expect(generated.userProfile.indexedFields).toEqual([
+      '$id',
+      'name',
+      'address.city',
+    ]);
+  });
+
+  test('builds queries on indexed fields only', async () => {
+    const get = jest.fn().mockResolvedValue([]);
+    const client = { platform: { documents: { get } } };
+
+    await generated.userProfile
+      .query()
+      .where('name', '==', 'alice')
+      .orderBy('name')
+      .limit(5)
+      .get(client);
+
+    expect(get).toHaveBeenCalledWith('myApp.user-profile', {
+      where: [['name', '==', 'alice']],
+      orderBy: [['name', 'asc']],
+      limit: 5,
+    });
+    expect(() =>
+      generated.userProfile.query().where('tags', '==', 'x'),
+    ).toThrow(
+      '"tags" is not indexed in user-profile, use one of: $id, name, address.city',
+    );
+  });
+});
+
+describe('generateTypes on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('writes the module and declarations of a deployed contract', async () => {
+    const { identityId } = await network.createIdentity(100000);
+    const contractId = await network.registerNoteContract(identityId);
+    const outputFile = path.join(network.dir, 'generated', 'notes.js');
+
+    const result = await network.runJson(
+      'generateTypes',
+      '--contract-id',
+      contractId,
+      '--output-file',
+      outputFile,
+    );
+
+    expect(result).toEqual({
+      contractId,
+      version: 1,
+      documentTypes: ['note'],
+      files: [outputFile, outputFile.replace(/\.js$/, '.d.ts')],
+    });
+    expect(fs.readFileSync(result.files[1], 'utf8')).toContain(
+      `export declare const CONTRACT_ID: "${contractId}";`,
+    );
+  });
+
+  test('exits with 2 without a contract', async () => {
+    const { exitCode, stderr } = await network.run('generateTypes');
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Contract file or contract ID is required/);
+  });
+});
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadContractFile } = require('../dashContractFile');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('loadContractFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dash-cli-contract-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Writes files relative to the temporary directory and returns the path of
+  // the first one
+  const writeFiles = (files) => {
+    Object.entries(files).forEach(([name, text]) => {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), text);
+    });
+    return path.join(dir, Object.keys(files)[0]);
+  };
+
+  test('loads document schemas from YAML', () => {
+    const file = writeFiles({
+      'contract.yaml': [
+        'note:',
+        '  type: object',
+        '  properties:',
+        '    message: {type: string, maxLength: 100, position: 0}',
+        '  additionalProperties: false',
+      ].join('\n'),
+    });
+
+    expect(loadContractFile(file).documentSchemas).toEqual({
+      note: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', maxLength: 100, position: 0 },
+        },
+        additionalProperties: false,
+      },
+    });
+  });
+
+  test('resolves includes relative to the including file', () => {
+    const file = writeFiles({
+      'contract.json': JSON.stringify({ note: { $ref: './types/note.yaml' } }),
+      'types/note.yaml': [
+        'type: object',
+        'properties:',
+        '  author: {$ref: "../common.yaml#/author"}',
+        'additionalProperties: false',
+      ].join('\n'),
+      'common.yaml': 'author:\n  type: string\n  maxLength: 63\n',
+    });
+
+    expect(loadContractFile(file).documentSchemas.note.properties).toEqual({
+      author: { type: 'string', maxLength: 63 },
+    });
+  });
+
+  test('lets keys next to an include override the included values', () => {
+    const file = writeFiles({
+      'contract.yaml': [
+        'note:',
+        '  type: object',
+        '  properties:',
+        '    author: {$ref: "./common.yaml#/author", position: 3}',
+      ].join('\n'),
+      'common.yaml': 'author: {type: string, position: 0}\n',
+    });
+
+    expect(
+      loadContractFile(file).documentSchemas.note.properties.author,
+    ).toEqual({ type: 'string', position: 3 });
+  });
+
+  test('leaves JSON Schema references to the platform', () => {
+    const file = writeFiles({
+      'contract.json': JSON.stringify({
+        note: { type: 'object', properties: { a: { $ref: '#/$defs/a' } } },
+      }),
+    });
+
+    expect(loadContractFile(file).documentSchemas.note.properties.a).toEqual({
+      $ref: '#/$defs/a',
+    });
+  });
+
+  test('accepts a contract printed by retrieveContract', () => {
+    const file = writeFiles({
+      'contract.json': JSON.stringify({
+        id: 'abc',
+        version: 2,
+        documentSchemas: { note: { type: 'object' } },
+      }),
+    });
+
+    expect(loadContractFile(file)).toMatchObject({
+      id: 'abc',
+      version: 2,
+      documentSchemas: { note: { type: 'object' } },
+    });
+  });
+
+  test('points errors at the file and line of the include', () => {
+    const file = writeFiles({
+      'contract.yaml':
+        'note:\n  type: object\n  properties:\n    a: {$ref: "./missing.yaml"}\n',
+    });
+
+    expect(() => loadContractFile(file)).toThrow(
+      /contract\.yaml:4: Included file not found: .*missing\.yaml/,
+    );
+  });
+
+  test('reports missing JSON pointers', () => {
+    const file = writeFiles({
+      'contract.yaml': 'note: {$ref: "./common.yaml#/nothing"}\n',
+      'common.yaml': 'author: {type: string}\n',
+    });
+
+    expect(() => loadContractFile(file)).toThrow(
+      /"\/nothing" not found in the included file/,
+    );
+  });
+
+  test('rejects circular includes', () => {
+    const file = writeFiles({
+      'a.yaml': 'note: {$ref: "./b.yaml"}\n',
+      'b.yaml': 'nested: {$ref: "./a.yaml"}\n',
+    });
+
+    expect(() => loadContractFile(file)).toThrow(/Circular include/);
+  });
+
+  test('reports JSON syntax errors with their line', () => {
+    const file = writeFiles({ 'contract.json': '{\n  "note": {,\n}' });
+
+    expect(() => loadContractFile(file)).toThrow(
+      /contract\.json:2: Invalid JSON/,
+    );
+  });
+});
+
+describe('registerContract --contract-file on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('registers a contract split across files', async () => {
+    const { identityId } = await network.createIdentity(100000);
+    fs.mkdirSync(path.join(network.dir, 'types'));
+    fs.writeFileSync(
+      path.join(network.dir, 'contract.yaml'),
+      'note:\n  $ref: ./types/note.yaml\n',
+    );
+    fs.writeFileSync(
+      path.join(network.dir, 'types', 'note.yaml'),
+      [
+        'type: object',
+        'properties:',
+        '  message: {type: string, maxLength: 100, position: 0}',
+        'additionalProperties: false',
+      ].join('\n'),
+    );
+
+    const { id } = await network.runJson(
+      'registerContract',
+      '--identity-id',
+      identityId,
+      '--contract-file',
+      path.join(network.dir, 'contract.yaml'),
+    );
+
+    const contract = await network.runJson(
+      'retrieveContract',
+      '--contract-id',
+      id,
+    );
+    expect(contract.documentSchemas.note.properties.message.maxLength).toBe(
+      100,
+    );
+  });
+});
+
+describe('updateContract --contract-file on the memory network', () => {
+  let network;
+  let identityId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const textType = (property) => ({
+    type: 'object',
+    properties: { [property]: { type: 'string', maxLength: 63, position: 0 } },
+    additionalProperties: false,
+  });
+
+  // Registers a contract from a definition object and returns its ID
+  const registerContract = async (definition) => {
+    const file = path.join(network.dir, 'registered.json');
+    fs.writeFileSync(file, JSON.stringify(definition));
+    return (
+      await network.runJson(
+        'registerContract',
+        '--identity-id',
+        identityId,
+        '--contract-file',
+        file,
+      )
+    ).id;
+  };
+
+  const updateContract = (contractId, definition) => {
+    const file = path.join(network.dir, 'update.json');
+    fs.writeFileSync(file, JSON.stringify(definition));
+    return network.run(
+      'updateContract',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--contract-file',
+      file,
+      '--output',
+      'json',
+    );
+  };
+
+  const retrieveContract = (contractId) =>
+    network.runJson('retrieveContract', '--contract-id', contractId);
+
+  // Adds an optional property after the existing one
+  const withProperty = (schema, property) => ({
+    ...schema,
+    properties: {
+      ...schema.properties,
+      [property]: { type: 'string', maxLength: 63, position: 1 },
+    },
+  });
+
+  test('updates several document types in one version', async () => {
+    const note = textType('message');
+    const comment = textType('text');
+    const contractId = await registerContract({ note, comment });
+
+    const { exitCode } = await updateContract(contractId, {
+      note: withProperty(note, 'author'),
+      comment: withProperty(comment, 'author'),
+    });
+
+    expect(exitCode).toBe(0);
+    const contract = await retrieveContract(contractId);
+    expect(contract.version).toBe(2);
+    expect(Object.keys(contract.documentSchemas.note.properties)).toEqual([
+      'message',
+      'author',
+    ]);
+    expect(Object.keys(contract.documentSchemas.comment.properties)).toEqual([
+      'text',
+      'author',
+    ]);
+  });
+
+  test('adds a new document type and leaves the others unchanged', async () => {
+    const note = textType('message');
+    const contractId = await registerContract({ note });
+
+    const { exitCode } = await updateContract(contractId, {
+      tag: textType('label'),
+    });
+
+    expect(exitCode).toBe(0);
+    const contract = await retrieveContract(contractId);
+    expect(contract.documentSchemas).toEqual({ note, tag: textType('label') });
+  });
+
+  test('updates the schema definitions of the contract', async () => {
+    const note = textType('message');
+    const contractId = await registerContract({
+      documentSchemas: { note },
+      schemaDefs: { author: { type: 'string', maxLength: 63 } },
+    });
+
+    const { exitCode } = await updateContract(contractId, {
+      documentSchemas: { note },
+      schemaDefs: {
+        author: { type: 'string', maxLength: 100 },
+        tag: { type: 'string', maxLength: 20 },
+      },
+    });
+
+    expect(exitCode).toBe(0);
+    expect((await retrieveContract(contractId)).schemaDefs).toEqual({
+      author: { type: 'string', maxLength: 100 },
+      tag: { type: 'string', maxLength: 20 },
+    });
+  });
+
+  test('keeps the schema definitions when the file has none', async () => {
+    const note = textType('message');
+    const schemaDefs = { author: { type: 'string', maxLength: 63 } };
+    const contractId = await registerContract({
+      documentSchemas: { note },
+      schemaDefs,
+    });
+
+    await updateContract(contractId, { tag: textType('label') });
+
+    expect((await retrieveContract(contractId)).schemaDefs).toEqual(schemaDefs);
+  });
+
+  test('exits with 2 for schema definition changes the platform rejects', async () => {
+    const note = textType('message');
+    const contractId = await registerContract({
+      documentSchemas: { note },
+      schemaDefs: { author: { type: 'string', maxLength: 63 } },
+    });
+
+    const { exitCode, stderr } = await updateContract(contractId, {
+      documentSchemas: { note },
+      schemaDefs: { author: { type: 'string', maxLength: 20 } },
+    });
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(
+      /\$defs\.author\.maxLength: maxLength can only be raised or removed/,
+    );
+    expect((await retrieveContract(contractId)).version).toBe(1);
+  });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { lintContract, assertValidContract } = require('../dashContractLint');
+const {
+  NOTE_SCHEMA,
+  withNote,
+  createMemoryNetwork,
+} = require('./memoryNetwork');
+
+const rules = (findings) =>
+  findings.map((finding) => `${finding.severity} ${finding.rule}`);
+
+describe('lintContract', () => {
+  test('finds nothing wrong with a valid contract', () => {
+    expect(lintContract(NOTE_SCHEMA)).toEqual([]);
+  });
+
+  test('requires at least one document type', () => {
+    expect(rules(lintContract({}))).toEqual(['error document-types']);
+  });
+
+  test.each([
+    [
+      'a missing position',
+      (note) => delete note.properties.score.position,
+      'error position',
+    ],
+    [
+      'a duplicate position',
+      (note) => (note.properties.score.position = 0),
+      'error position-unique',
+    ],
+    [
+      'an unknown type',
+      (note) => (note.properties.score.type = 'float'),
+      'error property-type',
+    ],
+    [
+      'a system field name',
+      (note) => (note.properties.$id = { type: 'string', position: 2 }),
+      'error reserved-field',
+    ],
+    [
+      'an undefined required property',
+      (note) => note.required.push('title'),
+      'error required',
+    ],
+    [
+      'additionalProperties left open',
+      (note) => (note.additionalProperties = true),
+      'error additional-properties',
+    ],
+    [
+      'an index on an undefined property',
+      (note) => (note.indices[0].properties = [{ title: 'asc' }]),
+      'error index-undefined-property',
+    ],
+    [
+      'an indexed string without maxLength',
+      (note) => {
+        delete note.properties.message.maxLength;
+        note.indices[0].properties = [{ message: 'asc' }];
+      },
+      'error index-max-length',
+    ],
+    [
+      'an invalid pattern',
+      (note) => (note.properties.message.pattern = '(['),
+      'error pattern',
+    ],
+    [
+      'min greater than max',
+      (note) => (note.properties.message.minLength = 200),
+      'error bounds',
+    ],
+    [
+      'an unbounded string',
+      (note) => delete note.properties.message.maxLength,
+      'warning string-max-length',
+    ],
+    [
+      'a misspelled keyword',
+      (note) => (note.properties.message.maxLenght = 10),
+      'warning unknown-keyword',
+    ],
+    [
+      'a gap in positions',
+      (note) => (note.properties.score.position = 5),
+      'warning position-contiguous',
+    ],
+  ])('reports %s', (description, changeNote, rule) => {
+    expect(rules(lintContract(withNote(changeNote)))).toContain(rule);
+  });
+
+  test('reports the path of every finding', () => {
+    const [finding] = lintContract(
+      withNote((note) => (note.properties.score.type = 'float')),
+    );
+
+    expect(finding).toMatchObject({
+      path: 'note.properties.score.type',
+      rule: 'property-type',
+    });
+  });
+
+  test('throws a ValidationError for errors but not for warnings', () => {
+    expect(() =>
+      assertValidContract(withNote((note) => (note.additionalProperties = 1))),
+    ).toThrow(/Contract definition is invalid, 1 error\(s\), 0 warning\(s\)/);
+    expect(
+      rules(
+        assertValidContract(
+          withNote((note) => delete note.properties.message.maxLength),
+        ),
+      ),
+    ).toEqual(['warning string-max-length']);
+  });
+});
+
+describe('validateContract on the memory network', () => {
+  let network;
+  let contractFile;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+    contractFile = path.join(network.dir, 'contract.yaml');
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('points findings at the file and line', async () => {
+    fs.writeFileSync(
+      contractFile,
+      [
+        'note:',
+        '  type: object',
+        '  properties:',
+        '    message:',
+        '      type: string',
+        '      position: 0',
+        '  additionalProperties: false',
+      ].join('\n'),
+    );
+
+    const lint = await network.runJson(
+      'validateContract',
+      '--contract-file',
+      contractFile,
+    );
+
+    expect(lint.valid).toBe(true);
+    expect(lint.findings).toEqual([
+      expect.objectContaining({
+        rule: 'string-max-length',
+        location: expect.stringMatching(/contract\.yaml:4$/),
+      }),
+    ]);
+  });
+
+  test('exits with 2 for an invalid contract', async () => {
+    fs.writeFileSync(contractFile, 'note:\n  type: object\n  properties: {}\n');
+
+    const { exitCode, stdout } = await network.run(
+      'validateContract',
+      '--contract-file',
+      contractFile,
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stdout).toMatch(/Contract is invalid/);
+    expect(stdout).toMatch(/\[properties\]/);
+  });
+
+  test('refuses to register an invalid contract', async () => {
+    const { identityId } = await network.createIdentity();
+
+    const { exitCode, stderr } = await network.run(
+      'registerContract',
+      '--identity-id',
+      identityId,
+      '--contract-def',
+      JSON.stringify(withNote((note) => (note.properties.score.type = 'x'))),
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Contract definition is invalid/);
+  });
+});
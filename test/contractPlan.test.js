@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { diffContractSchemas, formatPlan } = require('../dashContractPlan');
+const {
+  NOTE_SCHEMA,
+  withNote,
+  createMemoryNetwork,
+} = require('./memoryNetwork');
+
+describe('diffContractSchemas', () => {
+  test('finds no changes for the same schemas', () => {
+    expect(diffContractSchemas(NOTE_SCHEMA, NOTE_SCHEMA)).toEqual([]);
+  });
+
+  test('allows new document types, optional properties and raised bounds', () => {
+    const target = withNote((note) => {
+      note.properties.tag = { type: 'string', maxLength: 20, position: 2 };
+      note.properties.message.maxLength = 200;
+      note.description = 'A short note';
+    });
+    target.comment = {
+      type: 'object',
+      properties: { text: { type: 'string', position: 0 } },
+      additionalProperties: false,
+    };
+
+    const changes = diffContractSchemas(NOTE_SCHEMA, target);
+
+    expect(changes.map(({ action, path: at }) => `${action} ${at}`)).toEqual(
+      expect.arrayContaining([
+        'add note.properties.tag',
+        'change note.properties.message.maxLength',
+        'change note.description',
+        'add comment',
+      ]),
+    );
+    expect(changes.every((entry) => entry.allowed)).toBe(true);
+  });
+
+  test('rejects changes that could invalidate stored documents', () => {
+    const target = withNote((note) => {
+      note.properties.message.maxLength = 50;
+      note.properties.score.type = 'number';
+      note.required = ['message', 'score'];
+    });
+    delete target.note.properties.score.minimum;
+
+    const rejected = diffContractSchemas(NOTE_SCHEMA, target).filter(
+      (entry) => !entry.allowed,
+    );
+
+    expect(rejected.map((entry) => entry.reason)).toEqual(
+      expect.arrayContaining([
+        'maxLength can only be raised or removed',
+        'type of an existing property cannot change',
+      ]),
+    );
+    expect(rejected.length).toBeGreaterThanOrEqual(3);
+  });
+
+  test('rejects removed document types', () => {
+    expect(diffContractSchemas(NOTE_SCHEMA, {})).toEqual([
+      expect.objectContaining({
+        action: 'remove',
+        path: 'note',
+        allowed: false,
+      }),
+    ]);
+  });
+});
+
+describe('formatPlan', () => {
+  test('formats a plan without changes', () => {
+    expect(
+      formatPlan({ contractId: 'abc', baseVersion: 1, changes: [] }),
+    ).toMatch(/No changes\. The contract matches the definition\./);
+  });
+});
+
+describe('planContract on the memory network', () => {
+  let network;
+  let identityId;
+  let contractId;
+  let contractFile;
+  let planFile;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+    contractId = await network.registerNoteContract(identityId);
+    contractFile = path.join(network.dir, 'contract.json');
+    planFile = path.join(network.dir, 'plan.json');
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const writeContract = (schemas) =>
+    fs.writeFileSync(contractFile, JSON.stringify(schemas));
+
+  const planContract = (...argv) =>
+    network.run(
+      'planContract',
+      '--contract-id',
+      contractId,
+      '--contract-file',
+      contractFile,
+      '--plan-file',
+      planFile,
+      ...argv,
+    );
+
+  const applyPlan = () =>
+    network.run(
+      'updateContract',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--from-plan',
+      planFile,
+    );
+
+  test('prints the plan and applies it with --from-plan', async () => {
+    writeContract(
+      withNote((note) => {
+        note.properties.tag = { type: 'string', maxLength: 20, position: 2 };
+      }),
+    );
+
+    const planned = await planContract();
+
+    expect(planned.exitCode).toBe(0);
+    expect(planned.stdout).toMatch(/\+ note\.properties\.tag/);
+    expect(planned.stdout).toMatch(/Plan: 1 to add, 0 to change, 0 to remove/);
+    expect(await applyPlan()).toMatchObject({ exitCode: 0 });
+
+    const contract = await network.runJson(
+      'retrieveContract',
+      '--contract-id',
+      contractId,
+    );
+    expect(contract.documentSchemas.note.properties.tag).toBeDefined();
+    expect(contract.version).toBe(2);
+  });
+
+  test('exits with 2 for a plan that cannot be applied', async () => {
+    writeContract(
+      withNote((note) => {
+        note.properties.message.maxLength = 10;
+      }),
+    );
+
+    const { exitCode, stdout } = await planContract();
+
+    expect(exitCode).toBe(2);
+    expect(stdout).toMatch(/! not allowed: maxLength can only be raised/);
+    expect((await applyPlan()).exitCode).toBe(2);
+  });
+
+  test('refuses a plan made for an older contract version', async () => {
+    writeContract(
+      withNote((note) => {
+        note.properties.tag = { type: 'string', maxLength: 20, position: 2 };
+      }),
+    );
+    await planContract();
+    const stalePlan = fs.readFileSync(planFile, 'utf8');
+    await applyPlan();
+    fs.writeFileSync(planFile, stalePlan);
+
+    const { exitCode, stderr } = await applyPlan();
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/the plan was made for version 1/);
+  });
+
+  test('refuses an edited plan file', async () => {
+    writeContract(
+      withNote((note) => {
+        note.properties.tag = { type: 'string', maxLength: 20, position: 2 };
+      }),
+    );
+    await planContract();
+    const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    plan.documentSchemas.note.properties.tag.maxLength = 5000;
+    fs.writeFileSync(planFile, JSON.stringify(plan));
+
+    const { exitCode, stderr } = await applyPlan();
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/the plan file was edited/);
+  });
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { processingFee } = require('../dashFees');
+const { base58Encode, base58Decode } = require('../dashMemoryPlatform');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+// The address with another version byte, e.g. 0x4c for a mainnet address
+const withVersion = (address, version) => {
+  const payload = Buffer.from(base58Decode(address).subarray(0, 21));
+  payload[0] = version;
+  const hash = (data) => crypto.createHash('sha256').update(data).digest();
+  return base58Encode(
+    Buffer.concat([payload, hash(hash(payload)).subarray(0, 4)]),
+  );
+};
+
+describe('credit transfers and withdrawals on the memory network', () => {
+  let network;
+  let sender;
+  let recipient;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    sender = await network.createIdentity();
+    recipient = await network.createIdentity();
+    await network.runJson(
+      'addIdentityKey',
+      '--identity-id',
+      sender.identityId,
+      '--key-purpose',
+      'transfer',
+      '--security-level',
+      'critical',
+    );
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const transfer = (...argv) =>
+    network.run(
+      'transferCredits',
+      '--from-identity',
+      sender.identityId,
+      '--to-identity',
+      recipient.identityId,
+      '--output',
+      'json',
+      ...argv,
+    );
+
+  const withdraw = (...argv) =>
+    network.run(
+      'withdrawCredits',
+      '--identity-id',
+      sender.identityId,
+      '--to-address',
+      sender.address,
+      '--output',
+      'json',
+      ...argv,
+    );
+
+  test('moves credits between identities and reports the fee', async () => {
+    const { stdout, exitCode } = await transfer('--amount', '100000');
+
+    expect(exitCode).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result.amount).toBe(100000);
+    expect(result.fee).toBeGreaterThan(0);
+    expect(result.from.balanceBefore - result.from.balanceAfter).toBe(
+      100000 + result.fee,
+    );
+    expect(result.to.balanceAfter - result.to.balanceBefore).toBe(100000);
+  });
+
+  test('only charges processing for a transfer', async () => {
+    const { stdout } = await transfer('--amount', '1000');
+    const { fee } = JSON.parse(stdout);
+
+    const estimate = JSON.parse(
+      (await transfer('--amount', '1000', '--dry-run')).stdout,
+    );
+    expect(estimate.estimatedFee).toBe(fee);
+    expect(fee % processingFee(1)).toBe(0);
+  });
+
+  test('refuses a transfer larger than the balance', async () => {
+    const { credits } = await network.runJson(
+      'identityBalance',
+      '--identity-id',
+      sender.identityId,
+    );
+
+    const { exitCode, stderr } = await transfer(
+      '--amount',
+      String(credits + 1),
+    );
+
+    expect(exitCode).toBe(5);
+    expect(JSON.parse(stderr).message).toMatch(/credit transfer/);
+  });
+
+  test.each([
+    [['--amount', '0'], /positive number of credits/],
+    [['--amount', '1.5'], /positive number of credits/],
+  ])('rejects %j', async (argv, message) => {
+    const { exitCode, stderr } = await transfer(...argv);
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(message);
+  });
+
+  test('refuses a transfer to the sender itself', async () => {
+    const { exitCode, stderr } = await network.run(
+      'transferCredits',
+      '--from-identity',
+      sender.identityId,
+      '--to-identity',
+      sender.identityId,
+      '--amount',
+      '1000',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/must be different/);
+  });
+
+  test('withdraws whole duffs and charges processing', async () => {
+    const estimate = JSON.parse(
+      (await withdraw('--amount', '5000000', '--dry-run')).stdout,
+    );
+    const { stdout, exitCode } = await withdraw('--amount', '5000000');
+
+    expect(exitCode).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result).toMatchObject({
+      identityId: sender.identityId,
+      amount: 5000000,
+      toAddress: sender.address,
+      fee: estimate.estimatedFee,
+    });
+    expect(result.balanceBefore - result.balanceAfter).toBe(
+      5000000 + result.fee,
+    );
+  });
+
+  test('rejects a withdrawal that is not a multiple of 1000 credits', async () => {
+    const { exitCode, stderr } = await withdraw('--amount', '1500');
+
+    expect(exitCode).toBe(2);
+    expect(JSON.parse(stderr).message).toMatch(/multiple of 1000 credits/);
+  });
+
+  test.each([
+    ['notanaddress', () => 'notanaddress'],
+    ['a mainnet address', () => withVersion(sender.address, 0x4c)],
+    [
+      'an address with a wrong checksum',
+      () =>
+        sender.address.slice(0, -1) +
+        (sender.address.endsWith('z') ? 'y' : 'z'),
+    ],
+  ])('exits with 2 for %s', async (label, toAddress) => {
+    const { exitCode, stderr } = await withdraw(
+      '--amount',
+      '5000000',
+      '--to-address',
+      toAddress(),
+    );
+
+    expect(exitCode).toBe(2);
+    expect(JSON.parse(stderr).message).toMatch(
+      /is not a core chain address on memory/,
+    );
+  });
+
+  test('refuses a withdrawal larger than the balance', async () => {
+    const { exitCode } = await withdraw('--amount', '1000000000000');
+
+    expect(exitCode).toBe(5);
+  });
+
+  test('needs a transfer key to sign', async () => {
+    const { exitCode, stderr } = await network.run(
+      'transferCredits',
+      '--from-identity',
+      recipient.identityId,
+      '--to-identity',
+      sender.identityId,
+      '--amount',
+      '1000',
+    );
+
+    expect(exitCode).toBe(7);
+    expect(stderr).toMatch(/has no enabled key to sign the credit transfer/);
+  });
+});
@@ -0,0 +1,140 @@
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('contracts and documents on the memory network', () => {
+  let network;
+  let identityId;
+  let contractId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+    contractId = await network.registerNoteContract(identityId);
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const submit = (action, ...argv) =>
+    network.runJson(
+      'submitDocument',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--action',
+      action,
+      ...argv,
+    );
+
+  const retrieve = (...argv) =>
+    network.runJson(
+      'retrieveDocuments',
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      ...argv,
+    );
+
+  test('registers a contract owned by the identity', async () => {
+    const contract = await network.runJson(
+      'retrieveContract',
+      '--contract-id',
+      contractId,
+    );
+
+    expect(contract.id).toBe(contractId);
+    expect(contract.ownerId).toBe(identityId);
+    expect(contract.documentSchemas.note.required).toEqual(['message']);
+  });
+
+  test('creates, replaces and deletes a document', async () => {
+    const created = await submit(
+      'create',
+      '--document-data',
+      JSON.stringify({ message: 'Hello', score: 1 }),
+    );
+    expect(created).toMatchObject({ message: 'Hello', score: 1 });
+
+    await submit(
+      'replace',
+      '--document-id',
+      created.$id,
+      '--document-data',
+      JSON.stringify({ message: 'Updated' }),
+    );
+    expect(await retrieve()).toEqual([
+      expect.objectContaining({ $id: created.$id, message: 'Updated' }),
+    ]);
+
+    await network.runJson(
+      'deleteDocument',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--document-id',
+      created.$id,
+    );
+    expect(await retrieve()).toEqual([]);
+  });
+
+  test('queries documents by index', async () => {
+    for (const score of [3, 1, 2]) {
+      await submit(
+        'create',
+        '--document-data',
+        JSON.stringify({ message: `Score ${score}`, score }),
+      );
+    }
+
+    const documents = await retrieve(
+      '--query',
+      JSON.stringify({
+        where: [['score', '>', 1]],
+        orderBy: [['score', 'asc']],
+      }),
+    );
+    expect(documents.map((document) => document.score)).toEqual([2, 3]);
+  });
+
+  test('charges storage for a created document', async () => {
+    const balance = async () =>
+      (await network.runJson('retrieveIdentity', '--identity-id', identityId))
+        .balance;
+    const before = await balance();
+
+    await submit(
+      'create',
+      '--document-data',
+      JSON.stringify({ message: 'Hi' }),
+    );
+
+    const after = await balance();
+    expect(after).toBeLessThan(before);
+  });
+
+  test('fails with exit code 3 for an unknown document', async () => {
+    const { exitCode, stderr } = await network.run(
+      'submitDocument',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--action',
+      'delete',
+      '--document-id',
+      '11111111111111111111111111111111',
+    );
+
+    expect(exitCode).toBe(3);
+    expect(stderr).toMatch(/Document not found/);
+  });
+});
@@ -0,0 +1,207 @@
+const {
+  PREMIUM_NAME_FEE,
+  STANDARD_NAME_FEE,
+  storageFee,
+  estimateFees,
+  captureStateTransitions,
+} = require('../dashFees');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('estimateFees', () => {
+  test('charges storage and processing per byte', () => {
+    expect(estimateFees('submitDocument', [100])).toEqual([2740000]);
+  });
+
+  test('only charges processing for deletes', () => {
+    expect(estimateFees('deleteDocument', [100])).toEqual([40000]);
+  });
+
+  test('adds the DPNS fee to the domain document of a name', () => {
+    expect(estimateFees('registerName', [100, 200], 'alice')).toEqual([
+      2740000,
+      5480000 + PREMIUM_NAME_FEE,
+    ]);
+    expect(
+      estimateFees('registerName', [100, 200], 'alicewonderland12345'),
+    ).toEqual([2740000, 5480000 + STANDARD_NAME_FEE]);
+  });
+});
+
+describe('captureStateTransitions', () => {
+  const createClient = () => {
+    const platform = {
+      broadcastStateTransition: jest.fn(),
+      waitForStateTransitionResult: jest.fn(),
+    };
+    return { platform, getDAPIClient: () => ({ platform }) };
+  };
+
+  test('returns the transitions instead of broadcasting them', async () => {
+    const client = createClient();
+    const { broadcastStateTransition, waitForStateTransitionResult } =
+      client.platform;
+
+    const captured = await captureStateTransitions(client, async () => {
+      await client.platform.broadcastStateTransition(Buffer.from('first'));
+      await client.platform.waitForStateTransitionResult();
+      await client.platform.broadcastStateTransition(Buffer.from('second'));
+    });
+
+    expect(captured.map(String)).toEqual(['first', 'second']);
+    expect(broadcastStateTransition).not.toHaveBeenCalled();
+    expect(client.platform.broadcastStateTransition).toBe(
+      broadcastStateTransition,
+    );
+    expect(client.platform.waitForStateTransitionResult).toBe(
+      waitForStateTransitionResult,
+    );
+  });
+
+  test('restores the broadcast when building fails', async () => {
+    const client = createClient();
+    const { broadcastStateTransition } = client.platform;
+
+    await expect(
+      captureStateTransitions(client, async () => {
+        throw new Error('signing failed');
+      }),
+    ).rejects.toThrow('signing failed');
+    expect(client.platform.broadcastStateTransition).toBe(
+      broadcastStateTransition,
+    );
+  });
+
+  test('refuses clients without a DAPI broadcast', async () => {
+    const broadcast = jest.fn();
+
+    await expect(
+      captureStateTransitions({ getDAPIClient: () => ({}) }, broadcast),
+    ).rejects.toThrow('--dry-run is not supported by this client');
+    expect(broadcast).not.toHaveBeenCalled();
+  });
+});
+
+describe('--dry-run on the memory network', () => {
+  let network;
+  let identityId;
+  let contractId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+    contractId = await network.registerNoteContract(identityId);
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const balance = async () =>
+    (await network.runJson('retrieveIdentity', '--identity-id', identityId))
+      .balance;
+
+  const submitNote = (...argv) =>
+    network.runJson(
+      'submitDocument',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--action',
+      'create',
+      '--document-data',
+      JSON.stringify({ message: 'Hello', score: 1 }),
+      ...argv,
+    );
+
+  test('estimates a write without changing any state', async () => {
+    const before = await balance();
+
+    const estimate = await submitNote('--dry-run');
+
+    expect(estimate).toMatchObject({
+      dryRun: true,
+      operation: 'submitDocument',
+      identityId,
+      balance: before,
+      balanceAfter: before - estimate.estimatedFee,
+      sufficient: true,
+    });
+    expect(estimate.stateTransitions).toEqual([
+      { size: estimate.size, estimatedFee: estimate.estimatedFee },
+    ]);
+    expect(await balance()).toBe(before);
+    expect(
+      await network.runJson(
+        'retrieveDocuments',
+        '--contract-id',
+        contractId,
+        '--document-type',
+        'note',
+      ),
+    ).toEqual([]);
+  });
+
+  test('estimates the fee the memory network charges', async () => {
+    const estimate = await submitNote('--dry-run');
+    const before = await balance();
+
+    await submitNote();
+
+    // The real document has another random ID, which can be a byte shorter or
+    // longer, and the simulator charges the documents without the batch around
+    // them, so the fee can differ by the storage of a few bytes
+    const charged = before - (await balance());
+    expect(Math.abs(charged - estimate.estimatedFee)).toBeLessThanOrEqual(
+      storageFee(4),
+    );
+  });
+
+  test('reports both transitions of a name registration', async () => {
+    const registerName = (...argv) =>
+      network.runJson(
+        'registerName',
+        '--identity-id',
+        identityId,
+        '--identity-name',
+        'alicewonderland12345',
+        ...argv,
+      );
+
+    const estimate = await registerName('--dry-run');
+
+    expect(estimate.stateTransitions).toHaveLength(2);
+    const [preorder, domain] = estimate.stateTransitions;
+    expect(domain.estimatedFee - preorder.estimatedFee).toBeGreaterThan(
+      STANDARD_NAME_FEE,
+    );
+    expect(estimate.estimatedFee).toBe(
+      preorder.estimatedFee + domain.estimatedFee,
+    );
+    // Neither the preorder nor the domain was written, so the name is free
+    expect(await registerName()).toMatchObject({
+      label: 'alicewonderland12345',
+    });
+  });
+
+  test('exits with 5 when the balance does not cover the estimate', async () => {
+    const { stdout, exitCode } = await network.run(
+      'registerName',
+      '--identity-id',
+      identityId,
+      '--identity-name',
+      'alice',
+      '--dry-run',
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(5);
+    expect(JSON.parse(stdout)).toMatchObject({
+      sufficient: false,
+      estimatedFee: expect.any(Number),
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  EXIT_CODES,
+  DashCLIError,
+  ValidationError,
+  classifyError,
+} = require('../dashErrors');
+
+describe('classifyError', () => {
+  test.each([
+    ['Identity balance is not enough', 'InsufficientCreditsError', 5],
+    ['StateTransitionBroadcastError: invalid', 'ConsensusError', 7],
+    ['Not enough utxos', 'WalletSyncError', 6],
+    ['connect ECONNREFUSED 127.0.0.1:1443', 'NetworkError', 4],
+    ['Contract not found', 'NotFoundError', 3],
+    ['Something else', 'DashCLIError', 1],
+  ])('maps "%s" to %s', (message, name, exitCode) => {
+    const error = classifyError(new Error(message));
+
+    expect(error.name).toBe(name);
+    expect(error.exitCode).toBe(exitCode);
+    expect(error.cause.message).toBe(message);
+  });
+
+  test('maps JSON syntax errors to validation errors', () => {
+    let syntaxError;
+    try {
+      JSON.parse('{');
+    } catch (error) {
+      syntaxError = error;
+    }
+
+    expect(classifyError(syntaxError).exitCode).toBe(EXIT_CODES.VALIDATION);
+  });
+
+  test('returns errors raised by the CLI untouched', () => {
+    const error = new ValidationError('Bad input');
+
+    expect(classifyError(error)).toBe(error);
+  });
+
+  test('prefixes the message with the context', () => {
+    expect(classifyError('timed out', 'Fetching identity').message).toBe(
+      'Fetching identity: timed out',
+    );
+  });
+
+  test('serializes the code, exit code and suggestions', () => {
+    const error = new DashCLIError('Failed', {
+      code: 'SOME_CODE',
+      suggestions: ['Retry'],
+    });
+
+    expect(error.toJSON()).toEqual({
+      error: 'DashCLIError',
+      code: 'SOME_CODE',
+      exitCode: 1,
+      message: 'Failed',
+      suggestions: ['Retry'],
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const dashLibrary = require('../dashLibrary');
+const memoryPlatform = require('../dashMemoryPlatform');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('exportDocuments on the memory network', () => {
+  let network;
+  let identityId;
+  let contractId;
+  let outputFile;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+    contractId = await network.registerNoteContract(identityId);
+    outputFile = path.join(network.dir, 'notes.ndjson');
+    for (let score = 1; score <= 5; score++) {
+      await network.runJson(
+        'submitDocument',
+        '--identity-id',
+        identityId,
+        '--contract-id',
+        contractId,
+        '--document-type',
+        'note',
+        '--action',
+        'create',
+        '--document-data',
+        JSON.stringify({ message: `note ${score}`, score }),
+      );
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    network.cleanup();
+  });
+
+  const exportNotes = (...argv) =>
+    network.run(
+      'exportDocuments',
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--page-size',
+      '2',
+      ...argv,
+    );
+
+  const readLines = () =>
+    fs
+      .readFileSync(outputFile, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+  // Makes the nth page query of the memory platform fail like a dropped DAPI
+  // connection
+  const failQuery = (failingCall) => {
+    const createClient = memoryPlatform.createMemoryClient;
+    let calls = 0;
+    jest
+      .spyOn(memoryPlatform, 'createMemoryClient')
+      .mockImplementation((options) => {
+        const client = createClient(options);
+        const get = client.platform.documents.get;
+        client.platform.documents.get = async (...args) => {
+          calls++;
+          if (calls === failingCall) {
+            throw new Error('connect ECONNRESET');
+          }
+          return get(...args);
+        };
+        return client;
+      });
+  };
+
+  test('exports every page to the output file', async () => {
+    const { stdout, exitCode } = await exportNotes(
+      '--output-file',
+      outputFile,
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      exported: 5,
+      pages: 3,
+      format: 'ndjson',
+    });
+    expect(readLines()).toHaveLength(5);
+    expect(fs.existsSync(`${outputFile}.cursor.json`)).toBe(false);
+  });
+
+  test('resumes an interrupted export from the cursor file', async () => {
+    const { exitCode: complete } = await exportNotes(
+      '--output-file',
+      outputFile,
+    );
+    expect(complete).toBe(0);
+    const expected = readLines();
+
+    // The failure is injected into the library in this process, the rerun
+    // goes through the CLI like a user would
+    failQuery(2);
+    const interrupted = dashLibrary.exportDocuments({
+      network: 'memory',
+      memoryFile: network.memoryFile,
+      contractId,
+      documentType: 'note',
+      pageSize: '2',
+      outputFile,
+    });
+
+    await expect(interrupted).rejects.toMatchObject({
+      exitCode: 4,
+      suggestions: expect.arrayContaining([
+        expect.stringMatching(/resume from .*cursor\.json/),
+      ]),
+    });
+    expect(readLines()).toHaveLength(2);
+
+    const resumed = await exportNotes('--output-file', outputFile);
+
+    expect(resumed.exitCode).toBe(0);
+    expect(readLines()).toEqual(expected);
+    expect(fs.existsSync(`${outputFile}.cursor.json`)).toBe(false);
+  });
+
+  test('stops after the limit of the query', async () => {
+    const { stdout, exitCode } = await exportNotes(
+      '--output-file',
+      outputFile,
+      '--query',
+      JSON.stringify({ limit: 3 }),
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({ exported: 3, pages: 2 });
+    expect(readLines()).toHaveLength(3);
+  });
+
+  test('rejects a limit that is not a positive integer', async () => {
+    const { exitCode, stderr } = await exportNotes(
+      '--query',
+      JSON.stringify({ limit: 0 }),
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Limit must be a positive integer/);
+  });
+
+  test('writes a CSV header from the schema', async () => {
+    outputFile = path.join(network.dir, 'notes.csv');
+
+    await exportNotes('--output-file', outputFile);
+
+    const [header, ...rows] = fs
+      .readFileSync(outputFile, 'utf8')
+      .trim()
+      .split('\n');
+    expect(header.split(',')).toEqual(
+      expect.arrayContaining(['$id', 'message', 'score']),
+    );
+    expect(rows).toHaveLength(5);
+  });
+
+  test('writes documents to stdout without an output file', async () => {
+    const { stdout, exitCode } = await exportNotes('--export-format', 'json');
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toHaveLength(5);
+  });
+});
@@ -0,0 +1,110 @@
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('identities on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('creates an identity funded by the wallet', async () => {
+    const { identityId } = await network.createIdentity();
+
+    const identity = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+    expect(identity.id).toBe(identityId);
+    expect(identity.publicKeys).toHaveLength(2);
+    expect(identity.balance).toBeGreaterThan(0);
+
+    const identityIds = await network.runJson('getIdentityIds');
+    expect(identityIds).toContain(identityId);
+  });
+
+  test('tops up an identity by 1000 credits per duff', async () => {
+    const { address, identityId } = await network.createIdentity();
+    const before = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+
+    await network.runJson(
+      'topupIdentity',
+      '--identity-id',
+      identityId,
+      '--address',
+      address,
+      '--topup-amount',
+      '50000',
+    );
+
+    const after = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+    expect(after.balance - before.balance).toBe(50000000);
+  });
+
+  test('rejects a top-up below the minimum', async () => {
+    const { address, identityId } = await network.createIdentity();
+
+    const { exitCode, stderr } = await network.run(
+      'topupIdentity',
+      '--identity-id',
+      identityId,
+      '--address',
+      address,
+      '--topup-amount',
+      '100',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/at least 50000 duffs/);
+  });
+
+  test('charges the fee of every write to the identity balance', async () => {
+    const { identityId } = await network.createIdentity(100000);
+    const balance = async () =>
+      (await network.runJson('retrieveIdentity', '--identity-id', identityId))
+        .balance;
+    const before = await balance();
+
+    await network.runJson(
+      'registerContract',
+      '--identity-id',
+      identityId,
+      '--contract-def',
+      JSON.stringify({
+        note: {
+          type: 'object',
+          properties: { message: { type: 'string', position: 0 } },
+          additionalProperties: false,
+        },
+      }),
+    );
+
+    const after = await balance();
+    expect(after).toBeLessThan(before);
+    // Storage is charged per byte, a small contract costs far less than 1 DASH
+    expect(before - after).toBeLessThan(100000000000);
+  });
+
+  test('fails with exit code 3 for an unknown identity', async () => {
+    const { exitCode, stderr } = await network.run(
+      'retrieveIdentity',
+      '--identity-id',
+      '11111111111111111111111111111111',
+    );
+
+    expect(exitCode).toBe(3);
+    expect(stderr).toMatch(/Identity not found/);
+  });
+});
@@ -0,0 +1,229 @@
+const {
+  createMemoryClient,
+  PlatformProtocol,
+} = require('../dashMemoryPlatform');
+const {
+  MNEMONIC,
+  NOTE_SCHEMA,
+  createMemoryNetwork,
+} = require('./memoryNetwork');
+
+describe('identity keys on the memory network', () => {
+  let network;
+  let identityId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const listKeys = () =>
+    network.runJson('listIdentityPublicKeys', '--identity-id', identityId);
+
+  const addKey = (...argv) =>
+    network.runJson('addIdentityKey', '--identity-id', identityId, ...argv);
+
+  const disableKey = (keyId) =>
+    network.run(
+      'disableIdentityKey',
+      '--identity-id',
+      identityId,
+      '--key-id',
+      String(keyId),
+    );
+
+  test.each([
+    ['authentication', 0],
+    ['encryption', 1],
+    ['decryption', 2],
+    ['transfer', 3],
+  ])('adds a %s key', async (purpose, purposeNumber) => {
+    const keys = await addKey('--key-purpose', purpose);
+
+    expect(keys).toHaveLength(3);
+    expect(keys[2]).toMatchObject({
+      id: '2',
+      type: 0,
+      purpose: purposeNumber,
+      securityLevel: 2,
+    });
+  });
+
+  test.each([
+    ['master', 0],
+    ['critical', 1],
+    ['high', 2],
+    ['medium', 3],
+  ])('adds a key with the %s security level', async (level, levelNumber) => {
+    const keys = await addKey('--security-level', level);
+
+    expect(keys[2]).toMatchObject({
+      id: '2',
+      purpose: 0,
+      securityLevel: levelNumber,
+    });
+  });
+
+  test('stores the hash160 of an ecdsa_hash160 key', async () => {
+    const keys = await addKey('--key-type', 'ECDSA_HASH160');
+
+    expect(keys[2]).toMatchObject({ type: 2 });
+    expect(keys[2].data).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  test('adds keys at the next free key ID', async () => {
+    await addKey();
+    const keys = await addKey();
+
+    expect(keys.map((key) => key.id)).toEqual(['0', '1', '2', '3']);
+    expect(keys[3].data).not.toBe(keys[2].data);
+  });
+
+  test.each([
+    ['--key-purpose', 'voting', /Invalid key purpose "voting"/],
+    ['--security-level', 'low', /Invalid security level "low"/],
+    ['--key-type', 'bls12_381', /Invalid key type "bls12_381"/],
+  ])('exits with 2 for %s %s', async (option, value, message) => {
+    const { exitCode, stderr } = await network.run(
+      'addIdentityKey',
+      '--identity-id',
+      identityId,
+      option,
+      value,
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(message);
+    expect(await listKeys()).toHaveLength(2);
+  });
+
+  test('disables a key', async () => {
+    await addKey();
+
+    const { stdout, exitCode } = await network.run(
+      'disableIdentityKey',
+      '--identity-id',
+      identityId,
+      '--key-id',
+      '2',
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(0);
+    const keys = JSON.parse(stdout);
+    expect(keys[2].disabledAt).toEqual(expect.any(Number));
+    expect(keys[0].disabledAt).toBeNull();
+
+    const again = await disableKey(2);
+    expect(again.exitCode).toBe(2);
+    expect(again.stderr).toMatch(/Key 2 is already disabled/);
+  });
+
+  test('exits with 3 for an unknown key and 2 for an invalid key ID', async () => {
+    expect((await disableKey(9)).exitCode).toBe(3);
+    expect((await disableKey('first')).exitCode).toBe(2);
+  });
+
+  test('refuses to disable the last enabled master key', async () => {
+    const refused = await disableKey(0);
+    expect(refused.exitCode).toBe(2);
+    expect(refused.stderr).toMatch(/Key 0 is the last enabled master key/);
+
+    // With a second master key the first one can be rotated out
+    await addKey('--security-level', 'master');
+    expect((await disableKey(0)).exitCode).toBe(0);
+
+    const last = await disableKey(2);
+    expect(last.exitCode).toBe(2);
+    expect(last.stderr).toMatch(/Key 2 is the last enabled master key/);
+    // Key 2 signs identity updates now
+    expect((await addKey()).map((key) => key.id)).toContain('3');
+  });
+
+  test('does not sign later writes with a disabled key', async () => {
+    expect((await disableKey(1)).exitCode).toBe(0);
+
+    // Key 1 was the only key allowed to sign contracts and documents
+    const { exitCode, stderr } = await network.run(
+      'registerContract',
+      '--identity-id',
+      identityId,
+      '--contract-def',
+      JSON.stringify(NOTE_SCHEMA),
+    );
+    expect(exitCode).toBe(7);
+    expect(stderr).toMatch(/has no enabled key to sign the contract/);
+
+    await addKey('--security-level', 'high');
+    expect(await network.registerNoteContract(identityId)).toEqual(
+      expect.any(String),
+    );
+  });
+
+  test('leaves the keys unchanged with --dry-run', async () => {
+    const estimate = await addKey('--dry-run');
+
+    expect(estimate).toMatchObject({
+      dryRun: true,
+      operation: 'addIdentityKey',
+      sufficient: true,
+    });
+    expect(await listKeys()).toHaveLength(2);
+  });
+});
+
+describe('identity updates of the memory simulator', () => {
+  let client;
+  let identity;
+
+  beforeEach(async () => {
+    client = createMemoryClient({ mnemonic: MNEMONIC });
+    identity = await client.platform.identities.register();
+  });
+
+  // A new key with the data of the wallet key at keyIndex of the identity
+  const newKey = async (keyId, keyIndex = keyId) => {
+    const account = await client.getWalletAccount();
+    const { privateKey } = account.identities.getIdentityHDKeyById(
+      identity.getId(),
+      keyIndex,
+    );
+    const key = new PlatformProtocol.IdentityPublicKeyWithWitness(1);
+    key.setId(keyId);
+    key.setType(0);
+    key.setPurpose(0);
+    key.setSecurityLevel(2);
+    key.setData(privateKey.toPublicKey().toBuffer());
+    return { key, privateKeys: { [keyId]: privateKey } };
+  };
+
+  test('rejects a key that duplicates one of the identity', async () => {
+    const { key, privateKeys } = await newKey(2, 1);
+
+    await expect(
+      client.platform.identities.update(identity, { add: [key] }, privateKeys),
+    ).rejects.toThrow(/key 2 duplicates key 1/);
+  });
+
+  test('rejects a key not signed with its private key', async () => {
+    const { key } = await newKey(2);
+    const { privateKeys } = await newKey(2, 3);
+
+    await expect(
+      client.platform.identities.update(identity, { add: [key] }, privateKeys),
+    ).rejects.toThrow(/key 2 is not signed with its private key/);
+  });
+
+  test('rejects disabling the last enabled master key', async () => {
+    await expect(
+      client.platform.identities.update(identity, {
+        disable: [identity.getPublicKeyById(0)],
+      }),
+    ).rejects.toThrow(/the last enabled master key/);
+  });
+});
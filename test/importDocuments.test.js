@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('importDocuments on the memory network', () => {
+  let network;
+  let identityId;
+  let contractId;
+  let inputFile;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+    contractId = await network.registerNoteContract(identityId);
+    inputFile = path.join(network.dir, 'notes.ndjson');
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const writeRows = (rows) =>
+    fs.writeFileSync(
+      inputFile,
+      `${rows.map((row) => JSON.stringify(row)).join('\n')}\n`,
+    );
+
+  const importRows = (...argv) =>
+    network.run(
+      'importDocuments',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--input-file',
+      inputFile,
+      '--output',
+      'json',
+      ...argv,
+    );
+
+  const storedMessages = async () =>
+    (
+      await network.runJson(
+        'retrieveDocuments',
+        '--contract-id',
+        contractId,
+        '--document-type',
+        'note',
+      )
+    )
+      .map((document) => document.message)
+      .sort();
+
+  test('imports every row in batches', async () => {
+    writeRows([{ message: 'one' }, { message: 'two' }, { message: 'three' }]);
+
+    const { stdout, exitCode } = await importRows('--batch-size', '2');
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout).map((row) => row.status)).toEqual([
+      'imported',
+      'imported',
+      'imported',
+    ]);
+    expect(await storedMessages()).toEqual(['one', 'three', 'two']);
+    expect(fs.existsSync(`${inputFile}.checkpoint.json`)).toBe(false);
+  });
+
+  test('keeps a checkpoint for failed rows and skips imported ones on rerun', async () => {
+    writeRows([{ message: 'one' }, { score: 1 }, { message: 'three' }]);
+
+    const first = await importRows('--batch-size', '2');
+
+    expect(first.exitCode).toBe(1);
+    expect(JSON.parse(first.stdout).map((row) => row.status)).toEqual([
+      'imported',
+      'failed',
+      'imported',
+    ]);
+    expect(fs.existsSync(`${inputFile}.checkpoint.json`)).toBe(true);
+
+    // Fix the failed row in place and run the same command again
+    writeRows([{ message: 'one' }, { message: 'two' }, { message: 'three' }]);
+    const second = await importRows('--batch-size', '2');
+
+    expect(second.exitCode).toBe(0);
+    expect(JSON.parse(second.stdout).map((row) => row.status)).toEqual([
+      'skipped',
+      'imported',
+      'skipped',
+    ]);
+    expect(await storedMessages()).toEqual(['one', 'three', 'two']);
+    expect(fs.existsSync(`${inputFile}.checkpoint.json`)).toBe(false);
+  });
+
+  test('imports CSV rows with values typed by the schema', async () => {
+    inputFile = path.join(network.dir, 'notes.csv');
+    fs.writeFileSync(inputFile, 'message,score\nhello,7\n');
+
+    const { exitCode } = await importRows();
+
+    expect(exitCode).toBe(0);
+    const [document] = await network.runJson(
+      'retrieveDocuments',
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+    );
+    expect(document).toMatchObject({ message: 'hello', score: 7 });
+  });
+
+  test('refuses a checkpoint written for another contract', async () => {
+    writeRows([{ message: 'one' }]);
+    fs.writeFileSync(
+      `${inputFile}.checkpoint.json`,
+      JSON.stringify({ contractId: 'other', documentType: 'note' }),
+    );
+
+    const { exitCode, stderr } = await importRows();
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/belongs to a different/);
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { MNEMONIC, createMemoryNetwork } = require('./memoryNetwork');
+
+describe('keystore on the memory network', () => {
+  let network;
+  let walletFile;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+    walletFile = path.join(process.env.DASH_CLI_HOME, 'keystore', 'main.json');
+    process.env.MNEMONIC_TO_IMPORT = MNEMONIC;
+    process.env.DASH_KEYSTORE_PASSPHRASE = 'correct horse';
+  });
+
+  afterEach(() => {
+    delete process.env.MNEMONIC_TO_IMPORT;
+    delete process.env.DASH_KEYSTORE_PASSPHRASE;
+    delete process.env.DASH_KEYSTORE_NEW_PASSPHRASE;
+    network.cleanup();
+  });
+
+  const importWallet = () =>
+    network.runJson(
+      'keystore',
+      'import',
+      'main',
+      '--mnemonic-env',
+      'MNEMONIC_TO_IMPORT',
+    );
+
+  const exportWallet = () => network.run('keystore', 'export', 'main');
+
+  test('decrypts the imported mnemonic with the passphrase', async () => {
+    expect(await importWallet()).toMatchObject({ wallet: 'main' });
+
+    const exported = await network.runJson('keystore', 'export', 'main');
+
+    expect(exported).toEqual({ wallet: 'main', mnemonic: MNEMONIC });
+    expect(await network.runJson('keystore', 'list')).toEqual([
+      { wallet: 'main', createdAt: expect.any(String) },
+    ]);
+  });
+
+  test('stores the wallet encrypted and readable only by the owner', async () => {
+    await importWallet();
+
+    const contents = fs.readFileSync(walletFile, 'utf8');
+    expect(contents).not.toContain(MNEMONIC);
+    MNEMONIC.split(' ').forEach((word) =>
+      expect(contents).not.toMatch(new RegExp(`\\b${word}\\b`)),
+    );
+    expect(JSON.parse(contents).crypto).toMatchObject({
+      kdf: 'scrypt',
+      cipher: 'aes-256-gcm',
+    });
+    expect(fs.statSync(walletFile).mode & 0o777).toBe(0o600);
+    expect(fs.statSync(path.dirname(walletFile)).mode & 0o777).toBe(0o700);
+  });
+
+  test('exits with 2 for a wrong passphrase', async () => {
+    await importWallet();
+    process.env.DASH_KEYSTORE_PASSPHRASE = 'wrong horse';
+
+    const { exitCode, stdout, stderr } = await exportWallet();
+
+    expect(exitCode).toBe(2);
+    expect(stdout).toBe('');
+    expect(stderr).toMatch(/Incorrect passphrase for wallet "main"/);
+  });
+
+  test('re-encrypts the wallet with a new passphrase', async () => {
+    await importWallet();
+    const before = fs.readFileSync(walletFile, 'utf8');
+    process.env.DASH_KEYSTORE_NEW_PASSPHRASE = 'battery staple';
+
+    expect(
+      await network.runJson('keystore', 'change-passphrase', 'main'),
+    ).toEqual({ wallet: 'main', passphraseChanged: true });
+
+    expect(fs.readFileSync(walletFile, 'utf8')).not.toBe(before);
+    expect((await exportWallet()).exitCode).toBe(2);
+    process.env.DASH_KEYSTORE_PASSPHRASE = 'battery staple';
+    expect(await network.runJson('keystore', 'export', 'main')).toMatchObject({
+      mnemonic: MNEMONIC,
+    });
+  });
+
+  test('rejects short passphrases and invalid mnemonics', async () => {
+    process.env.DASH_KEYSTORE_PASSPHRASE = 'short';
+    const short = await network.run(
+      'keystore',
+      'import',
+      'main',
+      '--mnemonic-env',
+      'MNEMONIC_TO_IMPORT',
+    );
+    expect(short.exitCode).toBe(2);
+    expect(short.stderr).toMatch(/at least 8 characters/);
+
+    process.env.DASH_KEYSTORE_PASSPHRASE = 'correct horse';
+    process.env.MNEMONIC_TO_IMPORT = 'not a mnemonic';
+    const invalid = await network.run(
+      'keystore',
+      'import',
+      'main',
+      '--mnemonic-env',
+      'MNEMONIC_TO_IMPORT',
+    );
+    expect(invalid.exitCode).toBe(2);
+    expect(fs.existsSync(walletFile)).toBe(false);
+  });
+
+  test('uses the unlocked wallet instead of MNEMONIC', async () => {
+    const { address } = await network.runJson('getUnusedAddress');
+    await importWallet();
+    delete process.env.MNEMONIC;
+
+    expect(
+      await network.runJson('getUnusedAddress', '--wallet', 'main'),
+    ).toEqual({ address });
+  });
+
+  test('saves a new wallet without printing its mnemonic', async () => {
+    delete process.env.MNEMONIC;
+
+    const { stdout, exitCode } = await network.run(
+      'createWallet',
+      '--wallet',
+      'fresh',
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(0);
+    expect(stdout).not.toMatch(/mnemonic/i);
+    const { mnemonic } = await network.runJson('keystore', 'export', 'fresh');
+    expect(mnemonic.split(' ')).toHaveLength(12);
+  });
+
+  test('exits with 3 for an unknown wallet', async () => {
+    const { exitCode, stderr } = await exportWallet();
+
+    expect(exitCode).toBe(3);
+    expect(stderr).toMatch(/Wallet "main" not found in keystore/);
+  });
+});
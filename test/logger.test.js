@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../dashLogger');
+const { MNEMONIC, createMemoryNetwork } = require('./memoryNetwork');
+
+const WIF = 'cVt4o7BGAig1UXywgGSmARhxMdzP5qvQsxKkSsc1XEkw3tDTQFpy';
+const HEX_KEY =
+  'a3f1c2d4e5b6a7980f1e2d3c4b5a69788796a5b4c3d2e1f00f1e2d3c4b5a6978';
+
+describe('logger redaction', () => {
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+    logger.configure({ level: 'debug', format: 'text' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('redacts WIF keys and labelled hex keys', () => {
+    expect(logger.redact(`imported ${WIF}`)).toBe('imported [REDACTED WIF]');
+    expect(logger.redact(`privateKey: ${HEX_KEY}`)).toBe(
+      'privateKey: [REDACTED KEY]',
+    );
+  });
+
+  test('redacts registered mnemonics and passphrases', () => {
+    logger.addSecret(MNEMONIC);
+    logger.addSecret('correct horse battery');
+
+    expect(logger.redact(`mnemonic "${MNEMONIC}" loaded`)).toBe(
+      'mnemonic "[REDACTED]" loaded',
+    );
+    expect(logger.redact('unlocking with correct horse battery')).toBe(
+      'unlocking with [REDACTED]',
+    );
+  });
+
+  test('leaves normal messages alone', () => {
+    const messages = [
+      'the wallet is still syncing with the network so please wait a few more minutes',
+      `Found transaction ${HEX_KEY} in block 1234`,
+      'Using network: testnet',
+    ];
+
+    messages.forEach((message) => expect(logger.redact(message)).toBe(message));
+  });
+
+  test('redacts secret properties of logged objects', () => {
+    logger.debug('Client Options:', {
+      network: 'testnet',
+      wallet: { mnemonic: 'any words at all' },
+      passphrase: 'hunter2',
+    });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatch(/^\[DEBUG\] Client Options:/);
+    expect(lines[0]).toMatch(/network: 'testnet'/);
+    expect(lines[0]).not.toMatch(/any words at all|hunter2/);
+  });
+
+  test('writes JSON lines in the json format', () => {
+    logger.configure({ format: 'json' });
+
+    logger.warn(`key ${WIF}`);
+
+    expect(JSON.parse(lines[0])).toEqual({
+      time: expect.any(String),
+      level: 'warn',
+      message: 'key [REDACTED WIF]',
+    });
+  });
+
+  test('skips messages above the level', () => {
+    logger.configure({ level: 'warn' });
+
+    logger.info('progress');
+    logger.error('failed');
+
+    expect(lines).toEqual(['[ERROR] failed']);
+  });
+
+  test('rejects unknown levels and formats', () => {
+    expect(() => logger.configure({ level: 'verbose' })).toThrow(
+      'Invalid log level "verbose"',
+    );
+    expect(() => logger.configure({ format: 'xml' })).toThrow(
+      'Invalid log format "xml"',
+    );
+  });
+});
+
+describe('--log-file on the memory network', () => {
+  let network;
+  let logFile;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+    logFile = path.join(network.dir, 'cli.log');
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('appends redacted log lines to an owner-only file', async () => {
+    const { exitCode, stderr } = await network.run(
+      'getUnusedAddress',
+      '--log-level',
+      'debug',
+      '--log-file',
+      logFile,
+    );
+
+    expect(exitCode).toBe(0);
+    const log = fs.readFileSync(logFile, 'utf8');
+    expect(log).toMatch(/^\S+Z \[DEBUG\] Command: getUnusedAddress/m);
+    expect(log).toMatch(/\[INFO\] Using network: memory/);
+    expect(log).not.toContain(MNEMONIC);
+    expect(stderr).not.toContain(MNEMONIC);
+    expect(fs.statSync(logFile).mode & 0o777).toBe(0o600);
+  });
+
+  test('writes nothing below the configured level', async () => {
+    await network.run('getUnusedAddress', '--log-file', logFile);
+
+    expect(fs.existsSync(logFile)).toBe(false);
+  });
+});
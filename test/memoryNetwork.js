@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Runs CLI commands in a child process against a memory network whose state
+// file lives in a temporary directory, like a user running dashCLI.js would
+// The directory also holds the config directory (DASH_CLI_HOME)
+
+const CLI = path.join(__dirname, '..', 'dashCLI.js');
+
+const MNEMONIC =
+  'abandon ability able about above absent absorb abstract absurd abuse access accident';
+
+// A document type with a required property and an index, used by the
+// contract and document tests
+const NOTE_SCHEMA = {
+  note: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', maxLength: 100, position: 0 },
+      score: { type: 'integer', minimum: 0, position: 1 },
+    },
+    required: ['message'],
+    indices: [
+      { name: 'byScore', properties: [{ score: 'asc' }], unique: false },
+    ],
+    additionalProperties: false,
+  },
+};
+
+// NOTE_SCHEMA with the note type changed by changeNote
+const withNote = (changeNote) => {
+  const schemas = JSON.parse(JSON.stringify(NOTE_SCHEMA));
+  changeNote(schemas.note);
+  return schemas;
+};
+
+const createMemoryNetwork = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dash-cli-test-'));
+  const memoryFile = path.join(dir, 'memory.json');
+  process.env.DASH_CLI_HOME = path.join(dir, 'home');
+  process.env.MNEMONIC = MNEMONIC;
+  process.env.LOG_LEVEL = 'error';
+
+  // Runs "<command> [args...]" on the memory network with input piped to its
+  // stdin and resolves with its stdout, stderr and exit code, also when the
+  // command failed
+  const runWithInput = (input, ...argv) =>
+    new Promise((resolve) => {
+      const child = execFile(
+        process.execPath,
+        [CLI, ...argv, '--network', 'memory', '--memory-file', memoryFile],
+        { cwd: dir, env: process.env },
+        (error, stdout, stderr) =>
+          resolve({
+            stdout: stdout.trimEnd(),
+            stderr: stderr.trimEnd(),
+            exitCode: error ? error.code : 0,
+          }),
+      );
+      if (input !== undefined) {
+        child.stdin.end(input);
+      }
+    });
+
+  const run = (...argv) => runWithInput(undefined, ...argv);
+
+  // Runs a command with --output json and returns the parsed result, failing
+  // when the command did
+  const runJson = async (...argv) => {
+    const { stdout, stderr, exitCode } = await run(...argv, '--output', 'json');
+    if (exitCode !== 0) {
+      throw new Error(`${argv[0]} exited with ${exitCode}: ${stderr}`);
+    }
+    return JSON.parse(stdout);
+  };
+
+  // Creates an identity funded with topupDuffs on top of the registration
+  const createIdentity = async (topupDuffs = 0) => {
+    const { address } = await runJson('getUnusedAddress');
+    const identity = await runJson('createIdentity', '--address', address);
+    if (topupDuffs > 0) {
+      await runJson(
+        'topupIdentity',
+        '--identity-id',
+        identity.id,
+        '--address',
+        address,
+        '--topup-amount',
+        String(topupDuffs),
+      );
+    }
+    return { address, identityId: identity.id };
+  };
+
+  // Registers a contract with the note document type and returns its ID
+  const registerNoteContract = async (identityId) =>
+    (
+      await runJson(
+        'registerContract',
+        '--identity-id',
+        identityId,
+        '--contract-def',
+        JSON.stringify(NOTE_SCHEMA),
+      )
+    ).id;
+
+  const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+
+  return {
+    dir,
+    memoryFile,
+    run,
+    runWithInput,
+    runJson,
+    createIdentity,
+    registerNoteContract,
+    cleanup,
+  };
+};
+
+module.exports = {
+  MNEMONIC,
+  NOTE_SCHEMA,
+  withNote,
+  createMemoryNetwork,
+};
@@ -0,0 +1,149 @@
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+// Standard names (20 characters or more, or with digits other than 0 and 1)
+// cost 1e8 credits, cheap enough for a topped up memory identity
+const NAME = 'alicewonderland12345';
+
+describe('names on the memory network', () => {
+  let network;
+  let identityId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity(100000));
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  const registerName = (name = NAME) =>
+    network.runJson(
+      'registerName',
+      '--identity-id',
+      identityId,
+      '--identity-name',
+      name,
+    );
+
+  test('registers a domain document owned by the identity', async () => {
+    const domain = await registerName();
+
+    expect(domain).toMatchObject({
+      $type: 'domain',
+      $ownerId: identityId,
+      label: NAME,
+      normalizedLabel: 'a11cew0nder1and12345',
+      parentDomainName: 'dash',
+      records: { identity: identityId },
+    });
+  });
+
+  test('charges the DPNS fee of a standard name', async () => {
+    const before = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+
+    await registerName();
+
+    const after = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+    expect(before.balance - after.balance).toBeGreaterThanOrEqual(100000000);
+  });
+
+  test('resolves a registered name to the identity', async () => {
+    await registerName();
+
+    const resolved = await network.runJson(
+      'resolveName',
+      '--identity-name',
+      `${NAME}.dash`,
+    );
+    expect(resolved).toMatchObject({ name: `${NAME}.dash`, identityId });
+  });
+
+  test('lists and searches the registered names', async () => {
+    await registerName();
+
+    const names = await network.runJson(
+      'listNames',
+      '--identity-id',
+      identityId,
+    );
+    expect(names.map((entry) => entry.name)).toEqual([`${NAME}.dash`]);
+
+    const found = await network.runJson('searchNames', '--prefix', 'ALICE');
+    expect(found.map((entry) => entry.name)).toEqual([`${NAME}.dash`]);
+
+    const none = await network.runJson('searchNames', '--prefix', 'bob');
+    expect(none).toEqual([]);
+  });
+
+  test('checks availability on the normalized label', async () => {
+    const available = await network.runJson(
+      'checkName',
+      '--identity-name',
+      NAME,
+    );
+    expect(available).toMatchObject({
+      available: true,
+      premium: false,
+      fee: 100000000,
+    });
+
+    await registerName();
+
+    // "l" and "i" normalize to "1", so this is the same name
+    const taken = await network.runJson(
+      'checkName',
+      '--identity-name',
+      'AIiceWonderIand12345',
+    );
+    expect(taken).toMatchObject({
+      available: false,
+      registeredName: `${NAME}.dash`,
+      identityId,
+    });
+  });
+
+  test('refuses a name that is already taken', async () => {
+    await registerName();
+
+    const { exitCode } = await network.run(
+      'registerName',
+      '--identity-id',
+      identityId,
+      '--identity-name',
+      NAME,
+    );
+    expect(exitCode).not.toBe(0);
+  });
+
+  test('fails with exit code 3 for an unregistered name', async () => {
+    const { exitCode, stderr } = await network.run(
+      'resolveName',
+      '--identity-name',
+      'nobody.dash',
+    );
+
+    expect(exitCode).toBe(3);
+    expect(stderr).toMatch(/nobody\.dash is not registered/);
+  });
+
+  test('fails with exit code 2 for an invalid name', async () => {
+    const { exitCode } = await network.run(
+      'registerName',
+      '--identity-id',
+      identityId,
+      '--identity-name',
+      '-invalid-',
+    );
+
+    expect(exitCode).toBe(2);
+  });
+});
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dashClient = require('../dashClient');
+const dashLibrary = require('../dashLibrary');
+const logger = require('../dashLogger');
+const { rateProbes, saveNodeHealth, orderByHealth } = require('../dashNodes');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+// Stands in for the SDK, createDapiClient only needs the constructor options
+jest.mock(
+  'dash',
+  () => ({
+    Client: jest.fn(function Client(options) {
+      this.options = options;
+      this.getDAPIClient = () => ({});
+    }),
+  }),
+  { virtual: true },
+);
+
+const Dash = require('dash');
+
+// Nodes of the stub network and how each one answers a probe
+const NODES = {
+  '10.0.0.1:1443': { delayMs: 40, coreHeight: 1000, platform: true },
+  '10.0.0.2:1443': { delayMs: 5, coreHeight: 1001, platform: true },
+  '[2001:db8::3]:1443': { delayMs: 5, coreHeight: 990, platform: true },
+  '10.0.0.4:1443': { delayMs: 5, coreHeight: 1001, platform: false },
+  '10.0.0.5:1443': { unreachable: true },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Client for a single stub node, like the one probeNode builds per address
+const stubClient = (args) => {
+  const node = NODES[args.dapiAddresses[0]];
+  const answer = async (value) => {
+    await sleep(node.delayMs || 0);
+    if (node.unreachable) {
+      throw new Error('14 UNAVAILABLE: No connection established');
+    }
+    return value;
+  };
+  return {
+    getDAPIClient: () => ({
+      core: {
+        getBestBlockHeight: () => answer(node.coreHeight),
+        getStatus: () => answer({ version: { agent: '/Dash Core:21.1.0/' } }),
+      },
+    }),
+    platform: {
+      contracts: {
+        get: async () => {
+          if (!node.platform) {
+            throw new Error('Platform is not served');
+          }
+          return {};
+        },
+      },
+    },
+    disconnect: async () => {},
+  };
+};
+
+dashClient.registerBackend('stubnet', stubClient);
+
+describe('DAPI node health', () => {
+  let home;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'dash-cli-nodes-'));
+    process.env.DASH_CLI_HOME = home;
+    logger.configure({ level: 'error' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Dash.Client.mockClear();
+    delete process.env.DASH_CLI_HOME;
+    delete process.env.TESTNET_DAPI_ADDRESSES;
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const health = (entries) =>
+    Object.entries(entries).map(([address, status]) => ({
+      address,
+      status,
+      latencyMs: status === 'unreachable' ? null : 10,
+    }));
+
+  describe('rateProbes', () => {
+    test('rates nodes by core height and platform answers', () => {
+      expect(
+        rateProbes([
+          { address: 'a:1', coreHeight: 1000, platform: true },
+          { address: 'b:1', coreHeight: 996, platform: true },
+          { address: 'c:1', coreHeight: 1000, platform: false },
+          { address: 'd:1', coreHeight: null, platform: null },
+          { address: 'e:1', coreHeight: 997, platform: true },
+        ]).map(({ status }) => status),
+      ).toEqual(['ok', 'lagging', 'degraded', 'unreachable', 'ok']);
+    });
+  });
+
+  describe('pingNodes', () => {
+    test('probes every node and saves their health', async () => {
+      const results = await dashLibrary.pingNodes({
+        network: 'stubnet',
+        dapiAddresses: JSON.stringify(Object.keys(NODES)),
+      });
+
+      expect(
+        results.map(({ address, status }) => ({ address, status })),
+      ).toEqual([
+        { address: '10.0.0.1:1443', status: 'ok' },
+        { address: '10.0.0.2:1443', status: 'ok' },
+        { address: '[2001:db8::3]:1443', status: 'lagging' },
+        { address: '10.0.0.4:1443', status: 'degraded' },
+        { address: '10.0.0.5:1443', status: 'unreachable' },
+      ]);
+      expect(results[0]).toMatchObject({
+        coreHeight: 1000,
+        platform: true,
+        version: '/Dash Core:21.1.0/',
+        error: null,
+      });
+      expect(results[3].error).toBe('platform: Platform is not served');
+      expect(results[4]).toMatchObject({
+        latencyMs: null,
+        error: '14 UNAVAILABLE: No connection established',
+      });
+
+      expect(orderByHealth('stubnet', Object.keys(NODES))).toEqual({
+        addresses: ['10.0.0.2:1443', '10.0.0.1:1443'],
+        skipped: ['10.0.0.5:1443', '[2001:db8::3]:1443', '10.0.0.4:1443'],
+      });
+    });
+
+    test('rejects invalid addresses and the memory network', async () => {
+      await expect(
+        dashLibrary.pingNodes({
+          network: 'stubnet',
+          dapiAddresses: '["2001:db8::3:1443"]',
+        }),
+      ).rejects.toMatchObject({ exitCode: 2 });
+      await expect(
+        dashLibrary.pingNodes({ network: 'memory' }),
+      ).rejects.toMatchObject({
+        exitCode: 2,
+        message: 'The memory network has no DAPI nodes to ping',
+      });
+    });
+  });
+
+  describe('orderByHealth', () => {
+    const addresses = ['a:1', 'b:1', 'c:1', 'd:1'];
+
+    test('keeps the configured order without health results', () => {
+      expect(orderByHealth('testnet', addresses)).toEqual({
+        addresses,
+        skipped: [],
+      });
+    });
+
+    test('puts healthy nodes by latency first, then unchecked nodes', () => {
+      saveNodeHealth('testnet', [
+        { address: 'a:1', status: 'ok', latencyMs: 80 },
+        { address: 'b:1', status: 'unreachable', latencyMs: null },
+        { address: 'd:1', status: 'ok', latencyMs: 20 },
+      ]);
+
+      expect(orderByHealth('testnet', addresses)).toEqual({
+        addresses: ['d:1', 'a:1', 'c:1'],
+        skipped: ['b:1'],
+      });
+    });
+
+    test('keeps every node when none is healthy', () => {
+      saveNodeHealth(
+        'testnet',
+        health({ 'a:1': 'unreachable', 'b:1': 'degraded' }),
+      );
+
+      expect(orderByHealth('testnet', ['a:1', 'b:1'])).toEqual({
+        addresses: ['a:1', 'b:1'],
+        skipped: [],
+      });
+    });
+
+    test('keeps health results per network', () => {
+      saveNodeHealth('mainnet', health({ 'a:1': 'unreachable' }));
+
+      expect(orderByHealth('testnet', addresses).skipped).toEqual([]);
+    });
+
+    test('ignores results older than 15 minutes', () => {
+      saveNodeHealth('testnet', health({ 'a:1': 'unreachable' }));
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 16 * 60 * 1000);
+
+      expect(orderByHealth('testnet', addresses).skipped).toEqual([]);
+    });
+  });
+
+  describe('client construction', () => {
+    test('connects to the healthy nodes first', () => {
+      saveNodeHealth(
+        'testnet',
+        health({ 'a:1': 'unreachable', 'b:1': 'ok', 'c:1': 'ok' }),
+      );
+      const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+      process.env.TESTNET_DAPI_ADDRESSES = '["a:1","b:1","c:1"]';
+
+      dashClient({ network: 'testnet' });
+
+      expect(Dash.Client.mock.calls[0][0].dapiAddresses).toEqual([
+        'b:1',
+        'c:1',
+      ]);
+      expect(info).toHaveBeenCalledWith(
+        'Skipping DAPI nodes that failed their last health check: a:1',
+      );
+    });
+
+    test('falls back to every node when none passed its check', () => {
+      saveNodeHealth(
+        'testnet',
+        health({ 'a:1': 'unreachable', 'b:1': 'lagging' }),
+      );
+
+      dashClient({ network: 'testnet', dapiAddresses: ['a:1', 'b:1'] });
+
+      expect(Dash.Client.mock.calls[0][0].dapiAddresses).toEqual([
+        'a:1',
+        'b:1',
+      ]);
+    });
+
+    test('exits with 2 for invalid configured addresses', () => {
+      process.env.TESTNET_DAPI_ADDRESSES = '["a"]';
+
+      expect(() => dashClient({ network: 'testnet' })).toThrow(
+        expect.objectContaining({
+          exitCode: 2,
+          message: expect.stringMatching(
+            /Invalid DAPI address "a" in TESTNET_DAPI_ADDRESSES/,
+          ),
+        }),
+      );
+    });
+  });
+});
+
+describe('pingNodes on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('exits with 2', async () => {
+    const { exitCode, stderr } = await network.run('pingNodes');
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/no DAPI nodes to ping/);
+  });
+});
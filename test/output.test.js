@@ -0,0 +1,62 @@
+const {
+  validateOutputFormat,
+  formatOutput,
+  toPlainData,
+} = require('../dashOutput');
+
+describe('validateOutputFormat', () => {
+  test('accepts the documented formats', () => {
+    ['text', 'json', 'ndjson', 'table'].forEach((format) =>
+      expect(validateOutputFormat(format)).toBe(format),
+    );
+  });
+
+  test('rejects an unknown format', () => {
+    expect(() => validateOutputFormat('xml')).toThrow(
+      'Invalid output format "xml"',
+    );
+  });
+});
+
+describe('formatOutput', () => {
+  const rows = [
+    { id: 'a', balance: 10 },
+    { id: 'bb', balance: 2000 },
+  ];
+
+  test('prints json as an indented document', () => {
+    expect(formatOutput('Rows', rows, 'json')).toBe(
+      JSON.stringify(rows, null, 2),
+    );
+  });
+
+  test('prints ndjson as one line per list item', () => {
+    expect(formatOutput('Rows', rows, 'ndjson')).toBe(
+      '{"id":"a","balance":10}\n{"id":"bb","balance":2000}',
+    );
+    expect(formatOutput('Row', rows[0], 'ndjson')).toBe(
+      '{"id":"a","balance":10}',
+    );
+  });
+
+  test('prints a table with a header line', () => {
+    expect(formatOutput('Rows', rows, 'table')).toBe(
+      ['id  balance', '--  -------', 'a   10', 'bb  2000'].join('\n'),
+    );
+    expect(formatOutput('Rows', [], 'table')).toBe('(no results)');
+  });
+
+  test('prints text with the label', () => {
+    expect(formatOutput('Address', 'yXyz', 'text')).toBe('Address: yXyz');
+  });
+
+  test('converts buffers and big integers into JSON-safe values', () => {
+    expect(
+      toPlainData({
+        data: Buffer.from('hi'),
+        small: 5n,
+        large: 2n ** 64n,
+      }),
+    ).toEqual({ data: 'aGk=', small: 5, large: '18446744073709551616' });
+  });
+});
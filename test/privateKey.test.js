@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const dashLibrary = require('../dashLibrary');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('getPrivateKey on the memory network', () => {
+  let network;
+  let identityId;
+  let stdinIsTTY;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    ({ identityId } = await network.createIdentity());
+    stdinIsTTY = process.stdin.isTTY;
+  });
+
+  afterEach(() => {
+    process.stdin.isTTY = stdinIsTTY;
+    network.cleanup();
+  });
+
+  const exportKey = (...argv) =>
+    network.run(
+      'getPrivateKey',
+      '--identity-id',
+      identityId,
+      '--key-id',
+      '0',
+      '--output',
+      'json',
+      ...argv,
+    );
+
+  // Calls the library like the shell does, with the prompt answering answer
+  const exportKeyWithPrompt = (answer) => {
+    process.stdin.isTTY = true;
+    const prompt = jest.fn(async () => answer);
+    return {
+      prompt,
+      result: dashLibrary.getPrivateKey({
+        network: 'memory',
+        memoryFile: network.memoryFile,
+        identityId,
+        keyId: '0',
+        prompt,
+      }),
+    };
+  };
+
+  test('exports the key in hex with --yes', async () => {
+    const { stdout, exitCode } = await exportKey('--yes');
+
+    expect(exitCode).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result).toMatchObject({ identityId, keyId: 0, format: 'hex' });
+    expect(result.privateKey).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('exports the key as WIF and JSON', async () => {
+    const hex = JSON.parse((await exportKey('--yes')).stdout).privateKey;
+
+    const wif = JSON.parse(
+      (await exportKey('--yes', '--key-format', 'wif')).stdout,
+    );
+    expect(wif.privateKey).toMatch(/^[1-9A-HJ-NP-Za-km-z]{51,52}$/);
+
+    const json = JSON.parse(
+      (await exportKey('--yes', '--key-format', 'json')).stdout,
+    );
+    expect(json.privateKey).toMatchObject({
+      identityId,
+      keyId: 0,
+      privateKey: hex,
+      wif: wif.privateKey,
+      publicKey: expect.stringMatching(/^[0-9a-f]{66}$/),
+    });
+  });
+
+  test('writes the key to a new file readable only by the owner', async () => {
+    const keyFile = path.join(network.dir, 'key.txt');
+
+    const { stdout, exitCode } = await exportKey(
+      '--yes',
+      '--key-file',
+      keyFile,
+    );
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({ file: keyFile });
+    expect(JSON.parse(stdout).privateKey).toBeUndefined();
+    expect(fs.readFileSync(keyFile, 'utf8')).toMatch(/^[0-9a-f]{64}\n$/);
+    expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+  });
+
+  test('never overwrites an existing key file', async () => {
+    const keyFile = path.join(network.dir, 'key.txt');
+    fs.writeFileSync(keyFile, 'keep me');
+
+    const { exitCode } = await exportKey('--yes', '--key-file', keyFile);
+
+    expect(exitCode).toBe(2);
+    expect(fs.readFileSync(keyFile, 'utf8')).toBe('keep me');
+  });
+
+  test('needs --yes when stdin is not a terminal', async () => {
+    process.stdin.isTTY = undefined;
+
+    const { exitCode, stderr } = await exportKey();
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/pass --yes/);
+  });
+
+  test('asks the injected prompt for a confirmation', async () => {
+    const { prompt, result } = exportKeyWithPrompt('y');
+
+    expect((await result).privateKey).toMatch(/^[0-9a-f]{64}$/);
+    expect(prompt).toHaveBeenCalledWith(
+      expect.stringMatching(/^Export the private key of key 0 of identity/),
+    );
+  });
+
+  test.each([['n'], [''], [null]])(
+    'cancels the export when the answer is %j',
+    async (answer) => {
+      await expect(exportKeyWithPrompt(answer).result).rejects.toThrow(
+        'Private key export cancelled',
+      );
+    },
+  );
+
+  test('refuses keys the wallet did not derive', async () => {
+    process.env.MNEMONIC = 'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong';
+
+    const { exitCode, stderr } = await exportKey('--yes');
+
+    expect(exitCode).toBe(2);
+    expect(JSON.parse(stderr).code).toBe('KEY_MISMATCH');
+  });
+
+  test('rejects unknown key formats', async () => {
+    const { exitCode, stderr } = await exportKey(
+      '--yes',
+      '--key-format',
+      'pem',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(JSON.parse(stderr).message).toMatch(/Invalid key format "pem"/);
+  });
+});
@@ -0,0 +1,219 @@
+const { applyProfile, parseDapiAddresses } = require('../dashProfiles');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('parseDapiAddresses', () => {
+  test('parses a JSON array of host:port addresses', () => {
+    expect(
+      parseDapiAddresses('["seed-1.testnet.networks.dash.org:1443"]'),
+    ).toEqual(['seed-1.testnet.networks.dash.org:1443']);
+    expect(parseDapiAddresses(['127.0.0.1:3000'])).toEqual(['127.0.0.1:3000']);
+    expect(parseDapiAddresses(['[2001:db8::1]:1443', '[::1]:3000'])).toEqual([
+      '[2001:db8::1]:1443',
+      '[::1]:3000',
+    ]);
+  });
+
+  test.each([
+    ['not json', /must be a JSON array of host:port addresses/],
+    ['[]', /must be a non-empty JSON array/],
+    ['"127.0.0.1:3000"', /must be a non-empty JSON array/],
+    ['["127.0.0.1"]', /Invalid DAPI address "127.0.0.1"/],
+    ['["127.0.0.1:70000"]', /Invalid DAPI address "127.0.0.1:70000"/],
+    ['["2001:db8::1:1443"]', /Invalid DAPI address "2001:db8::1:1443"/],
+    ['["[2001:db8::1]"]', /Invalid DAPI address "\[2001:db8::1\]"/],
+  ])('rejects %s', (value, message) => {
+    expect(() => parseDapiAddresses(value)).toThrow(message);
+  });
+});
+
+describe('applyProfile', () => {
+  const profile = {
+    name: 'testnet-app',
+    network: 'testnet',
+    dapiAddresses: ['127.0.0.1:3000'],
+    identityId: 'profileIdentity',
+    contracts: { default: 'defaultContract', notes: 'notesContract' },
+  };
+
+  test('fills unset options from the profile', () => {
+    expect(applyProfile({}, profile)).toMatchObject({
+      network: 'testnet',
+      dapiAddresses: ['127.0.0.1:3000'],
+      identityId: 'profileIdentity',
+      contractId: 'defaultContract',
+    });
+  });
+
+  test('keeps options that are already set', () => {
+    expect(
+      applyProfile(
+        { identityId: 'flagIdentity', dapiAddresses: ['10.0.0.1:443'] },
+        profile,
+      ),
+    ).toMatchObject({
+      identityId: 'flagIdentity',
+      dapiAddresses: ['10.0.0.1:443'],
+    });
+  });
+
+  test('resolves contract aliases', () => {
+    expect(applyProfile({ contractId: 'notes' }, profile).contractId).toBe(
+      'notesContract',
+    );
+    expect(applyProfile({ contractId: 'other' }, profile).contractId).toBe(
+      'other',
+    );
+  });
+
+  test('leaves out the DAPI addresses of another network', () => {
+    expect(
+      applyProfile({ network: 'mainnet' }, profile).dapiAddresses,
+    ).toBeUndefined();
+  });
+
+  test('returns the options as they are without a profile', () => {
+    const options = { network: 'mainnet' };
+
+    expect(applyProfile(options, null)).toBe(options);
+  });
+});
+
+describe('profiles on the memory network', () => {
+  let network;
+  let identities;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    identities = [];
+    for (let index = 0; index < 3; index += 1) {
+      identities.push((await network.createIdentity()).identityId);
+    }
+  });
+
+  afterEach(() => {
+    delete process.env.IDENTITY_ID;
+    delete process.env.DASH_PROFILE;
+    network.cleanup();
+  });
+
+  const createProfile = (name, ...argv) =>
+    network.runJson('profile', 'create', name, ...argv);
+
+  const retrievedIdentity = async (...argv) =>
+    (await network.runJson('retrieveIdentity', ...argv)).id;
+
+  test('creates, lists, shows and deletes profiles', async () => {
+    const created = await createProfile(
+      'app',
+      '--identity-id',
+      identities[0],
+      '--contract-alias',
+      'notes=contract1',
+    );
+    expect(created).toMatchObject({
+      name: 'app',
+      active: true,
+      network: 'memory',
+      identityId: identities[0],
+      contracts: { notes: 'contract1' },
+    });
+
+    await createProfile('other');
+    expect(await network.runJson('profile', 'list')).toEqual([
+      expect.objectContaining({ name: 'app', active: true }),
+      expect.objectContaining({ name: 'other', active: false }),
+    ]);
+    expect(await network.runJson('profile', 'show', 'other')).toMatchObject({
+      name: 'other',
+      active: false,
+    });
+
+    expect(await network.runJson('profile', 'delete', 'app')).toEqual({
+      deleted: 'app',
+    });
+    expect(await network.runJson('profile', 'list')).toEqual([
+      expect.objectContaining({ name: 'other', active: false }),
+    ]);
+  });
+
+  test('switches the active profile with profile use', async () => {
+    await createProfile('first', '--identity-id', identities[0]);
+    await createProfile('second', '--identity-id', identities[1]);
+
+    expect(await network.runJson('profile', 'show')).toMatchObject({
+      name: 'first',
+    });
+    expect(await retrievedIdentity()).toBe(identities[0]);
+
+    expect(await network.runJson('profile', 'use', 'second')).toEqual({
+      activeProfile: 'second',
+    });
+    expect(await network.runJson('profile', 'show')).toMatchObject({
+      name: 'second',
+      active: true,
+    });
+    expect(await retrievedIdentity()).toBe(identities[1]);
+  });
+
+  test('resolves flags over environment variables over the profile', async () => {
+    await createProfile('app', '--identity-id', identities[0]);
+    expect(await retrievedIdentity()).toBe(identities[0]);
+
+    process.env.IDENTITY_ID = identities[1];
+    expect(await retrievedIdentity()).toBe(identities[1]);
+
+    expect(await retrievedIdentity('--identity-id', identities[2])).toBe(
+      identities[2],
+    );
+  });
+
+  test('falls back to the defaults without a flag, variable or profile', async () => {
+    const { exitCode, stderr } = await network.run('retrieveIdentity');
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Identity ID is required/);
+  });
+
+  test('selects a profile with --profile or DASH_PROFILE', async () => {
+    await createProfile('first', '--identity-id', identities[0]);
+    await createProfile('second', '--identity-id', identities[1]);
+
+    expect(await retrievedIdentity('--profile', 'second')).toBe(identities[1]);
+
+    process.env.DASH_PROFILE = 'second';
+    expect(await retrievedIdentity()).toBe(identities[1]);
+  });
+
+  test.each([
+    [['retrieveIdentity', '--profile', 'missing']],
+    [['profile', 'use', 'missing']],
+    [['profile', 'show', 'missing']],
+  ])('exits with 3 for an unknown profile in %j', async (argv) => {
+    const { exitCode, stderr } = await network.run(...argv);
+
+    expect(exitCode).toBe(3);
+    expect(stderr).toMatch(/Profile "missing" not found/);
+  });
+
+  test('rejects invalid profile names and duplicates', async () => {
+    await createProfile('app');
+
+    expect((await network.run('profile', 'create', '../app')).exitCode).toBe(2);
+    const { exitCode, stderr } = await network.run('profile', 'create', 'app');
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Profile "app" already exists/);
+  });
+
+  test('rejects invalid DAPI addresses', async () => {
+    const { exitCode, stderr } = await network.run(
+      'profile',
+      'create',
+      'app',
+      '--dapi-addresses',
+      '["localhost"]',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/Invalid DAPI address "localhost"/);
+  });
+});
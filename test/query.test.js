@@ -0,0 +1,201 @@
+const {
+  parseWhere,
+  buildQuery,
+  checkQueryIndices,
+  prepareQuery,
+} = require('../dashQuery');
+const { ValidationError } = require('../dashErrors');
+const { NOTE_SCHEMA, createMemoryNetwork } = require('./memoryNetwork');
+
+const schema = NOTE_SCHEMA.note;
+
+describe('query flags', () => {
+  test.each([
+    ['score>=10', ['score', '>=', '10']],
+    ['message=="Hello there"', ['message', '==', 'Hello there']],
+    ['$ownerId==abc', ['$ownerId', '==', 'abc']],
+    ['score in [1,2]', ['score', 'in', [1, 2]]],
+    ['message startsWith He', ['message', 'startsWith', 'He']],
+  ])('parses --where %s', (text, clause) => {
+    expect(parseWhere(text)).toEqual(clause);
+  });
+
+  test('rejects a --where without an operator', () => {
+    expect(() => parseWhere('score')).toThrow(ValidationError);
+  });
+
+  test('adds flags to the --query JSON', () => {
+    expect(
+      buildQuery({
+        query: JSON.stringify({ where: [['score', '>', 1]], limit: 50 }),
+        where: ['score<5'],
+        orderBy: ['score:desc'],
+        limit: '10',
+      }),
+    ).toEqual({
+      where: [
+        ['score', '>', 1],
+        ['score', '<', '5'],
+      ],
+      orderBy: [['score', 'desc']],
+      limit: 10,
+    });
+  });
+
+  test('rejects limits outside 1 to 100', () => {
+    expect(() => buildQuery({ limit: '101' })).toThrow(/between 1 and 100/);
+  });
+
+  test('allows export limits above one page', () => {
+    expect(buildQuery({ limit: '250' }, Infinity).limit).toBe(250);
+    expect(() => buildQuery({ limit: '0' }, Infinity)).toThrow(
+      'Limit must be a positive integer',
+    );
+  });
+});
+
+describe('index preflight', () => {
+  test('coerces flag values to the schema types', () => {
+    expect(
+      prepareQuery({ where: [['score', '>=', '2']] }, schema, 'note'),
+    ).toEqual({ where: [['score', '>=', 2]] });
+  });
+
+  test('rejects unknown fields', () => {
+    expect(() =>
+      prepareQuery({ where: [['title', '==', 'x']] }, schema, 'note'),
+    ).toThrow(/Unknown field "title"/);
+  });
+
+  test('returns the index serving the query', () => {
+    expect(
+      checkQueryIndices(
+        { where: [['score', '>', 1]], orderBy: [['score', 'asc']] },
+        schema,
+        'note',
+      ),
+    ).toBe('byScore');
+    expect(
+      checkQueryIndices({ where: [['$id', '==', 'a']] }, schema, 'note'),
+    ).toBeNull();
+  });
+
+  test('rejects queries no index serves', () => {
+    let error;
+    try {
+      checkQueryIndices({ where: [['message', '==', 'x']] }, schema, 'note');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.code).toBe('QUERY_NOT_INDEXED');
+    expect(error.suggestions[0]).toBe('Available indices: byScore (score)');
+  });
+
+  test('rejects range operators on more than one field', () => {
+    expect(() =>
+      checkQueryIndices(
+        {
+          where: [
+            ['score', '>', 1],
+            ['message', '>', 'a'],
+          ],
+        },
+        schema,
+        'note',
+      ),
+    ).toThrow(/only be used on one field/);
+  });
+
+  test('can be skipped', () => {
+    expect(
+      prepareQuery({ where: [['message', '==', 'x']] }, schema, 'note', {
+        skipIndexCheck: true,
+      }),
+    ).toEqual({ where: [['message', '==', 'x']] });
+  });
+});
+
+describe('query flags on the memory network', () => {
+  let network;
+  let contractId;
+
+  beforeEach(async () => {
+    network = createMemoryNetwork();
+    const { identityId } = await network.createIdentity(100000);
+    contractId = await network.registerNoteContract(identityId);
+    for (const score of [1, 2, 3]) {
+      await network.runJson(
+        'submitDocument',
+        '--identity-id',
+        identityId,
+        '--contract-id',
+        contractId,
+        '--document-type',
+        'note',
+        '--action',
+        'create',
+        '--document-data',
+        JSON.stringify({ message: `note ${score}`, score }),
+      );
+    }
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('filters and orders with --where and --order-by', async () => {
+    const documents = await network.runJson(
+      'retrieveDocuments',
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--where',
+      'score>=2',
+      '--order-by',
+      'score:desc',
+    );
+
+    expect(documents.map((document) => document.score)).toEqual([3, 2]);
+  });
+
+  test('stops an export after --limit documents', async () => {
+    const { stdout, exitCode } = await network.run(
+      'exportDocuments',
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--order-by',
+      'score:asc',
+      '--limit',
+      '2',
+      '--page-size',
+      '1',
+      '--export-format',
+      'ndjson',
+    );
+
+    expect(exitCode).toBe(0);
+    expect(stdout.split('\n').map((line) => JSON.parse(line).score)).toEqual([
+      1, 2,
+    ]);
+  });
+
+  test('fails before querying when no index serves the query', async () => {
+    const { exitCode, stderr } = await network.run(
+      'retrieveDocuments',
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--where',
+      'message==note 1',
+    );
+
+    expect(exitCode).toBe(2);
+    expect(stderr).toMatch(/No index of document type "note"/);
+  });
+});
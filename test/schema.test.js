@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { validateDocument, assertValidDocument } = require('../dashSchema');
+const { NOTE_SCHEMA, createMemoryNetwork } = require('./memoryNetwork');
+
+const keywords = (errors) => errors.map((error) => error.keyword);
+
+describe('validateDocument', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 2, maxLength: 5, position: 0 },
+      count: { type: 'integer', minimum: 0, maximum: 10, position: 1 },
+      email: { type: 'string', format: 'email', position: 2 },
+      tags: {
+        type: 'array',
+        items: { type: 'string', pattern: '^[a-z]+$' },
+        maxItems: 2,
+        position: 3,
+      },
+      owner: {
+        type: 'array',
+        byteArray: true,
+        minItems: 32,
+        maxItems: 32,
+        contentMediaType: 'application/x.dash.dpp.identifier',
+        position: 4,
+      },
+      status: { type: 'string', enum: ['open', 'done'], position: 5 },
+    },
+    required: ['title', '$createdAt'],
+    additionalProperties: false,
+  };
+
+  test('accepts valid data', () => {
+    expect(
+      validateDocument(schema, {
+        title: 'abc',
+        count: 3,
+        email: 'a@b.io',
+        tags: ['x'],
+        owner: 'GWRSAVFMjXx8HpQFaNJMqBV7MBgMK4br5UESsB4S31Ec',
+        status: 'open',
+      }),
+    ).toEqual([]);
+  });
+
+  test('reports every violation with its path', () => {
+    const errors = validateDocument(schema, {
+      title: 'too long',
+      count: 1.5,
+      email: 'nope',
+      tags: ['ok', 'Not ok', 'x'],
+      extra: true,
+    });
+
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ path: '$.title', keyword: 'maxLength' }),
+        expect.objectContaining({ path: '$.count', keyword: 'type' }),
+        expect.objectContaining({ path: '$.email', keyword: 'format' }),
+        expect.objectContaining({ path: '$.tags', keyword: 'maxItems' }),
+        expect.objectContaining({ path: '$.tags[1]', keyword: 'pattern' }),
+        expect.objectContaining({
+          path: '$.extra',
+          keyword: 'additionalProperties',
+        }),
+      ]),
+    );
+  });
+
+  test('requires properties but not system fields', () => {
+    expect(keywords(validateDocument(schema, {}))).toEqual(['required']);
+  });
+
+  test('rejects system fields in the data', () => {
+    expect(
+      keywords(validateDocument(schema, { title: 'abc', $id: 'x' })),
+    ).toEqual(['systemField']);
+  });
+
+  test('checks identifiers given as base58 strings', () => {
+    expect(
+      keywords(validateDocument(schema, { title: 'abc', owner: 'not-base58' })),
+    ).toEqual(['contentMediaType']);
+  });
+
+  test('only checks the given properties of a partial document', () => {
+    expect(validateDocument(schema, { count: 2 }, { partial: true })).toEqual(
+      [],
+    );
+  });
+
+  test('throws a ValidationError listing the violations', () => {
+    expect(() => assertValidDocument(schema, { count: -1 }, 'item')).toThrow(
+      /does not match the "item" schema:\n {2}- \$\.title: is required\n {2}- \$\.count: must be >= 0$/,
+    );
+  });
+});
+
+describe('document validation on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    network.cleanup();
+  });
+
+  test('rejects invalid data before submitting it', async () => {
+    const { identityId } = await network.createIdentity(100000);
+    const contractId = await network.registerNoteContract(identityId);
+    const before = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+
+    const { exitCode, stderr } = await network.run(
+      'submitDocument',
+      '--identity-id',
+      identityId,
+      '--contract-id',
+      contractId,
+      '--document-type',
+      'note',
+      '--action',
+      'create',
+      '--document-data',
+      JSON.stringify({ message: 'x'.repeat(101), score: -1 }),
+      '--output',
+      'json',
+    );
+
+    expect(exitCode).toBe(2);
+    const error = JSON.parse(stderr);
+    expect(error.code).toBe('SCHEMA_VALIDATION_FAILED');
+    expect(keywords(error.details)).toEqual(['maxLength', 'minimum']);
+    const after = await network.runJson(
+      'retrieveIdentity',
+      '--identity-id',
+      identityId,
+    );
+    expect(after.balance).toBe(before.balance);
+  });
+
+  test('validates data offline against a contract file', async () => {
+    const contractFile = path.join(network.dir, 'contract.json');
+    fs.writeFileSync(contractFile, JSON.stringify(NOTE_SCHEMA));
+
+    const valid = await network.runJson(
+      'validateDocument',
+      '--contract-file',
+      contractFile,
+      '--document-type',
+      'note',
+      '--document-data',
+      JSON.stringify({ message: 'hi' }),
+    );
+    expect(valid).toEqual({ valid: true, errors: [] });
+
+    const { exitCode } = await network.run(
+      'validateDocument',
+      '--contract-file',
+      contractFile,
+      '--document-type',
+      'note',
+      '--document-data',
+      JSON.stringify({ score: 1 }),
+    );
+    expect(exitCode).toBe(2);
+  });
+
+  test('validates without unlocking a keystore wallet', async () => {
+    const contractFile = path.join(network.dir, 'contract.json');
+    fs.writeFileSync(contractFile, JSON.stringify(NOTE_SCHEMA));
+    delete process.env.MNEMONIC;
+
+    // No such wallet exists, so unlocking it would fail
+    const valid = await network.runJson(
+      'validateDocument',
+      '--wallet',
+      'main',
+      '--contract-file',
+      contractFile,
+      '--document-type',
+      'note',
+      '--document-data',
+      JSON.stringify({ message: 'hi' }),
+    );
+
+    expect(valid).toEqual({ valid: true, errors: [] });
+  });
+});
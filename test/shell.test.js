@@ -0,0 +1,264 @@
+const dashClient = require('../dashClient');
+const logger = require('../dashLogger');
+const { splitLine, createCompleter } = require('../dashShell');
+const { createMemoryNetwork } = require('./memoryNetwork');
+
+describe('splitLine', () => {
+  test.each([
+    [
+      'retrieveIdentity  --identity-id abc ',
+      ['retrieveIdentity', '--identity-id', 'abc'],
+    ],
+    [`--query '{"limit": 2}'`, ['--query', '{"limit": 2}']],
+    [`--where "message==hello world"`, ['--where', 'message==hello world']],
+    [`'C:\\temp' "a\\\\b"`, ['C:\\temp', 'a\\b']],
+    [`"say \\"hi\\""`, ['say "hi"']],
+    ['a\\ b c', ['a b', 'c']],
+    [`ab"c d"'e'`, ['abc de']],
+    [`'' ""`, ['', '']],
+    ['', []],
+  ])('splits %j', (line, tokens) => {
+    expect(splitLine(line)).toEqual(tokens);
+  });
+
+  test.each([`--query '{"a":1}`, '--where "a==b'])(
+    'rejects the unclosed quote in %j',
+    (line) => {
+      expect(() => splitLine(line)).toThrow(
+        expect.objectContaining({ exitCode: 2 }),
+      );
+    },
+  );
+});
+
+describe('shell completion', () => {
+  const complete = createCompleter({
+    network: 'memory',
+    commands: ['retrieveIdentity', 'retrieveDocuments', 'profile'],
+    optionNames: ['--identity-id', '--contract-id', '--document-type'],
+    state: {
+      contractId: 'contract1',
+      identities: new Set(['identityA', 'identityB']),
+      contracts: new Set(['contract1', 'contract2']),
+      documentTypes: new Map([
+        ['contract1', ['note', 'comment']],
+        ['contract2', ['profile']],
+      ]),
+    },
+  });
+
+  test.each([
+    ['retrieve', ['retrieveIdentity', 'retrieveDocuments'], 'retrieve'],
+    [
+      '',
+      [
+        'retrieveIdentity',
+        'retrieveDocuments',
+        'profile',
+        'help',
+        'use',
+        'status',
+        'exit',
+        'quit',
+      ],
+      '',
+    ],
+    ['ex', ['exit'], 'ex'],
+    ['profile ', ['create', 'list', 'use', 'show', 'delete'], ''],
+    ['retrieveIdentity --i', ['--identity-id'], '--i'],
+    ['retrieveIdentity --identity-id identityB', ['identityB'], 'identityB'],
+    ['use identity ', ['identityA', 'identityB'], ''],
+    ['use contract c', ['contract1', 'contract2'], 'c'],
+    ['retrieveDocuments --document-type ', ['note', 'comment'], ''],
+    [
+      'retrieveDocuments --contract-id contract2 --document-type ',
+      ['profile'],
+      '',
+    ],
+    ['retrieveIdentity --network t', ['testnet'], 't'],
+    ['retrieveIdentity --output n', ['ndjson'], 'n'],
+  ])('completes %j', (line, candidates, current) => {
+    expect(complete(line)).toEqual([candidates, current]);
+  });
+});
+
+describe('shell session clients', () => {
+  let factory;
+
+  beforeEach(() => {
+    logger.configure({ level: 'error' });
+    factory = jest.fn((args) => {
+      const apps = new Map();
+      return {
+        args,
+        disconnect: jest.fn().mockResolvedValue(),
+        getApps: () => apps,
+      };
+    });
+    dashClient.registerBackend('sessionnet', factory);
+    dashClient.startSession();
+  });
+
+  afterEach(async () => {
+    await dashClient.endSession();
+  });
+
+  const connect = (args = {}) =>
+    dashClient({ network: 'sessionnet', mnemonic: 'wallet one', ...args });
+
+  test('reuses one client for the commands of a session', async () => {
+    const first = connect();
+    await first.disconnect();
+    const second = connect({ contractId: 'contract2' });
+
+    expect(factory).toHaveBeenCalledTimes(1);
+    expect(second.args).toBe(first.args);
+    expect(factory.mock.results[0].value.disconnect).not.toHaveBeenCalled();
+    expect(second.getApps().get('myContract')).toEqual({
+      contractId: 'contract2',
+    });
+  });
+
+  test('keeps a client per wallet and node settings', () => {
+    connect();
+    connect({ mnemonic: 'wallet two' });
+    connect({ dapiAddresses: ['127.0.0.1:3000'] });
+    connect();
+
+    expect(factory).toHaveBeenCalledTimes(3);
+  });
+
+  test('replaces the client to sync from an earlier block', () => {
+    connect({ height: '500' });
+    connect({ height: '800' });
+    connect({ height: '100' });
+
+    expect(factory).toHaveBeenCalledTimes(2);
+    expect(factory.mock.results[0].value.disconnect).toHaveBeenCalled();
+  });
+
+  test('gives probes their own client', () => {
+    connect();
+    connect({ sharedClient: false });
+
+    expect(factory).toHaveBeenCalledTimes(2);
+  });
+
+  test('disconnects the clients when the session ends', async () => {
+    connect();
+    connect({ mnemonic: 'wallet two' });
+
+    await dashClient.endSession();
+
+    factory.mock.results.forEach(({ value }) =>
+      expect(value.disconnect).toHaveBeenCalledTimes(1),
+    );
+    connect();
+    connect();
+    expect(factory).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('shell on the memory network', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createMemoryNetwork();
+  });
+
+  afterEach(() => {
+    delete process.env.MNEMONIC_TO_IMPORT;
+    delete process.env.DASH_KEYSTORE_PASSPHRASE;
+    network.cleanup();
+  });
+
+  // Pipes the lines into the shell and returns the results it printed
+  const runShell = async (lines, ...argv) => {
+    const { stdout, ...rest } = await network.runWithInput(
+      `${lines.join('\n')}\n`,
+      'shell',
+      '--output',
+      'ndjson',
+      ...argv,
+    );
+    return {
+      results: stdout ? stdout.split('\n').map((line) => JSON.parse(line)) : [],
+      ...rest,
+    };
+  };
+
+  test('runs piped lines with the active identity', async () => {
+    const { identityId } = await network.createIdentity();
+
+    const { results, exitCode } = await runShell([
+      'status',
+      `use identity ${identityId}`,
+      'retrieveIdentity',
+    ]);
+
+    expect(exitCode).toBe(0);
+    expect(results).toEqual([
+      { network: 'memory', identityId: null, contractId: null },
+      { network: 'memory', identityId, contractId: null },
+      expect.objectContaining({ id: identityId }),
+    ]);
+  });
+
+  test('makes a new identity the active one', async () => {
+    const { address } = await network.runJson('getUnusedAddress');
+
+    const { results } = await runShell([
+      `createIdentity --address ${address}`,
+      'status',
+    ]);
+
+    expect(results[1].identityId).toBe(results[0].id);
+  });
+
+  test.each([
+    [['retrieveIdentity --identity-id missing', 'status'], 3],
+    [[`retrieveDocuments --query '{"limit":1`, 'status'], 2],
+    [['retrieveIdentity --no-such-option', 'status'], 2],
+    [['status', 'use identity'], 2],
+  ])(
+    'goes on after a failing line and exits non-zero for %j',
+    async (lines, exitCode) => {
+      const result = await runShell(lines);
+
+      expect(result.exitCode).toBe(exitCode);
+      expect(result.results.at(-1)).toMatchObject({ network: 'memory' });
+    },
+  );
+
+  test('unlocks a keystore wallet once for the session', async () => {
+    const { address } = await network.runJson('getUnusedAddress');
+    process.env.MNEMONIC_TO_IMPORT = process.env.MNEMONIC;
+    process.env.DASH_KEYSTORE_PASSPHRASE = 'correct horse';
+    await network.runJson(
+      'keystore',
+      'import',
+      'main',
+      '--mnemonic-env',
+      'MNEMONIC_TO_IMPORT',
+    );
+    delete process.env.MNEMONIC;
+
+    const { results, exitCode } = await runShell(
+      ['getUnusedAddress', 'getUnusedAddress'],
+      '--wallet',
+      'main',
+    );
+
+    expect(exitCode).toBe(0);
+    expect(results).toEqual([{ address }, { address }]);
+  });
+
+  test('exits with the code of the first failing line', async () => {
+    const { exitCode } = await runShell([
+      'retrieveIdentity --identity-id missing',
+      'retrieveIdentity',
+    ]);
+
+    expect(exitCode).toBe(3);
+  });
+});